@@ -760,6 +760,7 @@ $instructions = implode("\n", [
     'If a request is out of scope, refuse briefly and ask for a label-editor task.',
     'When the user requests a label/editor change, call the tool editor_action with allowlisted actions only.',
     'When calling editor_action, always include required fields for each action (for example: add_item needs itemType, update_item needs changes, set_label needs settings, align_selected needs mode).',
+    'align_selected also distributes (distribute-horizontal/vertical for equal gaps, distribute-centers-horizontal/vertical for equal center spacing; needs at least three items) and resizes (match-width/match-height; reference largest is used for selection).',
     'When using add_item + update_item in the same action plan, prefer update_item itemId "last" (or explicit item refs) instead of "selected/current".',
     'Do not emit placeholder actions with only {"action":"..."} and no actionable payload.',
     'For labels copied from a photo/sketch, preserve text structure exactly: keep explicit line breaks and stacked sections instead of flattening everything into one long line.',
@@ -781,6 +782,14 @@ $instructions = implode("\n", [
     'Do not generate many separate text items for one stacked inventory block unless the user explicitly asks for editable per-line objects.',
     'Do not duplicate content: each text section should appear exactly once. Never keep a full multiline copy and additional duplicated line items at the same time.',
     'Text items support style flags: textBold, textItalic, textUnderline, textStrikethrough. Use these instead of creating extra line shapes only for underlines.',
+    'Multiline text items support textAlign (left, center, right, justify); use it instead of padding lines with spaces.',
+    'Set boxWidth (dots, 0 = auto) on text items to word-wrap long text into a fixed-width box instead of inserting manual line breaks.',
+    'To style only part of a text (for example "Room: **A-101**"), set richText: true on the text item and use **bold**, *italic*, __underline__, [size=N]…[/size] or [font=Name]…[/font] markup instead of separate text items.',
+    'On narrow tapes such as W6, condense text with a negative letterSpacing and a lineHeight around 1 before lowering fontSize; wide tapes can use a positive letterSpacing for open tracking.',
+    'Set overflow to "shrink" (with minFontSize), "ellipsis" or "clip" on text items whose placeholder values vary in length per row.',
+    'For vertical lettering down a narrow label, set textDirection: "stacked" on the text item (stackSpacing adjusts the gap between glyphs) instead of rotating it or splitting it into one item per letter.',
+    'For white-on-black, outlined or framed text, set textEffect ("inverted", "outline" or "box") with textEffectPadding/textEffectRadius on the text item instead of placing a filled shape under it; the frame follows the text length per row.',
+    'For variable fonts, set fontWeight (100-900, for example 300 for light) and fontWidth (percent, for example 75 for condensed) on text items; textBold only toggles a bold face.',
     'For boxed/table barcode references, use shape geometry for structure: outer frame + row separators + column divider where visible.',
     'Do not use textUnderline to imitate structural separators when the reference shows drawn lines/boxes.',
     'For two-cell top rows in boxed barcode references, keep separate text items aligned on the same row and fit font size to the cell width (W24 guidance: about 13-16 unless the image clearly indicates otherwise).',
@@ -868,7 +877,7 @@ $tools = [[
                                 'shapeType' => ['type' => 'string'],
                                 'properties' => [
                                     'type' => 'object',
-                                    'description' => 'Initial item properties. Text supports textBold/textItalic/textUnderline/textStrikethrough. QR uses size for square dimensions.'
+                                    'description' => 'Initial item properties. Text supports textBold/textItalic/textUnderline/textStrikethrough, fontWeight/fontWidth, richText markup, textAlign, letterSpacing/lineHeight, boxWidth, overflow/minFontSize, textDirection/stackSpacing and textEffect. QR uses size for square dimensions.'
                                 ]
                             ],
                             'required' => ['action', 'itemType']
@@ -883,7 +892,7 @@ $tools = [[
                                 'changes' => [
                                     'type' => 'object',
                                     'minProperties' => 1,
-                                    'description' => 'Property patch. Text styling keys: textBold, textItalic, textUnderline, textStrikethrough. QR should be resized with size.'
+                                    'description' => 'Property patch. Text styling keys: textBold, textItalic, textUnderline, textStrikethrough, fontWeight/fontWidth, richText markup, textAlign, letterSpacing/lineHeight, boxWidth, overflow/minFontSize, textDirection/stackSpacing and textEffect. QR should be resized with size.'
                                 ]
                             ],
                             'required' => ['action', 'changes']
@@ -944,7 +953,15 @@ $tools = [[
                             'properties' => [
                                 'action' => ['const' => 'align_selected'],
                                 'itemIds' => ['type' => 'array', 'items' => ['type' => 'string'], 'minItems' => 1],
-                                'mode' => ['type' => 'string', 'enum' => ['left', 'center', 'right', 'top', 'middle', 'bottom']],
+                                'mode' => [
+                                    'type' => 'string',
+                                    'enum' => [
+                                        'left', 'center', 'right', 'top', 'middle', 'bottom',
+                                        'distribute-horizontal', 'distribute-vertical',
+                                        'distribute-centers-horizontal', 'distribute-centers-vertical',
+                                        'match-width', 'match-height'
+                                    ]
+                                ],
                                 'reference' => ['type' => 'string', 'enum' => ['selection', 'largest', 'smallest', 'label']]
                             ],
                             'required' => ['action', 'mode']
@@ -0,0 +1,11 @@
+// SPDX-FileCopyrightText: 2026 André Fiedler
+//
+// SPDX-License-Identifier: AGPL-3.0-or-later
+
+import { writeFile } from 'node:fs/promises'
+import { ProjectSchemaDefinitions } from '../src/ProjectSchemaDefinitions.mjs'
+
+// Regenerates docs/project.schema.json from the definitions used by strict validation.
+const target = new URL('../docs/project.schema.json', import.meta.url)
+await writeFile(target, `${JSON.stringify(ProjectSchemaDefinitions.buildJsonSchema(), null, 4)}\n`)
+console.log(`Wrote ${target.pathname}`)
@@ -8,6 +8,65 @@
 export class AlignmentUtils {
     static #referenceModes = new Set(['selection', 'largest', 'smallest', 'label'])
     static #alignModes = new Set(['left', 'center', 'right', 'top', 'middle', 'bottom'])
+    static #distributeModes = new Set([
+        'distribute-horizontal',
+        'distribute-vertical',
+        'distribute-centers-horizontal',
+        'distribute-centers-vertical'
+    ])
+    static #matchSizeModes = new Set(['match-width', 'match-height'])
+    static #failureMessageKeys = Object.freeze({
+        'no-selection': 'messages.selectAtLeastOne',
+        'need-multiple': 'messages.selectAtLeastTwo',
+        'need-three': 'messages.selectAtLeastThree'
+    })
+
+    /**
+     * All modes accepted by `alignSelectedItems` (align, distribute and match size).
+     * @returns {string[]}
+     */
+    static get ALIGN_MODES() {
+        return [...AlignmentUtils.#alignModes, ...AlignmentUtils.#distributeModes, ...AlignmentUtils.#matchSizeModes]
+    }
+
+    /**
+     * Returns true for equal-gap and equal-center distribution modes.
+     * @param {string} mode
+     * @returns {boolean}
+     */
+    static isDistributeMode(mode) {
+        return AlignmentUtils.#distributeModes.has(mode)
+    }
+
+    /**
+     * Returns true for match width/height modes.
+     * @param {string} mode
+     * @returns {boolean}
+     */
+    static isMatchSizeMode(mode) {
+        return AlignmentUtils.#matchSizeModes.has(mode)
+    }
+
+    /**
+     * Returns how many selected items a mode needs.
+     * Distribution keeps the outer items in place, so it only changes something from three items on.
+     * @param {string} mode
+     * @param {'selection' | 'largest' | 'smallest' | 'label'} referenceMode
+     * @returns {number}
+     */
+    static resolveMinimumSelection(mode, referenceMode) {
+        if (AlignmentUtils.isDistributeMode(mode)) return 3
+        return referenceMode === 'label' ? 1 : 2
+    }
+
+    /**
+     * Maps an `alignSelectedItems` failure reason to its status message key.
+     * @param {string | undefined} reason
+     * @returns {string}
+     */
+    static resolveFailureMessageKey(reason) {
+        return AlignmentUtils.#failureMessageKeys[reason] || 'messages.nothingToAlign'
+    }
 
     /**
      * Computes a bounding rectangle for a list of rectangles.
@@ -100,4 +159,54 @@ export class AlignmentUtils {
             deltaY: ref.y + ref.height - (rect.y + rect.height)
         }
     }
+
+    /**
+     * Computes per-rectangle deltas that distribute rectangles along one axis.
+     * The first and last rectangle (by position) stay in place; the others get equal gaps or equally spaced centers.
+     * @param {Array<{ x: number, y: number, width: number, height: number }>} rects
+     * @param {'distribute-horizontal' | 'distribute-vertical' | 'distribute-centers-horizontal' | 'distribute-centers-vertical'} mode
+     * @returns {Array<{ deltaX: number, deltaY: number }>} Deltas in input order.
+     */
+    static computeDistributionDeltas(rects, mode) {
+        const list = Array.isArray(rects) ? rects : []
+        const deltas = list.map(() => ({ deltaX: 0, deltaY: 0 }))
+        if (list.length < 3 || !AlignmentUtils.isDistributeMode(mode)) return deltas
+        const isHorizontal = mode.endsWith('horizontal')
+        const byCenters = mode.startsWith('distribute-centers')
+        const start = (rect) => (isHorizontal ? rect.x : rect.y)
+        const size = (rect) => (isHorizontal ? rect.width : rect.height)
+        const order = list
+            .map((rect, index) => ({ rect, index }))
+            .sort((left, right) => start(left.rect) + size(left.rect) / 2 - (start(right.rect) + size(right.rect) / 2))
+        const first = order[0].rect
+        const last = order[order.length - 1].rect
+        const steps = order.length - 1
+        const centerStep = (start(last) + size(last) / 2 - (start(first) + size(first) / 2)) / steps
+        const totalSize = order.reduce((sum, entry) => sum + size(entry.rect), 0)
+        const gap = (start(last) + size(last) - start(first) - totalSize) / steps
+        let cursor = start(first)
+        order.forEach((entry, position) => {
+            const target = byCenters ? start(first) + size(first) / 2 + centerStep * position - size(entry.rect) / 2 : cursor
+            cursor += size(entry.rect) + gap
+            if (position === 0 || position === steps) return
+            const delta = target - start(entry.rect)
+            deltas[entry.index] = isHorizontal ? { deltaX: delta, deltaY: 0 } : { deltaX: 0, deltaY: delta }
+        })
+        return deltas
+    }
+
+    /**
+     * Computes the scale factor that matches one bounds dimension to the reference rectangle.
+     * @param {{ width: number, height: number }} bounds
+     * @param {{ width: number, height: number }} referenceRect
+     * @param {'match-width' | 'match-height'} mode
+     * @returns {number}
+     */
+    static computeMatchSizeScale(bounds, referenceRect, mode) {
+        const key = mode === 'match-height' ? 'height' : 'width'
+        const current = Number(bounds?.[key]) || 0
+        const target = Number(referenceRect?.[key]) || 0
+        if (current <= 0 || target <= 0) return 1
+        return target / current
+    }
 }
@@ -25,6 +25,8 @@ export class AppElements {
             saveProject: safeRoot.querySelector('[data-save-project]'),
             loadProject: safeRoot.querySelector('[data-load-project]'),
             shareProject: safeRoot.querySelector('[data-share-project]'),
+            undo: safeRoot.querySelector('[data-undo]'),
+            redo: safeRoot.querySelector('[data-redo]'),
             loadInput: safeRoot.querySelector('[data-load-input]'),
             appVersion: safeRoot.querySelector('[data-app-version]'),
             print: safeRoot.querySelector('[data-print]'),
@@ -52,6 +54,14 @@ export class AppElements {
             alignTop: safeRoot.querySelector('[data-align-top]'),
             alignMiddle: safeRoot.querySelector('[data-align-middle]'),
             alignBottom: safeRoot.querySelector('[data-align-bottom]'),
+            distributeHorizontal: safeRoot.querySelector('[data-distribute-horizontal]'),
+            distributeVertical: safeRoot.querySelector('[data-distribute-vertical]'),
+            distributeCentersHorizontal: safeRoot.querySelector('[data-distribute-centers-horizontal]'),
+            distributeCentersVertical: safeRoot.querySelector('[data-distribute-centers-vertical]'),
+            matchWidth: safeRoot.querySelector('[data-match-width]'),
+            matchHeight: safeRoot.querySelector('[data-match-height]'),
+            groupItems: safeRoot.querySelector('[data-group-items]'),
+            ungroupItems: safeRoot.querySelector('[data-ungroup-items]'),
             rulerX: safeRoot.querySelector('[data-ruler-x]'),
             rulerY: safeRoot.querySelector('[data-ruler-y]'),
             labelWidth: safeRoot.querySelector('[data-label-width]'),
@@ -64,6 +74,8 @@ export class AppElements {
             bleFilter: safeRoot.querySelector('[data-ble-filter]'),
             parameterDefinitions: safeRoot.querySelector('[data-parameter-definitions]'),
             addParameter: safeRoot.querySelector('[data-add-parameter]'),
+            addSerialCounter: safeRoot.querySelector('[data-add-serial-counter]'),
+            serialCounters: safeRoot.querySelector('[data-serial-counters]'),
             loadParameterData: safeRoot.querySelector('[data-load-parameter-data]'),
             downloadParameterExample: safeRoot.querySelector('[data-download-parameter-example]'),
             parameterDataInput: safeRoot.querySelector('[data-parameter-data-input]'),
@@ -73,6 +85,42 @@ export class AppElements {
             parameterPreview: safeRoot.querySelector('[data-parameter-preview]'),
             objectsScrollIndicator: safeRoot.querySelector('[data-objects-scroll-indicator]'),
             aiToggle: safeRoot.querySelector('[data-ai-toggle]'),
+            shortcutHelp: safeRoot.querySelector('[data-shortcut-help]'),
+            shortcutOverlay: safeRoot.querySelector('[data-shortcut-overlay]'),
+            shortcutList: safeRoot.querySelector('[data-shortcut-list]'),
+            shortcutClose: safeRoot.querySelector('[data-shortcut-close]'),
+            labelPageTabs: safeRoot.querySelector('[data-label-page-tabs]'),
+            addLabelPage: safeRoot.querySelector('[data-label-page-add]'),
+            renameLabelPage: safeRoot.querySelector('[data-label-page-rename]'),
+            removeLabelPage: safeRoot.querySelector('[data-label-page-remove]'),
+            printScope: safeRoot.querySelector('[data-print-scope]'),
+            autosaveBanner: safeRoot.querySelector('[data-autosave-banner]'),
+            autosaveMessage: safeRoot.querySelector('[data-autosave-message]'),
+            autosaveSelect: safeRoot.querySelector('[data-autosave-select]'),
+            autosaveRestore: safeRoot.querySelector('[data-autosave-restore]'),
+            autosaveDismiss: safeRoot.querySelector('[data-autosave-dismiss]'),
+            autosaveOpen: safeRoot.querySelector('[data-autosave-open]'),
+            validationReport: safeRoot.querySelector('[data-validation-report]'),
+            validationSummary: safeRoot.querySelector('[data-validation-summary]'),
+            validationList: safeRoot.querySelector('[data-validation-list]'),
+            validationDismiss: safeRoot.querySelector('[data-validation-dismiss]'),
+            templateOpen: safeRoot.querySelector('[data-template-open]'),
+            templateOverlay: safeRoot.querySelector('[data-template-overlay]'),
+            templateClose: safeRoot.querySelector('[data-template-close]'),
+            templateName: safeRoot.querySelector('[data-template-name]'),
+            templateTags: safeRoot.querySelector('[data-template-tags]'),
+            templateSave: safeRoot.querySelector('[data-template-save]'),
+            templateSearch: safeRoot.querySelector('[data-template-search]'),
+            templateList: safeRoot.querySelector('[data-template-list]'),
+            templateEmpty: safeRoot.querySelector('[data-template-empty]'),
+            templateExport: safeRoot.querySelector('[data-template-export]'),
+            templateImport: safeRoot.querySelector('[data-template-import]'),
+            templateImportInput: safeRoot.querySelector('[data-template-import-input]'),
+            printCountOverlay: safeRoot.querySelector('[data-print-count-overlay]'),
+            printCountInput: safeRoot.querySelector('[data-print-count-input]'),
+            printCountSummary: safeRoot.querySelector('[data-print-count-summary]'),
+            printCountConfirm: safeRoot.querySelector('[data-print-count-confirm]'),
+            printCountCancel: safeRoot.querySelector('[data-print-count-cancel]'),
             aiOverlay: safeRoot.querySelector('[data-ai-overlay]'),
             aiClose: safeRoot.querySelector('[data-ai-close]'),
             aiMessages: safeRoot.querySelector('[data-ai-messages]'),
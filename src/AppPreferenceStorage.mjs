@@ -0,0 +1,90 @@
+// SPDX-FileCopyrightText: 2026 André Fiedler
+//
+// SPDX-License-Identifier: AGPL-3.0-or-later
+
+import { ZoomUtils } from './ZoomUtils.mjs'
+import { FontFamilyUtils } from './FontFamilyUtils.mjs'
+import { ShortcutRegistry } from './ShortcutRegistry.mjs'
+
+/**
+ * localStorage helpers for per-browser editor preferences.
+ * Storage failures (private mode, restricted contexts) are ignored.
+ */
+export class AppPreferenceStorage {
+    /**
+     * Reads a persisted zoom value when the current display fingerprint matches.
+     * @param {Window} [windowRef]
+     * @returns {number | null}
+     */
+    static readZoom(windowRef = window) {
+        try {
+            if (!windowRef?.localStorage) return null
+            const rawPreference = windowRef.localStorage.getItem(ZoomUtils.ZOOM_PREFERENCE_STORAGE_KEY)
+            return ZoomUtils.resolvePersistedZoom(rawPreference, windowRef)
+        } catch (_error) {
+            return null
+        }
+    }
+
+    /**
+     * Persists a zoom value together with a display fingerprint.
+     * @param {number} zoom
+     * @param {Window} [windowRef]
+     */
+    static writeZoom(zoom, windowRef = window) {
+        try {
+            if (!windowRef?.localStorage) return
+            const preferencePayload = ZoomUtils.createZoomPreferencePayload(zoom, windowRef)
+            windowRef.localStorage.setItem(ZoomUtils.ZOOM_PREFERENCE_STORAGE_KEY, JSON.stringify(preferencePayload))
+        } catch (_error) {
+            // Ignore storage write failures in private mode or restricted contexts.
+        }
+    }
+
+    /**
+     * Reads persisted Google font links.
+     * @param {Window} [windowRef]
+     * @returns {string[]}
+     */
+    static readGoogleFontLinks(windowRef = window) {
+        try {
+            if (!windowRef?.localStorage) return []
+            const rawValue = windowRef.localStorage.getItem(FontFamilyUtils.GOOGLE_FONT_LINKS_STORAGE_KEY)
+            return FontFamilyUtils.parsePersistedGoogleFontLinks(rawValue)
+        } catch (_error) {
+            return []
+        }
+    }
+
+    /**
+     * Persists Google font links and returns the normalized list.
+     * @param {string[]} links
+     * @param {Window} [windowRef]
+     * @returns {string[]}
+     */
+    static writeGoogleFontLinks(links, windowRef = window) {
+        const normalizedLinks = FontFamilyUtils.normalizeGoogleFontLinks(links)
+        try {
+            if (windowRef?.localStorage) {
+                windowRef.localStorage.setItem(FontFamilyUtils.GOOGLE_FONT_LINKS_STORAGE_KEY, JSON.stringify(normalizedLinks))
+            }
+        } catch (_error) {
+            // Ignore storage write failures in private mode or restricted contexts.
+        }
+        return normalizedLinks
+    }
+
+    /**
+     * Reads per-browser keyboard shortcut overrides (`{ "<actionId>": ["Mod+K"] }`).
+     * @param {Window} [windowRef]
+     * @returns {Record<string, string[]>}
+     */
+    static readShortcutBindings(windowRef = window) {
+        try {
+            if (!windowRef?.localStorage) return {}
+            return ShortcutRegistry.parsePersistedBindings(windowRef.localStorage.getItem(ShortcutRegistry.STORAGE_KEY))
+        } catch (_error) {
+            return {}
+        }
+    }
+}
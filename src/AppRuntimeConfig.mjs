@@ -61,7 +61,11 @@ export class AppRuntimeConfig {
             parameterDataRows: [],
             parameterDataRaw: '',
             parameterDataSourceName: '',
+            serialCounters: [],
             customFontLinks: [],
+            customFonts: [],
+            labels: [],
+            activeLabelIndex: 0,
             items: [
                 {
                     id: nextId(),
@@ -69,10 +73,24 @@ export class AppRuntimeConfig {
                     text: 'New text',
                     fontFamily: 'Barlow',
                     fontSize: 24,
+                    fontWeight: 400,
+                    fontWidth: 100,
                     textBold: false,
                     textItalic: false,
                     textUnderline: false,
                     textStrikethrough: false,
+                    richText: false,
+                    textAlign: 'left',
+                    letterSpacing: 0,
+                    lineHeight: 0,
+                    boxWidth: 0,
+                    overflow: 'none',
+                    minFontSize: 6,
+                    textDirection: 'horizontal',
+                    stackSpacing: 2,
+                    textEffect: 'none',
+                    textEffectPadding: 4,
+                    textEffectRadius: 0,
                     height: 40,
                     xOffset: 4,
                     yOffset: 0,
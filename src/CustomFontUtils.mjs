@@ -0,0 +1,225 @@
+// SPDX-FileCopyrightText: 2026 André Fiedler
+//
+// SPDX-License-Identifier: AGPL-3.0-or-later
+
+/**
+ * @typedef {object} CustomFont
+ * @property {string} family Family name used by text items.
+ * @property {string} fileName Name of the uploaded file.
+ * @property {string} format `truetype`, `opentype` or `woff2`.
+ * @property {boolean} embed Whether saved projects carry the font data.
+ * @property {string} dataUrl Base64 font data; empty when a project referenced the font without embedding it.
+ */
+
+/**
+ * Uploaded font files (`customFonts`) and their registration through the FontFace API.
+ * Fonts are stored unchanged as data URLs; `src/workers/PrintPageWorker.mjs` registers the same data in print workers.
+ */
+export class CustomFontUtils {
+    static #maxFontBytes = 4 * 1024 * 1024
+    static #maxShareFontBytes = 256 * 1024
+    static #mimeTypes = Object.freeze({ truetype: 'font/ttf', opentype: 'font/otf', woff2: 'font/woff2' })
+    static #registeredFaces = new WeakMap()
+
+    /**
+     * Returns the supported font formats.
+     * @returns {string[]}
+     */
+    static get FONT_FORMATS() {
+        return Object.keys(CustomFontUtils.#mimeTypes)
+    }
+
+    /**
+     * Returns the maximum accepted font file size in bytes.
+     * @returns {number}
+     */
+    static get MAX_FONT_BYTES() {
+        return CustomFontUtils.#maxFontBytes
+    }
+
+    /**
+     * Returns the maximum font data in bytes that share URLs carry; project files are not limited.
+     * @returns {number}
+     */
+    static get MAX_SHARE_FONT_BYTES() {
+        return CustomFontUtils.#maxShareFontBytes
+    }
+
+    /**
+     * Detects the font format from the file signature.
+     * @param {Uint8Array} bytes
+     * @returns {string} Empty when the bytes are not a supported font.
+     */
+    static detectFormat(bytes) {
+        if (!(bytes instanceof Uint8Array) || bytes.length < 4) return ''
+        const signature = String.fromCharCode(...bytes.subarray(0, 4))
+        if (signature === '\u0000\u0001\u0000\u0000' || signature === 'true') return 'truetype'
+        if (signature === 'OTTO') return 'opentype'
+        if (signature === 'wOF2') return 'woff2'
+        return ''
+    }
+
+    /**
+     * Derives a family name from a font file name (`Inter_Display-Bold.woff2` -> `Inter Display Bold`).
+     * @param {string} fileName
+     * @returns {string}
+     */
+    static familyFromFileName(fileName) {
+        const family = String(fileName || '')
+            .replace(/\.[^.]*$/, '')
+            .replace(/[_-]+/g, ' ')
+            .replace(/\s+/g, ' ')
+            .trim()
+        return family || 'Uploaded Font'
+    }
+
+    /**
+     * Creates a font entry from uploaded file bytes.
+     * @param {{ fileName: string, bytes: Uint8Array, embed?: boolean }} options
+     * @returns {CustomFont}
+     */
+    static createFontEntry({ fileName, bytes, embed = true }) {
+        const format = CustomFontUtils.detectFormat(bytes)
+        if (!format) {
+            throw new Error('Only TTF, OTF and WOFF2 font files are supported.')
+        }
+        if (bytes.length > CustomFontUtils.#maxFontBytes) {
+            throw new Error(`Font files must not exceed ${CustomFontUtils.#maxFontBytes / 1024 / 1024} MB.`)
+        }
+        return {
+            family: CustomFontUtils.familyFromFileName(fileName),
+            fileName: String(fileName || '').trim(),
+            format,
+            embed: Boolean(embed),
+            dataUrl: `data:${CustomFontUtils.#mimeTypes[format]};base64,${CustomFontUtils.#toBase64(bytes)}`
+        }
+    }
+
+    /**
+     * Reads an uploaded file into a font entry.
+     * @param {File} file
+     * @param {{ embed?: boolean }} [options]
+     * @returns {Promise<CustomFont>}
+     */
+    static async readFontFile(file, options = {}) {
+        const bytes = new Uint8Array(await file.arrayBuffer())
+        return CustomFontUtils.createFontEntry({ fileName: file.name, bytes, embed: options.embed })
+    }
+
+    /**
+     * Normalizes font entries; later entries replace earlier ones with the same family.
+     * @param {unknown} fonts
+     * @returns {CustomFont[]}
+     */
+    static normalizeFonts(fonts) {
+        const byFamily = new Map()
+        ;(Array.isArray(fonts) ? fonts : []).forEach((font) => {
+            if (!font || typeof font !== 'object') return
+            const family = String(font.family || '').trim()
+            if (!family) return
+            const dataUrl = String(font.dataUrl || '').trim()
+            const key = family.toLocaleLowerCase()
+            byFamily.delete(key)
+            byFamily.set(key, {
+                family,
+                fileName: String(font.fileName || '').trim(),
+                format: CustomFontUtils.FONT_FORMATS.includes(font.format) ? font.format : 'truetype',
+                embed: font.embed !== false,
+                dataUrl: dataUrl.startsWith('data:') ? dataUrl : ''
+            })
+        })
+        return Array.from(byFamily.values())
+    }
+
+    /**
+     * Returns the entries written to project files; fonts that are not embedded keep only their reference.
+     * @param {unknown} fonts
+     * @returns {CustomFont[]}
+     */
+    static toProjectFonts(fonts) {
+        return CustomFontUtils.normalizeFonts(fonts).map((font) => (font.embed ? font : { ...font, dataUrl: '' }))
+    }
+
+    /**
+     * Returns the entries written to share URLs: like `toProjectFonts`, but embedded fonts beyond `MAX_SHARE_FONT_BYTES`
+     * in total keep only their reference, so a large font does not make the link unusable.
+     * @param {unknown} fonts
+     * @returns {{ fonts: CustomFont[], skippedFamilies: string[] }}
+     */
+    static toShareFonts(fonts) {
+        let remainingBytes = CustomFontUtils.#maxShareFontBytes
+        const skippedFamilies = []
+        const shareFonts = CustomFontUtils.toProjectFonts(fonts).map((font) => {
+            if (!font.dataUrl) return font
+            const bytes = CustomFontUtils.estimateDataUrlBytes(font.dataUrl)
+            if (bytes <= remainingBytes) {
+                remainingBytes -= bytes
+                return font
+            }
+            skippedFamilies.push(font.family)
+            return { ...font, dataUrl: '' }
+        })
+        return { fonts: shareFonts, skippedFamilies }
+    }
+
+    /**
+     * Returns the decoded size of a base64 data URL in bytes.
+     * @param {string} dataUrl
+     * @returns {number}
+     */
+    static estimateDataUrlBytes(dataUrl) {
+        const base64 = String(dataUrl || '').split(',')[1] || ''
+        const padding = base64.endsWith('==') ? 2 : base64.endsWith('=') ? 1 : 0
+        return Math.max(0, Math.floor((base64.length * 3) / 4) - padding)
+    }
+
+    /**
+     * Registers fonts with data in a font set and waits until they are usable for canvas rendering.
+     * Fonts that are already registered are skipped; fonts that fail to load are left out.
+     * @param {unknown} fonts
+     * @param {{ fontSet?: FontFaceSet | null, FontFaceClass?: typeof FontFace }} [targets]
+     * @returns {Promise<string[]>} Families that are now available.
+     */
+    static async registerFonts(fonts, { fontSet = globalThis.document?.fonts, FontFaceClass = globalThis.FontFace } = {}) {
+        if (!fontSet || typeof FontFaceClass !== 'function') return []
+        if (!CustomFontUtils.#registeredFaces.has(fontSet)) {
+            CustomFontUtils.#registeredFaces.set(fontSet, new Map())
+        }
+        const registered = CustomFontUtils.#registeredFaces.get(fontSet)
+        const families = []
+        for (const font of CustomFontUtils.normalizeFonts(fonts)) {
+            if (!font.dataUrl) continue
+            const key = font.family.toLocaleLowerCase()
+            const previous = registered.get(key)
+            if (previous?.dataUrl === font.dataUrl) {
+                families.push(font.family)
+                continue
+            }
+            try {
+                const face = new FontFaceClass(font.family, `url(${font.dataUrl})`)
+                await face.load()
+                if (previous) fontSet.delete(previous.face)
+                fontSet.add(face)
+                registered.set(key, { face, dataUrl: font.dataUrl })
+                families.push(font.family)
+            } catch (_error) {
+                // Broken font data must not block the remaining fonts.
+            }
+        }
+        return families
+    }
+
+    /**
+     * Encodes bytes as base64.
+     * @param {Uint8Array} bytes
+     * @returns {string}
+     */
+    static #toBase64(bytes) {
+        let binary = ''
+        const chunkSize = 0x8000
+        for (let index = 0; index < bytes.length; index += chunkSize) {
+            binary += String.fromCharCode(...bytes.subarray(index, index + chunkSize))
+        }
+        return btoa(binary)
+    }
+}
@@ -0,0 +1,146 @@
+// SPDX-FileCopyrightText: 2026 André Fiedler
+//
+// SPDX-License-Identifier: AGPL-3.0-or-later
+
+/**
+ * @typedef {object} DatePlaceholderValue
+ * @property {string} iso Local ISO date (`2026-10-26`) or date-time (`2026-10-19T14:05:00`); the input of `date` filters.
+ * @property {string} text Date formatted with the active locale; used when no `date` filter is applied.
+ */
+
+/**
+ * Built-in date placeholders: `{{today}}`, `{{now}}` and offsets such as `{{today+7d}}` or `{{now-2h}}`.
+ * Offset units are `d` (days), `w` (weeks), `m` (months), `y` (years) and `h` (hours).
+ * Values are added to the parameter value maps once per print job, so all labels of a batch share one timestamp.
+ * Each value keeps both the locale text and an ISO form, so `{{today+7d|date:'YYYY-MM-DD'}}` works in every locale.
+ */
+export class DateTemplateUtils {
+    static #namePattern = /^(today|now)(?:([+-])(\d{1,4})([dwmyh]))?$/
+    static #dateFormat = Object.freeze({ year: 'numeric', month: '2-digit', day: '2-digit' })
+    static #dateTimeFormat = Object.freeze({ ...DateTemplateUtils.#dateFormat, hour: '2-digit', minute: '2-digit' })
+
+    /**
+     * Returns whether a placeholder name is a built-in date placeholder.
+     * @param {string} name
+     * @returns {boolean}
+     */
+    static isDatePlaceholder(name) {
+        return DateTemplateUtils.#namePattern.test(String(name || ''))
+    }
+
+    /**
+     * Resolves the date of a built-in placeholder relative to `now`; `today` starts at local midnight.
+     * Month and year offsets keep the day of month where possible (`2026-01-31` + `1m` is `2026-02-28`).
+     * @param {string} name
+     * @param {Date} now
+     * @returns {Date | null}
+     */
+    static resolveDate(name, now) {
+        const match = DateTemplateUtils.#namePattern.exec(String(name || ''))
+        if (!match || !(now instanceof Date) || Number.isNaN(now.getTime())) return null
+        const [, base, sign, amount, unit] = match
+        const date = new Date(now.getTime())
+        if (base === 'today') date.setHours(0, 0, 0, 0)
+        const offset = sign === '-' ? -Number(amount) : Number(amount || 0)
+        switch (unit) {
+            case 'h':
+                date.setHours(date.getHours() + offset)
+                break
+            case 'w':
+                date.setDate(date.getDate() + offset * 7)
+                break
+            case 'm':
+                DateTemplateUtils.#addMonths(date, offset)
+                break
+            case 'y':
+                DateTemplateUtils.#addMonths(date, offset * 12)
+                break
+            default:
+                date.setDate(date.getDate() + offset)
+        }
+        return date
+    }
+
+    /**
+     * Formats a built-in placeholder: `today` variants as date, `now` variants as date and time.
+     * @param {string} name
+     * @param {Date} now
+     * @param {string} [locale='en']
+     * @returns {string}
+     */
+    static formatPlaceholder(name, now, locale = 'en') {
+        const date = DateTemplateUtils.resolveDate(name, now)
+        if (!date) return ''
+        const options = String(name).startsWith('now') ? DateTemplateUtils.#dateTimeFormat : DateTemplateUtils.#dateFormat
+        try {
+            return new Intl.DateTimeFormat(locale || 'en', options).format(date)
+        } catch (_error) {
+            return new Intl.DateTimeFormat('en', options).format(date)
+        }
+    }
+
+    /**
+     * Formats a date as local ISO date (`YYYY-MM-DD`) or, with `withTime`, as local ISO date-time without zone.
+     * Both forms are read back as local time by `TemplateFilterUtils.parseDate`.
+     * @param {Date} date
+     * @param {boolean} [withTime=false]
+     * @returns {string}
+     */
+    static toIsoString(date, withTime = false) {
+        const pad = (value) => String(value).padStart(2, '0')
+        const day = `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`
+        return withTime ? `${day}T${pad(date.getHours())}:${pad(date.getMinutes())}:${pad(date.getSeconds())}` : day
+    }
+
+    /**
+     * Builds the values of all built-in date placeholders among `names`.
+     * @param {string[]} names Placeholder names, for example from `ParameterTemplateUtils.collectPlaceholdersFromItems`.
+     * @param {{ now?: Date, locale?: string }} [options={}]
+     * @returns {Record<string, DatePlaceholderValue>}
+     */
+    static buildValueMap(names, options = {}) {
+        const now = options.now instanceof Date ? options.now : new Date()
+        const values = {}
+        ;(Array.isArray(names) ? names : []).forEach((name) => {
+            const date = DateTemplateUtils.resolveDate(name, now)
+            if (!date) return
+            values[name] = {
+                iso: DateTemplateUtils.toIsoString(date, String(name).startsWith('now')),
+                text: DateTemplateUtils.formatPlaceholder(name, now, options.locale)
+            }
+        })
+        return values
+    }
+
+    /**
+     * Returns whether a value map entry is a built-in date value (and not a parameter or data column value).
+     * @param {unknown} value
+     * @returns {value is DatePlaceholderValue}
+     */
+    static isPlaceholderValue(value) {
+        return !!value && typeof value === 'object' && typeof value.iso === 'string' && typeof value.text === 'string'
+    }
+
+    /**
+     * Picks the text a date value enters the filter chain with: the ISO form when a `date` filter follows, else the locale text.
+     * @param {DatePlaceholderValue} value
+     * @param {Array<{ name: string }>} [filters=[]]
+     * @returns {string}
+     */
+    static selectFilterInput(value, filters = []) {
+        return (Array.isArray(filters) ? filters : []).some((filter) => filter?.name === 'date') ? value.iso : value.text
+    }
+
+    /**
+     * Adds months in place and clamps the day to the last day of the target month.
+     * @param {Date} date
+     * @param {number} months
+     */
+    static #addMonths(date, months) {
+        const day = date.getDate()
+        date.setDate(1)
+        date.setMonth(date.getMonth() + months)
+        const lastDay = new Date(date.getFullYear(), date.getMonth() + 1, 0).getDate()
+        date.setDate(Math.min(day, lastDay))
+    }
+}
@@ -0,0 +1,210 @@
+// SPDX-FileCopyrightText: 2026 André Fiedler
+//
+// SPDX-License-Identifier: AGPL-3.0-or-later
+
+import { LabelPageUtils } from './LabelPageUtils.mjs'
+import { ProjectIoUtils } from './ProjectIoUtils.mjs'
+
+/**
+ * Snapshot-based undo/redo stack for editor project state.
+ * Snapshots are serialized JSON strings so identical states can be detected cheaply.
+ */
+export class EditorHistory {
+    static #snapshotStateKeys = Object.freeze(['resolution', 'serialCounters'])
+    #undoStack = []
+    #redoStack = []
+    #current = null
+    #batchDepth = 0
+    #lastCoalescedAt = 0
+    #limit = 100
+    #coalesceMs = 600
+    #now = () => Date.now()
+
+    /**
+     * @param {{ limit?: number, coalesceMs?: number, now?: () => number }} [options]
+     */
+    constructor(options = {}) {
+        if (Number.isInteger(options.limit) && options.limit > 0) {
+            this.#limit = options.limit
+        }
+        if (Number.isFinite(options.coalesceMs) && options.coalesceMs >= 0) {
+            this.#coalesceMs = options.coalesceMs
+        }
+        if (typeof options.now === 'function') {
+            this.#now = options.now
+        }
+    }
+
+    /**
+     * Serializes the undoable part of the editor state.
+     * Runtime caches (keys starting with `_`) and device settings are excluded.
+     * All label pages are captured, but not which page is active, so switching pages is not an undo step.
+     * @param {object} state
+     * @returns {string}
+     */
+    static captureState(state) {
+        const snapshot = {}
+        EditorHistory.#snapshotStateKeys.forEach((key) => {
+            snapshot[key] = state?.[key] ?? null
+        })
+        snapshot.parameters = Array.isArray(state?.parameters)
+            ? state.parameters.map((parameter) => ({ ...parameter }))
+            : []
+        snapshot.labels = LabelPageUtils.resolvePages(state).map((page) => ({
+            ...page,
+            items: page.items.map((item) => ProjectIoUtils.stripRuntimeFields(item))
+        }))
+        return JSON.stringify(snapshot)
+    }
+
+    /**
+     * Applies a serialized snapshot to the live state object in place.
+     * The active page index is kept (clamped when the restored project has fewer pages).
+     * Serial counters keep the next value printing advanced them to, so undo never reprints used numbers.
+     * @param {object} state
+     * @param {string} snapshot
+     */
+    static restoreState(state, snapshot) {
+        const parsed = JSON.parse(snapshot)
+        const liveCounters = Array.isArray(state.serialCounters) ? state.serialCounters : []
+        EditorHistory.#snapshotStateKeys.forEach((key) => {
+            state[key] = parsed[key]
+        })
+        state.serialCounters = EditorHistory.#keepPrintedCounterValues(parsed.serialCounters, liveCounters)
+        state.parameters = Array.isArray(parsed.parameters) ? parsed.parameters : []
+        state.labels = Array.isArray(parsed.labels) ? parsed.labels : []
+        LabelPageUtils.loadActivePage(state)
+    }
+
+    /**
+     * Copies `nextValue` from live counters of the same name that printing already advanced past their start.
+     * @param {unknown} restoredCounters
+     * @param {object[]} liveCounters
+     * @returns {object[]}
+     */
+    static #keepPrintedCounterValues(restoredCounters, liveCounters) {
+        if (!Array.isArray(restoredCounters)) return []
+        return restoredCounters.map((counter) => {
+            const live = liveCounters.find((entry) => entry?.name && entry.name === counter?.name)
+            return live && live.nextValue !== live.start ? { ...counter, nextValue: live.nextValue } : counter
+        })
+    }
+
+    /**
+     * Returns true when an undo step is available.
+     * @returns {boolean}
+     */
+    get canUndo() {
+        return this.#undoStack.length > 0
+    }
+
+    /**
+     * Returns true when a redo step is available.
+     * @returns {boolean}
+     */
+    get canRedo() {
+        return this.#redoStack.length > 0
+    }
+
+    /**
+     * Returns true while a batch is open.
+     * @returns {boolean}
+     */
+    get isBatching() {
+        return this.#batchDepth > 0
+    }
+
+    /**
+     * Drops all steps and uses the snapshot as the new baseline.
+     * @param {string} snapshot
+     */
+    reset(snapshot) {
+        this.#undoStack = []
+        this.#redoStack = []
+        this.#current = snapshot
+        this.#lastCoalescedAt = 0
+    }
+
+    /**
+     * Records a snapshot as a new undo step when it differs from the current one.
+     * Coalesced records within the coalesce window extend the previous step instead
+     * (for example slider drags or typing).
+     * Records are deferred while a batch is open. `untracked` records (for example counters advanced by printing)
+     * replace the current snapshot without adding an undo step.
+     * @param {string} snapshot
+     * @param {{ coalesce?: boolean, untracked?: boolean }} [options]
+     * @returns {boolean}
+     */
+    record(snapshot, options = {}) {
+        if (this.isBatching) return false
+        if (this.#current === null) {
+            this.reset(snapshot)
+            return false
+        }
+        if (snapshot === this.#current) return false
+        if (options.untracked) {
+            this.#current = snapshot
+            this.#lastCoalescedAt = 0
+            return false
+        }
+        const now = this.#now()
+        const canCoalesce =
+            Boolean(options.coalesce) &&
+            this.#lastCoalescedAt > 0 &&
+            now - this.#lastCoalescedAt <= this.#coalesceMs &&
+            this.#undoStack.length > 0
+        if (!canCoalesce) {
+            this.#undoStack.push(this.#current)
+            if (this.#undoStack.length > this.#limit) {
+                this.#undoStack.shift()
+            }
+        }
+        this.#current = snapshot
+        this.#redoStack = []
+        this.#lastCoalescedAt = options.coalesce ? now : 0
+        return true
+    }
+
+    /**
+     * Opens a batch. Nested batches are merged into the outermost one.
+     */
+    beginBatch() {
+        this.#batchDepth += 1
+    }
+
+    /**
+     * Closes a batch and records the resulting snapshot as one step.
+     * @param {string} snapshot
+     * @returns {boolean}
+     */
+    endBatch(snapshot) {
+        if (this.#batchDepth === 0) return false
+        this.#batchDepth -= 1
+        if (this.#batchDepth > 0) return false
+        return this.record(snapshot)
+    }
+
+    /**
+     * Steps back and returns the snapshot to apply, or null when nothing can be undone.
+     * @returns {string | null}
+     */
+    undo() {
+        if (!this.canUndo || this.isBatching) return null
+        this.#redoStack.push(this.#current)
+        this.#current = this.#undoStack.pop()
+        this.#lastCoalescedAt = 0
+        return this.#current
+    }
+
+    /**
+     * Steps forward and returns the snapshot to apply, or null when nothing can be redone.
+     * @returns {string | null}
+     */
+    redo() {
+        if (!this.canRedo || this.isBatching) return null
+        this.#undoStack.push(this.#current)
+        this.#current = this.#redoStack.pop()
+        this.#lastCoalescedAt = 0
+        return this.#current
+    }
+}
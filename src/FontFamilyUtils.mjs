@@ -2,6 +2,17 @@
 //
 // SPDX-License-Identifier: AGPL-3.0-or-later
 
+import { GroupItemUtils } from './GroupItemUtils.mjs'
+import { LabelPageUtils } from './LabelPageUtils.mjs'
+import { TextLayoutUtils } from './TextLayoutUtils.mjs'
+
+/**
+ * @typedef {object} FontFace
+ * @property {string} family Font family name as used by text items.
+ * @property {number} weight Numeric weight, already raised to 700 for bold text.
+ * @property {number} width `fontWidth` percentage.
+ */
+
 /**
  * Utilities for resolving font-family options for text items.
  */
@@ -23,6 +34,7 @@ export class FontFamilyUtils {
         'monospace'
     ]
     static #googleFontLinksStorageKey = 'labelprinter-app.google-font-links.v1'
+    static #failedGoogleFontUrls = new Set()
 
     /**
      * Returns default fallback font families.
@@ -195,6 +207,84 @@ export class FontFamilyUtils {
         return FontFamilyUtils.normalizeFontFamilies(families)
     }
 
+    /**
+     * Collects the font faces used by text items on all pages, including grouped items.
+     * Bold and rich-text items also use weight 700, the face of `textBold` and `**bold**` runs.
+     * @param {object} state
+     * @returns {FontFace[]}
+     */
+    static collectFontFaces(state) {
+        const faces = new Map()
+        const addFace = (family, weight, width) => faces.set(`${family.toLowerCase()}|${weight}|${width}`, { family, weight, width })
+        LabelPageUtils.resolvePages(state).forEach((page) => {
+            GroupItemUtils.walkItems(page.items, (item) => {
+                if (item?.type !== 'text') return
+                const family = String(item.fontFamily || '').trim()
+                if (!family) return
+                const weight = TextLayoutUtils.normalizeFontWeight(item.fontWeight)
+                const width = TextLayoutUtils.normalizeFontWidth(item.fontWidth)
+                if (!item.textBold) addFace(family, weight, width)
+                if (item.textBold || item.richText) addFace(family, Math.max(700, weight), width)
+            })
+        })
+        return Array.from(faces.values())
+    }
+
+    /**
+     * Returns the stylesheet URLs to try for a Google Fonts link, most specific first.
+     * css2 families without an axis list request exactly the weights and widths in `faces` (for example `wght@300;400;700`),
+     * first with the width axis, then with weights alone; families that lack one of them reject the request,
+     * so the unchanged URL with the regular face comes last.
+     * @param {string} urlString
+     * @param {FontFace[]} [faces=[]]
+     * @returns {string[]}
+     */
+    static buildGoogleFontCandidateUrls(urlString, faces = []) {
+        const url = String(urlString || '')
+        const [base, query = ''] = url.split('?')
+        if (!base.endsWith('/css2')) return [url]
+        const params = query.split('&')
+        const familyFaces = (param) => {
+            if (!param.startsWith('family=')) return []
+            const family = decodeURIComponent(param.slice('family='.length).replaceAll('+', ' ')).trim()
+            if (!family || family.includes(':')) return []
+            return (Array.isArray(faces) ? faces : []).filter((face) => face.family.toLowerCase() === family.toLowerCase())
+        }
+        const withAxes = (resolveAxes) =>
+            `${base}?${params
+                .map((param) => {
+                    const axes = resolveAxes(familyFaces(param))
+                    return axes ? `${param}:${axes}` : param
+                })
+                .join('&')}`
+        const weightAxes = (entries) => {
+            const weights = FontFamilyUtils.#sortedUnique([400, ...entries.map((face) => face.weight)])
+            return weights.length > 1 ? `wght@${weights.join(';')}` : ''
+        }
+        const widthAndWeightAxes = (entries) => {
+            if (!entries.some((face) => face.width !== 100)) return weightAxes(entries)
+            const tuples = FontFamilyUtils.#sortedUnique(['100,400', ...entries.map((face) => `${face.width},${face.weight}`)])
+            return `wdth,wght@${tuples.join(';')}`
+        }
+        return FontFamilyUtils.#sortedUnique([withAxes(widthAndWeightAxes), withAxes(weightAxes), url], false)
+    }
+
+    /**
+     * Returns unique values, sorted numerically (tuples by their leading numbers) unless `sort` is false.
+     * @param {Array<number | string>} values
+     * @param {boolean} [sort=true]
+     * @returns {Array<number | string>}
+     */
+    static #sortedUnique(values, sort = true) {
+        const unique = Array.from(new Set(values))
+        if (!sort) return unique
+        const key = (value) => String(value).split(',').map(Number)
+        return unique.sort((a, b) => {
+            const [left, right] = [key(a), key(b)]
+            return left[0] - right[0] || (left[1] || 0) - (right[1] || 0)
+        })
+    }
+
     /**
      * Returns an existing loaded Google font link if present.
      * @param {Document} targetDocument
@@ -239,13 +329,16 @@ export class FontFamilyUtils {
     }
 
     /**
-     * Loads a Google Fonts stylesheet into the document.
+     * Loads a Google Fonts stylesheet into the document, requesting the weights and widths in `faces` where the family offers them.
+     * `url` is the resolved link to persist; `loadedUrl` is the candidate that loaded (see `buildGoogleFontCandidateUrls`).
+     * Candidates that failed once are not requested again.
      * @param {string} input
      * @param {Document} [targetDocument=globalThis.document]
      * @param {{ href?: string }} [baseLocation=globalThis.location]
-     * @returns {Promise<{ url: string, families: string[], alreadyLoaded: boolean }>}
+     * @param {FontFace[]} [faces=[]]
+     * @returns {Promise<{ url: string, loadedUrl: string, families: string[], alreadyLoaded: boolean }>}
      */
-    static async loadGoogleFontLink(input, targetDocument = globalThis.document, baseLocation = globalThis.location) {
+    static async loadGoogleFontLink(input, targetDocument = globalThis.document, baseLocation = globalThis.location, faces = []) {
         if (!targetDocument?.head) {
             throw new Error('Document head is not available.')
         }
@@ -256,19 +349,52 @@ export class FontFamilyUtils {
             throw new Error('Could not read any font family from the URL.')
         }
 
-        const existingLink = FontFamilyUtils.#findExistingGoogleFontLink(targetDocument, url)
-        if (existingLink) {
-            await FontFamilyUtils.#waitForStylesheetLoad(existingLink)
-            return { url, families, alreadyLoaded: true }
+        const candidates = FontFamilyUtils.buildGoogleFontCandidateUrls(url, faces).filter(
+            (candidate) => candidate === url || !FontFamilyUtils.#failedGoogleFontUrls.has(candidate)
+        )
+        let lastError = null
+        for (const candidate of candidates) {
+            const existingLink = FontFamilyUtils.#findExistingGoogleFontLink(targetDocument, candidate)
+            if (existingLink) {
+                await FontFamilyUtils.#waitForStylesheetLoad(existingLink)
+                return { url, loadedUrl: candidate, families, alreadyLoaded: true }
+            }
+            const link = targetDocument.createElement('link')
+            link.rel = 'stylesheet'
+            link.href = candidate
+            link.dataset.googleFontUrl = candidate
+            targetDocument.head.appendChild(link)
+            try {
+                await FontFamilyUtils.#waitForStylesheetLoad(link)
+                const familyKeys = new Set(families.map((family) => family.toLowerCase()))
+                await FontFamilyUtils.#loadFontFaces(
+                    targetDocument,
+                    (Array.isArray(faces) ? faces : []).filter((face) => familyKeys.has(face.family.toLowerCase()))
+                )
+                return { url, loadedUrl: candidate, families, alreadyLoaded: false }
+            } catch (error) {
+                link.remove()
+                if (candidate !== url) FontFamilyUtils.#failedGoogleFontUrls.add(candidate)
+                lastError = error
+            }
         }
+        throw lastError
+    }
 
-        const link = targetDocument.createElement('link')
-        link.rel = 'stylesheet'
-        link.href = url
-        link.dataset.googleFontUrl = url
-        targetDocument.head.appendChild(link)
-        await FontFamilyUtils.#waitForStylesheetLoad(link)
-        return { url, families, alreadyLoaded: false }
+    /**
+     * Asks the document to load the given faces so canvas rendering does not fall back while they download.
+     * @param {Document} targetDocument
+     * @param {FontFace[]} faces
+     * @returns {Promise<void>}
+     */
+    static async #loadFontFaces(targetDocument, faces) {
+        if (typeof targetDocument?.fonts?.load !== 'function') return
+        await Promise.all(
+            faces.map(({ family, weight, width }) => {
+                const stretch = TextLayoutUtils.resolveFontStretch(width)
+                return targetDocument.fonts.load(`${weight} ${stretch} 16px "${family}"`).catch(() => [])
+            })
+        )
     }
 
     /**
@@ -0,0 +1,362 @@
+// SPDX-FileCopyrightText: 2026 André Fiedler
+//
+// SPDX-License-Identifier: AGPL-3.0-or-later
+
+import { AlignmentUtils } from './AlignmentUtils.mjs'
+import { RotationUtils } from './RotationUtils.mjs'
+
+/**
+ * Helpers for `group` items.
+ * Groups are containers without own geometry: their children are absolute-positioned items in label
+ * coordinates, so rendering draws the flattened children and block transforms rewrite child offsets.
+ */
+export class GroupItemUtils {
+    static #minDimensions = Object.freeze({
+        text: { fontSize: 8 },
+        qr: { size: 1 },
+        shape: { width: 4, height: 2 },
+        image: { width: 8, height: 8 },
+        icon: { width: 8, height: 8 },
+        barcode: { width: 16, height: 16 }
+    })
+
+    /**
+     * Returns true when the item is a group.
+     * @param {object | null | undefined} item
+     * @returns {boolean}
+     */
+    static isGroup(item) {
+        return item?.type === 'group' && Array.isArray(item.children)
+    }
+
+    /**
+     * Visits every item depth-first, including groups and their nested children.
+     * @param {object[]} items
+     * @param {(item: object, parentGroup: object | null) => void} visitor
+     * @param {object | null} [parentGroup=null]
+     */
+    static walkItems(items, visitor, parentGroup = null) {
+        if (!Array.isArray(items)) return
+        items.forEach((item) => {
+            if (!item) return
+            visitor(item, parentGroup)
+            if (GroupItemUtils.isGroup(item)) {
+                GroupItemUtils.walkItems(item.children, visitor, item)
+            }
+        })
+    }
+
+    /**
+     * Returns drawable items in paint order with groups replaced by their children.
+     * The returned entries are the live child objects, not copies.
+     * @param {object[]} items
+     * @returns {object[]}
+     */
+    static flattenItems(items) {
+        const leaves = []
+        GroupItemUtils.walkItems(items, (item) => {
+            if (!GroupItemUtils.isGroup(item)) {
+                leaves.push(item)
+            }
+        })
+        return leaves
+    }
+
+    /**
+     * Returns drawable items like `flattenItems`, skipping hidden items and everything inside hidden groups.
+     * `isVisible` can skip further items, for example those whose `visibleWhen` condition fails for a parameter row.
+     * @param {object[]} items
+     * @param {(item: object) => boolean} [isVisible]
+     * @returns {object[]}
+     */
+    static flattenVisibleItems(items, isVisible = () => true) {
+        const leaves = []
+        ;(Array.isArray(items) ? items : []).forEach((item) => {
+            if (!item || item.hidden || !isVisible(item)) return
+            if (GroupItemUtils.isGroup(item)) {
+                leaves.push(...GroupItemUtils.flattenVisibleItems(item.children, isVisible))
+                return
+            }
+            leaves.push(item)
+        })
+        return leaves
+    }
+
+    /**
+     * Creates a group item from already absolute-positioned children.
+     * @param {object[]} children
+     * @param {string} id
+     * @returns {{ id: string, type: 'group', rotation: number, children: object[] }}
+     */
+    static createGroup(children, id) {
+        return {
+            id,
+            type: 'group',
+            rotation: 0,
+            children: Array.isArray(children) ? children : []
+        }
+    }
+
+    /**
+     * Moves an item by a dot delta. Groups move all nested children.
+     * @param {object} item
+     * @param {number} deltaX
+     * @param {number} deltaY
+     */
+    static translateItem(item, deltaX, deltaY) {
+        const targets = GroupItemUtils.isGroup(item) ? GroupItemUtils.flattenItems(item.children) : [item]
+        targets.forEach((target) => {
+            if (deltaX) {
+                target.xOffset = Math.round((target.xOffset || 0) + deltaX)
+            }
+            if (deltaY) {
+                target.yOffset = Math.round((target.yOffset || 0) + deltaY)
+            }
+        })
+    }
+
+    /**
+     * Replaces layout entries of grouped children with one entry per top-level group.
+     * Group entries carry the union bounds and the child layout recorded at render time.
+     * @param {object[]} items
+     * @param {Array<{ id: string, type: string, item: object, bounds: { x: number, y: number, width: number, height: number } }>} layoutItems
+     * @returns {Array<object>}
+     */
+    static collapseLayoutItems(items, layoutItems) {
+        const ownerByLeafId = new Map()
+        ;(Array.isArray(items) ? items : []).forEach((item) => {
+            if (!GroupItemUtils.isGroup(item)) return
+            GroupItemUtils.flattenItems(item.children).forEach((leaf) => ownerByLeafId.set(leaf.id, item))
+        })
+        if (!ownerByLeafId.size) return layoutItems
+        const groupEntriesById = new Map()
+        const collapsed = []
+        layoutItems.forEach((entry) => {
+            const group = ownerByLeafId.get(entry.id)
+            if (!group) {
+                collapsed.push(entry)
+                return
+            }
+            let groupEntry = groupEntriesById.get(group.id)
+            if (!groupEntry) {
+                groupEntry = { id: group.id, type: 'group', item: group, bounds: null, children: [] }
+                groupEntriesById.set(group.id, groupEntry)
+                collapsed.push(groupEntry)
+            }
+            groupEntry.children.push({
+                item: entry.item,
+                bounds: entry.bounds,
+                xOffset: entry.item.xOffset || 0,
+                yOffset: entry.item.yOffset || 0
+            })
+        })
+        groupEntriesById.forEach((groupEntry) => {
+            groupEntry.bounds = AlignmentUtils.computeBoundingRect(groupEntry.children.map((child) => child.bounds))
+        })
+        return collapsed.filter((entry) => entry.bounds)
+    }
+
+    /**
+     * Rotates a rendered group entry to an absolute group rotation around the centroid of its children.
+     * Children keep their relative arrangement and receive the same rotation delta.
+     * @param {{ item: object, children: Array<{ item: object, bounds: object, xOffset: number, yOffset: number }> }} groupEntry
+     * @param {number} rotation
+     * @returns {boolean}
+     */
+    static rotateGroup(groupEntry, rotation) {
+        const group = groupEntry?.item
+        if (!GroupItemUtils.isGroup(group)) return false
+        const nextRotation = RotationUtils.normalizeDegrees(rotation, 0)
+        const delta = RotationUtils.normalizeDegrees(nextRotation - (group.rotation || 0), 0)
+        group.rotation = nextRotation
+        if (!delta) return false
+        const children = Array.isArray(groupEntry.children) ? groupEntry.children : []
+        if (!children.length) return false
+        const centers = children.map((child) => GroupItemUtils.#resolveCurrentCenter(child))
+        const pivot = {
+            x: centers.reduce((sum, center) => sum + center.x, 0) / centers.length,
+            y: centers.reduce((sum, center) => sum + center.y, 0) / centers.length
+        }
+        const radians = RotationUtils.toRadians(delta)
+        const cosValue = Math.cos(radians)
+        const sinValue = Math.sin(radians)
+        children.forEach((child, index) => {
+            const center = centers[index]
+            const dx = center.x - pivot.x
+            const dy = center.y - pivot.y
+            const nextX = pivot.x + dx * cosValue - dy * sinValue
+            const nextY = pivot.y + dx * sinValue + dy * cosValue
+            // `|| 0` avoids persisting -0 from floating point noise around the pivot.
+            child.item.xOffset = Math.round((child.item.xOffset || 0) + nextX - center.x) || 0
+            child.item.yOffset = Math.round((child.item.yOffset || 0) + nextY - center.y) || 0
+            child.item.rotation = RotationUtils.normalizeDegrees((child.item.rotation || 0) + delta, 0)
+        })
+        GroupItemUtils.walkItems(group.children, (item) => {
+            if (GroupItemUtils.isGroup(item)) {
+                item.rotation = RotationUtils.normalizeDegrees((item.rotation || 0) + delta, 0)
+            }
+        })
+        return true
+    }
+
+    /**
+     * Captures child geometry at the start of a group resize gesture.
+     * @param {{ bounds: object, children: Array<{ item: object, bounds: object, xOffset: number, yOffset: number }> }} groupEntry
+     * @param {boolean} isHorizontal
+     * @returns {{ bounds: object, leaves: object[] }}
+     */
+    static captureScaleSnapshot(groupEntry, isHorizontal) {
+        const children = Array.isArray(groupEntry?.children) ? groupEntry.children : []
+        return {
+            bounds: { ...groupEntry.bounds },
+            leaves: children.map((child) => {
+                const item = child.item
+                const center = GroupItemUtils.#resolveCurrentCenter(child)
+                const size = GroupItemUtils.#resolveUnrotatedSize(child.bounds, item.rotation)
+                return {
+                    item,
+                    centerX: center.x,
+                    centerY: center.y,
+                    width: size.width,
+                    height: size.height,
+                    xOffset: item.xOffset || 0,
+                    yOffset: item.yOffset || 0,
+                    anchors: GroupItemUtils.#resolveAxisAnchors(item, isHorizontal),
+                    dimensions: {
+                        fontSize: item.fontSize,
+                        size: item.size,
+                        width: item.width,
+                        height: item.height
+                    }
+                }
+            })
+        }
+    }
+
+    /**
+     * Captures scale geometry for any rendered entry; plain items are treated as a one-member group.
+     * @param {{ id: string, type: string, item: object, bounds: object, children?: object[] }} entry
+     * @param {boolean} isHorizontal
+     * @returns {{ bounds: object, leaves: object[] }}
+     */
+    static captureEntryScaleSnapshot(entry, isHorizontal) {
+        if (entry?.type === 'group') {
+            return GroupItemUtils.captureScaleSnapshot(entry, isHorizontal)
+        }
+        const item = entry.item
+        const child = { item, bounds: entry.bounds, xOffset: item.xOffset || 0, yOffset: item.yOffset || 0 }
+        return GroupItemUtils.captureScaleSnapshot({ bounds: entry.bounds, children: [child] }, isHorizontal)
+    }
+
+    /**
+     * Scales all children of a captured group around a pivot point (in dots).
+     * With `axis` set to `x` or `y`, items with independent width/height only stretch along that canvas axis;
+     * text and QR codes keep their aspect ratio.
+     * @param {{ leaves: object[] }} snapshot
+     * @param {number} scale
+     * @param {{ x: number, y: number }} pivot
+     * @param {'both' | 'x' | 'y'} [axis='both']
+     */
+    static scaleGroup(snapshot, scale, pivot, axis = 'both') {
+        const safeScale = Math.max(0.05, Number(scale) || 1)
+        ;(snapshot?.leaves || []).forEach((leaf) => {
+            const factors = GroupItemUtils.#resolveSizeFactors(leaf.item, safeScale, axis)
+            const scaleX = factors.uniform || axis !== 'y' ? safeScale : 1
+            const scaleY = factors.uniform || axis !== 'x' ? safeScale : 1
+            const nextCenterX = pivot.x + (leaf.centerX - pivot.x) * scaleX
+            const nextCenterY = pivot.y + (leaf.centerY - pivot.y) * scaleY
+            // Start-anchored axes also move when the item grows, so compensate half of the size change.
+            const growX = leaf.anchors.x === 'start' ? (leaf.width * (factors.x - 1)) / 2 : 0
+            const growY = leaf.anchors.y === 'start' ? (leaf.height * (factors.y - 1)) / 2 : 0
+            leaf.item.xOffset = Math.round(leaf.xOffset + nextCenterX - leaf.centerX - growX)
+            leaf.item.yOffset = Math.round(leaf.yOffset + nextCenterY - leaf.centerY - growY)
+            GroupItemUtils.#applyDimensionScale(leaf.item, leaf.dimensions, factors)
+        })
+    }
+
+    /**
+     * Resolves scale factors for the unrotated item width and height.
+     * Single-axis scaling picks the item dimension that currently lies along that canvas axis.
+     * @param {object} item
+     * @param {number} scale
+     * @param {'both' | 'x' | 'y'} axis
+     * @returns {{ x: number, y: number, uniform: boolean }}
+     */
+    static #resolveSizeFactors(item, scale, axis) {
+        if (axis === 'both' || item.type === 'text' || item.type === 'qr') {
+            return { x: scale, y: scale, uniform: true }
+        }
+        const radians = RotationUtils.toRadians(RotationUtils.normalizeDegrees(item.rotation, 0))
+        const isQuarterTurned = Math.abs(Math.sin(radians)) > Math.abs(Math.cos(radians))
+        const scalesWidth = (axis === 'x') !== isQuarterTurned
+        return scalesWidth ? { x: scale, y: 1, uniform: false } : { x: 1, y: scale, uniform: false }
+    }
+
+    /**
+     * Applies scale factors to the size fields of one child item.
+     * @param {object} item
+     * @param {{ fontSize?: number, size?: number, width?: number, height?: number }} dimensions
+     * @param {{ x: number, y: number }} factors
+     */
+    static #applyDimensionScale(item, dimensions, factors) {
+        const minimums = GroupItemUtils.#minDimensions[item.type]
+        if (!minimums) return
+        Object.entries(minimums).forEach(([key, minimum]) => {
+            const startValue = Number(dimensions[key])
+            if (!Number.isFinite(startValue)) return
+            const factor = key === 'height' ? factors.y : factors.x
+            item[key] = Math.max(minimum, Math.round(startValue * factor))
+        })
+        if (item.type === 'qr') {
+            item.height = item.size
+            item._qrCache = null
+        }
+    }
+
+    /**
+     * Resolves the current child center from render-time bounds and offset changes made since then.
+     * @param {{ item: object, bounds: object, xOffset: number, yOffset: number }} child
+     * @returns {{ x: number, y: number }}
+     */
+    static #resolveCurrentCenter(child) {
+        return {
+            x: child.bounds.x + child.bounds.width / 2 + (child.item.xOffset || 0) - child.xOffset,
+            y: child.bounds.y + child.bounds.height / 2 + (child.item.yOffset || 0) - child.yOffset
+        }
+    }
+
+    /**
+     * Recovers the unrotated item size from its rotated axis-aligned bounds.
+     * Falls back to the rotated bounds close to 45° where the inversion is unstable.
+     * @param {{ width: number, height: number }} bounds
+     * @param {number} rotation
+     * @returns {{ width: number, height: number }}
+     */
+    static #resolveUnrotatedSize(bounds, rotation) {
+        const radians = RotationUtils.toRadians(RotationUtils.normalizeDegrees(rotation, 0))
+        const cosValue = Math.abs(Math.cos(radians))
+        const sinValue = Math.abs(Math.sin(radians))
+        const determinant = cosValue * cosValue - sinValue * sinValue
+        if (Math.abs(determinant) < 0.2) {
+            return { width: bounds.width, height: bounds.height }
+        }
+        return {
+            width: Math.max(1, (bounds.width * cosValue - bounds.height * sinValue) / determinant),
+            height: Math.max(1, (bounds.height * cosValue - bounds.width * sinValue) / determinant)
+        }
+    }
+
+    /**
+     * Resolves which point of an absolute item follows its offsets on each canvas axis.
+     * The feed axis is start-anchored; the cross axis is centered except for non-shape items on vertical labels.
+     * @param {object} item
+     * @param {boolean} isHorizontal
+     * @returns {{ x: 'start' | 'center', y: 'start' | 'center' }}
+     */
+    static #resolveAxisAnchors(item, isHorizontal) {
+        if (isHorizontal) {
+            return { x: 'start', y: 'center' }
+        }
+        return { x: item.type === 'shape' ? 'center' : 'start', y: 'start' }
+    }
+}
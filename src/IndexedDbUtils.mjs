@@ -0,0 +1,80 @@
+// SPDX-FileCopyrightText: 2026 André Fiedler
+//
+// SPDX-License-Identifier: AGPL-3.0-or-later
+
+/**
+ * Shared access to the app IndexedDB database (autosave snapshots and the template library).
+ * Every object store uses an auto-increment `id` key.
+ */
+export class IndexedDbUtils {
+    static #databaseName = 'labelprinter-app'
+    static #databaseVersion = 2
+    static #storeNames = Object.freeze(['autosave-snapshots', 'templates'])
+
+    /**
+     * Returns true when the factory can open databases.
+     * @param {IDBFactory | null | undefined} factory
+     * @returns {boolean}
+     */
+    static isAvailable(factory) {
+        return Boolean(factory && typeof factory.open === 'function')
+    }
+
+    /**
+     * Opens the app database and creates missing object stores on upgrade.
+     * While another tab keeps an older version open, the upgrade is blocked; the request then stays pending
+     * until that tab closes its connection. Open connections close themselves when a newer version is requested,
+     * and `onClose` tells the caller to open again.
+     * @param {IDBFactory | null | undefined} factory
+     * @param {{ onClose?: () => void }} [options={}]
+     * @returns {Promise<IDBDatabase>}
+     */
+    static openDatabase(factory, options = {}) {
+        if (!IndexedDbUtils.isAvailable(factory)) {
+            return Promise.reject(new Error('IndexedDB is not available'))
+        }
+        const onClose = typeof options.onClose === 'function' ? options.onClose : () => {}
+        return new Promise((resolve, reject) => {
+            const request = factory.open(IndexedDbUtils.#databaseName, IndexedDbUtils.#databaseVersion)
+            request.onupgradeneeded = () => {
+                const database = request.result
+                IndexedDbUtils.#storeNames.forEach((storeName) => {
+                    if (!database.objectStoreNames.contains(storeName)) {
+                        database.createObjectStore(storeName, { keyPath: 'id', autoIncrement: true })
+                    }
+                })
+            }
+            request.onsuccess = () => {
+                const database = request.result
+                database.onversionchange = () => {
+                    database.close()
+                    onClose()
+                }
+                database.onclose = () => onClose()
+                resolve(database)
+            }
+            request.onerror = () => reject(request.error || new Error('IndexedDB open failed'))
+            request.onblocked = () => {
+                console.debug('[IndexedDbUtils] database upgrade waits for other tabs to close the old version')
+            }
+        })
+    }
+
+    /**
+     * Runs one transaction and resolves with the result of the request returned by the task.
+     * @param {IDBDatabase} database
+     * @param {string} storeName
+     * @param {IDBTransactionMode} mode
+     * @param {(store: IDBObjectStore) => IDBRequest | void} task
+     * @returns {Promise<any>}
+     */
+    static runTransaction(database, storeName, mode, task) {
+        return new Promise((resolve, reject) => {
+            const transaction = database.transaction(storeName, mode)
+            const request = task(transaction.objectStore(storeName))
+            transaction.oncomplete = () => resolve(request ? request.result : undefined)
+            transaction.onerror = () => reject(transaction.error || new Error('IndexedDB transaction failed'))
+            transaction.onabort = () => reject(transaction.error || new Error('IndexedDB transaction aborted'))
+        })
+    }
+}
@@ -119,6 +119,16 @@ export class InteractionUtils {
         return handle || 'move'
     }
 
+    /**
+     * Returns whether a handle only moves the left or right edge.
+     * Text items use these handles to set their wrap `boxWidth` instead of scaling the font.
+     * @param {string} handle
+     * @returns {boolean}
+     */
+    static isHorizontalEdgeHandle(handle) {
+        return handle === 'e' || handle === 'w'
+    }
+
     /**
      * Maps a handle name to InteractJS edge flags.
      * @param {string} handle
@@ -153,7 +163,49 @@ export class InteractionUtils {
      * @returns {boolean}
      */
     static isInteractiveItemType(type) {
-        return ['text', 'shape', 'qr', 'barcode', 'image', 'icon'].includes(type)
+        return ['text', 'shape', 'qr', 'barcode', 'image', 'icon', 'group'].includes(type)
+    }
+
+    /**
+     * Determines whether a rendered item can be selected and dragged in the preview.
+     * Locked items stay visible and printable but ignore pointer interactions.
+     * @param {object | null | undefined} item
+     * @returns {boolean}
+     */
+    static isSelectableItem(item) {
+        return InteractionUtils.isInteractiveItemType(item?.type) && !item?.locked
+    }
+
+    /**
+     * Resolves the fixed point for a uniform resize: the edge or corner opposite the dragged handle.
+     * @param {{ x: number, y: number, width: number, height: number }} bounds
+     * @param {string} handle
+     * @returns {{ x: number, y: number }}
+     */
+    static resolveResizePivot(bounds, handle) {
+        const name = String(handle || '')
+        const x = name.includes('e') ? bounds.x : name.includes('w') ? bounds.x + bounds.width : bounds.x + bounds.width / 2
+        const y = name.includes('s') ? bounds.y : name.includes('n') ? bounds.y + bounds.height : bounds.y + bounds.height / 2
+        return { x, y }
+    }
+
+    /**
+     * Resolves a uniform scale factor from a resize rectangle.
+     * Edge handles follow their own axis, corner handles follow the larger change.
+     * @param {{ width: number, height: number }} startRect
+     * @param {{ width?: number, height?: number } | null | undefined} rect
+     * @param {string} handle
+     * @returns {number}
+     */
+    static resolveUniformResizeScale(startRect, rect, handle) {
+        const scaleX = startRect.width ? (rect?.width || startRect.width) / startRect.width : 1
+        const scaleY = startRect.height ? (rect?.height || startRect.height) / startRect.height : 1
+        const name = String(handle || '')
+        const horizontal = name.includes('e') || name.includes('w')
+        const vertical = name.includes('n') || name.includes('s')
+        if (horizontal && !vertical) return scaleX
+        if (vertical && !horizontal) return scaleY
+        return Math.abs(scaleX - 1) >= Math.abs(scaleY - 1) ? scaleX : scaleY
     }
 
     /**
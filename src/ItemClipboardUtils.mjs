@@ -0,0 +1,91 @@
+// SPDX-FileCopyrightText: 2026 André Fiedler
+//
+// SPDX-License-Identifier: AGPL-3.0-or-later
+
+import { ProjectIoUtils } from './ProjectIoUtils.mjs'
+import { GroupItemUtils } from './GroupItemUtils.mjs'
+
+/**
+ * Clipboard payload helpers for copying items between editor instances.
+ */
+export class ItemClipboardUtils {
+    static #payloadFormat = 'labelprinter-app/items'
+    static #payloadVersion = 1
+    static #pasteOffsetDots = 8
+
+    /**
+     * Returns the payload format marker.
+     * @returns {string}
+     */
+    static get PAYLOAD_FORMAT() {
+        return ItemClipboardUtils.#payloadFormat
+    }
+
+    /**
+     * Returns the offset (in dots) applied per paste to absolute-positioned items.
+     * @returns {number}
+     */
+    static get PASTE_OFFSET_DOTS() {
+        return ItemClipboardUtils.#pasteOffsetDots
+    }
+
+    /**
+     * Serializes items into clipboard JSON text without runtime fields.
+     * @param {object[]} items
+     * @returns {string}
+     */
+    static serializeItems(items) {
+        const payload = {
+            format: ItemClipboardUtils.#payloadFormat,
+            version: ItemClipboardUtils.#payloadVersion,
+            items: (Array.isArray(items) ? items : []).map((item) => ProjectIoUtils.stripRuntimeFields(item))
+        }
+        return JSON.stringify(payload)
+    }
+
+    /**
+     * Parses clipboard text and returns raw items, or null when the text is no item payload.
+     * @param {string} text
+     * @returns {object[] | null}
+     */
+    static parseItems(text) {
+        const rawText = String(text || '').trim()
+        if (!rawText.startsWith('{')) return null
+        try {
+            const payload = JSON.parse(rawText)
+            if (payload?.format !== ItemClipboardUtils.#payloadFormat) return null
+            if (!Array.isArray(payload.items)) return null
+            return payload.items.filter((item) => item && typeof item === 'object' && !Array.isArray(item))
+        } catch (_error) {
+            return null
+        }
+    }
+
+    /**
+     * Normalizes raw items for insertion and assigns fresh ids (group children included).
+     * Absolute-positioned items and groups are shifted so pasted copies do not cover the originals.
+     * @param {object[]} rawItems
+     * @param {{ nextId: () => string, existingItems?: object[], offsetSteps?: number }} options
+     * @returns {object[]}
+     */
+    static prepareItemsForInsert(rawItems, options) {
+        const usedIds = new Set()
+        GroupItemUtils.walkItems(options.existingItems || [], (item) => item.id && usedIds.add(item.id))
+        const offset = ItemClipboardUtils.#pasteOffsetDots * Math.max(0, Number(options.offsetSteps) || 0)
+        const { items } = ProjectIoUtils.normalizeItems(JSON.parse(JSON.stringify(rawItems || [])))
+        GroupItemUtils.walkItems(items, (item) => {
+            let nextId = options.nextId()
+            while (usedIds.has(nextId)) {
+                nextId = options.nextId()
+            }
+            usedIds.add(nextId)
+            item.id = nextId
+        })
+        items.forEach((item) => {
+            if (offset && (GroupItemUtils.isGroup(item) || item.positionMode === 'absolute')) {
+                GroupItemUtils.translateItem(item, offset, offset)
+            }
+        })
+        return items
+    }
+}
@@ -0,0 +1,74 @@
+// SPDX-FileCopyrightText: 2026 André Fiedler
+//
+// SPDX-License-Identifier: AGPL-3.0-or-later
+
+/**
+ * Keyboard event helpers shared by editor shortcuts.
+ */
+export class KeyboardShortcutUtils {
+    static #keyLabels = Object.freeze({ ArrowLeft: '←', ArrowRight: '→', ArrowUp: '↑', ArrowDown: '↓', Delete: 'Del' })
+
+    /**
+     * Returns true when keys typed into the target should be left to native text editing.
+     * @param {any} target
+     * @returns {boolean}
+     */
+    static isEditableTarget(target) {
+        if (!target) return false
+        const tagName = String(target.tagName || '').toUpperCase()
+        return tagName === 'INPUT' || tagName === 'TEXTAREA' || tagName === 'SELECT' || Boolean(target.isContentEditable)
+    }
+
+    /**
+     * Returns true when a keyboard event matches a combo such as `Mod+Shift+Z` or `ArrowLeft`.
+     * `Mod` is Ctrl or Cmd. Symbol keys such as `?` ignore Shift because the layout decides whether Shift produces them.
+     * @param {{ key?: string, ctrlKey?: boolean, metaKey?: boolean, altKey?: boolean, shiftKey?: boolean }} event
+     * @param {string} combo
+     * @returns {boolean}
+     */
+    static matchesCombo(event, combo) {
+        const { key, modifiers } = KeyboardShortcutUtils.#parseCombo(combo)
+        if (!event || !key) return false
+        if (Boolean(event.ctrlKey || event.metaKey) !== modifiers.has('mod')) return false
+        if (Boolean(event.altKey) !== modifiers.has('alt')) return false
+        const isSymbol = key.length === 1 && !/[a-z0-9]/i.test(key)
+        if (!isSymbol && Boolean(event.shiftKey) !== modifiers.has('shift')) return false
+        return String(event.key || '').toLowerCase() === key.toLowerCase()
+    }
+
+    /**
+     * Formats a combo for display, for example `Ctrl+Shift+Z` or `Cmd+Shift+Z`.
+     * @param {string} combo
+     * @param {boolean} [isMac=false]
+     * @returns {string[]} Display labels for each key of the combo.
+     */
+    static formatCombo(combo, isMac = false) {
+        const { key, modifiers } = KeyboardShortcutUtils.#parseCombo(combo)
+        const labels = []
+        if (modifiers.has('mod')) labels.push(isMac ? 'Cmd' : 'Ctrl')
+        if (modifiers.has('alt')) labels.push(isMac ? 'Option' : 'Alt')
+        if (modifiers.has('shift')) labels.push('Shift')
+        labels.push(KeyboardShortcutUtils.#keyLabels[key] || (key.length === 1 ? key.toUpperCase() : key))
+        return labels
+    }
+
+    /**
+     * Returns true on Apple platforms where Cmd is the primary modifier.
+     * @param {{ platform?: string, userAgent?: string } | null | undefined} navigatorRef
+     * @returns {boolean}
+     */
+    static isMacPlatform(navigatorRef) {
+        return /mac|iphone|ipad/i.test(String(navigatorRef?.platform || navigatorRef?.userAgent || ''))
+    }
+
+    /**
+     * Splits a combo into its key and lower-case modifier names.
+     * @param {string} combo
+     * @returns {{ key: string, modifiers: Set<string> }}
+     */
+    static #parseCombo(combo) {
+        const parts = String(combo || '').split('+')
+        const key = parts.pop().trim()
+        return { key, modifiers: new Set(parts.map((part) => part.trim().toLowerCase())) }
+    }
+}
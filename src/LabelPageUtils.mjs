@@ -0,0 +1,182 @@
+// SPDX-FileCopyrightText: 2026 André Fiedler
+//
+// SPDX-License-Identifier: AGPL-3.0-or-later
+
+/**
+ * @typedef {object} LabelPage
+ * @property {string} id Stable page id (`label-<n>`).
+ * @property {string} name User-facing page name; empty names fall back to a numbered title in the UI.
+ * @property {string} media Media id, for example `W24`.
+ * @property {number | null} mediaLengthMm Forced label length or null for auto length.
+ * @property {'horizontal' | 'vertical'} orientation
+ * @property {object[]} items
+ */
+
+/**
+ * Helpers for projects with several labels (pages).
+ * The editor works on the active page through the top-level `media`, `mediaLengthMm`, `orientation` and `items`
+ * state fields; `state.labels` keeps every page and its active entry is refreshed from those fields on demand.
+ * Projects without stored pages resolve to one page built from the top-level fields.
+ */
+export class LabelPageUtils {
+    static #pageSettingKeys = Object.freeze(['media', 'mediaLengthMm', 'orientation'])
+
+    /**
+     * Returns the first unused `label-<n>` id.
+     * @param {Iterable<string>} usedIds
+     * @returns {string}
+     */
+    static createPageId(usedIds) {
+        const used = new Set(usedIds)
+        let index = 1
+        while (used.has(`label-${index}`)) index += 1
+        return `label-${index}`
+    }
+
+    /**
+     * Returns the active page index clamped to the stored pages.
+     * @param {{ labels?: unknown, activeLabelIndex?: unknown }} state
+     * @returns {number}
+     */
+    static resolveActiveIndex(state) {
+        const count = Array.isArray(state?.labels) ? state.labels.length : 0
+        const index = Number(state?.activeLabelIndex)
+        if (!count || !Number.isInteger(index) || index < 0) return 0
+        return Math.min(index, count - 1)
+    }
+
+    /**
+     * Returns all pages in order without changing the state.
+     * The active page reads the live editor fields; its `items` array is the live `state.items` reference.
+     * @param {object} state
+     * @returns {LabelPage[]}
+     */
+    static resolvePages(state) {
+        const storedPages = Array.isArray(state?.labels) && state.labels.length ? state.labels : [{}]
+        const activeIndex = LabelPageUtils.resolveActiveIndex(state)
+        const usedIds = storedPages.map((page) => page?.id).filter((id) => typeof id === 'string' && id)
+        return storedPages.map((page, index) => {
+            const source = index === activeIndex ? state : page
+            const resolved = {
+                id: typeof page?.id === 'string' && page.id ? page.id : LabelPageUtils.createPageId(usedIds),
+                name: typeof page?.name === 'string' ? page.name : ''
+            }
+            if (!page?.id) usedIds.push(resolved.id)
+            LabelPageUtils.#pageSettingKeys.forEach((key) => {
+                resolved[key] = source?.[key] ?? null
+            })
+            resolved.items = Array.isArray(source?.items) ? source.items : []
+            return resolved
+        })
+    }
+
+    /**
+     * Writes the live editor fields back into `state.labels` (creating the list for single-page projects).
+     * @param {object} state
+     * @returns {LabelPage[]} The stored pages.
+     */
+    static storeActivePage(state) {
+        const activeIndex = LabelPageUtils.resolveActiveIndex(state)
+        state.labels = LabelPageUtils.resolvePages(state).map((page, index) =>
+            index === activeIndex ? { ...page, items: [...page.items] } : page
+        )
+        state.activeLabelIndex = activeIndex
+        return state.labels
+    }
+
+    /**
+     * Loads the stored active page into the live editor fields; `state.items` is updated in place.
+     * @param {object} state
+     */
+    static loadActivePage(state) {
+        state.activeLabelIndex = LabelPageUtils.resolveActiveIndex(state)
+        const page = Array.isArray(state.labels) ? state.labels[state.activeLabelIndex] : null
+        if (!page) return
+        LabelPageUtils.#pageSettingKeys.forEach((key) => {
+            if (page[key] !== undefined) state[key] = page[key]
+        })
+        const items = Array.isArray(page.items) ? page.items : []
+        if (Array.isArray(state.items)) {
+            state.items.splice(0, state.items.length, ...items)
+        } else {
+            state.items = [...items]
+        }
+    }
+
+    /**
+     * Switches the editor to another page.
+     * @param {object} state
+     * @param {number} index
+     * @returns {boolean} False when the index is invalid or already active.
+     */
+    static activatePage(state, index) {
+        const pages = LabelPageUtils.storeActivePage(state)
+        if (!Number.isInteger(index) || index < 0 || index >= pages.length || index === state.activeLabelIndex) return false
+        state.activeLabelIndex = index
+        LabelPageUtils.loadActivePage(state)
+        return true
+    }
+
+    /**
+     * Appends an empty page with the media settings of the active page and activates it.
+     * @param {object} state
+     * @param {{ name?: string }} [options]
+     * @returns {number} Index of the new page.
+     */
+    static addPage(state, options = {}) {
+        const pages = LabelPageUtils.storeActivePage(state)
+        const activePage = pages[state.activeLabelIndex]
+        pages.push({
+            id: LabelPageUtils.createPageId(pages.map((page) => page.id)),
+            name: String(options.name || '').trim(),
+            media: activePage.media,
+            mediaLengthMm: activePage.mediaLengthMm,
+            orientation: activePage.orientation,
+            items: []
+        })
+        state.activeLabelIndex = pages.length - 1
+        LabelPageUtils.loadActivePage(state)
+        return state.activeLabelIndex
+    }
+
+    /**
+     * Removes a page; the last remaining page cannot be removed.
+     * The active page stays active unless it was removed, then its neighbour takes over.
+     * @param {object} state
+     * @param {number} index
+     * @returns {boolean}
+     */
+    static removePage(state, index) {
+        const pages = LabelPageUtils.storeActivePage(state)
+        if (pages.length < 2 || !Number.isInteger(index) || index < 0 || index >= pages.length) return false
+        pages.splice(index, 1)
+        if (index < state.activeLabelIndex || state.activeLabelIndex >= pages.length) {
+            state.activeLabelIndex -= 1
+        }
+        LabelPageUtils.loadActivePage(state)
+        return true
+    }
+
+    /**
+     * Renames a page.
+     * @param {object} state
+     * @param {number} index
+     * @param {string} name
+     * @returns {boolean}
+     */
+    static renamePage(state, index, name) {
+        const pages = LabelPageUtils.storeActivePage(state)
+        if (!pages[index]) return false
+        pages[index].name = String(name || '').trim()
+        return true
+    }
+
+    /**
+     * Returns the top-level items of every page (for example to validate placeholders project-wide).
+     * @param {object} state
+     * @returns {object[]}
+     */
+    static collectProjectItems(state) {
+        return LabelPageUtils.resolvePages(state).flatMap((page) => page.items)
+    }
+}
@@ -2,11 +2,18 @@
 //
 // SPDX-License-Identifier: AGPL-3.0-or-later
 
+import { DateTemplateUtils } from './DateTemplateUtils.mjs'
+import { SerialCounterUtils } from './SerialCounterUtils.mjs'
+import { TemplateFilterUtils } from './TemplateFilterUtils.mjs'
+import { VisibilityConditionUtils } from './VisibilityConditionUtils.mjs'
+
 /**
  * Parameter and template helpers for placeholder-driven label rendering.
+ * Placeholders may pipe their value through filters (`{{price|number:2}}`, see `TemplateFilterUtils`).
+ * Built-in date placeholders (`{{today}}`, `{{now+2h}}`, see `DateTemplateUtils`) need no parameter definition.
  */
 export class ParameterTemplateUtils {
-    static #placeholderPattern = /\{\{\s*([A-Za-z_][A-Za-z0-9_]*)\s*\}\}/g
+    static #placeholderPattern = /\{\{\s*([A-Za-z_][A-Za-z0-9_]*(?:[+-]\d+[A-Za-z]+)?)\s*((?:\|(?:'[^']*'|"[^"]*"|[^'"{}])*)?)\}\}/g
     static #parameterNamePattern = /^[A-Za-z_][A-Za-z0-9_]*$/
 
     /**
@@ -93,7 +100,7 @@ export class ParameterTemplateUtils {
 
     /**
      * Extracts unique parameter placeholders from a template string.
-     * Placeholder format: `{{parameter_name}}`.
+     * Placeholder format: `{{parameter_name}}` or `{{parameter_name|filter:arg}}`; date placeholders may carry an offset (`{{today+7d}}`).
      * @param {string} template
      * @returns {string[]}
      */
@@ -110,39 +117,69 @@ export class ParameterTemplateUtils {
     }
 
     /**
-     * Collects placeholders from text, QR, and barcode items.
-     * @param {Array<{ type?: string, text?: string, data?: string }>} items
+     * Extracts every placeholder of a template string with its parsed filter chain, in order of appearance.
+     * @param {string} template
+     * @returns {Array<{ name: string, filters: import('./TemplateFilterUtils.mjs').TemplateFilter[] }>}
+     */
+    static extractPlaceholderExpressions(template) {
+        const matcher = new RegExp(ParameterTemplateUtils.#placeholderPattern)
+        return Array.from(String(template || '').matchAll(matcher), (match) => ({
+            name: match[1],
+            filters: TemplateFilterUtils.parseFilters(match[2])
+        }))
+    }
+
+    /**
+     * Collects placeholders from text, QR, and barcode items, including group children.
+     * @param {Array<{ type?: string, text?: string, data?: string, children?: object[] }>} items
      * @returns {string[]}
      */
     static collectPlaceholdersFromItems(items) {
         const names = new Set()
-        if (!Array.isArray(items)) return []
-        items.forEach((item) => {
-            if (item?.type === 'text') {
-                ParameterTemplateUtils.extractPlaceholders(item.text).forEach((name) => names.add(name))
-            } else if (item?.type === 'qr' || item?.type === 'barcode') {
-                ParameterTemplateUtils.extractPlaceholders(item.data).forEach((name) => names.add(name))
-            }
+        ParameterTemplateUtils.#collectTemplatesFromItems(items).forEach((template) => {
+            ParameterTemplateUtils.extractPlaceholders(template).forEach((name) => names.add(name))
         })
         return Array.from(names)
     }
 
     /**
-     * Resolves placeholders in a template string from a value map.
-     * Missing placeholders remain unchanged.
+     * Collects the template strings of text, QR, and barcode items, including group children.
+     * @param {Array<{ type?: string, text?: string, data?: string, children?: object[] }>} items
+     * @returns {string[]}
+     */
+    static #collectTemplatesFromItems(items) {
+        if (!Array.isArray(items)) return []
+        return items.flatMap((item) => {
+            if (item?.type === 'text') return [String(item.text || '')]
+            if (item?.type === 'qr' || item?.type === 'barcode') return [String(item.data || '')]
+            if (item?.type === 'group') return ParameterTemplateUtils.#collectTemplatesFromItems(item.children)
+            return []
+        })
+    }
+
+    /**
+     * Resolves placeholders in a template string from a value map and applies their filters.
+     * Missing placeholders remain unchanged. Built-in date values enter `date` filters in ISO form, else as locale text.
+     * `escapeValue` runs on the filtered value, so filters such as `pad` and `truncate` see the raw text.
      * @param {string} template
      * @param {Record<string, unknown>} values
      * @param {Set<string>} [missingNames]
+     * @param {(value: string) => string} [escapeValue] For example `RichTextUtils.escapeMarkup` for rich-text items.
      * @returns {string}
      */
-    static resolveTemplateString(template, values, missingNames = new Set()) {
+    static resolveTemplateString(template, values, missingNames = new Set(), escapeValue = (value) => value) {
         const text = String(template || '')
-        return text.replace(ParameterTemplateUtils.#placeholderPattern, (_full, placeholderName) => {
+        return text.replace(ParameterTemplateUtils.#placeholderPattern, (full, placeholderName, filterChain) => {
             if (Object.hasOwn(values || {}, placeholderName)) {
-                return ParameterTemplateUtils.#stringifyValue(values[placeholderName])
+                const rawValue = values[placeholderName]
+                const filters = TemplateFilterUtils.parseFilters(filterChain)
+                const value = DateTemplateUtils.isPlaceholderValue(rawValue)
+                    ? DateTemplateUtils.selectFilterInput(rawValue, filters)
+                    : ParameterTemplateUtils.#stringifyValue(rawValue)
+                return escapeValue(filters.length ? TemplateFilterUtils.applyFilters(value, filters) : value)
             }
             missingNames.add(placeholderName)
-            return `{{${placeholderName}}}`
+            return filterChain ? full : `{{${placeholderName}}}`
         })
     }
 
@@ -309,13 +346,16 @@ export class ParameterTemplateUtils {
 
     /**
      * Validates parameter setup against templates and uploaded rows.
+     * Serial counters define placeholders too; their values never come from data rows.
+     * Built-in date placeholders count as defined unless a parameter with the same name overrides them.
      * @param {Array<{ name?: string, defaultValue?: unknown }>} definitions
      * @param {Array<{ type?: string, text?: string, data?: string }>} items
      * @param {Record<string, unknown>[]} rows
      * @param {string} [rawJson='']
+     * @param {Array<{ name?: string }>} [counters=[]]
      * @returns {{ errors: Array<object>, warnings: Array<object>, placeholders: string[] }}
      */
-    static validateParameterSetup(definitions, items, rows, rawJson = '') {
+    static validateParameterSetup(definitions, items, rows, rawJson = '', counters = []) {
         const errors = []
         const warnings = []
         const normalizedDefinitions = ParameterTemplateUtils.normalizeParameterDefinitions(definitions)
@@ -323,6 +363,7 @@ export class ParameterTemplateUtils {
         const placeholderSet = new Set(placeholders)
         const nameCounts = new Map()
         const definitionMap = new Map()
+        const counterNames = new Set()
 
         normalizedDefinitions.forEach((definition, index) => {
             const name = definition.name
@@ -347,6 +388,20 @@ export class ParameterTemplateUtils {
             definitionMap.set(name, definition.defaultValue ?? '')
         })
 
+        SerialCounterUtils.normalizeCounters(counters).forEach(({ name }) => {
+            if (!ParameterTemplateUtils.isValidParameterName(name)) {
+                errors.push({
+                    level: 'error',
+                    code: 'invalid-counter-name',
+                    parameterName: name,
+                    message: `Counter "${name}" has an invalid name. Use letters, digits and underscore only.`
+                })
+                return
+            }
+            nameCounts.set(name, (nameCounts.get(name) || 0) + 1)
+            counterNames.add(name)
+        })
+
         nameCounts.forEach((count, name) => {
             if (count > 1) {
                 errors.push({
@@ -359,8 +414,11 @@ export class ParameterTemplateUtils {
             }
         })
 
+        const builtInNames = new Set(
+            placeholders.filter((name) => !definitionMap.has(name) && !counterNames.has(name) && DateTemplateUtils.isDatePlaceholder(name))
+        )
         placeholderSet.forEach((placeholder) => {
-            if (!definitionMap.has(placeholder)) {
+            if (!definitionMap.has(placeholder) && !counterNames.has(placeholder) && !builtInNames.has(placeholder)) {
                 errors.push({
                     level: 'error',
                     code: 'undefined-placeholder',
@@ -370,8 +428,39 @@ export class ParameterTemplateUtils {
             }
         })
 
-        definitionMap.forEach((_defaultValue, parameterName) => {
-            if (!placeholderSet.has(parameterName)) {
+        const reportedFilters = new Set()
+        ParameterTemplateUtils.#collectTemplatesFromItems(items).forEach((template) => {
+            ParameterTemplateUtils.extractPlaceholderExpressions(template).forEach(({ name, filters }) => {
+                filters.forEach((filter) => {
+                    const key = `${name}|${filter.name}`
+                    if (TemplateFilterUtils.isKnownFilter(filter.name) || reportedFilters.has(key)) return
+                    reportedFilters.add(key)
+                    errors.push({
+                        level: 'error',
+                        code: 'unknown-filter',
+                        placeholder: name,
+                        filter: filter.name,
+                        message: `Placeholder "{{${name}}}" uses the unknown filter "${filter.name}".`
+                    })
+                })
+            })
+        })
+
+        const conditionParameters = new Set(VisibilityConditionUtils.collectConditionParameters(items))
+        conditionParameters.forEach((parameterName) => {
+            if (!definitionMap.has(parameterName) && !counterNames.has(parameterName)) {
+                warnings.push({
+                    level: 'warning',
+                    code: 'undefined-condition-parameter',
+                    parameterName,
+                    message: `Visibility condition uses "${parameterName}" but no parameter is defined for it.`
+                })
+            }
+        })
+
+        const definedNames = [...definitionMap.keys(), ...counterNames]
+        definedNames.forEach((parameterName) => {
+            if (!placeholderSet.has(parameterName) && !conditionParameters.has(parameterName)) {
                 warnings.push({
                     level: 'warning',
                     code: 'unused-definition',
@@ -394,7 +483,7 @@ export class ParameterTemplateUtils {
                     return
                 }
                 Object.keys(row).forEach((key) => {
-                    if (!definitionMap.has(key)) {
+                    if (!definitionMap.has(key) && !counterNames.has(key)) {
                         warnings.push({
                             level: 'warning',
                             code: 'unknown-row-parameter',
@@ -406,6 +495,7 @@ export class ParameterTemplateUtils {
                     }
                 })
                 placeholderSet.forEach((placeholder) => {
+                    if (counterNames.has(placeholder) || builtInNames.has(placeholder)) return
                     const hasRowValue = Object.hasOwn(row, placeholder)
                     const hasDefault = String(definitionMap.get(placeholder) ?? '').length > 0
                     if (!hasRowValue && !hasDefault) {
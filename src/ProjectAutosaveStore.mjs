@@ -0,0 +1,167 @@
+// SPDX-FileCopyrightText: 2026 André Fiedler
+//
+// SPDX-License-Identifier: AGPL-3.0-or-later
+
+import { IndexedDbUtils } from './IndexedDbUtils.mjs'
+
+/**
+ * @typedef {object} AutosaveSnapshot
+ * @property {number} id Auto-increment key; higher ids are newer.
+ * @property {number} savedAt Timestamp in milliseconds.
+ * @property {string} fingerprint Serialized payload without view-only fields, used to skip unchanged snapshots.
+ * @property {boolean} saved True once the same state was saved explicitly as a project file.
+ * @property {object} payload Project payload from `ProjectIoUtils.buildProjectPayload`.
+ */
+
+/**
+ * IndexedDB store for autosaved project snapshots (crash recovery and roll back).
+ * Keeps the newest snapshots up to a limit; all methods reject when IndexedDB is unavailable.
+ */
+export class ProjectAutosaveStore {
+    static #storeName = 'autosave-snapshots'
+    static #defaultLimit = 10
+    static #viewOnlyPayloadKeys = Object.freeze(['appVersion', 'meta', 'zoom'])
+    #factory = null
+    #limit = ProjectAutosaveStore.#defaultLimit
+    #databasePromise = null
+
+    /**
+     * @param {{ indexedDB?: IDBFactory | null, limit?: number }} [options]
+     */
+    constructor(options = {}) {
+        this.#factory = options.indexedDB === undefined ? globalThis.indexedDB || null : options.indexedDB
+        if (Number.isInteger(options.limit) && options.limit > 0) {
+            this.#limit = options.limit
+        }
+    }
+
+    /**
+     * Number of snapshots kept by default.
+     * @returns {number}
+     */
+    static get DEFAULT_LIMIT() {
+        return ProjectAutosaveStore.#defaultLimit
+    }
+
+    /**
+     * Serializes the parts of a payload that define the design (zoom and editor metadata are ignored).
+     * @param {object} payload
+     * @returns {string}
+     */
+    static createFingerprint(payload) {
+        const relevant = { ...(payload || {}) }
+        ProjectAutosaveStore.#viewOnlyPayloadKeys.forEach((key) => delete relevant[key])
+        return JSON.stringify(relevant)
+    }
+
+    /**
+     * Returns the ids of snapshots beyond the limit.
+     * @param {Array<{ id: number }>} snapshots Snapshots in any order.
+     * @param {number} limit
+     * @returns {number[]}
+     */
+    static resolvePrunedIds(snapshots, limit) {
+        return [...snapshots]
+            .sort((left, right) => right.id - left.id)
+            .slice(Math.max(0, limit))
+            .map((snapshot) => snapshot.id)
+    }
+
+    /**
+     * Counts labels and top-level objects of a snapshot for the restore list.
+     * @param {AutosaveSnapshot} snapshot
+     * @returns {{ labelCount: number, itemCount: number }}
+     */
+    static summarize(snapshot) {
+        const payload = snapshot?.payload || {}
+        const labels = Array.isArray(payload.labels) ? payload.labels : [{ items: payload.items }]
+        const itemCount = labels.reduce((sum, label) => sum + (Array.isArray(label?.items) ? label.items.length : 0), 0)
+        return { labelCount: labels.length, itemCount }
+    }
+
+    /**
+     * Returns true when IndexedDB can be used.
+     * @returns {boolean}
+     */
+    isAvailable() {
+        return IndexedDbUtils.isAvailable(this.#factory)
+    }
+
+    /**
+     * Lists snapshots, newest first.
+     * @returns {Promise<AutosaveSnapshot[]>}
+     */
+    async list() {
+        const snapshots = await this.#run('readonly', (store) => store.getAll())
+        return (Array.isArray(snapshots) ? snapshots : []).sort((left, right) => right.id - left.id)
+    }
+
+    /**
+     * Stores a new snapshot and drops the oldest ones beyond the limit.
+     * @param {object} payload
+     * @param {{ now?: number }} [options]
+     * @returns {Promise<number>} Id of the new snapshot.
+     */
+    async add(payload, options = {}) {
+        const snapshot = {
+            savedAt: Number.isFinite(options.now) ? options.now : Date.now(),
+            fingerprint: ProjectAutosaveStore.createFingerprint(payload),
+            saved: false,
+            payload
+        }
+        const id = await this.#run('readwrite', (store) => store.add(snapshot))
+        const prunedIds = ProjectAutosaveStore.resolvePrunedIds(await this.list(), this.#limit)
+        if (prunedIds.length) {
+            await this.#run('readwrite', (store) => prunedIds.forEach((prunedId) => store.delete(prunedId)))
+        }
+        return id
+    }
+
+    /**
+     * Flags a snapshot as explicitly saved so it is not offered for recovery on the next start.
+     * @param {number} id
+     * @returns {Promise<void>}
+     */
+    async markSaved(id) {
+        const snapshot = await this.#run('readonly', (store) => store.get(id))
+        if (!snapshot) return
+        await this.#run('readwrite', (store) => store.put({ ...snapshot, saved: true }))
+    }
+
+    /**
+     * Removes all snapshots.
+     * @returns {Promise<void>}
+     */
+    async clear() {
+        await this.#run('readwrite', (store) => store.clear())
+    }
+
+    /**
+     * Opens the database once; a failed open or a closed connection is opened again on the next call.
+     * @returns {Promise<IDBDatabase>}
+     */
+    #openDatabase() {
+        if (!this.#databasePromise) {
+            this.#databasePromise = IndexedDbUtils.openDatabase(this.#factory, {
+                onClose: () => {
+                    this.#databasePromise = null
+                }
+            })
+            this.#databasePromise.catch(() => {
+                this.#databasePromise = null
+            })
+        }
+        return this.#databasePromise
+    }
+
+    /**
+     * Runs one transaction on the snapshot store.
+     * @param {IDBTransactionMode} mode
+     * @param {(store: IDBObjectStore) => IDBRequest | void} task
+     * @returns {Promise<any>}
+     */
+    async #run(mode, task) {
+        const database = await this.#openDatabase()
+        return IndexedDbUtils.runTransaction(database, ProjectAutosaveStore.#storeName, mode, task)
+    }
+}
@@ -8,6 +8,13 @@ import { ImageRasterUtils } from './ImageRasterUtils.mjs'
 import { IconLibraryUtils } from './IconLibraryUtils.mjs'
 import { BarcodeUtils } from './BarcodeUtils.mjs'
 import { RotationUtils } from './RotationUtils.mjs'
+import { GroupItemUtils } from './GroupItemUtils.mjs'
+import { LabelPageUtils } from './LabelPageUtils.mjs'
+import { ProjectSchemaMigrations } from './ProjectSchemaMigrations.mjs'
+import { CustomFontUtils } from './CustomFontUtils.mjs'
+import { TextLayoutUtils } from './TextLayoutUtils.mjs'
+import { SerialCounterUtils } from './SerialCounterUtils.mjs'
+import { VisibilityConditionUtils } from './VisibilityConditionUtils.mjs'
 
 /**
  * Project serialization and normalization helpers.
@@ -23,7 +30,7 @@ export class ProjectIoUtils {
     }
 
     /**
-     * Removes runtime-only fields from a project item.
+     * Removes runtime-only fields from a project item, including nested group children.
      * @param {object} item
      * @returns {object}
      */
@@ -33,6 +40,9 @@ export class ProjectIoUtils {
             if (key.startsWith('_')) return
             cleaned[key] = value
         })
+        if (item?.type === 'group' && Array.isArray(item.children)) {
+            cleaned.children = item.children.map((child) => ProjectIoUtils.stripRuntimeFields(child))
+        }
         return cleaned
     }
 
@@ -52,21 +62,26 @@ export class ProjectIoUtils {
             editorUrl: options.editorUrl
         })
         return {
+            schemaVersion: ProjectSchemaMigrations.CURRENT_VERSION,
             appVersion: normalizedAppVersion,
             meta: normalizedProjectMeta,
-            media: state.media,
-            mediaLengthMm: state.mediaLengthMm ?? null,
             zoom: ZoomUtils.clampZoom(state.zoom ?? 1),
             resolution: state.resolution,
-            orientation: state.orientation,
             backend: state.backend,
             printer: state.printer,
             ble: { ...state.ble },
             parameters: normalizedParameters,
             parameterDataRows: normalizedParameterDataRows,
             parameterDataSourceName: typeof state.parameterDataSourceName === 'string' ? state.parameterDataSourceName : '',
+            serialCounters: SerialCounterUtils.normalizeCounters(state.serialCounters),
             customFontLinks: normalizedCustomFontLinks,
-            items: (state.items || []).map((item) => ProjectIoUtils.stripRuntimeFields(item))
+            customFonts: CustomFontUtils.toProjectFonts(state.customFonts),
+            activeLabelIndex: LabelPageUtils.resolveActiveIndex(state),
+            labels: LabelPageUtils.resolvePages(state).map((page) => ({
+                ...page,
+                mediaLengthMm: page.mediaLengthMm ?? null,
+                items: page.items.map((item) => ProjectIoUtils.stripRuntimeFields(item))
+            }))
         }
     }
 
@@ -231,10 +246,24 @@ export class ProjectIoUtils {
                 text: '',
                 fontFamily: 'Barlow',
                 fontSize: 24,
+                fontWeight: 400,
+                fontWidth: 100,
                 textBold: false,
                 textItalic: false,
                 textUnderline: false,
                 textStrikethrough: false,
+                richText: false,
+                textAlign: 'left',
+                letterSpacing: 0,
+                lineHeight: 0,
+                boxWidth: 0,
+                overflow: 'none',
+                minFontSize: 6,
+                textDirection: 'horizontal',
+                stackSpacing: 2,
+                textEffect: 'none',
+                textEffectPadding: 4,
+                textEffectRadius: 0,
                 height: 40,
                 xOffset: 4,
                 yOffset: 0,
@@ -317,6 +346,14 @@ export class ProjectIoUtils {
     static #normalizeItem(item, fallbackId) {
         const cleaned = ProjectIoUtils.stripRuntimeFields(item)
         const type = cleaned.type
+        if (type === 'group') {
+            return ProjectIoUtils.#normalizeItemFlags({
+                ...cleaned,
+                id: cleaned.id || fallbackId,
+                rotation: RotationUtils.normalizeDegrees(cleaned.rotation, 0),
+                children: Array.isArray(cleaned.children) ? cleaned.children : []
+            })
+        }
         if (!type || !['text', 'qr', 'shape', 'image', 'icon', 'barcode'].includes(type)) return null
 
         const defaults = ProjectIoUtils.#buildItemDefaults()[type]
@@ -329,62 +366,37 @@ export class ProjectIoUtils {
             normalized.height = ProjectIoUtils.#coerceNumber(normalized.height, defaults.height)
             normalized.xOffset = ProjectIoUtils.#coerceNumber(normalized.xOffset, defaults.xOffset)
             normalized.yOffset = ProjectIoUtils.#coerceNumber(normalized.yOffset, defaults.yOffset)
-            const normalizedFontWeight = String(cleaned.fontWeight || '').toLowerCase()
-            const normalizedFontStyle = String(cleaned.fontStyle || '').toLowerCase()
-            const normalizedTextDecoration = String(cleaned.textDecoration || '').toLowerCase()
-            normalized.textBold = ProjectIoUtils.#coerceBoolean(
-                cleaned.textBold ?? cleaned.bold ?? (normalizedFontWeight === 'bold'),
-                defaults.textBold
-            )
-            normalized.textItalic = ProjectIoUtils.#coerceBoolean(
-                cleaned.textItalic ?? cleaned.italic ?? cleaned.kursiv ?? (normalizedFontStyle === 'italic'),
-                defaults.textItalic
-            )
-            normalized.textUnderline = ProjectIoUtils.#coerceBoolean(
-                cleaned.textUnderline ?? cleaned.underline ?? cleaned.underlined ?? (normalizedTextDecoration === 'underline'),
-                defaults.textUnderline
-            )
-            normalized.textStrikethrough = ProjectIoUtils.#coerceBoolean(
-                cleaned.textStrikethrough ??
-                    cleaned.strikethrough ??
-                    cleaned.strikeThrough ??
-                    cleaned.strike ??
-                    (normalizedTextDecoration === 'line-through' || normalizedTextDecoration === 'strikethrough'),
-                defaults.textStrikethrough
-            )
-            delete normalized.bold
-            delete normalized.italic
-            delete normalized.kursiv
-            delete normalized.underline
-            delete normalized.underlined
-            delete normalized.strikethrough
-            delete normalized.strikeThrough
-            delete normalized.strike
-            delete normalized.fontWeight
-            delete normalized.fontStyle
-            delete normalized.textDecoration
+            normalized.textBold = ProjectIoUtils.#coerceBoolean(normalized.textBold, defaults.textBold)
+            normalized.textItalic = ProjectIoUtils.#coerceBoolean(normalized.textItalic, defaults.textItalic)
+            normalized.textUnderline = ProjectIoUtils.#coerceBoolean(normalized.textUnderline, defaults.textUnderline)
+            normalized.textStrikethrough = ProjectIoUtils.#coerceBoolean(normalized.textStrikethrough, defaults.textStrikethrough)
+            normalized.richText = ProjectIoUtils.#coerceBoolean(normalized.richText, defaults.richText)
+            normalized.textAlign = TextLayoutUtils.normalizeTextAlign(normalized.textAlign, defaults.textAlign)
+            normalized.fontWeight = TextLayoutUtils.normalizeFontWeight(normalized.fontWeight, defaults.fontWeight)
+            normalized.fontWidth = TextLayoutUtils.normalizeFontWidth(normalized.fontWidth, defaults.fontWidth)
+            normalized.letterSpacing = TextLayoutUtils.normalizeLetterSpacing(normalized.letterSpacing, defaults.letterSpacing)
+            normalized.lineHeight = TextLayoutUtils.normalizeLineHeight(normalized.lineHeight, defaults.lineHeight)
+            normalized.boxWidth = TextLayoutUtils.normalizeBoxWidth(normalized.boxWidth)
+            normalized.overflow = TextLayoutUtils.normalizeOverflow(normalized.overflow, defaults.overflow)
+            normalized.minFontSize = TextLayoutUtils.normalizeMinFontSize(normalized.minFontSize, defaults.minFontSize)
+            normalized.textDirection = TextLayoutUtils.normalizeTextDirection(normalized.textDirection, defaults.textDirection)
+            normalized.stackSpacing = TextLayoutUtils.normalizeStackSpacing(normalized.stackSpacing, defaults.stackSpacing)
+            normalized.textEffect = TextLayoutUtils.normalizeTextEffect(normalized.textEffect, defaults.textEffect)
+            normalized.textEffectPadding = TextLayoutUtils.normalizeEffectDots(normalized.textEffectPadding, defaults.textEffectPadding)
+            normalized.textEffectRadius = TextLayoutUtils.normalizeEffectDots(normalized.textEffectRadius, defaults.textEffectRadius)
             normalized.rotation = RotationUtils.normalizeDegrees(normalized.rotation, defaults.rotation)
         }
         if (type === 'qr') {
-            const qrSizeSource = cleaned.size ?? cleaned.width ?? cleaned.height ?? defaults.size
+            const qrSizeSource = cleaned.size ?? cleaned.height ?? defaults.size
             normalized.size = Math.max(1, ProjectIoUtils.#coerceNumber(qrSizeSource, defaults.size))
             normalized.height = normalized.size
             normalized.xOffset = ProjectIoUtils.#coerceNumber(normalized.xOffset, defaults.xOffset)
             normalized.yOffset = ProjectIoUtils.#coerceNumber(normalized.yOffset, defaults.yOffset)
             normalized.rotation = RotationUtils.normalizeDegrees(normalized.rotation, defaults.rotation)
-            const normalizedQrOptions = QrCodeUtils.normalizeItemOptions({
-                qrErrorCorrectionLevel:
-                    cleaned.qrErrorCorrectionLevel ?? cleaned.errorCorrectionLevel ?? normalized.qrErrorCorrectionLevel,
-                qrVersion: cleaned.qrVersion ?? cleaned.version ?? normalized.qrVersion,
-                qrEncodingMode: cleaned.qrEncodingMode ?? cleaned.encodingMode ?? normalized.qrEncodingMode
-            })
+            const normalizedQrOptions = QrCodeUtils.normalizeItemOptions(normalized)
             normalized.qrErrorCorrectionLevel = normalizedQrOptions.qrErrorCorrectionLevel
             normalized.qrVersion = normalizedQrOptions.qrVersion
             normalized.qrEncodingMode = normalizedQrOptions.qrEncodingMode
-            delete normalized.errorCorrectionLevel
-            delete normalized.version
-            delete normalized.encodingMode
-            delete normalized.width
         }
         if (type === 'shape') {
             normalized.width = ProjectIoUtils.#coerceNumber(normalized.width, defaults.width)
@@ -425,35 +437,48 @@ export class ProjectIoUtils {
             normalized.xOffset = ProjectIoUtils.#coerceNumber(normalized.xOffset, defaults.xOffset)
             normalized.yOffset = ProjectIoUtils.#coerceNumber(normalized.yOffset, defaults.yOffset)
             normalized.rotation = RotationUtils.normalizeDegrees(normalized.rotation, defaults.rotation)
-            const normalizedBarcodeOptions = BarcodeUtils.normalizeItemOptions({
-                barcodeFormat: cleaned.barcodeFormat ?? cleaned.format ?? normalized.barcodeFormat,
-                barcodeShowText: cleaned.barcodeShowText ?? cleaned.displayValue ?? normalized.barcodeShowText,
-                barcodeModuleWidth: cleaned.barcodeModuleWidth ?? cleaned.moduleWidth ?? normalized.barcodeModuleWidth,
-                barcodeMargin: cleaned.barcodeMargin ?? cleaned.margin ?? normalized.barcodeMargin
-            })
+            const normalizedBarcodeOptions = BarcodeUtils.normalizeItemOptions(normalized)
             normalized.barcodeFormat = normalizedBarcodeOptions.barcodeFormat
             normalized.barcodeShowText = normalizedBarcodeOptions.barcodeShowText
             normalized.barcodeModuleWidth = normalizedBarcodeOptions.barcodeModuleWidth
             normalized.barcodeMargin = normalizedBarcodeOptions.barcodeMargin
-            delete normalized.format
-            delete normalized.displayValue
-            delete normalized.moduleWidth
-            delete normalized.margin
         }
 
-        return normalized
+        return ProjectIoUtils.#normalizeItemFlags(normalized)
     }
 
     /**
-     * Determines the next id counter based on existing item ids.
+     * Normalizes the editor-only `locked` and `hidden` flags and the `visibleWhen` condition.
+     * Flags and conditions are kept only when set so unflagged items save without extra keys.
+     * @param {object} item
+     * @returns {object}
+     */
+    static #normalizeItemFlags(item) {
+        ;['locked', 'hidden'].forEach((flag) => {
+            if (ProjectIoUtils.#coerceBoolean(item[flag], false)) {
+                item[flag] = true
+            } else {
+                delete item[flag]
+            }
+        })
+        const visibleWhen = VisibilityConditionUtils.normalizeCondition(item.visibleWhen)
+        if (visibleWhen) {
+            item.visibleWhen = visibleWhen
+        } else {
+            delete item.visibleWhen
+        }
+        return item
+    }
+
+    /**
+     * Determines the next id counter based on existing item ids, including group children.
      * @param {Array<{ id?: string }>} items
      * @returns {number}
      */
     static deriveNextIdCounter(items) {
         let maxId = 0
         const pattern = /^item-(\d+)$/
-        const list = items || []
-        list.forEach((item) => {
+        GroupItemUtils.walkItems(items || [], (item) => {
             if (!item?.id) return
             const match = pattern.exec(item.id)
             if (!match) return
@@ -466,34 +491,70 @@ export class ProjectIoUtils {
     }
 
     /**
-     * Normalizes a raw project payload into an editor-friendly state.
-     * @param {object} rawState
-     * @param {object} defaultState
-     * @returns {{ state: object, nextIdCounter: number }}
+     * Normalizes raw item objects and resolves missing or duplicate ids.
+     * Items with unsupported types and groups without valid children are dropped.
+     * @param {object[]} rawItemList
+     * @returns {{ items: object[], nextIdCounter: number }}
      */
-    static normalizeProjectState(rawState, defaultState) {
-        if (!rawState || typeof rawState !== 'object') {
-            throw new Error('Invalid project file: expected a JSON object.')
-        }
-        if (!Array.isArray(rawState.items)) {
-            throw new Error('Invalid project file: missing items array.')
-        }
+    static normalizeItems(rawItemList) {
+        const rawItems = (Array.isArray(rawItemList) ? rawItemList : []).map((item) =>
+            ProjectIoUtils.stripRuntimeFields(item || {})
+        )
+        const context = { nextIdCounter: ProjectIoUtils.deriveNextIdCounter(rawItems), usedIds: new Set() }
+        const normalizedItems = ProjectIoUtils.#normalizeItemList(rawItems, context)
+        return { items: normalizedItems, nextIdCounter: context.nextIdCounter }
+    }
 
-        const baseState = JSON.parse(JSON.stringify(defaultState))
-        const rawItems = rawState.items.map((item) => ProjectIoUtils.stripRuntimeFields(item || {}))
-        let nextIdCounter = ProjectIoUtils.deriveNextIdCounter(rawItems)
-        const usedIds = new Set()
+    /**
+     * Normalizes one item list level and recurses into group children.
+     * Ids are unique across all nesting levels.
+     * @param {object[]} rawItems
+     * @param {{ nextIdCounter: number, usedIds: Set<string> }} context
+     * @returns {object[]}
+     */
+    static #normalizeItemList(rawItems, context) {
         const normalizedItems = []
-
         rawItems.forEach((item) => {
-            const normalized = ProjectIoUtils.#normalizeItem(item, `item-${nextIdCounter}`)
+            const normalized = ProjectIoUtils.#normalizeItem(item, `item-${context.nextIdCounter}`)
             if (!normalized) return
-            while (!normalized.id || usedIds.has(normalized.id)) {
-                normalized.id = `item-${nextIdCounter++}`
+            while (!normalized.id || context.usedIds.has(normalized.id)) {
+                normalized.id = `item-${context.nextIdCounter++}`
+            }
+            context.usedIds.add(normalized.id)
+            if (normalized.type === 'group') {
+                normalized.children = ProjectIoUtils.#normalizeItemList(normalized.children, context)
+                // Group children are placed in label coordinates and never take part in the flow layout.
+                normalized.children.forEach((child) => {
+                    if (child.type !== 'group') child.positionMode = 'absolute'
+                })
+                if (!normalized.children.length) return
             }
-            usedIds.add(normalized.id)
             normalizedItems.push(normalized)
         })
+        return normalizedItems
+    }
+
+    /**
+     * Migrates a raw project payload to the current schema and normalizes it into an editor-friendly state.
+     * `migration.isNewer` is true when the file comes from a newer schema whose unknown fields were ignored.
+     * @param {object} rawProject
+     * @param {object} defaultState
+     * @returns {{ state: object, nextIdCounter: number, migration: { fromVersion: number, toVersion: number, isNewer: boolean } }}
+     */
+    static normalizeProjectState(rawProject, defaultState) {
+        if (!rawProject || typeof rawProject !== 'object' || Array.isArray(rawProject)) {
+            throw new Error('Invalid project file: expected a JSON object.')
+        }
+        const { project: rawState, ...migration } = ProjectSchemaMigrations.migrate(rawProject)
+        const rawLabels = ProjectIoUtils.#resolveRawLabels(rawState)
+        if (!rawLabels) {
+            throw new Error('Invalid project file: missing labels or items array.')
+        }
+
+        const baseState = JSON.parse(JSON.stringify(defaultState))
+        const { labels, nextIdCounter } = ProjectIoUtils.#normalizeLabels(rawLabels, baseState)
+        const activeLabelIndex = LabelPageUtils.resolveActiveIndex({ labels, activeLabelIndex: rawState.activeLabelIndex })
+        const activeLabel = labels[activeLabelIndex]
 
         const rawBle = rawState.ble && typeof rawState.ble === 'object' ? rawState.ble : {}
         const rawParameters = ProjectIoUtils.#normalizeParameterDefinitions(rawState.parameters)
@@ -501,13 +562,11 @@ export class ProjectIoUtils {
         const rawCustomFontLinks = ProjectIoUtils.#normalizeCustomFontLinks(rawState.customFontLinks)
         const normalizedState = {
             ...baseState,
-            media: typeof rawState.media === 'string' ? rawState.media : baseState.media,
-            mediaLengthMm: ProjectIoUtils.#coerceNullableNumber(rawState.mediaLengthMm, baseState.mediaLengthMm),
+            media: activeLabel.media,
+            mediaLengthMm: activeLabel.mediaLengthMm,
             zoom: ZoomUtils.clampZoom(ProjectIoUtils.#coerceNumber(rawState.zoom, baseState.zoom ?? 1)),
             resolution: typeof rawState.resolution === 'string' ? rawState.resolution : baseState.resolution,
-            orientation: ['horizontal', 'vertical'].includes(rawState.orientation)
-                ? rawState.orientation
-                : baseState.orientation,
+            orientation: activeLabel.orientation,
             backend: ['usb', 'ble'].includes(rawState.backend) ? rawState.backend : baseState.backend,
             printer: typeof rawState.printer === 'string' ? rawState.printer : baseState.printer,
             ble: {
@@ -526,15 +585,56 @@ export class ProjectIoUtils {
             },
             parameters: rawParameters,
             parameterDataRows: rawParameterDataRows,
+            serialCounters: SerialCounterUtils.normalizeCounters(rawState.serialCounters),
             customFontLinks: rawCustomFontLinks,
+            customFonts: CustomFontUtils.normalizeFonts(rawState.customFonts),
             parameterDataRaw: typeof rawState.parameterDataRaw === 'string' ? rawState.parameterDataRaw : '',
             parameterDataSourceName:
                 typeof rawState.parameterDataSourceName === 'string' ? rawState.parameterDataSourceName : '',
-            items: normalizedItems
+            labels,
+            activeLabelIndex,
+            items: [...activeLabel.items]
         }
 
-        nextIdCounter = Math.max(nextIdCounter, ProjectIoUtils.deriveNextIdCounter(normalizedItems))
+        return { state: normalizedState, nextIdCounter, migration }
+    }
 
-        return { state: normalizedState, nextIdCounter }
+    /**
+     * Returns the raw label list of a migrated project, or null when it has no labels.
+     * @param {object} rawState
+     * @returns {object[] | null}
+     */
+    static #resolveRawLabels(rawState) {
+        if (!Array.isArray(rawState.labels)) return null
+        const rawLabels = rawState.labels.filter((label) => ProjectIoUtils.#isPlainObject(label))
+        return rawLabels.length ? rawLabels : null
+    }
+
+    /**
+     * Normalizes raw labels. Item ids are unique across all labels so ids stay stable when switching pages.
+     * @param {object[]} rawLabels
+     * @param {object} baseState
+     * @returns {{ labels: import('./LabelPageUtils.mjs').LabelPage[], nextIdCounter: number }}
+     */
+    static #normalizeLabels(rawLabels, baseState) {
+        const rawItemLists = rawLabels.map((label) =>
+            (Array.isArray(label.items) ? label.items : []).map((item) => ProjectIoUtils.stripRuntimeFields(item || {}))
+        )
+        const context = { nextIdCounter: ProjectIoUtils.deriveNextIdCounter(rawItemLists.flat()), usedIds: new Set() }
+        const usedLabelIds = new Set()
+        const labels = rawLabels.map((label, index) => {
+            const rawId = typeof label.id === 'string' ? label.id.trim() : ''
+            const id = rawId && !usedLabelIds.has(rawId) ? rawId : LabelPageUtils.createPageId(usedLabelIds)
+            usedLabelIds.add(id)
+            return {
+                id,
+                name: typeof label.name === 'string' ? label.name.trim() : '',
+                media: typeof label.media === 'string' ? label.media : baseState.media,
+                mediaLengthMm: ProjectIoUtils.#coerceNullableNumber(label.mediaLengthMm, baseState.mediaLengthMm),
+                orientation: ['horizontal', 'vertical'].includes(label.orientation) ? label.orientation : baseState.orientation,
+                items: ProjectIoUtils.#normalizeItemList(rawItemLists[index], context)
+            }
+        })
+        return { labels, nextIdCounter: context.nextIdCounter }
     }
 }
@@ -0,0 +1,287 @@
+// SPDX-FileCopyrightText: 2026 André Fiedler
+//
+// SPDX-License-Identifier: AGPL-3.0-or-later
+
+import { BarcodeUtils } from './BarcodeUtils.mjs'
+import { CustomFontUtils } from './CustomFontUtils.mjs'
+import { IconLibraryUtils } from './IconLibraryUtils.mjs'
+import { ImageRasterUtils } from './ImageRasterUtils.mjs'
+import { ProjectSchemaMigrations } from './ProjectSchemaMigrations.mjs'
+import { QrCodeUtils } from './QrCodeUtils.mjs'
+import { TextLayoutUtils } from './TextLayoutUtils.mjs'
+import { VisibilityConditionUtils } from './VisibilityConditionUtils.mjs'
+
+/**
+ * Field definitions of the current project schema, written as a JSON Schema subset
+ * (`type`, `const`, `enum`, `minimum`, `maximum`, `minItems`, `properties`, `required`, `additionalProperties`, `items`, `$ref`).
+ * `ProjectValidationUtils` validates against these definitions and `buildJsonSchema` publishes them as `docs/project.schema.json`.
+ * Item lists reference `#/$defs/item`, a union selected by the item `type`.
+ */
+export class ProjectSchemaDefinitions {
+    static #schemaId = 'https://labelprinter.app/docs/project.schema.json'
+    static #shapeTypes = Object.freeze([
+        'rect',
+        'roundRect',
+        'oval',
+        'polygon',
+        'line',
+        'triangle',
+        'diamond',
+        'arrowRight',
+        'arrowLeft',
+        'plus',
+        'dot'
+    ])
+
+    /**
+     * Returns the supported item types in the order of the `item` union.
+     * @returns {string[]}
+     */
+    static getItemTypes() {
+        return Object.keys(ProjectSchemaDefinitions.#buildItemDefinitions())
+    }
+
+    /**
+     * Returns the definition of the project root object.
+     * @returns {Record<string, any>}
+     */
+    static getProjectDefinition() {
+        const string = { type: 'string' }
+        return {
+            type: 'object',
+            properties: {
+                schemaVersion: { type: 'integer', minimum: 0 },
+                appVersion: string,
+                meta: {
+                    type: 'object',
+                    properties: {
+                        editor: { type: 'object', properties: { name: string, url: string } }
+                    }
+                },
+                zoom: { type: 'number' },
+                resolution: string,
+                backend: { type: 'string', enum: ['usb', 'ble'] },
+                printer: string,
+                ble: {
+                    type: 'object',
+                    properties: {
+                        serviceUuid: string,
+                        writeCharacteristicUuid: string,
+                        notifyCharacteristicUuid: string,
+                        namePrefix: string
+                    },
+                    additionalProperties: false
+                },
+                parameters: {
+                    type: 'array',
+                    items: {
+                        type: 'object',
+                        properties: { name: string, defaultValue: string },
+                        required: ['name'],
+                        additionalProperties: false
+                    }
+                },
+                parameterDataRows: { type: 'array', items: { type: 'object' } },
+                parameterDataSourceName: string,
+                parameterDataRaw: string,
+                serialCounters: {
+                    type: 'array',
+                    items: {
+                        type: 'object',
+                        properties: {
+                            name: string,
+                            start: { type: 'integer' },
+                            step: { type: 'integer' },
+                            padding: { type: 'integer', minimum: 0, maximum: 20 },
+                            prefix: string,
+                            suffix: string,
+                            nextValue: { type: 'integer' }
+                        },
+                        required: ['name'],
+                        additionalProperties: false
+                    }
+                },
+                customFontLinks: { type: 'array', items: string },
+                customFonts: {
+                    type: 'array',
+                    items: {
+                        type: 'object',
+                        properties: {
+                            family: string,
+                            fileName: string,
+                            format: { type: 'string', enum: CustomFontUtils.FONT_FORMATS },
+                            embed: { type: 'boolean' },
+                            dataUrl: string
+                        },
+                        required: ['family'],
+                        additionalProperties: false
+                    }
+                },
+                activeLabelIndex: { type: 'integer', minimum: 0 },
+                labels: { type: 'array', minItems: 1, items: { $ref: '#/$defs/label' } }
+            },
+            required: ['labels'],
+            additionalProperties: false
+        }
+    }
+
+    /**
+     * Returns named definitions referenced via `#/$defs/<name>`, including one `<type>Item` entry per item type.
+     * @returns {Record<string, Record<string, any>>}
+     */
+    static getDefinitions() {
+        const itemDefinitions = ProjectSchemaDefinitions.#buildItemDefinitions()
+        const definitions = {
+            label: {
+                type: 'object',
+                properties: {
+                    id: { type: 'string' },
+                    name: { type: 'string' },
+                    media: { type: 'string' },
+                    mediaLengthMm: { type: ['number', 'null'], minimum: 0 },
+                    orientation: { type: 'string', enum: ['horizontal', 'vertical'] },
+                    items: { type: 'array', items: { $ref: '#/$defs/item' } }
+                },
+                additionalProperties: false
+            },
+            item: {
+                oneOf: Object.keys(itemDefinitions).map((type) => ({ $ref: `#/$defs/${type}Item` }))
+            }
+        }
+        Object.entries(itemDefinitions).forEach(([type, definition]) => {
+            definitions[`${type}Item`] = definition
+        })
+        return definitions
+    }
+
+    /**
+     * Builds the published JSON Schema document.
+     * @returns {Record<string, any>}
+     */
+    static buildJsonSchema() {
+        return {
+            $schema: 'https://json-schema.org/draft/2020-12/schema',
+            $id: ProjectSchemaDefinitions.#schemaId,
+            title: 'Labelprinter App project',
+            description: `Project file written by Labelprinter App (schemaVersion ${ProjectSchemaMigrations.CURRENT_VERSION}). Item keys starting with "_" are runtime-only and ignored.`,
+            ...ProjectSchemaDefinitions.getProjectDefinition(),
+            $defs: ProjectSchemaDefinitions.getDefinitions()
+        }
+    }
+
+    /**
+     * Builds an item definition with the fields shared by every item type.
+     * @param {string} type
+     * @param {Record<string, any>} properties
+     * @returns {Record<string, any>}
+     */
+    static #buildItemDefinition(type, properties) {
+        return {
+            type: 'object',
+            properties: {
+                id: { type: 'string' },
+                type: { const: type },
+                positionMode: { type: 'string', enum: ['flow', 'absolute'] },
+                xOffset: { type: 'number' },
+                yOffset: { type: 'number' },
+                rotation: { type: 'number' },
+                hidden: { type: 'boolean' },
+                locked: { type: 'boolean' },
+                visibleWhen: {
+                    type: 'object',
+                    properties: {
+                        parameter: { type: 'string' },
+                        operator: { type: 'string', enum: VisibilityConditionUtils.OPERATORS },
+                        value: { type: 'string' }
+                    },
+                    required: ['parameter'],
+                    additionalProperties: false
+                },
+                ...properties
+            },
+            required: ['type'],
+            patternProperties: { '^_': {} },
+            additionalProperties: false
+        }
+    }
+
+    /**
+     * Builds the per-type item definitions.
+     * @returns {Record<string, Record<string, any>>}
+     */
+    static #buildItemDefinitions() {
+        const number = { type: 'number' }
+        const string = { type: 'string' }
+        const boolean = { type: 'boolean' }
+        const item = (type, properties) => ProjectSchemaDefinitions.#buildItemDefinition(type, properties)
+        return {
+            text: item('text', {
+                text: string,
+                fontFamily: string,
+                fontSize: { type: 'number', minimum: 1 },
+                fontWeight: { type: 'number', minimum: 100, maximum: 900 },
+                fontWidth: { type: 'number', minimum: 50, maximum: 200 },
+                textBold: boolean,
+                textItalic: boolean,
+                textUnderline: boolean,
+                textStrikethrough: boolean,
+                richText: boolean,
+                textAlign: { type: 'string', enum: TextLayoutUtils.TEXT_ALIGN_MODES },
+                letterSpacing: { type: 'number', minimum: -20, maximum: 50 },
+                lineHeight: { type: 'number', minimum: 0, maximum: 5 },
+                boxWidth: { type: 'number', minimum: 0 },
+                overflow: { type: 'string', enum: TextLayoutUtils.OVERFLOW_MODES },
+                minFontSize: { type: 'number', minimum: 1 },
+                textDirection: { type: 'string', enum: TextLayoutUtils.TEXT_DIRECTIONS },
+                stackSpacing: { type: 'number', minimum: 0 },
+                textEffect: { type: 'string', enum: TextLayoutUtils.TEXT_EFFECTS },
+                textEffectPadding: { type: 'number', minimum: 0 },
+                textEffectRadius: { type: 'number', minimum: 0 },
+                height: number
+            }),
+            qr: item('qr', {
+                data: string,
+                size: { type: 'number', minimum: 1 },
+                height: number,
+                qrErrorCorrectionLevel: { type: 'string', enum: QrCodeUtils.getErrorCorrectionLevels() },
+                qrVersion: { type: 'integer', minimum: 0, maximum: 40 },
+                qrEncodingMode: { type: 'string', enum: QrCodeUtils.getEncodingModes() }
+            }),
+            shape: item('shape', {
+                shapeType: { type: 'string', enum: [...ProjectSchemaDefinitions.#shapeTypes] },
+                width: number,
+                height: number,
+                strokeWidth: { type: 'number', minimum: 0 },
+                cornerRadius: { type: 'number', minimum: 0 },
+                sides: { type: 'integer', minimum: 3 }
+            }),
+            image: item('image', {
+                imageData: string,
+                imageName: string,
+                width: { type: 'number', minimum: 8 },
+                height: { type: 'number', minimum: 8 },
+                imageDither: { type: 'string', enum: ImageRasterUtils.DITHER_MODES },
+                imageThreshold: { type: 'integer', minimum: 0, maximum: 255 },
+                imageSmoothing: { type: 'string', enum: ImageRasterUtils.SMOOTHING_MODES },
+                imageInvert: boolean
+            }),
+            icon: item('icon', {
+                iconId: { type: 'string', enum: IconLibraryUtils.getIconDefinitions().map((icon) => icon.id) },
+                width: { type: 'number', minimum: 8 },
+                height: { type: 'number', minimum: 8 }
+            }),
+            barcode: item('barcode', {
+                data: string,
+                width: { type: 'number', minimum: 16 },
+                height: { type: 'number', minimum: 16 },
+                barcodeFormat: { type: 'string', enum: BarcodeUtils.getSupportedFormats() },
+                barcodeShowText: boolean,
+                barcodeModuleWidth: { type: 'integer', minimum: 1, maximum: 6 },
+                barcodeMargin: { type: 'integer', minimum: 0, maximum: 30 }
+            }),
+            group: item('group', {
+                children: { type: 'array', minItems: 1, items: { $ref: '#/$defs/item' } }
+            })
+        }
+    }
+}
@@ -0,0 +1,184 @@
+// SPDX-FileCopyrightText: 2026 André Fiedler
+//
+// SPDX-License-Identifier: AGPL-3.0-or-later
+
+/**
+ * @typedef {object} ProjectSchemaMigration
+ * @property {number} version Schema version the step produces; it runs on projects of `version - 1`.
+ * @property {string} description
+ * @property {(project: object) => object} migrate Returns the migrated project; the input may be mutated.
+ */
+
+/**
+ * Ordered migration steps for saved project files.
+ * Files without `schemaVersion` are version 0. Each step upgrades exactly one version so every
+ * format change can be tested on its own; `ProjectIoUtils` only normalizes the current schema.
+ */
+export class ProjectSchemaMigrations {
+    static #textAliases = Object.freeze({
+        textBold: ['bold'],
+        textItalic: ['italic', 'kursiv'],
+        textUnderline: ['underline', 'underlined'],
+        textStrikethrough: ['strikethrough', 'strikeThrough', 'strike']
+    })
+    static #qrAliases = Object.freeze({
+        qrErrorCorrectionLevel: ['errorCorrectionLevel'],
+        qrVersion: ['version'],
+        qrEncodingMode: ['encodingMode'],
+        size: ['width']
+    })
+    static #barcodeAliases = Object.freeze({
+        barcodeFormat: ['format'],
+        barcodeShowText: ['displayValue'],
+        barcodeModuleWidth: ['moduleWidth'],
+        barcodeMargin: ['margin']
+    })
+
+    /** @type {ReadonlyArray<ProjectSchemaMigration>} */
+    static #steps = Object.freeze([
+        {
+            version: 1,
+            description: 'Rename legacy item field aliases to their canonical names.',
+            migrate: (project) => ProjectSchemaMigrations.#renameItemAliases(project)
+        },
+        {
+            version: 2,
+            description: 'Move top-level media, orientation and items of single-label files into `labels`.',
+            migrate: (project) => ProjectSchemaMigrations.#moveSingleLabelIntoLabels(project)
+        }
+    ])
+
+    /**
+     * Schema version written by this app.
+     * @returns {number}
+     */
+    static get CURRENT_VERSION() {
+        return ProjectSchemaMigrations.#steps[ProjectSchemaMigrations.#steps.length - 1].version
+    }
+
+    /**
+     * Returns the migration steps in the order they run.
+     * @returns {ReadonlyArray<ProjectSchemaMigration>}
+     */
+    static getSteps() {
+        return ProjectSchemaMigrations.#steps
+    }
+
+    /**
+     * Reads the schema version of a raw project. Missing or invalid values mean version 0.
+     * @param {object} rawProject
+     * @returns {number}
+     */
+    static resolveVersion(rawProject) {
+        const version = Number(rawProject?.schemaVersion)
+        return Number.isInteger(version) && version > 0 ? version : 0
+    }
+
+    /**
+     * Upgrades a raw project to the current schema without mutating the input.
+     * Projects from a newer schema are returned unchanged and flagged so callers can warn about ignored fields.
+     * @param {object} rawProject
+     * @returns {{ project: object, fromVersion: number, toVersion: number, isNewer: boolean }}
+     */
+    static migrate(rawProject) {
+        const fromVersion = ProjectSchemaMigrations.resolveVersion(rawProject)
+        const toVersion = ProjectSchemaMigrations.CURRENT_VERSION
+        let project = JSON.parse(JSON.stringify(rawProject))
+        ProjectSchemaMigrations.#steps
+            .filter((step) => step.version > fromVersion)
+            .forEach((step) => {
+                project = step.migrate(project)
+                project.schemaVersion = step.version
+            })
+        return { project, fromVersion, toVersion, isNewer: fromVersion > toVersion }
+    }
+
+    /**
+     * Returns all item lists of a project: top-level items, label items and nested group children.
+     * @param {object} project
+     * @returns {object[]}
+     */
+    static #collectItems(project) {
+        const collected = []
+        const visit = (items) => {
+            if (!Array.isArray(items)) return
+            items.forEach((item) => {
+                if (!item || typeof item !== 'object') return
+                collected.push(item)
+                if (item.type === 'group') visit(item.children)
+            })
+        }
+        visit(project.items)
+        if (Array.isArray(project.labels)) {
+            project.labels.forEach((label) => visit(label?.items))
+        }
+        return collected
+    }
+
+    /**
+     * Moves the first present alias value into the canonical key and removes all aliases.
+     * The canonical key wins when both are set.
+     * @param {object} item
+     * @param {Record<string, string[]>} aliasMap
+     */
+    static #applyAliases(item, aliasMap) {
+        Object.entries(aliasMap).forEach(([key, aliases]) => {
+            const aliasKey = aliases.find((alias) => item[alias] !== undefined)
+            if (item[key] === undefined && aliasKey) item[key] = item[aliasKey]
+            aliases.forEach((alias) => delete item[alias])
+        })
+    }
+
+    /**
+     * Version 1: canonical item field names.
+     * @param {object} project
+     * @returns {object}
+     */
+    static #renameItemAliases(project) {
+        ProjectSchemaMigrations.#collectItems(project).forEach((item) => {
+            if (item.type === 'text') {
+                const fontWeight = String(item.fontWeight || '').toLowerCase()
+                const fontStyle = String(item.fontStyle || '').toLowerCase()
+                const textDecoration = String(item.textDecoration || '').toLowerCase()
+                ProjectSchemaMigrations.#applyAliases(item, ProjectSchemaMigrations.#textAliases)
+                item.textBold ??= fontWeight === 'bold'
+                item.textItalic ??= fontStyle === 'italic'
+                item.textUnderline ??= textDecoration === 'underline'
+                item.textStrikethrough ??= textDecoration === 'line-through' || textDecoration === 'strikethrough'
+                // Only the legacy CSS keywords are aliases; numeric weights are the current `fontWeight` property.
+                if (fontWeight === 'bold' || fontWeight === 'normal') delete item.fontWeight
+                delete item.fontStyle
+                delete item.textDecoration
+            }
+            if (item.type === 'qr') ProjectSchemaMigrations.#applyAliases(item, ProjectSchemaMigrations.#qrAliases)
+            if (item.type === 'barcode') ProjectSchemaMigrations.#applyAliases(item, ProjectSchemaMigrations.#barcodeAliases)
+        })
+        return project
+    }
+
+    /**
+     * Version 2: multi-label projects. Files that already carry labels keep them.
+     * @param {object} project
+     * @returns {object}
+     */
+    static #moveSingleLabelIntoLabels(project) {
+        const hasLabels =
+            Array.isArray(project.labels) && project.labels.some((label) => label && typeof label === 'object' && !Array.isArray(label))
+        if (!hasLabels && Array.isArray(project.items)) {
+            project.labels = [
+                {
+                    media: project.media,
+                    mediaLengthMm: project.mediaLengthMm,
+                    orientation: project.orientation,
+                    items: project.items
+                }
+            ]
+            project.activeLabelIndex = 0
+        }
+        delete project.media
+        delete project.mediaLengthMm
+        delete project.orientation
+        delete project.items
+        return project
+    }
+}
@@ -0,0 +1,414 @@
+// SPDX-FileCopyrightText: 2026 André Fiedler
+//
+// SPDX-License-Identifier: AGPL-3.0-or-later
+
+import { ProjectSchemaDefinitions } from './ProjectSchemaDefinitions.mjs'
+import { ProjectSchemaMigrations } from './ProjectSchemaMigrations.mjs'
+
+/**
+ * @typedef {object} ProjectValidationIssue
+ * @property {'error' | 'warning'} level
+ * @property {string} code
+ * @property {string} path JSON path of the offending value, e.g. `items[3].barcodeFormat`; empty for the root.
+ * @property {string} message English reason; the UI translates by `code`.
+ */
+
+/**
+ * Strict validation of project files against `ProjectSchemaDefinitions`.
+ * Loading stays lenient (`ProjectIoUtils` falls back to defaults); this pass reports every value the loader would
+ * silently replace or drop. Projects are migrated first, so legacy aliases are reported under their canonical names.
+ */
+export class ProjectValidationUtils {
+    static #maxListedValues = 12
+
+    /**
+     * Validates a raw project object.
+     * @param {unknown} rawProject
+     * @returns {{ valid: boolean, errors: ProjectValidationIssue[], warnings: ProjectValidationIssue[] }}
+     */
+    static validateProject(rawProject) {
+        const issues = []
+        if (!ProjectValidationUtils.#isPlainObject(rawProject)) {
+            issues.push(ProjectValidationUtils.#buildTypeIssue('', ['object'], rawProject))
+            return ProjectValidationUtils.#buildResult(issues)
+        }
+        const { project, fromVersion, toVersion, isNewer } = ProjectSchemaMigrations.migrate(rawProject)
+        if (isNewer) {
+            issues.push({
+                level: 'warning',
+                code: 'newer-schema',
+                path: 'schemaVersion',
+                version: fromVersion,
+                supportedVersion: toVersion,
+                message: `Schema version ${fromVersion} is newer than the supported version ${toVersion}; unknown fields are ignored.`
+            })
+        }
+        const context = { definitions: ProjectSchemaDefinitions.getDefinitions(), issues }
+        ProjectValidationUtils.#validateValue(project, ProjectSchemaDefinitions.getProjectDefinition(), '', context)
+        ProjectValidationUtils.#checkActiveLabelIndex(project, issues)
+        ProjectValidationUtils.#checkDuplicateIds(project, issues)
+        if (ProjectValidationUtils.#wasMovedIntoLabels(rawProject, fromVersion)) {
+            issues.forEach((issue) => {
+                issue.path = issue.path.replace(/^labels\[0\]\.?/, '')
+            })
+        }
+        return ProjectValidationUtils.#buildResult(issues)
+    }
+
+    /**
+     * Formats a list of allowed values for messages, shortening long lists.
+     * @param {unknown[]} values
+     * @returns {string}
+     */
+    static formatAllowedValues(values) {
+        const list = Array.isArray(values) ? values.map((value) => JSON.stringify(value)) : []
+        const limit = ProjectValidationUtils.#maxListedValues
+        return list.length > limit ? `${list.slice(0, limit).join(', ')}, … (${list.length - limit} more)` : list.join(', ')
+    }
+
+    /**
+     * Splits issues by level.
+     * @param {ProjectValidationIssue[]} issues
+     * @returns {{ valid: boolean, errors: ProjectValidationIssue[], warnings: ProjectValidationIssue[] }}
+     */
+    static #buildResult(issues) {
+        const errors = issues.filter((issue) => issue.level === 'error')
+        const warnings = issues.filter((issue) => issue.level === 'warning')
+        return { valid: errors.length === 0, errors, warnings }
+    }
+
+    /**
+     * Returns true when migration step 2 moved top-level items into `labels[0]`, so paths should point at the original keys.
+     * @param {object} rawProject
+     * @param {number} fromVersion
+     * @returns {boolean}
+     */
+    static #wasMovedIntoLabels(rawProject, fromVersion) {
+        if (fromVersion >= 2 || !Array.isArray(rawProject.items)) return false
+        return !(Array.isArray(rawProject.labels) && rawProject.labels.some((label) => ProjectValidationUtils.#isPlainObject(label)))
+    }
+
+    /**
+     * Validates one value against a definition and records issues.
+     * @param {unknown} value
+     * @param {Record<string, any>} definition
+     * @param {string} path
+     * @param {{ definitions: Record<string, any>, issues: ProjectValidationIssue[] }} context
+     */
+    static #validateValue(value, definition, path, context) {
+        if (definition.$ref) {
+            const name = definition.$ref.replace('#/$defs/', '')
+            ProjectValidationUtils.#validateValue(value, context.definitions[name], path, context)
+            return
+        }
+        if (definition.oneOf) {
+            ProjectValidationUtils.#validateItem(value, definition.oneOf, path, context)
+            return
+        }
+        if (definition.const !== undefined && value !== definition.const) {
+            context.issues.push(ProjectValidationUtils.#buildValueIssue(path, [definition.const], value))
+            return
+        }
+        if (definition.type) {
+            const types = Array.isArray(definition.type) ? definition.type : [definition.type]
+            if (!types.some((type) => ProjectValidationUtils.#matchesType(value, type))) {
+                context.issues.push(ProjectValidationUtils.#buildTypeIssue(path, types, value))
+                return
+            }
+        }
+        if (definition.enum && !definition.enum.includes(value)) {
+            context.issues.push(ProjectValidationUtils.#buildValueIssue(path, definition.enum, value))
+            return
+        }
+        if (typeof value === 'number') {
+            ProjectValidationUtils.#checkRange(value, definition, path, context.issues)
+        }
+        if (Array.isArray(value)) {
+            ProjectValidationUtils.#validateArray(value, definition, path, context)
+        } else if (ProjectValidationUtils.#isPlainObject(value) && definition.properties) {
+            ProjectValidationUtils.#validateObject(value, definition, path, context)
+        }
+    }
+
+    /**
+     * Picks the item definition by `type` and validates the item against it.
+     * @param {unknown} item
+     * @param {Array<{ $ref: string }>} variants
+     * @param {string} path
+     * @param {{ definitions: Record<string, any>, issues: ProjectValidationIssue[] }} context
+     */
+    static #validateItem(item, variants, path, context) {
+        if (!ProjectValidationUtils.#isPlainObject(item)) {
+            context.issues.push(ProjectValidationUtils.#buildTypeIssue(path, ['object'], item))
+            return
+        }
+        const typePath = ProjectValidationUtils.#joinPath(path, 'type')
+        if (item.type === undefined) {
+            context.issues.push(ProjectValidationUtils.#buildMissingIssue(typePath, 'type'))
+            return
+        }
+        const definitions = variants.map((variant) => context.definitions[variant.$ref.replace('#/$defs/', '')])
+        const definition = definitions.find((entry) => entry.properties.type.const === item.type)
+        if (!definition) {
+            const allowed = definitions.map((entry) => entry.properties.type.const)
+            context.issues.push({
+                level: 'error',
+                code: 'unknown-item-type',
+                path: typePath,
+                value: item.type,
+                allowed,
+                message: `Unknown item type ${JSON.stringify(item.type)}; the item is dropped on load. Allowed: ${ProjectValidationUtils.formatAllowedValues(allowed)}.`
+            })
+            return
+        }
+        ProjectValidationUtils.#validateValue(item, definition, path, context)
+    }
+
+    /**
+     * Validates array length and entries.
+     * @param {unknown[]} value
+     * @param {Record<string, any>} definition
+     * @param {string} path
+     * @param {{ definitions: Record<string, any>, issues: ProjectValidationIssue[] }} context
+     */
+    static #validateArray(value, definition, path, context) {
+        if (Number.isFinite(definition.minItems) && value.length < definition.minItems) {
+            context.issues.push({
+                level: 'error',
+                code: 'too-few-entries',
+                path,
+                minimum: definition.minItems,
+                count: value.length,
+                message: `Needs at least ${definition.minItems} entr${definition.minItems === 1 ? 'y' : 'ies'}, got ${value.length}.`
+            })
+        }
+        if (!definition.items) return
+        value.forEach((entry, index) => {
+            ProjectValidationUtils.#validateValue(entry, definition.items, `${path}[${index}]`, context)
+        })
+    }
+
+    /**
+     * Validates required, known and unknown properties of an object.
+     * @param {Record<string, unknown>} value
+     * @param {Record<string, any>} definition
+     * @param {string} path
+     * @param {{ definitions: Record<string, any>, issues: ProjectValidationIssue[] }} context
+     */
+    static #validateObject(value, definition, path, context) {
+        ;(definition.required || []).forEach((property) => {
+            if (value[property] === undefined) {
+                context.issues.push(ProjectValidationUtils.#buildMissingIssue(ProjectValidationUtils.#joinPath(path, property), property))
+            }
+        })
+        const patterns = Object.keys(definition.patternProperties || {}).map((pattern) => new RegExp(pattern))
+        Object.entries(value).forEach(([property, propertyValue]) => {
+            if (propertyValue === undefined) return
+            const propertyPath = ProjectValidationUtils.#joinPath(path, property)
+            if (Object.hasOwn(definition.properties, property)) {
+                ProjectValidationUtils.#validateValue(propertyValue, definition.properties[property], propertyPath, context)
+                return
+            }
+            if (definition.additionalProperties !== false || patterns.some((pattern) => pattern.test(property))) return
+            context.issues.push({
+                level: 'warning',
+                code: 'unknown-property',
+                path: propertyPath,
+                property,
+                message: `Unknown property "${property}" is ignored.`
+            })
+        })
+    }
+
+    /**
+     * Records minimum and maximum violations.
+     * @param {number} value
+     * @param {Record<string, any>} definition
+     * @param {string} path
+     * @param {ProjectValidationIssue[]} issues
+     */
+    static #checkRange(value, definition, path, issues) {
+        if (Number.isFinite(definition.minimum) && value < definition.minimum) {
+            issues.push({
+                level: 'error',
+                code: 'below-minimum',
+                path,
+                value,
+                minimum: definition.minimum,
+                message: `Value ${value} is below the minimum ${definition.minimum}.`
+            })
+        }
+        if (Number.isFinite(definition.maximum) && value > definition.maximum) {
+            issues.push({
+                level: 'error',
+                code: 'above-maximum',
+                path,
+                value,
+                maximum: definition.maximum,
+                message: `Value ${value} is above the maximum ${definition.maximum}.`
+            })
+        }
+    }
+
+    /**
+     * Warns when `activeLabelIndex` points past the last label; the loader clamps it.
+     * @param {Record<string, any>} project
+     * @param {ProjectValidationIssue[]} issues
+     */
+    static #checkActiveLabelIndex(project, issues) {
+        const count = Array.isArray(project.labels) ? project.labels.length : 0
+        const index = project.activeLabelIndex
+        if (!count || !Number.isInteger(index) || index < count) return
+        issues.push({
+            level: 'warning',
+            code: 'active-label-out-of-range',
+            path: 'activeLabelIndex',
+            value: index,
+            count,
+            message: `Active label index ${index} is out of range for ${count} label${count === 1 ? '' : 's'}.`
+        })
+    }
+
+    /**
+     * Warns about repeated label and item ids; the loader assigns new ids to repeats.
+     * @param {Record<string, any>} project
+     * @param {ProjectValidationIssue[]} issues
+     */
+    static #checkDuplicateIds(project, issues) {
+        const labelIds = new Set()
+        const itemIds = new Set()
+        const check = (entry, path, seen) => {
+            const id = entry?.id
+            if (typeof id !== 'string' || !id) return
+            if (seen.has(id)) {
+                issues.push({
+                    level: 'warning',
+                    code: 'duplicate-id',
+                    path: ProjectValidationUtils.#joinPath(path, 'id'),
+                    id,
+                    message: `Id "${id}" is used more than once and will be replaced on load.`
+                })
+            }
+            seen.add(id)
+        }
+        const visitItems = (items, path) => {
+            if (!Array.isArray(items)) return
+            items.forEach((item, index) => {
+                const itemPath = `${path}[${index}]`
+                check(item, itemPath, itemIds)
+                if (item?.type === 'group') visitItems(item.children, ProjectValidationUtils.#joinPath(itemPath, 'children'))
+            })
+        }
+        if (!Array.isArray(project.labels)) return
+        project.labels.forEach((label, index) => {
+            check(label, `labels[${index}]`, labelIds)
+            visitItems(label?.items, `labels[${index}].items`)
+        })
+    }
+
+    /**
+     * Builds a type mismatch issue.
+     * @param {string} path
+     * @param {string[]} expected
+     * @param {unknown} value
+     * @returns {ProjectValidationIssue}
+     */
+    static #buildTypeIssue(path, expected, value) {
+        const actual = ProjectValidationUtils.#describeType(value)
+        return {
+            level: 'error',
+            code: 'invalid-type',
+            path,
+            expected: expected.join(' | '),
+            actual,
+            message: `Expected ${expected.join(' or ')}, got ${actual}.`
+        }
+    }
+
+    /**
+     * Builds an issue for a value outside the allowed set.
+     * @param {string} path
+     * @param {unknown[]} allowed
+     * @param {unknown} value
+     * @returns {ProjectValidationIssue}
+     */
+    static #buildValueIssue(path, allowed, value) {
+        return {
+            level: 'error',
+            code: 'invalid-value',
+            path,
+            value,
+            allowed: [...allowed],
+            message: `Value ${JSON.stringify(value)} is not allowed. Allowed: ${ProjectValidationUtils.formatAllowedValues(allowed)}.`
+        }
+    }
+
+    /**
+     * Builds an issue for a missing required property.
+     * @param {string} path
+     * @param {string} property
+     * @returns {ProjectValidationIssue}
+     */
+    static #buildMissingIssue(path, property) {
+        return {
+            level: 'error',
+            code: 'missing-required',
+            path,
+            property,
+            message: `Required property "${property}" is missing.`
+        }
+    }
+
+    /**
+     * Returns true when a value matches a JSON Schema type name.
+     * @param {unknown} value
+     * @param {string} type
+     * @returns {boolean}
+     */
+    static #matchesType(value, type) {
+        switch (type) {
+            case 'object':
+                return ProjectValidationUtils.#isPlainObject(value)
+            case 'array':
+                return Array.isArray(value)
+            case 'integer':
+                return Number.isInteger(value)
+            case 'number':
+                return typeof value === 'number' && Number.isFinite(value)
+            case 'null':
+                return value === null
+            default:
+                return typeof value === type
+        }
+    }
+
+    /**
+     * Describes the JSON type of a value for messages.
+     * @param {unknown} value
+     * @returns {string}
+     */
+    static #describeType(value) {
+        if (value === null) return 'null'
+        if (Array.isArray(value)) return 'array'
+        return typeof value
+    }
+
+    /**
+     * Appends a property name to a JSON path.
+     * @param {string} path
+     * @param {string} property
+     * @returns {string}
+     */
+    static #joinPath(path, property) {
+        return path ? `${path}.${property}` : property
+    }
+
+    /**
+     * Returns true for non-null, non-array objects.
+     * @param {unknown} value
+     * @returns {boolean}
+     */
+    static #isPlainObject(value) {
+        return Boolean(value) && typeof value === 'object' && !Array.isArray(value)
+    }
+}
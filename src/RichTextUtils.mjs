@@ -0,0 +1,285 @@
+// SPDX-FileCopyrightText: 2026 André Fiedler
+//
+// SPDX-License-Identifier: AGPL-3.0-or-later
+
+/**
+ * @typedef {object} RichTextRun
+ * @property {string} text
+ * @property {boolean} bold
+ * @property {boolean} italic
+ * @property {boolean} underline
+ * @property {number} size Font size in item units; `0` uses the item font size.
+ * @property {string} family Font family; empty uses the item font family.
+ */
+
+/**
+ * Lightweight markup for styled runs inside one text item (`richText: true`).
+ * `**bold**`, `*italic*`, `__underline__`, `[size=20]…[/size]` and `[font=Name]…[/font]`; `\` escapes the next character.
+ * Lines are laid out as tokens (words and single spaces) so wrapping and `justify` work across runs.
+ * `src/workers/PrintPageTextSupport.mjs` keeps standalone copies for the classic print-page worker.
+ */
+export class RichTextUtils {
+    static #ellipsis = '\u2026'
+    static #softHyphen = '\u00AD'
+    static #markers = Object.freeze([
+        ['**', 'bold'],
+        ['__', 'underline'],
+        ['*', 'italic']
+    ])
+    static #tagPattern = /^\[(\/?)(size|font)(?:=([^\]\n]*))?\]/
+
+    /**
+     * Escapes markup characters so a value renders literally.
+     * @param {unknown} value
+     * @returns {string}
+     */
+    static escapeMarkup(value) {
+        return String(value ?? '').replace(/[\\*_[\]]/g, '\\$&')
+    }
+
+    /**
+     * Escapes every placeholder value for rich-text templates.
+     * @param {Record<string, unknown>} values
+     * @returns {Record<string, string>}
+     */
+    static escapeValues(values) {
+        return Object.fromEntries(Object.entries(values || {}).map(([name, value]) => [name, RichTextUtils.escapeMarkup(value)]))
+    }
+
+    /**
+     * Parses markup into paragraphs of styled runs; unknown tags and single `_` stay literal.
+     * @param {string} text
+     * @returns {RichTextRun[][]}
+     */
+    static parseMarkup(text) {
+        const source = String(text ?? '').replace(/\r/g, '')
+        const paragraphs = [[]]
+        const style = { bold: false, italic: false, underline: false }
+        const sizes = []
+        const families = []
+        let buffer = ''
+        const flush = () => {
+            if (!buffer) return
+            paragraphs[paragraphs.length - 1].push({
+                text: buffer,
+                ...style,
+                size: sizes.length ? sizes[sizes.length - 1] : 0,
+                family: families.length ? families[families.length - 1] : ''
+            })
+            buffer = ''
+        }
+        let index = 0
+        while (index < source.length) {
+            const char = source[index]
+            if (char === '\\' && index + 1 < source.length) {
+                buffer += source[index + 1]
+                index += 2
+                continue
+            }
+            if (char === '\n') {
+                flush()
+                paragraphs.push([])
+                index += 1
+                continue
+            }
+            const marker = RichTextUtils.#markers.find(([token]) => source.startsWith(token, index))
+            if (marker) {
+                flush()
+                style[marker[1]] = !style[marker[1]]
+                index += marker[0].length
+                continue
+            }
+            const tag = char === '[' ? RichTextUtils.#tagPattern.exec(source.slice(index)) : null
+            if (tag) {
+                flush()
+                const stack = tag[2] === 'size' ? sizes : families
+                if (tag[1]) {
+                    stack.pop()
+                } else if (tag[2] === 'size') {
+                    const size = Number(tag[3])
+                    stack.push(Number.isFinite(size) && size > 0 ? size : 0)
+                } else {
+                    stack.push(String(tag[3] || '').trim())
+                }
+                index += tag[0].length
+                continue
+            }
+            buffer += char
+            index += 1
+        }
+        flush()
+        return paragraphs
+    }
+
+    /**
+     * Returns the text without markup.
+     * @param {string} text
+     * @returns {string}
+     */
+    static toPlainText(text) {
+        return RichTextUtils.parseMarkup(text)
+            .map((runs) => runs.map((run) => run.text).join(''))
+            .join('\n')
+    }
+
+    /**
+     * Splits paragraphs into word and space tokens and word-wraps them into a fixed-width box.
+     * Without a box every paragraph is one line; `paragraphEnds` marks rows that `justify` keeps left-aligned.
+     * @param {RichTextRun[][]} paragraphs
+     * @param {number} boxWidth
+     * @param {(token: RichTextRun) => number} measureWidth
+     * @returns {{ lines: Array<Array<RichTextRun & { width: number }>>, paragraphEnds: boolean[] }}
+     */
+    static layoutParagraphs(paragraphs, boxWidth, measureWidth) {
+        const sources = Array.isArray(paragraphs) && paragraphs.length ? paragraphs : [[]]
+        const width = Math.max(0, Math.round(Number(boxWidth) || 0))
+        const lines = []
+        const paragraphEnds = []
+        sources.forEach((runs, paragraphIndex) => {
+            const tokens = RichTextUtils.#tokenize(runs, measureWidth)
+            const rows = width ? RichTextUtils.#wrapTokens(tokens, width) : [tokens]
+            rows.forEach((row, rowIndex) => {
+                lines.push(row)
+                paragraphEnds.push(width ? rowIndex === rows.length - 1 : paragraphIndex === sources.length - 1)
+            })
+        })
+        return { lines, paragraphEnds }
+    }
+
+    /**
+     * Returns the plain text of one laid-out line.
+     * @param {Array<{ text: string }>} tokens
+     * @returns {string}
+     */
+    static lineText(tokens) {
+        return (Array.isArray(tokens) ? tokens : []).map((token) => token.text).join('')
+    }
+
+    /**
+     * Returns the advance width of one laid-out line.
+     * @param {Array<{ width: number }>} tokens
+     * @returns {number}
+     */
+    static lineWidth(tokens) {
+        return (Array.isArray(tokens) ? tokens : []).reduce((sum, token) => sum + Number(token.width || 0), 0)
+    }
+
+    /**
+     * Shortens a line with a trailing ellipsis (in the style of the last kept character) until it fits the width.
+     * @param {Array<RichTextRun & { width: number }>} tokens
+     * @param {number} width
+     * @param {(token: RichTextRun) => number} measureWidth
+     * @returns {Array<RichTextRun & { width: number }>}
+     */
+    static truncateTokens(tokens, width, measureWidth) {
+        const source = Array.isArray(tokens) ? tokens : []
+        if (!(Number(width) > 0) || RichTextUtils.lineWidth(source) <= width) return source
+        const chars = source.flatMap((token) => Array.from(token.text).map((char) => ({ token, char })))
+        while (chars.length) {
+            while (chars.length && chars[chars.length - 1].char === ' ') chars.pop()
+            if (!chars.length) break
+            const runs = []
+            chars.forEach(({ token, char }) => {
+                const last = runs[runs.length - 1]
+                if (last?.origin === token) {
+                    last.text += char
+                } else {
+                    runs.push({ origin: token, text: char })
+                }
+            })
+            runs[runs.length - 1].text += RichTextUtils.#ellipsis
+            const candidate = RichTextUtils.#tokenize(
+                runs.map(({ origin, text }) => ({ ...origin, text })),
+                measureWidth
+            )
+            if (RichTextUtils.lineWidth(candidate) <= width) return candidate
+            chars.pop()
+        }
+        return RichTextUtils.#tokenize(source.length ? [{ ...source[0], text: RichTextUtils.#ellipsis }] : [], measureWidth)
+    }
+
+    /**
+     * Places the tokens of one line inside a block that is as wide as its longest line.
+     * Justified lines spread the spare width over their word gaps; the last line stays left-aligned.
+     * @param {{
+     *  tokens: Array<RichTextRun & { width: number }>,
+     *  textAlign: string,
+     *  blockAdvance: number,
+     *  isLastLine: boolean
+     * }} options
+     * @returns {{ tokens: Array<RichTextRun & { width: number, x: number }>, offsetX: number, extraWidth: number }}
+     */
+    static positionTokens({ tokens, textAlign, blockAdvance, isLastLine }) {
+        const source = Array.isArray(tokens) ? tokens : []
+        const spareWidth = Math.max(0, Number(blockAdvance || 0) - RichTextUtils.lineWidth(source))
+        const mode = String(textAlign || 'left')
+        const firstWord = source.findIndex((token) => token.text !== ' ')
+        const gaps = source.filter((token, index) => index > firstWord && token.text === ' ').length
+        const justify = mode === 'justify' && !isLastLine && gaps > 0 && spareWidth > 0
+        const gapExtra = justify ? spareWidth / gaps : 0
+        const offsetX = justify ? 0 : mode === 'center' ? spareWidth / 2 : mode === 'right' ? spareWidth : 0
+        let cursorX = offsetX
+        const placed = source.map((token, index) => {
+            const entry = { ...token, x: cursorX }
+            cursorX += Number(token.width || 0) + (index > firstWord && token.text === ' ' ? gapExtra : 0)
+            return entry
+        })
+        return { tokens: placed, offsetX, extraWidth: justify ? spareWidth : 0 }
+    }
+
+    /**
+     * Splits runs into measured word and single-space tokens; soft hyphens are dropped.
+     * @param {RichTextRun[]} runs
+     * @param {(token: RichTextRun) => number} measureWidth
+     * @returns {Array<RichTextRun & { width: number }>}
+     */
+    static #tokenize(runs, measureWidth) {
+        return (Array.isArray(runs) ? runs : []).flatMap((run) =>
+            String(run.text || '')
+                .split(RichTextUtils.#softHyphen)
+                .join('')
+                .split(/( )/)
+                .filter(Boolean)
+                .map((text) => {
+                    const token = { ...run, text }
+                    return { ...token, width: measureWidth(token) }
+                })
+        )
+    }
+
+    /**
+     * Greedily fills rows with whole words; spaces at row breaks are dropped and overlong words keep their own row.
+     * @param {Array<RichTextRun & { width: number }>} tokens
+     * @param {number} width
+     * @returns {Array<Array<RichTextRun & { width: number }>>}
+     */
+    static #wrapTokens(tokens, width) {
+        const rows = []
+        let row = []
+        let spaces = []
+        let word = []
+        const placeWord = () => {
+            if (!word.length) return
+            const wordWidth = RichTextUtils.lineWidth(word)
+            if (row.length && RichTextUtils.lineWidth(row) + RichTextUtils.lineWidth(spaces) + wordWidth > width) {
+                rows.push(row)
+                row = [...word]
+            } else {
+                row.push(...spaces, ...word)
+            }
+            spaces = []
+            word = []
+        }
+        tokens.forEach((token) => {
+            if (token.text === ' ') {
+                placeWord()
+                spaces.push(token)
+            } else {
+                word.push(token)
+            }
+        })
+        placeWord()
+        rows.push(row.length ? row : spaces)
+        return rows
+    }
+}
@@ -0,0 +1,129 @@
+// SPDX-FileCopyrightText: 2026 André Fiedler
+//
+// SPDX-License-Identifier: AGPL-3.0-or-later
+
+/**
+ * @typedef {object} SerialCounter
+ * @property {string} name Placeholder name, used as `{{name}}`.
+ * @property {number} start Value of the first label after a reset.
+ * @property {number} step Increment between two labels; may be negative but not zero.
+ * @property {number} padding Minimum digit count; shorter numbers get leading zeros.
+ * @property {string} prefix Text printed before the number.
+ * @property {string} suffix Text printed after the number.
+ * @property {number} nextValue Value of the next printed label; advanced after each print so batches continue.
+ */
+
+/**
+ * Serial number counters that fill `{{name}}` placeholders without a data file.
+ * Counter values are added to the parameter value maps before rendering, so preview, print and print workers
+ * resolve them like any other parameter.
+ */
+export class SerialCounterUtils {
+    static #maxPadding = 20
+
+    /**
+     * Creates a counter with default settings.
+     * @param {string} name
+     * @returns {SerialCounter}
+     */
+    static createCounter(name) {
+        return SerialCounterUtils.normalizeCounter({ name })
+    }
+
+    /**
+     * Normalizes one counter; numbers are rounded to integers and a zero step becomes `1`.
+     * @param {unknown} counter
+     * @returns {SerialCounter}
+     */
+    static normalizeCounter(counter) {
+        const source = counter && typeof counter === 'object' && !Array.isArray(counter) ? counter : {}
+        const start = SerialCounterUtils.#toInteger(source.start, 1)
+        return {
+            name: String(source.name || '').trim(),
+            start,
+            step: SerialCounterUtils.#toInteger(source.step, 1) || 1,
+            padding: Math.min(SerialCounterUtils.#maxPadding, Math.max(0, SerialCounterUtils.#toInteger(source.padding, 0))),
+            prefix: String(source.prefix ?? ''),
+            suffix: String(source.suffix ?? ''),
+            nextValue: SerialCounterUtils.#toInteger(source.nextValue, start)
+        }
+    }
+
+    /**
+     * Normalizes a counter list.
+     * @param {unknown} counters
+     * @returns {SerialCounter[]}
+     */
+    static normalizeCounters(counters) {
+        if (!Array.isArray(counters)) return []
+        return counters.map((counter) => SerialCounterUtils.normalizeCounter(counter))
+    }
+
+    /**
+     * Formats a counter value with padding, prefix and suffix, for example `A-0042`.
+     * @param {SerialCounter} counter
+     * @param {number} value
+     * @returns {string}
+     */
+    static formatValue(counter, value) {
+        const normalized = SerialCounterUtils.normalizeCounter(counter)
+        const number = SerialCounterUtils.#toInteger(value, normalized.start)
+        const digits = String(Math.abs(number)).padStart(normalized.padding, '0')
+        return `${normalized.prefix}${number < 0 ? '-' : ''}${digits}${normalized.suffix}`
+    }
+
+    /**
+     * Builds the counter values of a batch: label `index` uses `nextValue + index * step`.
+     * Counters without a name are skipped.
+     * @param {unknown} counters
+     * @param {number} count
+     * @returns {Array<Record<string, string>>}
+     */
+    static buildValueMaps(counters, count) {
+        const normalized = SerialCounterUtils.normalizeCounters(counters).filter((counter) => counter.name)
+        return Array.from({ length: Math.max(0, Math.floor(Number(count) || 0)) }, (_, index) => {
+            const values = {}
+            normalized.forEach((counter) => {
+                values[counter.name] = SerialCounterUtils.formatValue(counter, counter.nextValue + index * counter.step)
+            })
+            return values
+        })
+    }
+
+    /**
+     * Returns counters whose `nextValue` continues after a printed batch of `count` labels.
+     * @param {unknown} counters
+     * @param {number} count
+     * @returns {SerialCounter[]}
+     */
+    static advanceCounters(counters, count) {
+        const labels = Math.max(0, Math.floor(Number(count) || 0))
+        return SerialCounterUtils.normalizeCounters(counters).map((counter) => ({
+            ...counter,
+            nextValue: counter.nextValue + labels * counter.step
+        }))
+    }
+
+    /**
+     * Returns the trimmed, non-empty counter names.
+     * @param {unknown} counters
+     * @returns {string[]}
+     */
+    static collectCounterNames(counters) {
+        return SerialCounterUtils.normalizeCounters(counters)
+            .map((counter) => counter.name)
+            .filter(Boolean)
+    }
+
+    /**
+     * Coerces a value to an integer.
+     * @param {unknown} value
+     * @param {number} fallback
+     * @returns {number}
+     */
+    static #toInteger(value, fallback) {
+        if (value === '' || value === null || value === undefined) return fallback
+        const number = Number(value)
+        return Number.isFinite(number) ? Math.round(number) : fallback
+    }
+}
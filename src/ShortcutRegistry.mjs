@@ -0,0 +1,142 @@
+// SPDX-FileCopyrightText: 2026 André Fiedler
+//
+// SPDX-License-Identifier: AGPL-3.0-or-later
+
+import { KeyboardShortcutUtils } from './KeyboardShortcutUtils.mjs'
+
+/**
+ * @typedef {object} ShortcutBinding
+ * @property {string} id Action id, also used for the `shortcuts.actions.<id>` translation key.
+ * @property {string} group Help overlay section (`edit`, `arrange`, `project`, `help`).
+ * @property {string[]} keys Key combos such as `Mod+Shift+Z`; `Mod` is Ctrl on Windows/Linux and Cmd on macOS.
+ * @property {boolean} [repeat] Keeps firing while the key is held down.
+ * @property {boolean} [native] Handled by native browser events (clipboard); listed for help only.
+ */
+
+/**
+ * Keyboard shortcut map for the editor.
+ * Bindings can be remapped per browser; handlers are registered by action id.
+ * Keys are ignored while text inputs (including the inline text editor) have focus.
+ */
+export class ShortcutRegistry {
+    static #storageKey = 'labelprinter-app.shortcuts.v1'
+    static #defaultBindings = Object.freeze([
+        { id: 'undo', group: 'edit', keys: ['Mod+Z'] },
+        { id: 'redo', group: 'edit', keys: ['Mod+Shift+Z', 'Mod+Y'] },
+        { id: 'copy', group: 'edit', keys: ['Mod+C'], native: true },
+        { id: 'cut', group: 'edit', keys: ['Mod+X'], native: true },
+        { id: 'paste', group: 'edit', keys: ['Mod+V'], native: true },
+        { id: 'duplicate', group: 'edit', keys: ['Mod+D'] },
+        { id: 'deleteSelection', group: 'edit', keys: ['Delete', 'Backspace'] },
+        { id: 'selectAll', group: 'edit', keys: ['Mod+A'] },
+        { id: 'nudgeLeft', group: 'arrange', keys: ['ArrowLeft', 'Shift+ArrowLeft'], repeat: true },
+        { id: 'nudgeRight', group: 'arrange', keys: ['ArrowRight', 'Shift+ArrowRight'], repeat: true },
+        { id: 'nudgeUp', group: 'arrange', keys: ['ArrowUp', 'Shift+ArrowUp'], repeat: true },
+        { id: 'nudgeDown', group: 'arrange', keys: ['ArrowDown', 'Shift+ArrowDown'], repeat: true },
+        { id: 'group', group: 'arrange', keys: ['Mod+G'] },
+        { id: 'ungroup', group: 'arrange', keys: ['Mod+Shift+G'] },
+        { id: 'save', group: 'project', keys: ['Mod+S'] },
+        { id: 'print', group: 'project', keys: ['Mod+P'] },
+        { id: 'help', group: 'help', keys: ['?'] }
+    ])
+    #bindings = []
+    #handlers = new Map()
+
+    /**
+     * @param {Record<string, string[]>} [overrides] Replacement key lists by action id.
+     */
+    constructor(overrides = {}) {
+        this.#bindings = ShortcutRegistry.#defaultBindings.map((binding) => {
+            const keys = ShortcutRegistry.#normalizeKeys(overrides?.[binding.id])
+            return { ...binding, keys: keys.length ? keys : [...binding.keys] }
+        })
+    }
+
+    /**
+     * localStorage key for per-browser binding overrides.
+     * @returns {string}
+     */
+    static get STORAGE_KEY() {
+        return ShortcutRegistry.#storageKey
+    }
+
+    /**
+     * Parses persisted binding overrides; unknown action ids and invalid key lists are dropped.
+     * @param {string | null | undefined} rawValue
+     * @returns {Record<string, string[]>}
+     */
+    static parsePersistedBindings(rawValue) {
+        if (!rawValue) return {}
+        try {
+            const parsed = JSON.parse(rawValue)
+            if (!parsed || typeof parsed !== 'object' || Array.isArray(parsed)) return {}
+            const overrides = {}
+            ShortcutRegistry.#defaultBindings.forEach(({ id }) => {
+                const keys = ShortcutRegistry.#normalizeKeys(parsed[id])
+                if (keys.length) overrides[id] = keys
+            })
+            return overrides
+        } catch (_error) {
+            return {}
+        }
+    }
+
+    /**
+     * Registers the handler for an action id.
+     * @param {string} id
+     * @param {(event: KeyboardEvent) => unknown} handler
+     * @returns {ShortcutRegistry}
+     */
+    register(id, handler) {
+        if (typeof handler === 'function') this.#handlers.set(id, handler)
+        return this
+    }
+
+    /**
+     * Returns all bindings in help overlay order.
+     * @returns {ShortcutBinding[]}
+     */
+    getBindings() {
+        return this.#bindings.map((binding) => ({ ...binding, keys: [...binding.keys] }))
+    }
+
+    /**
+     * Returns the binding whose key combo matches the event.
+     * @param {{ key?: string, ctrlKey?: boolean, metaKey?: boolean, altKey?: boolean, shiftKey?: boolean }} event
+     * @returns {ShortcutBinding | null}
+     */
+    resolveBinding(event) {
+        return this.#bindings.find((binding) => binding.keys.some((combo) => KeyboardShortcutUtils.matchesCombo(event, combo))) || null
+    }
+
+    /**
+     * Runs the registered handler for a keydown event.
+     * A handler returning `false` leaves the key to the browser (for example arrow keys without a selection still scroll).
+     * @param {KeyboardEvent} event
+     * @returns {boolean} True when the event was consumed.
+     */
+    handleKeyDown(event) {
+        if (KeyboardShortcutUtils.isEditableTarget(event?.target)) return false
+        const binding = this.resolveBinding(event)
+        const handler = binding && !binding.native ? this.#handlers.get(binding.id) : null
+        if (!handler) return false
+        // Held keys only auto-repeat nudging; a held Ctrl+P must not queue several print jobs.
+        if (event.repeat && !binding.repeat) {
+            event.preventDefault()
+            return true
+        }
+        if (handler(event) === false) return false
+        event.preventDefault()
+        return true
+    }
+
+    /**
+     * Keeps non-empty string combos.
+     * @param {unknown} keys
+     * @returns {string[]}
+     */
+    static #normalizeKeys(keys) {
+        if (!Array.isArray(keys)) return []
+        return keys.filter((combo) => typeof combo === 'string' && combo.trim()).map((combo) => combo.trim())
+    }
+}
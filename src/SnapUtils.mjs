@@ -0,0 +1,112 @@
+// SPDX-FileCopyrightText: 2026 André Fiedler
+//
+// SPDX-License-Identifier: AGPL-3.0-or-later
+
+/**
+ * @typedef {object} SnapGuide
+ * @property {'x' | 'y'} axis `x` guides are vertical lines at an x position, `y` guides are horizontal lines.
+ * @property {number} position Guide position in canvas dots.
+ */
+
+/**
+ * Snapping helpers for preview drag gestures.
+ * Moving bounds snap their start, center and end lines to label edges, the label center and other items.
+ */
+export class SnapUtils {
+    static #thresholdPx = 6
+
+    /**
+     * Snap distance in CSS pixels (converted to dots by the caller so snapping feels the same at every zoom level).
+     * @returns {number}
+     */
+    static get SNAP_THRESHOLD_PX() {
+        return SnapUtils.#thresholdPx
+    }
+
+    /**
+     * Returns true when the gesture modifier to bypass snapping (Alt/Option) is held.
+     * @param {{ altKey?: boolean } | null | undefined} eventLike
+     * @returns {boolean}
+     */
+    static isSnapDisabled(eventLike) {
+        return !!eventLike?.altKey
+    }
+
+    /**
+     * Collects snap lines from the label and from other item bounds.
+     * @param {{
+     *  labelWidth: number,
+     *  labelHeight: number,
+     *  bounds?: Array<{ x: number, y: number, width: number, height: number }>
+     * }} options
+     * @returns {{ x: number[], y: number[] }}
+     */
+    static collectTargets({ labelWidth, labelHeight, bounds = [] }) {
+        const x = [0, labelWidth / 2, labelWidth]
+        const y = [0, labelHeight / 2, labelHeight]
+        bounds.forEach((rect) => {
+            if (!rect) return
+            x.push(...SnapUtils.#resolveLines(rect.x, rect.width))
+            y.push(...SnapUtils.#resolveLines(rect.y, rect.height))
+        })
+        return { x, y }
+    }
+
+    /**
+     * Resolves the correction that snaps moving bounds to the closest target line per axis.
+     * @param {{ x: number, y: number, width: number, height: number }} bounds
+     * @param {{ x: number[], y: number[] }} targets
+     * @param {{ x: number, y: number }} threshold Maximum snap distance per axis in dots.
+     * @returns {{ dx: number, dy: number, guides: SnapGuide[] }}
+     */
+    static resolveSnap(bounds, targets, threshold) {
+        const snapX = SnapUtils.#resolveAxisSnap(SnapUtils.#resolveLines(bounds.x, bounds.width), targets.x, threshold.x)
+        const snapY = SnapUtils.#resolveAxisSnap(SnapUtils.#resolveLines(bounds.y, bounds.height), targets.y, threshold.y)
+        return {
+            dx: snapX.delta,
+            dy: snapY.delta,
+            guides: [
+                ...snapX.positions.map((position) => ({ axis: 'x', position })),
+                ...snapY.positions.map((position) => ({ axis: 'y', position }))
+            ]
+        }
+    }
+
+    /**
+     * Returns the start, center and end line of a span.
+     * @param {number} start
+     * @param {number} size
+     * @returns {number[]}
+     */
+    static #resolveLines(start, size) {
+        return [start, start + size / 2, start + size]
+    }
+
+    /**
+     * Finds the smallest correction on one axis and every target line matched after applying it.
+     * @param {number[]} lines
+     * @param {number[]} targets
+     * @param {number} threshold
+     * @returns {{ delta: number, positions: number[] }}
+     */
+    static #resolveAxisSnap(lines, targets, threshold) {
+        let delta = null
+        lines.forEach((line) => {
+            targets.forEach((target) => {
+                const distance = target - line
+                if (Math.abs(distance) > threshold) return
+                if (delta === null || Math.abs(distance) < Math.abs(delta)) {
+                    delta = distance
+                }
+            })
+        })
+        if (delta === null) return { delta: 0, positions: [] }
+        const positions = new Set()
+        lines.forEach((line) => {
+            targets.forEach((target) => {
+                if (Math.abs(line + delta - target) < 0.5) positions.add(target)
+            })
+        })
+        return { delta, positions: Array.from(positions) }
+    }
+}
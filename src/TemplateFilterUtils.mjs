@@ -0,0 +1,191 @@
+// SPDX-FileCopyrightText: 2026 André Fiedler
+//
+// SPDX-License-Identifier: AGPL-3.0-or-later
+
+/**
+ * @typedef {object} TemplateFilter
+ * @property {string} name Filter name, for example `upper` or `pad`.
+ * @property {string[]} args Arguments after the filter name; quotes are removed.
+ */
+
+/**
+ * Filters applied to placeholder values, written as `{{name|filter:arg:arg|filter}}`.
+ * Arguments may be quoted with `'` or `"` to contain `:`, `|` or spaces. Filters only transform the value text,
+ * so templates stay safe to print. `src/workers/PrintPageTemplateSupport.mjs` mirrors these filters for print-page workers.
+ */
+export class TemplateFilterUtils {
+    static #filterNames = Object.freeze(['upper', 'lower', 'trim', 'number', 'pad', 'date', 'default', 'truncate'])
+    static #maxPadLength = 256
+    static #dateTokenPattern = /\[([^\]]*)\]|YYYY|YY|MM|M|DD|D|HH|H|mm|ss/g
+
+    /**
+     * Returns the supported filter names.
+     * @returns {string[]}
+     */
+    static get FILTER_NAMES() {
+        return [...TemplateFilterUtils.#filterNames]
+    }
+
+    /**
+     * Returns whether a filter name is supported.
+     * @param {string} name
+     * @returns {boolean}
+     */
+    static isKnownFilter(name) {
+        return TemplateFilterUtils.#filterNames.includes(name)
+    }
+
+    /**
+     * Parses a filter chain such as `|pad:8:0|upper` (the text after the placeholder name).
+     * @param {string} chain
+     * @returns {TemplateFilter[]}
+     */
+    static parseFilters(chain) {
+        const text = String(chain || '').trim()
+        if (!text.startsWith('|')) return []
+        return TemplateFilterUtils.#splitOutsideQuotes(text.slice(1), '|').map((segment) => {
+            const [name = '', ...args] = TemplateFilterUtils.#splitOutsideQuotes(segment, ':')
+            return { name: name.trim(), args: args.map((arg) => TemplateFilterUtils.#unquote(arg)) }
+        })
+    }
+
+    /**
+     * Applies filters from left to right; unknown filters leave the value unchanged.
+     * @param {string} value
+     * @param {TemplateFilter[]} filters
+     * @returns {string}
+     */
+    static applyFilters(value, filters) {
+        return (Array.isArray(filters) ? filters : []).reduce(
+            (current, filter) => TemplateFilterUtils.#applyFilter(current, filter),
+            String(value ?? '')
+        )
+    }
+
+    /**
+     * Formats a number with a fixed count of decimals; text that is not a number is returned unchanged.
+     * A single comma is accepted as decimal separator in the input (`3,5`).
+     * @param {string} value
+     * @param {unknown} [decimals=0]
+     * @param {string} [separator='.'] Decimal separator of the output.
+     * @returns {string}
+     */
+    static formatNumber(value, decimals = 0, separator = '.') {
+        const text = String(value ?? '').trim()
+        const number = Number(/^-?\d+,\d+$/.test(text) ? text.replace(',', '.') : text)
+        if (!text || !Number.isFinite(number)) return String(value ?? '')
+        const digits = Math.min(20, Math.max(0, Math.round(Number(decimals) || 0)))
+        return number.toFixed(digits).replace('.', separator || '.')
+    }
+
+    /**
+     * Parses a date from an ISO date (`2026-03-01`, read as local date), an ISO date-time or a millisecond timestamp.
+     * @param {unknown} value
+     * @returns {Date | null}
+     */
+    static parseDate(value) {
+        if (value instanceof Date) return Number.isNaN(value.getTime()) ? null : value
+        const text = String(value ?? '').trim()
+        if (!text) return null
+        const dateOnly = /^(\d{4})-(\d{2})-(\d{2})$/.exec(text)
+        const date = dateOnly
+            ? new Date(Number(dateOnly[1]), Number(dateOnly[2]) - 1, Number(dateOnly[3]))
+            : new Date(/^-?\d+$/.test(text) ? Number(text) : text)
+        return Number.isNaN(date.getTime()) ? null : date
+    }
+
+    /**
+     * Formats a date with `YYYY`, `YY`, `MM`, `M`, `DD`, `D`, `HH`, `H`, `mm` and `ss`; text in `[...]` is kept literally.
+     * @param {Date} date
+     * @param {string} [pattern='YYYY-MM-DD']
+     * @returns {string}
+     */
+    static formatDate(date, pattern = 'YYYY-MM-DD') {
+        const pad = (number) => String(number).padStart(2, '0')
+        const tokens = {
+            YYYY: String(date.getFullYear()),
+            YY: pad(date.getFullYear() % 100),
+            MM: pad(date.getMonth() + 1),
+            M: String(date.getMonth() + 1),
+            DD: pad(date.getDate()),
+            D: String(date.getDate()),
+            HH: pad(date.getHours()),
+            H: String(date.getHours()),
+            mm: pad(date.getMinutes()),
+            ss: pad(date.getSeconds())
+        }
+        return String(pattern || 'YYYY-MM-DD').replace(TemplateFilterUtils.#dateTokenPattern, (token, literal) => literal ?? tokens[token])
+    }
+
+    /**
+     * Applies a single filter.
+     * @param {string} value
+     * @param {TemplateFilter} filter
+     * @returns {string}
+     */
+    static #applyFilter(value, { name, args }) {
+        switch (name) {
+            case 'upper':
+                return value.toUpperCase()
+            case 'lower':
+                return value.toLowerCase()
+            case 'trim':
+                return value.trim()
+            case 'number':
+                return TemplateFilterUtils.formatNumber(value, args[0], args[1])
+            case 'pad': {
+                const length = Math.min(TemplateFilterUtils.#maxPadLength, Math.max(0, Math.round(Number(args[0]) || 0)))
+                return value.padStart(length, args[1] || '0')
+            }
+            case 'date': {
+                const date = TemplateFilterUtils.parseDate(value)
+                return date ? TemplateFilterUtils.formatDate(date, args[0]) : value
+            }
+            case 'default':
+                return value.trim() ? value : (args[0] ?? '')
+            case 'truncate': {
+                const chars = Array.from(value)
+                const length = Math.max(0, Math.round(Number(args[0]) || 0))
+                if (!length || chars.length <= length) return value
+                const suffix = Array.from(args[1] ?? '…')
+                return chars.slice(0, Math.max(0, length - suffix.length)).join('') + suffix.slice(0, length).join('')
+            }
+            default:
+                return value
+        }
+    }
+
+    /**
+     * Splits text at a separator that is not inside single or double quotes.
+     * @param {string} text
+     * @param {string} separator
+     * @returns {string[]}
+     */
+    static #splitOutsideQuotes(text, separator) {
+        const parts = ['']
+        let quote = ''
+        for (const char of text) {
+            if (quote) {
+                if (char === quote) quote = ''
+            } else if (char === "'" || char === '"') {
+                quote = char
+            } else if (char === separator) {
+                parts.push('')
+                continue
+            }
+            parts[parts.length - 1] += char
+        }
+        return parts
+    }
+
+    /**
+     * Trims an argument and removes surrounding quotes.
+     * @param {string} arg
+     * @returns {string}
+     */
+    static #unquote(arg) {
+        const text = arg.trim()
+        const quoted = text.length >= 2 && (text[0] === "'" || text[0] === '"') && text.endsWith(text[0])
+        return quoted ? text.slice(1, -1) : text
+    }
+}
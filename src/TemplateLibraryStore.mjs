@@ -0,0 +1,275 @@
+// SPDX-FileCopyrightText: 2026 André Fiedler
+//
+// SPDX-License-Identifier: AGPL-3.0-or-later
+
+import { IndexedDbUtils } from './IndexedDbUtils.mjs'
+
+/**
+ * @typedef {object} LabelTemplate
+ * @property {number} id Auto-increment key.
+ * @property {string} name
+ * @property {string[]} tags
+ * @property {string} thumbnail PNG data URL of the preview, or an empty string.
+ * @property {number} createdAt Timestamp in milliseconds.
+ * @property {number} updatedAt Timestamp in milliseconds.
+ * @property {object} payload Project payload from `ProjectIoUtils.buildProjectPayload`.
+ */
+
+/**
+ * IndexedDB store for the local "My templates" library plus helpers for search and library files.
+ * All instance methods reject when IndexedDB is unavailable.
+ */
+export class TemplateLibraryStore {
+    static #storeName = 'templates'
+    static #libraryFormat = 'labelprinter-template-library'
+    static #libraryVersion = 1
+    static #maxNameLength = 120
+    #factory = null
+    #databasePromise = null
+
+    /**
+     * @param {{ indexedDB?: IDBFactory | null }} [options]
+     */
+    constructor(options = {}) {
+        this.#factory = options.indexedDB === undefined ? globalThis.indexedDB || null : options.indexedDB
+    }
+
+    /**
+     * Format marker written to exported library files.
+     * @returns {string}
+     */
+    static get LIBRARY_FORMAT() {
+        return TemplateLibraryStore.#libraryFormat
+    }
+
+    /**
+     * Trims a template name and falls back when it is empty.
+     * @param {unknown} value
+     * @param {string} [fallback]
+     * @returns {string}
+     */
+    static normalizeName(value, fallback = '') {
+        const name = String(value ?? '')
+            .trim()
+            .slice(0, TemplateLibraryStore.#maxNameLength)
+        return name || fallback
+    }
+
+    /**
+     * Normalizes tags from a comma-separated string or an array (trimmed, without duplicates).
+     * @param {unknown} value
+     * @returns {string[]}
+     */
+    static normalizeTags(value) {
+        const rawTags = Array.isArray(value) ? value : String(value ?? '').split(',')
+        const seen = new Set()
+        return rawTags
+            .map((tag) => String(tag ?? '').trim())
+            .filter((tag) => {
+                const key = tag.toLowerCase()
+                if (!tag || seen.has(key)) return false
+                seen.add(key)
+                return true
+            })
+    }
+
+    /**
+     * Returns true when every search term is part of the template name or one of its tags.
+     * @param {{ name?: string, tags?: string[] }} template
+     * @param {string} query
+     * @returns {boolean}
+     */
+    static matchesQuery(template, query) {
+        const terms = String(query ?? '')
+            .toLowerCase()
+            .split(/\s+/)
+            .filter(Boolean)
+        if (!terms.length) return true
+        const haystack = [template?.name || '', ...(template?.tags || [])].join('\n').toLowerCase()
+        return terms.every((term) => haystack.includes(term))
+    }
+
+    /**
+     * Builds the contents of a library export file.
+     * @param {LabelTemplate[]} templates
+     * @param {{ appVersion?: string }} [options]
+     * @returns {object}
+     */
+    static buildLibraryExport(templates, options = {}) {
+        return {
+            format: TemplateLibraryStore.#libraryFormat,
+            version: TemplateLibraryStore.#libraryVersion,
+            appVersion: options.appVersion || '',
+            templates: templates.map(({ name, tags, thumbnail, createdAt, updatedAt, payload }) => ({
+                name,
+                tags,
+                thumbnail,
+                createdAt,
+                updatedAt,
+                payload
+            }))
+        }
+    }
+
+    /**
+     * Validates a library file and returns its templates without ids.
+     * Entries without a project payload are skipped.
+     * @param {unknown} raw
+     * @param {{ now?: number }} [options]
+     * @returns {Array<Omit<LabelTemplate, 'id'>>}
+     */
+    static parseLibraryImport(raw, options = {}) {
+        if (!raw || typeof raw !== 'object' || raw.format !== TemplateLibraryStore.#libraryFormat || !Array.isArray(raw.templates)) {
+            throw new Error('Invalid template library file: missing templates array.')
+        }
+        const now = Number.isFinite(options.now) ? options.now : Date.now()
+        return raw.templates
+            .filter((entry) => entry && typeof entry === 'object' && entry.payload && typeof entry.payload === 'object')
+            .map((entry, index) => {
+                const createdAt = Number.isFinite(entry.createdAt) ? entry.createdAt : now
+                return {
+                    name: TemplateLibraryStore.normalizeName(entry.name, `Template ${index + 1}`),
+                    tags: TemplateLibraryStore.normalizeTags(entry.tags),
+                    thumbnail: TemplateLibraryStore.#normalizeThumbnail(entry.thumbnail),
+                    createdAt,
+                    updatedAt: Number.isFinite(entry.updatedAt) ? entry.updatedAt : createdAt,
+                    payload: entry.payload
+                }
+            })
+    }
+
+    /**
+     * Keeps image data URLs only so imported files cannot reference remote resources.
+     * @param {unknown} value
+     * @returns {string}
+     */
+    static #normalizeThumbnail(value) {
+        return typeof value === 'string' && value.startsWith('data:image/') ? value : ''
+    }
+
+    /**
+     * Returns true when IndexedDB can be used.
+     * @returns {boolean}
+     */
+    isAvailable() {
+        return IndexedDbUtils.isAvailable(this.#factory)
+    }
+
+    /**
+     * Lists templates, most recently changed first.
+     * @returns {Promise<LabelTemplate[]>}
+     */
+    async list() {
+        const templates = await this.#run('readonly', (store) => store.getAll())
+        return (Array.isArray(templates) ? templates : []).sort((left, right) => right.updatedAt - left.updatedAt || right.id - left.id)
+    }
+
+    /**
+     * Reads one template.
+     * @param {number} id
+     * @returns {Promise<LabelTemplate | null>}
+     */
+    async get(id) {
+        return (await this.#run('readonly', (store) => store.get(id))) || null
+    }
+
+    /**
+     * Stores a new template.
+     * @param {{ name: string, tags?: string[] | string, thumbnail?: string, payload: object }} template
+     * @param {{ now?: number }} [options]
+     * @returns {Promise<number>} Id of the new template.
+     */
+    async add(template, options = {}) {
+        const now = Number.isFinite(options.now) ? options.now : Date.now()
+        const record = {
+            name: TemplateLibraryStore.normalizeName(template.name),
+            tags: TemplateLibraryStore.normalizeTags(template.tags),
+            thumbnail: TemplateLibraryStore.#normalizeThumbnail(template.thumbnail),
+            createdAt: now,
+            updatedAt: now,
+            payload: template.payload
+        }
+        return this.#run('readwrite', (store) => store.add(record))
+    }
+
+    /**
+     * Renames a template and optionally replaces its tags.
+     * @param {number} id
+     * @param {{ name?: string, tags?: string[] | string }} changes
+     * @param {{ now?: number }} [options]
+     * @returns {Promise<boolean>} False when the template does not exist.
+     */
+    async update(id, changes, options = {}) {
+        const template = await this.get(id)
+        if (!template) return false
+        const updated = {
+            ...template,
+            name: TemplateLibraryStore.normalizeName(changes.name, template.name),
+            tags: changes.tags === undefined ? template.tags : TemplateLibraryStore.normalizeTags(changes.tags),
+            updatedAt: Number.isFinite(options.now) ? options.now : Date.now()
+        }
+        await this.#run('readwrite', (store) => store.put(updated))
+        return true
+    }
+
+    /**
+     * Copies a template under a new name.
+     * @param {number} id
+     * @param {string} name
+     * @param {{ now?: number }} [options]
+     * @returns {Promise<number | null>} Id of the copy, or null when the source does not exist.
+     */
+    async duplicate(id, name, options = {}) {
+        const template = await this.get(id)
+        if (!template) return null
+        return this.add({ ...template, name: TemplateLibraryStore.normalizeName(name, template.name) }, options)
+    }
+
+    /**
+     * Deletes one template.
+     * @param {number} id
+     * @returns {Promise<void>}
+     */
+    async remove(id) {
+        await this.#run('readwrite', (store) => store.delete(id))
+    }
+
+    /**
+     * Adds imported templates next to the existing ones.
+     * @param {Array<Omit<LabelTemplate, 'id'>>} templates Entries from `parseLibraryImport`.
+     * @returns {Promise<number>} Number of added templates.
+     */
+    async importTemplates(templates) {
+        await this.#run('readwrite', (store) => templates.forEach((template) => store.add({ ...template })))
+        return templates.length
+    }
+
+    /**
+     * Opens the database once; a failed open or a closed connection is opened again on the next call.
+     * @returns {Promise<IDBDatabase>}
+     */
+    #openDatabase() {
+        if (!this.#databasePromise) {
+            this.#databasePromise = IndexedDbUtils.openDatabase(this.#factory, {
+                onClose: () => {
+                    this.#databasePromise = null
+                }
+            })
+            this.#databasePromise.catch(() => {
+                this.#databasePromise = null
+            })
+        }
+        return this.#databasePromise
+    }
+
+    /**
+     * Runs one transaction on the template store.
+     * @param {IDBTransactionMode} mode
+     * @param {(store: IDBObjectStore) => IDBRequest | void} task
+     * @returns {Promise<any>}
+     */
+    async #run(mode, task) {
+        const database = await this.#openDatabase()
+        return IndexedDbUtils.runTransaction(database, TemplateLibraryStore.#storeName, mode, task)
+    }
+}
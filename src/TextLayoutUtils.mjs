@@ -0,0 +1,392 @@
+// SPDX-FileCopyrightText: 2026 André Fiedler
+//
+// SPDX-License-Identifier: AGPL-3.0-or-later
+
+/**
+ * Line layout helpers for multiline text items.
+ * `src/workers/PrintPageTextSupport.mjs` keeps standalone copies for the classic print-page worker.
+ */
+export class TextLayoutUtils {
+    static #textAlignModes = Object.freeze(['left', 'center', 'right', 'justify'])
+    static #softHyphen = '\u00AD'
+    static #overflowModes = Object.freeze(['none', 'shrink', 'ellipsis', 'clip'])
+    static #ellipsis = '\u2026'
+    static #textDirections = Object.freeze(['horizontal', 'stacked'])
+    static #textEffects = Object.freeze(['none', 'inverted', 'outline', 'box'])
+    static #fontStretches = Object.freeze([
+        [50, 'ultra-condensed'],
+        [62.5, 'extra-condensed'],
+        [75, 'condensed'],
+        [87.5, 'semi-condensed'],
+        [100, 'normal'],
+        [112.5, 'semi-expanded'],
+        [125, 'expanded'],
+        [150, 'extra-expanded'],
+        [200, 'ultra-expanded']
+    ])
+
+    /**
+     * Supported `textAlign` values.
+     * @returns {string[]}
+     */
+    static get TEXT_ALIGN_MODES() {
+        return [...TextLayoutUtils.#textAlignModes]
+    }
+
+    /**
+     * Returns a supported `textAlign` value or the fallback.
+     * @param {unknown} value
+     * @param {string} [fallback='left']
+     * @returns {string}
+     */
+    static normalizeTextAlign(value, fallback = 'left') {
+        const mode = String(value ?? '')
+            .trim()
+            .toLowerCase()
+        return TextLayoutUtils.#textAlignModes.includes(mode) ? mode : fallback
+    }
+
+    /**
+     * Supported `overflow` policies.
+     * @returns {string[]}
+     */
+    static get OVERFLOW_MODES() {
+        return [...TextLayoutUtils.#overflowModes]
+    }
+
+    /**
+     * Returns a supported `overflow` policy or the fallback.
+     * @param {unknown} value
+     * @param {string} [fallback='none']
+     * @returns {string}
+     */
+    static normalizeOverflow(value, fallback = 'none') {
+        const mode = String(value ?? '')
+            .trim()
+            .toLowerCase()
+        return TextLayoutUtils.#overflowModes.includes(mode) ? mode : fallback
+    }
+
+    /**
+     * Returns the minimum font size used by the `shrink` overflow policy.
+     * @param {unknown} value
+     * @param {number} [fallback=6]
+     * @returns {number}
+     */
+    static normalizeMinFontSize(value, fallback = 6) {
+        const size = Math.round(Number(value))
+        return Number.isFinite(size) && size >= 1 ? size : fallback
+    }
+
+    /**
+     * Returns whether any line is wider than the width limit; a limit of `0` never overflows.
+     * @param {Array<{ advanceWidth: number }>} lineMetrics
+     * @param {number} widthLimit
+     * @returns {boolean}
+     */
+    static exceedsWidth(lineMetrics, widthLimit) {
+        const limit = Number(widthLimit || 0)
+        if (!(limit > 0)) return false
+        return (Array.isArray(lineMetrics) ? lineMetrics : []).some((metric) => Number(metric?.advanceWidth || 0) > limit)
+    }
+
+    /**
+     * Shortens a line with a trailing ellipsis until it fits the width.
+     * @param {string} line
+     * @param {number} width
+     * @param {(text: string) => number} measureWidth
+     * @returns {string}
+     */
+    static truncateLine(line, width, measureWidth) {
+        const text = String(line || '')
+        if (!(Number(width) > 0) || measureWidth(text) <= width) return text
+        const chars = Array.from(text)
+        while (chars.length && measureWidth(`${chars.join('').trimEnd()}${TextLayoutUtils.#ellipsis}`) > width) {
+            chars.pop()
+        }
+        return `${chars.join('').trimEnd()}${TextLayoutUtils.#ellipsis}`
+    }
+
+    /**
+     * Supported `textDirection` values.
+     * @returns {string[]}
+     */
+    static get TEXT_DIRECTIONS() {
+        return [...TextLayoutUtils.#textDirections]
+    }
+
+    /**
+     * Returns a supported `textDirection` value or the fallback.
+     * @param {unknown} value
+     * @param {string} [fallback='horizontal']
+     * @returns {string}
+     */
+    static normalizeTextDirection(value, fallback = 'horizontal') {
+        const direction = String(value ?? '')
+            .trim()
+            .toLowerCase()
+        return TextLayoutUtils.#textDirections.includes(direction) ? direction : fallback
+    }
+
+    /**
+     * Returns the gap between stacked glyphs in dots.
+     * @param {unknown} value
+     * @param {number} [fallback=2]
+     * @returns {number}
+     */
+    static normalizeStackSpacing(value, fallback = 2) {
+        const spacing = Math.round(Number(value))
+        return Number.isFinite(spacing) && spacing >= 0 ? spacing : fallback
+    }
+
+    /**
+     * Splits text into one line per glyph for stacked text; spaces and line breaks become empty rows.
+     * @param {string} text
+     * @returns {string[]}
+     */
+    static stackGlyphs(text) {
+        const source = String(text ?? '').replace(/\r/g, '')
+        const glyphs =
+            typeof Intl?.Segmenter === 'function'
+                ? Array.from(new Intl.Segmenter(undefined, { granularity: 'grapheme' }).segment(source), (entry) => entry.segment)
+                : Array.from(source)
+        const lines = glyphs.map((glyph) => (glyph.trim() ? glyph : ''))
+        return lines.length ? lines : ['']
+    }
+
+    /**
+     * Returns the extra space between glyphs in font-size units; negative values condense the text.
+     * @param {unknown} value
+     * @param {number} [fallback=0]
+     * @returns {number}
+     */
+    static normalizeLetterSpacing(value, fallback = 0) {
+        const spacing = Number(value)
+        if (!Number.isFinite(spacing)) return fallback
+        return Math.round(Math.min(50, Math.max(-20, spacing)) * 10) / 10
+    }
+
+    /**
+     * Returns the baseline distance of multiline text as a multiple of the font size; `0` keeps the automatic line gap.
+     * @param {unknown} value
+     * @param {number} [fallback=0]
+     * @returns {number}
+     */
+    static normalizeLineHeight(value, fallback = 0) {
+        const lineHeight = Number(value)
+        if (!Number.isFinite(lineHeight) || lineHeight < 0) return fallback
+        if (lineHeight === 0) return 0
+        return Math.round(Math.min(5, Math.max(0.5, lineHeight)) * 100) / 100
+    }
+
+    /**
+     * Returns a numeric font weight between 100 and 900; variable fonts render every step, others snap to their nearest face.
+     * @param {unknown} value
+     * @param {number} [fallback=400]
+     * @returns {number}
+     */
+    static normalizeFontWeight(value, fallback = 400) {
+        const weight = Number(value)
+        if (value === null || value === '' || !Number.isFinite(weight)) return fallback
+        return Math.min(900, Math.max(100, Math.round(weight)))
+    }
+
+    /**
+     * Supported `fontWidth` percentages; each matches a CSS `font-stretch` keyword.
+     * @returns {number[]}
+     */
+    static get FONT_WIDTHS() {
+        return TextLayoutUtils.#fontStretches.map(([width]) => width)
+    }
+
+    /**
+     * Returns the supported font width percentage closest to the value.
+     * @param {unknown} value
+     * @param {number} [fallback=100]
+     * @returns {number}
+     */
+    static normalizeFontWidth(value, fallback = 100) {
+        const width = Number(value)
+        if (value === null || value === '' || !Number.isFinite(width)) return fallback
+        return TextLayoutUtils.FONT_WIDTHS.reduce((best, candidate) =>
+            Math.abs(candidate - width) < Math.abs(best - width) ? candidate : best
+        )
+    }
+
+    /**
+     * Returns the CSS `font-stretch` keyword for a font width; fonts without a width axis or width faces ignore it.
+     * @param {unknown} width
+     * @returns {string}
+     */
+    static resolveFontStretch(width) {
+        const normalized = TextLayoutUtils.normalizeFontWidth(width)
+        return TextLayoutUtils.#fontStretches.find(([candidate]) => candidate === normalized)[1]
+    }
+
+    /**
+     * Supported `textEffect` values.
+     * @returns {string[]}
+     */
+    static get TEXT_EFFECTS() {
+        return [...TextLayoutUtils.#textEffects]
+    }
+
+    /**
+     * Returns a supported `textEffect` value or the fallback.
+     * @param {unknown} value
+     * @param {string} [fallback='none']
+     * @returns {string}
+     */
+    static normalizeTextEffect(value, fallback = 'none') {
+        const effect = String(value ?? '')
+            .trim()
+            .toLowerCase()
+        return TextLayoutUtils.#textEffects.includes(effect) ? effect : fallback
+    }
+
+    /**
+     * Returns a non-negative whole number of dots for effect padding and corner radius.
+     * @param {unknown} value
+     * @param {number} fallback
+     * @returns {number}
+     */
+    static normalizeEffectDots(value, fallback) {
+        const dots = Math.round(Number(value))
+        return Number.isFinite(dots) && dots >= 0 ? dots : fallback
+    }
+
+    /**
+     * Returns the padding an effect adds around the text block; only `inverted` and `box` draw a frame.
+     * @param {unknown} effect
+     * @param {unknown} padding
+     * @returns {number}
+     */
+    static resolveEffectPadding(effect, padding) {
+        const mode = TextLayoutUtils.normalizeTextEffect(effect)
+        return mode === 'inverted' || mode === 'box' ? TextLayoutUtils.normalizeEffectDots(padding, 4) : 0
+    }
+
+    /**
+     * Returns the stroke width in dots for outlined glyphs and box frames.
+     * @param {number} fontSize
+     * @returns {number}
+     */
+    static resolveEffectStrokeWidth(fontSize) {
+        return Math.max(1, Math.round((Number(fontSize) || 0) / 16))
+    }
+
+    /**
+     * Returns a usable `boxWidth` in dots; `0` means the text block grows with its content.
+     * @param {unknown} value
+     * @returns {number}
+     */
+    static normalizeBoxWidth(value) {
+        const width = Math.round(Number(value))
+        return Number.isFinite(width) && width > 0 ? width : 0
+    }
+
+    /**
+     * Word-wraps text lines into a fixed-width box.
+     * Words that do not fit are hyphenated at soft hyphens (`U+00AD`) when possible; longer words stay on their own row.
+     * `paragraphEnds` marks rows that `justify` keeps left-aligned. Without a box, manual line breaks are plain row breaks.
+     * @param {string[]} lines
+     * @param {number} boxWidth
+     * @param {(text: string) => number} measureWidth
+     * @returns {{ lines: string[], paragraphEnds: boolean[] }}
+     */
+    static wrapLines(lines, boxWidth, measureWidth) {
+        const sourceLines = Array.isArray(lines) && lines.length ? lines : ['']
+        const width = TextLayoutUtils.normalizeBoxWidth(boxWidth)
+        if (!width) {
+            return { lines: [...sourceLines], paragraphEnds: sourceLines.map((_line, index) => index === sourceLines.length - 1) }
+        }
+        const wrapped = []
+        const paragraphEnds = []
+        sourceLines.forEach((line) => {
+            const rows = TextLayoutUtils.#wrapLine(String(line || ''), width, measureWidth)
+            rows.forEach((row, index) => {
+                wrapped.push(row.split(TextLayoutUtils.#softHyphen).join(''))
+                paragraphEnds.push(index === rows.length - 1)
+            })
+        })
+        return { lines: wrapped, paragraphEnds }
+    }
+
+    /**
+     * Places one line inside a text block that is as wide as its longest line.
+     * Justified lines spread the spare width over their word gaps; the last line and single words stay left-aligned.
+     * @param {{
+     *  line: string,
+     *  textAlign: string,
+     *  lineAdvance: number,
+     *  blockAdvance: number,
+     *  isLastLine: boolean,
+     *  measureWidth: (text: string) => number
+     * }} options
+     * @returns {{ segments: Array<{ text: string, x: number }>, offsetX: number, extraWidth: number }}
+     */
+    static resolveLineLayout({ line, textAlign, lineAdvance, blockAdvance, isLastLine, measureWidth }) {
+        const text = String(line || '')
+        const spareWidth = Math.max(0, Number(blockAdvance || 0) - Number(lineAdvance || 0))
+        const mode = TextLayoutUtils.normalizeTextAlign(textAlign)
+        if (mode === 'justify') {
+            const words = text.split(' ')
+            if (isLastLine || words.length < 2 || !spareWidth) {
+                return { segments: [{ text, x: 0 }], offsetX: 0, extraWidth: 0 }
+            }
+            const gapExtra = spareWidth / (words.length - 1)
+            const spaceWidth = measureWidth(' ')
+            const segments = []
+            let cursorX = 0
+            words.forEach((word) => {
+                if (word) segments.push({ text: word, x: cursorX })
+                cursorX += measureWidth(word) + spaceWidth + gapExtra
+            })
+            return { segments, offsetX: 0, extraWidth: spareWidth }
+        }
+        const offsetX = mode === 'center' ? spareWidth / 2 : mode === 'right' ? spareWidth : 0
+        return { segments: [{ text, x: offsetX }], offsetX, extraWidth: 0 }
+    }
+
+    /**
+     * Greedily fills rows of one paragraph; rows keep their soft hyphens until `wrapLines` strips them.
+     * @param {string} line
+     * @param {number} width
+     * @param {(text: string) => number} measureWidth
+     * @returns {string[]}
+     */
+    static #wrapLine(line, width, measureWidth) {
+        const fits = (text) => measureWidth(text.split(TextLayoutUtils.#softHyphen).join('')) <= width
+        const rows = []
+        let current = ''
+        line.split(' ').forEach((word) => {
+            let rest = word
+            while (true) {
+                const prefix = current ? `${current} ` : ''
+                if (fits(`${prefix}${rest}`)) {
+                    current = `${prefix}${rest}`
+                    return
+                }
+                const parts = rest.split(TextLayoutUtils.#softHyphen)
+                const hyphenated = (count) => `${prefix}${parts.slice(0, count).join('')}-`
+                let splitIndex = parts.length - 1
+                while (splitIndex > 0 && !fits(hyphenated(splitIndex))) {
+                    splitIndex -= 1
+                }
+                if (splitIndex > 0) {
+                    rows.push(hyphenated(splitIndex))
+                    current = ''
+                    rest = parts.slice(splitIndex).join(TextLayoutUtils.#softHyphen)
+                } else if (current) {
+                    rows.push(current)
+                    current = ''
+                } else {
+                    current = rest
+                    return
+                }
+            }
+        })
+        rows.push(current)
+        return rows
+    }
+}
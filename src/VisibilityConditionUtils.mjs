@@ -0,0 +1,100 @@
+// SPDX-FileCopyrightText: 2026 André Fiedler
+//
+// SPDX-License-Identifier: AGPL-3.0-or-later
+
+import { DateTemplateUtils } from './DateTemplateUtils.mjs'
+
+/**
+ * @typedef {object} VisibilityCondition
+ * @property {string} parameter Parameter (column) name whose row value is tested.
+ * @property {string} operator `notEmpty`, `empty`, `equals`, `notEquals` or `contains`.
+ * @property {string} [value] Compared text for `equals`, `notEquals` and `contains`.
+ */
+
+/**
+ * Per-row item visibility (`visibleWhen`): an item is drawn only when its condition holds for the parameter row.
+ * Comparisons trim both sides and ignore letter case. `src/workers/PrintPageTemplateSupport.mjs` mirrors `isVisible`.
+ */
+export class VisibilityConditionUtils {
+    static #operators = Object.freeze(['notEmpty', 'empty', 'equals', 'notEquals', 'contains'])
+    static #valueOperators = Object.freeze(['equals', 'notEquals', 'contains'])
+
+    /**
+     * Returns the supported condition operators.
+     * @returns {string[]}
+     */
+    static get OPERATORS() {
+        return [...VisibilityConditionUtils.#operators]
+    }
+
+    /**
+     * Returns whether an operator compares against `value`.
+     * @param {string} operator
+     * @returns {boolean}
+     */
+    static usesValue(operator) {
+        return VisibilityConditionUtils.#valueOperators.includes(operator)
+    }
+
+    /**
+     * Normalizes a condition; conditions without a parameter name mean "always visible".
+     * @param {unknown} condition
+     * @returns {VisibilityCondition | null}
+     */
+    static normalizeCondition(condition) {
+        if (!condition || typeof condition !== 'object' || Array.isArray(condition)) return null
+        const parameter = String(condition.parameter || '').trim()
+        if (!parameter) return null
+        const operator = VisibilityConditionUtils.#operators.includes(condition.operator) ? condition.operator : 'notEmpty'
+        if (!VisibilityConditionUtils.usesValue(operator)) return { parameter, operator }
+        return { parameter, operator, value: String(condition.value ?? '') }
+    }
+
+    /**
+     * Returns whether an item with this condition is visible for a parameter value map.
+     * @param {unknown} condition
+     * @param {Record<string, unknown>} values
+     * @returns {boolean}
+     */
+    static isVisible(condition, values) {
+        const normalized = VisibilityConditionUtils.normalizeCondition(condition)
+        if (!normalized) return true
+        const hasValue = !!values && typeof values === 'object' && Object.hasOwn(values, normalized.parameter)
+        const rawValue = hasValue ? values[normalized.parameter] : ''
+        const actual = String((DateTemplateUtils.isPlaceholderValue(rawValue) ? rawValue.text : rawValue) ?? '')
+            .trim()
+            .toLowerCase()
+        const expected = String(normalized.value || '')
+            .trim()
+            .toLowerCase()
+        switch (normalized.operator) {
+            case 'empty':
+                return !actual
+            case 'equals':
+                return actual === expected
+            case 'notEquals':
+                return actual !== expected
+            case 'contains':
+                return actual.includes(expected)
+            default:
+                return actual.length > 0
+        }
+    }
+
+    /**
+     * Collects the parameter names used by `visibleWhen` conditions, including group children.
+     * @param {Array<{ visibleWhen?: unknown, children?: object[] }>} items
+     * @returns {string[]}
+     */
+    static collectConditionParameters(items) {
+        const names = new Set()
+        ;(Array.isArray(items) ? items : []).forEach((item) => {
+            const condition = VisibilityConditionUtils.normalizeCondition(item?.visibleWhen)
+            if (condition) names.add(condition.parameter)
+            if (item?.type === 'group') {
+                VisibilityConditionUtils.collectConditionParameters(item.children).forEach((name) => names.add(name))
+            }
+        })
+        return Array.from(names)
+    }
+}
@@ -5,15 +5,32 @@ import { PrintController } from './ui/PrintController.mjs'
 import { ProjectIoUtils } from './ProjectIoUtils.mjs'
 import { ProjectUrlUtils } from './ProjectUrlUtils.mjs'
 import { ParameterDataFileUtils } from './ParameterDataFileUtils.mjs'
-import { AppProjectFileUtils } from './AppProjectFileUtils.mjs'
-import { ShapeMenuUtils } from './ShapeMenuUtils.mjs'
 import { ZoomUtils } from './ZoomUtils.mjs'
 import { FontFamilyUtils } from './FontFamilyUtils.mjs'
+import { CustomFontUtils } from './CustomFontUtils.mjs'
 import { I18n } from './I18n.mjs'
 import { AppElements } from './AppElements.mjs'
 import { AppApiEndpointUtils } from './AppApiEndpointUtils.mjs'
 import { AppRuntimeConfig } from './AppRuntimeConfig.mjs'
 import { AppRuntimeNoiseGuards } from './AppRuntimeNoiseGuards.mjs'
+import { AppPreferenceStorage } from './AppPreferenceStorage.mjs'
+import { EditorHistory } from './EditorHistory.mjs'
+import { AlignmentUtils } from './AlignmentUtils.mjs'
+import { AppMenuController } from './ui/AppMenuController.mjs'
+import { ItemClipboardController } from './ui/ItemClipboardController.mjs'
+import { ItemGroupController } from './ui/ItemGroupController.mjs'
+import { EditorShortcutController } from './ui/EditorShortcutController.mjs'
+import { ProjectFileController } from './ui/ProjectFileController.mjs'
+import { LabelPageController } from './ui/LabelPageController.mjs'
+import { ProjectAutosaveController } from './ui/ProjectAutosaveController.mjs'
+import { ProjectAutosaveStore } from './ProjectAutosaveStore.mjs'
+import { TemplateLibraryController } from './ui/TemplateLibraryController.mjs'
+import { PrintCountDialogController } from './ui/PrintCountDialogController.mjs'
+import { TemplateLibraryStore } from './TemplateLibraryStore.mjs'
+import { ProjectValidationPanel } from './ui/ProjectValidationPanel.mjs'
+import { ProjectValidationUtils } from './ProjectValidationUtils.mjs'
+import { ShortcutRegistry } from './ShortcutRegistry.mjs'
+import { KeyboardShortcutUtils } from './KeyboardShortcutUtils.mjs'
 import { AiActionBridge } from './ui/AiActionBridge.mjs'
 import { AiAssistantPanel } from './ui/AiAssistantPanel.mjs'
 import { WebMcpBridge } from './ui/WebMcpBridge.mjs'
@@ -77,11 +94,82 @@ class AppController {
         this.setStatus = setStatus
         this.i18n = i18n
         this.urlPrintOptions = { autoPrint: false, skipBatchConfirm: false }
+        this.history = new EditorHistory()
+        this.menus = new AppMenuController(elsRef, {
+            onAlign: (mode) => this.#alignSelection(mode),
+            onAlignReferenceChange: () => this.#syncAlignControls(),
+            onAddShape: (shapeType) => this.itemsEditor.addShapeItem(shapeType)
+        })
+        this.clipboard = new ItemClipboardController({
+            state: stateRef,
+            previewRenderer,
+            nextId: () => this.itemsEditor.nextId(),
+            translate: (key, params) => this.#t(key, params),
+            setStatus,
+            onChange: () => this.#handlePreviewItemChange()
+        })
+        this.groups = new ItemGroupController({
+            state: stateRef,
+            previewRenderer,
+            nextId: () => this.itemsEditor.nextId(),
+            translate: (key, params) => this.#t(key, params),
+            setStatus,
+            onChange: () => this.#handlePreviewItemChange(),
+            groupButton: elsRef.groupItems,
+            ungroupButton: elsRef.ungroupItems
+        })
+        this.projectFiles = new ProjectFileController({
+            state: stateRef,
+            els: elsRef,
+            translate: (key, params) => this.#t(key, params),
+            setStatus,
+            getAppVersion: () => appVersion,
+            applyLoadedProject: (rawState, sourceLabel) => this.#applyLoadedProject(rawState, sourceLabel),
+            onSaved: () => this.autosave.markSaved()
+        })
+        this.autosave = new ProjectAutosaveController({
+            store: new ProjectAutosaveStore(),
+            els: elsRef,
+            translate: (key, params) => this.#t(key, params),
+            setStatus,
+            buildPayload: () => this.buildProjectPayload(),
+            applyLoadedProject: (rawState, sourceLabel) => this.#applyLoadedProject(rawState, sourceLabel),
+            getLocale: () => this.i18n.locale
+        })
+        this.templates = new TemplateLibraryController({
+            store: new TemplateLibraryStore(),
+            els: elsRef,
+            translate: (key, params) => this.#t(key, params),
+            setStatus,
+            buildPayload: () => this.buildProjectPayload(),
+            applyLoadedProject: (rawState, sourceLabel) => this.#applyLoadedProject(rawState, sourceLabel),
+            captureThumbnail: (maxEdgePx) => previewRenderer.getRenderedLabelDataUrl(maxEdgePx),
+            getAppVersion: () => appVersion
+        })
+        this.printCount = new PrintCountDialogController({ els: elsRef })
+        this.validationReport = new ProjectValidationPanel({ els: elsRef, translate: (key, params) => this.#t(key, params) })
+        this.labelPages = new LabelPageController({
+            state: stateRef,
+            els: elsRef,
+            translate: (key, params) => this.#t(key, params),
+            setStatus,
+            onChange: () => this.#handleLabelPageChange()
+        })
+        this.shortcuts = new EditorShortcutController({
+            registry: new ShortcutRegistry(AppPreferenceStorage.readShortcutBindings()),
+            translate: (key, params) => this.#t(key, params),
+            isMac: KeyboardShortcutUtils.isMacPlatform(window.navigator),
+            overlay: elsRef.shortcutOverlay,
+            list: elsRef.shortcutList,
+            closeButton: elsRef.shortcutClose,
+            openButton: elsRef.shortcutHelp
+        })
         this.itemsEditor.onChange = this.#handleStateChange.bind(this)
         this.parameterPanel.onChange = this.#handleParameterChange.bind(this)
         this.previewRenderer.onSelectionChange = this.#handleSelectionChange.bind(this)
         this.previewRenderer.onItemChange = this.#handlePreviewItemChange.bind(this)
         this.previewRenderer.onItemEditorRequest = this.#handlePreviewItemEditorRequest.bind(this)
+        this.itemsEditor.onGroupRequest = this.#handleGroupRequest.bind(this)
     }
     /**
      * Resolves a translated string.
@@ -121,7 +209,9 @@ class AppController {
         this.itemsEditor.bindDrag()
         this.previewRenderer.bindInteractions()
         this.#bindEvents()
+        this.#resetHistory()
         this.previewRenderer.render()
+        if (!loadedProjectFromUrl) await this.autosave.offerRestore()
         if (loadedProjectFromUrl && this.urlPrintOptions.autoPrint) {
             await this.#handlePrintClick({ skipBatchConfirm: this.urlPrintOptions.skipBatchConfirm })
         }
@@ -137,20 +227,55 @@ class AppController {
     }
     /**
      * Refreshes the preview after state changes.
+     * Only continuous changes (slider drags, typing, held arrow keys) pass `coalesce`; all others start their own undo step.
+     * @param {{ coalesce?: boolean }} [historyOptions]
      */
-    #handleStateChange() {
+    #handleStateChange(historyOptions = {}) {
         this.#persistGoogleFontLinks()
         this.parameterPanel.handleItemTemplatesChanged()
         this.#syncPreviewTemplateValues()
         this.previewRenderer.render()
+        this.#recordHistory(historyOptions)
+        this.#loadUsedGoogleFontFaces()
+    }
+    /**
+     * Loads Google font weights and widths that edits started to use and renders the preview again once they are ready.
+     */
+    async #loadUsedGoogleFontFaces() {
+        if (await this.itemsEditor.loadGoogleFontLinks(this.state.customFontLinks)) this.previewRenderer.render()
     }
     /**
-     * Refreshes editor UI after direct preview item edits.
+     * Refreshes editor UI after direct preview item edits (drag/resize gestures, inline text edits).
      */
     #handlePreviewItemChange() {
         this.#handleStateChange()
         this.itemsEditor.render()
     }
+    /**
+     * Refreshes the editor after switching, adding, renaming or removing label pages.
+     */
+    #handleLabelPageChange() {
+        this.previewRenderer.setSelectedItemIds([])
+        this.#syncFormFromState()
+        this.itemsEditor.render()
+        this.#handleStateChange()
+    }
+    /**
+     * Moves the selection with the arrow keys; held keys merge into one undo step.
+     * @param {number} directionX
+     * @param {number} directionY
+     * @param {boolean} useMillimeters
+     * @returns {boolean} False without a selection so the arrow keys keep scrolling.
+     */
+    #nudgeSelection(directionX, directionY, useMillimeters) {
+        const result = this.previewRenderer.nudgeSelectedItems(directionX, directionY, useMillimeters)
+        if (!result.count) return false
+        if (result.changed) {
+            this.#handleStateChange({ coalesce: true })
+            this.itemsEditor.render()
+        }
+        return true
+    }
     /**
      * Opens requested item editor controls originating from preview interactions.
      * @param {{ itemId: string, type: string }} request
@@ -160,11 +285,88 @@ class AppController {
         this.itemsEditor.openIconPickerForItem(request.itemId)
     }
     /**
-     * Handles parameter definition/data changes.
+     * Applies group actions requested from a group card in the items editor.
+     * @param {{ action: 'ungroup' | 'rotate', itemId: string, rotation?: number }} request
+     */
+    #handleGroupRequest(request) {
+        if (request?.action === 'ungroup') {
+            this.groups.ungroupItems([request.itemId])
+            return
+        }
+        if (request?.action === 'rotate' && this.groups.rotateGroup(request.itemId, request.rotation)) {
+            this.#handleStateChange({ coalesce: true })
+        }
+    }
+    /**
+     * Handles parameter definition/data changes; typing in parameter fields passes `coalesce`,
+     * counters advanced by printing pass `untracked`.
+     * @param {{ coalesce?: boolean, untracked?: boolean }} [historyOptions]
      */
-    #handleParameterChange() {
+    #handleParameterChange(historyOptions = {}) {
         this.#syncPreviewTemplateValues()
         this.previewRenderer.render()
+        this.#recordHistory(historyOptions)
+    }
+    /**
+     * Records the current state as an undo step when it changed.
+     * @param {{ coalesce?: boolean }} [options]
+     */
+    #recordHistory(options = {}) {
+        this.history.record(EditorHistory.captureState(this.state), options)
+        this.#syncHistoryControls()
+        this.autosave.schedule()
+    }
+    /**
+     * Drops all undo/redo steps and uses the current state as baseline.
+     */
+    #resetHistory() {
+        this.history.reset(EditorHistory.captureState(this.state))
+        this.#syncHistoryControls()
+    }
+    /**
+     * Enables or disables undo/redo controls based on history state.
+     */
+    #syncHistoryControls() {
+        if (this.els.undo) this.els.undo.disabled = !this.history.canUndo
+        if (this.els.redo) this.els.redo.disabled = !this.history.canRedo
+    }
+    /**
+     * Runs an async task (for example an assistant action batch) as one undo step.
+     * @template T
+     * @param {() => Promise<T>} task
+     * @returns {Promise<T>}
+     */
+    async runHistoryBatch(task) {
+        this.history.beginBatch()
+        try {
+            return await task()
+        } finally {
+            this.history.endBatch(EditorHistory.captureState(this.state))
+            this.#syncHistoryControls()
+            this.#loadUsedGoogleFontFaces()
+        }
+    }
+    /**
+     * Reverts or re-applies one history step.
+     * @param {'undo' | 'redo'} direction
+     */
+    #stepHistory(direction) {
+        const snapshot = direction === 'redo' ? this.history.redo() : this.history.undo()
+        if (snapshot === null) {
+            this.setStatus(this.#t(direction === 'redo' ? 'messages.nothingToRedo' : 'messages.nothingToUndo'), 'info')
+            return
+        }
+        EditorHistory.restoreState(this.state, snapshot)
+        const itemIds = new Set(this.state.items.map((item) => item.id))
+        this.previewRenderer.setSelectedItemIds(this.previewRenderer.getSelectedItemIds().filter((id) => itemIds.has(id)))
+        this.#syncFormFromState()
+        this.parameterPanel.syncFromState()
+        this.#syncPreviewTemplateValues()
+        this.itemsEditor.render()
+        this.previewRenderer.render()
+        this.#syncHistoryControls()
+        this.autosave.schedule()
+        this.setStatus(this.#t(direction === 'redo' ? 'messages.redone' : 'messages.undone'), 'info')
     }
     /**
      * Syncs preview template values from parameter state.
@@ -186,43 +388,26 @@ class AppController {
     #syncAlignControls() {
         const selectedCount = this.previewRenderer.getSelectedItemIds().length
         const referenceMode = this.els.alignReference?.value || 'selection'
-        const requiresMultipleItems = referenceMode !== 'label'
-        const canAlign = selectedCount > 0 && (!requiresMultipleItems || selectedCount > 1)
-        const alignButtons = [
-            this.els.alignLeft,
-            this.els.alignCenter,
-            this.els.alignRight,
-            this.els.alignTop,
-            this.els.alignMiddle,
-            this.els.alignBottom
-        ]
-        alignButtons.forEach((button) => {
-            if (!button) return
-            button.disabled = !canAlign
+        this.menus.getAlignButtonModes().forEach(({ button, mode }) => {
+            button.disabled = selectedCount < AlignmentUtils.resolveMinimumSelection(mode, referenceMode)
         })
+        this.groups.syncControls()
     }
     /**
-     * Aligns selected items according to the requested mode.
-     * @param {'left' | 'center' | 'right' | 'top' | 'middle' | 'bottom'} mode
+     * Aligns, distributes or size-matches selected items according to the requested mode.
+     * @param {string} mode One of `AlignmentUtils.ALIGN_MODES`.
      */
     #alignSelection(mode) {
         const referenceMode = this.els.alignReference?.value || 'selection'
         const result = this.previewRenderer.alignSelectedItems(mode, referenceMode)
-        this.#setAlignMenuOpen(false)
+        this.menus.setAlignMenuOpen(false)
         if (!result.changed) {
-            if (result.reason === 'no-selection') {
-                this.setStatus(this.#t('messages.selectAtLeastOne'), 'info')
-                return
-            }
-            if (result.reason === 'need-multiple') {
-                this.setStatus(this.#t('messages.selectAtLeastTwo'), 'info')
-                return
-            }
-            this.setStatus(this.#t('messages.nothingToAlign'), 'info')
+            this.setStatus(this.#t(AlignmentUtils.resolveFailureMessageKey(result.reason)), 'info')
             return
         }
         this.itemsEditor.render()
         this.previewRenderer.render()
+        this.#recordHistory()
         this.setStatus(
             result.count === 1
                 ? this.#t('messages.alignedOne')
@@ -315,70 +500,31 @@ class AppController {
      * Restores a persisted zoom value when the current display fingerprint matches.
      */
     #restoreZoomPreference() {
-        const persistedZoom = this.#readPersistedZoomPreference()
+        const persistedZoom = AppPreferenceStorage.readZoom(window)
         if (persistedZoom === null) return
         this.state.zoom = ZoomUtils.clampZoom(persistedZoom)
     }
-    /**
-     * Reads a persisted zoom value from localStorage with display matching.
-     * @returns {number | null}
-     */
-    #readPersistedZoomPreference() {
-        try {
-            if (!window.localStorage) return null
-            const rawPreference = window.localStorage.getItem(ZoomUtils.ZOOM_PREFERENCE_STORAGE_KEY)
-            return ZoomUtils.resolvePersistedZoom(rawPreference, window)
-        } catch (_error) {
-            return null
-        }
-    }
     /**
      * Persists the current zoom value together with a display fingerprint.
      */
     #persistZoomPreference() {
-        try {
-            if (!window.localStorage) return
-            const preferencePayload = ZoomUtils.createZoomPreferencePayload(this.state.zoom, window)
-            window.localStorage.setItem(ZoomUtils.ZOOM_PREFERENCE_STORAGE_KEY, JSON.stringify(preferencePayload))
-        } catch (_error) {
-            // Ignore storage write failures in private mode or restricted contexts.
-        }
+        AppPreferenceStorage.writeZoom(this.state.zoom, window)
     }
     /**
      * Restores persisted Google font links from localStorage.
      */
     #restorePersistedGoogleFontLinks() {
-        const persistedLinks = this.#readPersistedGoogleFontLinks()
+        const persistedLinks = AppPreferenceStorage.readGoogleFontLinks(window)
         if (!persistedLinks.length) return
         this.state.customFontLinks = FontFamilyUtils.normalizeGoogleFontLinks(
             this.state.customFontLinks.concat(persistedLinks)
         )
     }
-    /**
-     * Reads persisted Google font links from localStorage.
-     * @returns {string[]}
-     */
-    #readPersistedGoogleFontLinks() {
-        try {
-            if (!window.localStorage) return []
-            const rawValue = window.localStorage.getItem(FontFamilyUtils.GOOGLE_FONT_LINKS_STORAGE_KEY)
-            return FontFamilyUtils.parsePersistedGoogleFontLinks(rawValue)
-        } catch (_error) {
-            return []
-        }
-    }
     /**
      * Persists the current Google font links to localStorage.
      */
     #persistGoogleFontLinks() {
-        try {
-            if (!window.localStorage) return
-            const normalizedLinks = FontFamilyUtils.normalizeGoogleFontLinks(this.state.customFontLinks)
-            this.state.customFontLinks = normalizedLinks
-            window.localStorage.setItem(FontFamilyUtils.GOOGLE_FONT_LINKS_STORAGE_KEY, JSON.stringify(normalizedLinks))
-        } catch (_error) {
-            // Ignore storage write failures in private mode or restricted contexts.
-        }
+        this.state.customFontLinks = AppPreferenceStorage.writeGoogleFontLinks(this.state.customFontLinks, window)
     }
     /**
      * Applies a raw project object to the editor state.
@@ -387,19 +533,32 @@ class AppController {
      * @param {boolean} [refreshView=true]
      */
     async #applyLoadedProject(rawState, sourceLabel, refreshView = true) {
-        const { state: normalizedState, nextIdCounter } = ProjectIoUtils.normalizeProjectState(rawState, defaultState)
+        const report = ProjectValidationUtils.validateProject(rawState)
+        const { state: normalizedState, nextIdCounter, migration } = ProjectIoUtils.normalizeProjectState(rawState, defaultState)
         idCounter = nextIdCounter
         this.#applyState(normalizedState)
         await this.itemsEditor.loadGoogleFontLinks(this.state.customFontLinks)
+        await this.itemsEditor.loadCustomFonts(this.state.customFonts)
         this.#persistGoogleFontLinks()
         this.#syncFormFromState()
         this.parameterPanel.syncFromState()
         this.#syncPreviewTemplateValues()
         this.previewRenderer.setSelectedItemIds([])
+        this.#resetHistory()
         if (refreshView) {
             this.itemsEditor.render()
             this.previewRenderer.render()
         }
+        this.validationReport.show(report, sourceLabel)
+        if (migration.isNewer) {
+            const params = { sourceLabel, version: migration.fromVersion, supported: migration.toVersion }
+            this.setStatus(this.#t('messages.loadedNewerSchema', params), 'warning')
+            return
+        }
+        if (report.errors.length) {
+            this.setStatus(this.#t('messages.loadedWithIssues', { sourceLabel, count: report.errors.length }), 'warning')
+            return
+        }
         this.setStatus(this.#t('messages.loaded', { sourceLabel }), 'success')
     }
     /**
@@ -471,118 +630,7 @@ class AppController {
      * @returns {string}
      */
     #buildProjectShareUrl() {
-        const payload = ProjectIoUtils.buildProjectPayload(this.state, { appVersion })
-        const encodedProject = ProjectUrlUtils.encodeProjectPayloadParam(payload)
-        const shareUrl = new URL(window.location.href)
-        shareUrl.searchParams.set(ProjectUrlUtils.PROJECT_PARAM, encodedProject)
-        shareUrl.searchParams.delete(ProjectUrlUtils.PROJECT_URL_PARAM)
-        return shareUrl.toString()
-    }
-    /**
-     * Shares or copies the current project URL.
-     * @returns {Promise<void>}
-     */
-    async #shareProject() {
-        if (!this.els.shareProject) return
-        try {
-            const shareUrl = this.#buildProjectShareUrl()
-            if (navigator.share) {
-                await navigator.share({
-                    title: this.#t('app.title'),
-                    url: shareUrl
-                })
-                this.setStatus(this.#t('messages.sharedLink'), 'success')
-                return
-            }
-            if (navigator.clipboard?.writeText) {
-                await navigator.clipboard.writeText(shareUrl)
-                this.setStatus(this.#t('messages.copiedLink'), 'success')
-                return
-            }
-            window.prompt(this.#t('messages.copyPrompt'), shareUrl)
-            this.setStatus(this.#t('messages.linkReady'), 'info')
-        } catch (err) {
-            if (err?.name === 'AbortError') {
-                this.setStatus(this.#t('messages.shareCanceled'), 'info')
-                return
-            }
-            const message = err?.message || this.#t('messages.unknownError')
-            this.setStatus(this.#t('messages.shareFailed', { message }), 'error')
-        }
-    }
-    /**
-     * Saves the current project state as a JSON file.
-     * @returns {Promise<void>}
-     */
-    async #saveProject() {
-        if (!this.els.saveProject) return
-        const payload = ProjectIoUtils.buildProjectPayload(this.state, { appVersion })
-        const contents = JSON.stringify(payload, null, 2)
-        const suggestedName = AppProjectFileUtils.buildSuggestedFileName()
-
-        try {
-            if (window.showSaveFilePicker) {
-                const handle = await window.showSaveFilePicker({
-                    suggestedName,
-                    types: [
-                        {
-                            description: this.#t('messages.projectJsonDescription'),
-                            accept: { 'application/json': ['.json'] }
-                        }
-                    ]
-                })
-                const writable = await handle.createWritable()
-                await writable.write(contents)
-                await writable.close()
-                this.setStatus(this.#t('messages.saved', { fileName: handle.name || suggestedName }), 'success')
-                return
-            }
-
-            // Prompt for a file name when the save picker is unavailable.
-            const fallbackName = window.prompt(this.#t('messages.savePrompt'), suggestedName)
-            if (!fallbackName) {
-                this.setStatus(this.#t('messages.saveCanceled'), 'info')
-                return
-            }
-            const fileName = fallbackName.endsWith('.json') ? fallbackName : `${fallbackName}.json`
-            AppProjectFileUtils.downloadProjectFallback(contents, fileName)
-            this.setStatus(this.#t('messages.downloaded', { fileName }), 'success')
-        } catch (err) {
-            if (err?.name === 'AbortError') {
-                this.setStatus(this.#t('messages.saveCanceled'), 'info')
-                return
-            }
-            const message = err?.message || this.#t('messages.unknownError')
-            this.setStatus(this.#t('messages.saveFailed', { message }), 'error')
-        }
-    }
-    /**
-     * Loads a project JSON file and updates the editor state.
-     * @returns {Promise<void>}
-     */
-    async #loadProject() {
-        if (!this.els.loadProject) return
-        try {
-            const file = await AppProjectFileUtils.promptForProjectFile({
-                translate: (key) => this.#t(key),
-                inputElement: this.els.loadInput,
-                windowRef: window
-            })
-            if (!file) {
-                this.setStatus(this.#t('messages.loadCanceled'), 'info')
-                return
-            }
-            const rawText = await file.text()
-            const rawState = JSON.parse(rawText)
-            await this.#applyLoadedProject(rawState, file.name)
-        } catch (err) {
-            if (err?.name === 'AbortError') {
-                this.setStatus(this.#t('messages.loadCanceled'), 'info')
-                return
-            }
-            const message = err?.message || this.#t('messages.unknownError')
-            this.setStatus(this.#t('messages.loadFailed', { message }), 'error')
-        }
+        return this.projectFiles.buildShareUrl()
     }
     /**
      * Ensures a select control points to a valid option value.
@@ -620,6 +668,7 @@ class AppController {
         this.state.customFontLinks = Array.isArray(nextState.customFontLinks)
             ? nextState.customFontLinks.map((link) => String(link || '').trim()).filter(Boolean)
             : []
+        this.state.customFonts = CustomFontUtils.normalizeFonts(nextState.customFonts)
         this.state.parameterDataRows = Array.isArray(nextState.parameterDataRows)
             ? nextState.parameterDataRows
                   .filter((row) => row && typeof row === 'object' && !Array.isArray(row))
@@ -629,6 +678,8 @@ class AppController {
             typeof nextState.parameterDataRaw === 'string' ? nextState.parameterDataRaw : ''
         this.state.parameterDataSourceName =
             typeof nextState.parameterDataSourceName === 'string' ? nextState.parameterDataSourceName : ''
+        this.state.labels = Array.isArray(nextState.labels) ? nextState.labels : []
+        this.state.activeLabelIndex = Number.isInteger(nextState.activeLabelIndex) ? nextState.activeLabelIndex : 0
         this.state.items.splice(0, this.state.items.length, ...nextState.items)
     }
     /**
@@ -649,6 +700,7 @@ class AppController {
         this.#restoreBleState()
         this.#syncZoomControls()
         this.#syncAlignControls()
+        this.labelPages.render()
     }
     /**
      * Populates select elements with media and resolution options.
@@ -703,24 +755,6 @@ class AppController {
         this.els.bleNotify.value = this.state.ble.notifyCharacteristicUuid
         this.els.bleFilter.value = this.state.ble.namePrefix
     }
-    /**
-     * Sets the shape menu visibility and syncs the trigger state for accessibility.
-     * @param {boolean} isOpen
-     */
-    #setShapeMenuOpen(isOpen) {
-        if (!this.els.shapeMenu || !this.els.addShape) return
-        this.els.shapeMenu.hidden = !isOpen
-        this.els.addShape.setAttribute('aria-expanded', isOpen ? 'true' : 'false')
-    }
-    /**
-     * Sets the alignment dropdown visibility.
-     * @param {boolean} isOpen
-     */
-    #setAlignMenuOpen(isOpen) {
-        if (!this.els.alignMenu || !this.els.alignMenuTrigger) return
-        this.els.alignMenu.open = isOpen
-        this.els.alignMenuTrigger.setAttribute('aria-expanded', isOpen ? 'true' : 'false')
-    }
     /**
      * Applies a new locale and refreshes localized UI/state renderers.
      * @param {string} nextLocale
@@ -732,20 +766,31 @@ class AppController {
         this.#syncFormFromState()
         this.itemsEditor.render()
         this.parameterPanel.syncFromState()
+        this.#syncPreviewTemplateValues()
         this.previewRenderer.render()
     }
     /**
      * Handles print with parameter validation and batch confirmation.
+     * Serial counter batches ask for the label count instead and continue the counters after a sent job.
      * @returns {Promise<void>}
      */
     async #handlePrintClick(options = {}) {
-        const skipBatchConfirm = Boolean(options.skipBatchConfirm)
+        let skipBatchConfirm = Boolean(options.skipBatchConfirm)
         await this.parameterPanel.waitForValidation()
         if (this.parameterPanel.hasBlockingErrors()) {
             this.setStatus(this.#t('messages.parameterFixBeforePrint'), 'error')
             return
         }
-        const parameterValueMaps = this.parameterPanel.buildPrintParameterValueMaps()
+        let count = 1
+        if (this.parameterPanel.shouldAskPrintCount() && !skipBatchConfirm) {
+            count = await this.printCount.request({ describe: (value) => this.parameterPanel.describeCounterRange(value) })
+            if (count === null) {
+                this.setStatus(this.#t('messages.printCanceled'), 'info')
+                return
+            }
+            skipBatchConfirm = true
+        }
+        const parameterValueMaps = this.parameterPanel.buildPrintParameterValueMaps(count)
         if (parameterValueMaps.length > 10 && !skipBatchConfirm) {
             const confirmed = window.confirm(this.#t('messages.printConfirmMany', { count: parameterValueMaps.length }))
             if (!confirmed) {
@@ -753,7 +798,8 @@ class AppController {
                 return
             }
         }
-        await this.printController.print(parameterValueMaps)
+        const sent = await this.printController.print(parameterValueMaps, { pages: this.labelPages.getPrintPages() })
+        if (sent) this.parameterPanel.advanceSerialCounters(parameterValueMaps.length)
     }
     /**
      * Binds UI event handlers for the editor.
@@ -763,14 +809,16 @@ class AppController {
             this.els.localeSelect.addEventListener('change', (e) => this.#handleLocaleChange(e.target.value))
         }
         if (this.els.saveProject) {
-            this.els.saveProject.addEventListener('click', () => this.#saveProject())
+            this.els.saveProject.addEventListener('click', () => this.projectFiles.saveProject())
         }
         if (this.els.loadProject) {
-            this.els.loadProject.addEventListener('click', () => this.#loadProject())
+            this.els.loadProject.addEventListener('click', () => this.projectFiles.loadProject())
         }
         if (this.els.shareProject) {
-            this.els.shareProject.addEventListener('click', () => this.#shareProject())
+            this.els.shareProject.addEventListener('click', () => this.projectFiles.shareProject())
         }
+        if (this.els.undo) this.els.undo.addEventListener('click', () => this.#stepHistory('undo'))
+        if (this.els.redo) this.els.redo.addEventListener('click', () => this.#stepHistory('redo'))
         if (this.els.zoomOut) {
             this.els.zoomOut.addEventListener('click', () => this.#setZoom(ZoomUtils.stepZoom(this.state.zoom, -1)))
         }
@@ -795,92 +843,31 @@ class AppController {
                 { passive: true }
             )
         }
-        if (this.els.alignReference) {
-            this.els.alignReference.addEventListener('change', () => this.#syncAlignControls())
-        }
-        if (this.els.alignMenu && this.els.alignMenuTrigger) {
-            this.#setAlignMenuOpen(this.els.alignMenu.open)
-            this.els.alignMenuTrigger.addEventListener('click', (e) => {
-                // Drive the dropdown explicitly so behavior is stable across browsers.
-                e.preventDefault()
-                e.stopPropagation()
-                this.#setAlignMenuOpen(!this.els.alignMenu.open)
-            })
-            document.addEventListener(
-                'pointerdown',
-                (e) => {
-                    if (!this.els.alignMenu.open) return
-                    if (this.els.alignMenu.contains(e.target)) return
-                    this.#setAlignMenuOpen(false)
-                },
-                { capture: true }
-            )
-            document.addEventListener('keydown', (e) => {
-                if (e.key === 'Escape' && this.els.alignMenu.open) {
-                    this.#setAlignMenuOpen(false)
-                    this.els.alignMenuTrigger.focus()
-                }
-            })
-        }
-        if (this.els.alignLeft) {
-            this.els.alignLeft.addEventListener('click', () => this.#alignSelection('left'))
-        }
-        if (this.els.alignCenter) {
-            this.els.alignCenter.addEventListener('click', () => this.#alignSelection('center'))
-        }
-        if (this.els.alignRight) {
-            this.els.alignRight.addEventListener('click', () => this.#alignSelection('right'))
-        }
-        if (this.els.alignTop) {
-            this.els.alignTop.addEventListener('click', () => this.#alignSelection('top'))
-        }
-        if (this.els.alignMiddle) {
-            this.els.alignMiddle.addEventListener('click', () => this.#alignSelection('middle'))
-        }
-        if (this.els.alignBottom) {
-            this.els.alignBottom.addEventListener('click', () => this.#alignSelection('bottom'))
-        }
+        this.menus.bind()
+        this.clipboard.bind(document)
+        this.groups.bind()
+        this.labelPages.bind()
+        this.autosave.bind(window)
+        this.templates.bind()
+        this.printCount.bind()
+        this.validationReport.bind()
+        this.shortcuts.bind(document, {
+            undo: () => this.#stepHistory('undo'),
+            redo: () => this.#stepHistory('redo'),
+            duplicate: () => this.clipboard.duplicateSelection(),
+            deleteSelection: () => this.clipboard.deleteSelection() > 0,
+            selectAll: () => this.previewRenderer.selectAllItems(),
+            nudge: (directionX, directionY, useMillimeters) => this.#nudgeSelection(directionX, directionY, useMillimeters),
+            group: () => this.groups.groupSelection(),
+            ungroup: () => this.groups.ungroupSelection(),
+            save: () => this.projectFiles.saveProject(),
+            print: () => this.#handlePrintClick()
+        })
         this.els.addText.addEventListener('click', () => this.itemsEditor.addTextItem())
         this.els.addQr.addEventListener('click', () => this.itemsEditor.addQrItem())
         if (this.els.addBarcode) this.els.addBarcode.addEventListener('click', () => this.itemsEditor.addBarcodeItem())
         if (this.els.addImage) this.els.addImage.addEventListener('click', () => this.itemsEditor.addImageItem())
         if (this.els.addIcon) this.els.addIcon.addEventListener('click', () => this.itemsEditor.addIconItem())
-        if (this.els.shapeMenu && this.els.addShape) {
-            if (!this.els.shapeMenu.id) {
-                this.els.shapeMenu.id = 'shape-menu'
-            }
-            this.els.addShape.setAttribute('aria-haspopup', 'menu')
-            this.els.addShape.setAttribute('aria-controls', this.els.shapeMenu.id)
-            this.#setShapeMenuOpen(!this.els.shapeMenu.hidden)
-            this.els.addShape.addEventListener('click', (e) => {
-                e.stopPropagation()
-                this.#setShapeMenuOpen(this.els.shapeMenu.hidden)
-            })
-            this.els.shapeMenu.querySelectorAll('[data-shape-type]').forEach((btn) =>
-                btn.addEventListener('click', (ev) => {
-                    ev.stopPropagation()
-                    const type = btn.dataset.shapeType || 'rect'
-                    this.itemsEditor.addShapeItem(type)
-                    this.#setShapeMenuOpen(false)
-                })
-            )
-            document.addEventListener(
-                'pointerdown',
-                (e) => {
-                    // Capture so outside clicks close even if another handler stops propagation.
-                    if (ShapeMenuUtils.isOutsideShapeMenuInteraction(e, this.els.shapeMenu, this.els.addShape)) {
-                        this.#setShapeMenuOpen(false)
-                    }
-                },
-                { capture: true }
-            )
-            document.addEventListener('keydown', (e) => {
-                if (e.key === 'Escape' && !this.els.shapeMenu.hidden) {
-                    this.#setShapeMenuOpen(false)
-                    this.els.addShape.focus()
-                }
-            })
-        }
         this.els.print.addEventListener('click', () => this.#handlePrintClick())
         this.els.mode.addEventListener('change', () => {
             this.state.backend = this.els.mode.value
@@ -890,18 +877,22 @@ class AppController {
             this.state.orientation = this.els.orientation.value
             this.itemsEditor.render()
             this.previewRenderer.render()
+            this.#recordHistory()
         })
         this.els.media.addEventListener('change', () => {
             this.state.media = this.els.media.value
             this.previewRenderer.render()
+            this.#recordHistory()
         })
         this.els.mediaLength.addEventListener('input', (e) => {
             const val = e.target.value.trim()
             this.state.mediaLengthMm = val ? Number(val) : null
             this.previewRenderer.render()
+            this.#recordHistory({ coalesce: true })
         })
         this.els.resolution.addEventListener('change', () => {
             this.state.resolution = this.els.resolution.value
+            this.#recordHistory()
         })
         this.els.printer.addEventListener('change', () => {
             this.state.printer = this.els.printer.value
@@ -948,7 +939,9 @@ async function startApp() {
     const itemsEditor = new ItemsEditor(els, state, shapeTypes, noop, nextId, translate, setStatus)
     const parameterPanel = new ParameterPanel(els, state, setStatus, noop, translate, {
         parameterDataWorkerClient,
-        parameterValidationWorkerClient
+        parameterValidationWorkerClient,
+        getTextFitPages: () => previewRenderer.getTextFitPages(),
+        getLocale: () => i18n.locale
     })
     const printController = new PrintController(els, state, printerMap, previewRenderer, setStatus, translate, {
         printPageWorkerPoolClient
@@ -983,7 +976,7 @@ async function startApp() {
         setStatus,
         translate
     )
-    aiAssistant.onRunActions = (actions, context) => aiActionBridge.runActions(actions, context)
+    aiAssistant.onRunActions = (actions, context) => app.runHistoryBatch(() => aiActionBridge.runActions(actions, context))
     aiAssistant.getUiState = () => aiActionBridge.getUiStateSnapshot()
     aiAssistant.getActionCapabilities = () => aiActionBridge.getActionCapabilities()
     aiAssistant.getRenderedLabelAttachment = () => previewRenderer.getRenderedLabelAttachment()
@@ -9,6 +9,7 @@ import { fileURLToPath } from 'url'
 import { config as loadDotEnv } from 'dotenv'
 import { AssistantBackendConfig } from './AssistantBackendConfig.mjs'
 import { AssistantToolChoiceUtils } from './AssistantToolChoiceUtils.mjs'
+import { AlignmentUtils } from './AlignmentUtils.mjs'
 
 const __dirname = dirname(fileURLToPath(import.meta.url))
 const projectRoot = join(__dirname, '..')
@@ -173,6 +174,7 @@ function buildAssistantInstructions() {
         'If a request is out of scope, refuse briefly and ask for a label-editor task.',
         'When the user requests a label/editor change, call the tool editor_action with allowlisted actions only.',
         'When calling editor_action, always include required fields for each action (for example: add_item needs itemType, update_item needs changes, set_label needs settings, align_selected needs mode).',
+        'align_selected also distributes (distribute-horizontal/vertical for equal gaps, distribute-centers-horizontal/vertical for equal center spacing; needs at least three items) and resizes (match-width/match-height; reference largest is used for selection).',
         'When using add_item + update_item in the same action plan, prefer update_item itemId "last" (or explicit item refs) instead of "selected/current".',
         'Do not emit placeholder actions with only {"action":"..."} and no actionable payload.',
         'For labels copied from a photo/sketch, preserve text structure exactly: keep explicit line breaks and stacked sections instead of flattening everything into one long line.',
@@ -194,6 +196,14 @@ function buildAssistantInstructions() {
         'Do not generate many separate text items for one stacked inventory block unless the user explicitly asks for editable per-line objects.',
         'Do not duplicate content: each text section should appear exactly once. Never keep a full multiline copy and additional duplicated line items at the same time.',
         'Text items support style flags: textBold, textItalic, textUnderline, textStrikethrough. Use these instead of creating extra line shapes only for underlines.',
+        'Multiline text items support textAlign (left, center, right, justify); use it instead of padding lines with spaces.',
+        'Set boxWidth (dots, 0 = auto) on text items to word-wrap long text into a fixed-width box instead of inserting manual line breaks.',
+        'To style only part of a text (for example "Room: **A-101**"), set richText: true on the text item and use **bold**, *italic*, __underline__, [size=N]…[/size] or [font=Name]…[/font] markup instead of separate text items.',
+        'On narrow tapes such as W6, condense text with a negative letterSpacing and a lineHeight around 1 before lowering fontSize; wide tapes can use a positive letterSpacing for open tracking.',
+        'Set overflow to "shrink" (with minFontSize), "ellipsis" or "clip" on text items whose placeholder values vary in length per row.',
+        'For vertical lettering down a narrow label, set textDirection: "stacked" on the text item (stackSpacing adjusts the gap between glyphs) instead of rotating it or splitting it into one item per letter.',
+        'For white-on-black, outlined or framed text, set textEffect ("inverted", "outline" or "box") with textEffectPadding/textEffectRadius on the text item instead of placing a filled shape under it; the frame follows the text length per row.',
+        'For variable fonts, set fontWeight (100-900, for example 300 for light) and fontWidth (percent, for example 75 for condensed) on text items; textBold only toggles a bold face.',
         'For boxed/table barcode references, use shape geometry for structure: outer frame + row separators + column divider where visible.',
         'Do not use textUnderline to imitate structural separators when the reference shows drawn lines/boxes.',
         'For two-cell top rows in boxed barcode references, keep separate text items aligned on the same row and fit font size to the cell width (W24 guidance: about 13-16 unless the image clearly indicates otherwise).',
@@ -252,7 +262,7 @@ function buildTools() {
                                         properties: {
                                             type: 'object',
                                             description:
-                                                'Initial item properties. Supports positionMode ("flow" or "absolute"), xOffset/yOffset/rotation, text style flags, and QR size.'
+                                                'Initial item properties. Supports positionMode ("flow" or "absolute"), xOffset/yOffset/rotation, text style flags, fontWeight/fontWidth, richText markup, textAlign, letterSpacing/lineHeight, boxWidth, overflow/minFontSize, textDirection/stackSpacing, textEffect, and QR size.'
                                         }
                                     },
                                     required: ['action', 'itemType']
@@ -268,7 +278,7 @@ function buildTools() {
                                             type: 'object',
                                             minProperties: 1,
                                             description:
-                                                'Property patch. Supports positionMode ("flow" or "absolute"), xOffset/yOffset/rotation, text styling keys, and QR size.'
+                                                'Property patch. Supports positionMode ("flow" or "absolute"), xOffset/yOffset/rotation, text styling keys, fontWeight/fontWidth, richText markup, textAlign, letterSpacing/lineHeight, boxWidth, overflow/minFontSize, textDirection/stackSpacing, textEffect, and QR size.'
                                         }
                                     },
                                     required: ['action', 'changes']
@@ -331,7 +341,7 @@ function buildTools() {
                                         itemIds: { type: 'array', items: { type: 'string' }, minItems: 1 },
                                         mode: {
                                             type: 'string',
-                                            enum: ['left', 'center', 'right', 'top', 'middle', 'bottom']
+                                            enum: AlignmentUtils.ALIGN_MODES
                                         },
                                         reference: {
                                             type: 'string',
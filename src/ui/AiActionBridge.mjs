@@ -1,8 +1,11 @@
+import { AiActionCapabilityUtils } from './AiActionCapabilityUtils.mjs'
 import { AiItemChangeUtils } from './AiItemChangeUtils.mjs'
 import { AiRebuildPostProcessUtils } from './AiRebuildPostProcessUtils.mjs'
 import { AiUniversalRebuildNormalizer } from './AiUniversalRebuildNormalizer.mjs'
 import { AiBoxedBarcodeFormFidelityUtils } from './AiBoxedBarcodeFormFidelityUtils.mjs'
 import { QrSizeUtils } from '../QrSizeUtils.mjs'
+import { AlignmentUtils } from '../AlignmentUtils.mjs'
+import { TextLayoutUtils } from '../TextLayoutUtils.mjs'
 /** Allowlisted action runtime used by the in-app assistant. */
 export class AiActionBridge {
     #translate = (key) => key
@@ -65,9 +68,21 @@ export class AiActionBridge {
             textPreview: typeof item.text === 'string' ? item.text.slice(0, 120) : undefined,
             dataPreview: typeof item.data === 'string' ? item.data.slice(0, 120) : undefined,
             textBold: Boolean(item.textBold),
+            fontWeight: item.type === 'text' ? TextLayoutUtils.normalizeFontWeight(item.fontWeight) : undefined,
+            fontWidth: item.type === 'text' ? TextLayoutUtils.normalizeFontWidth(item.fontWidth) : undefined,
             textItalic: Boolean(item.textItalic),
             textUnderline: Boolean(item.textUnderline),
-            textStrikethrough: Boolean(item.textStrikethrough)
+            textStrikethrough: Boolean(item.textStrikethrough),
+            richText: item.type === 'text' ? Boolean(item.richText) : undefined,
+            textAlign: item.type === 'text' ? TextLayoutUtils.normalizeTextAlign(item.textAlign) : undefined,
+            letterSpacing: item.type === 'text' ? TextLayoutUtils.normalizeLetterSpacing(item.letterSpacing) : undefined,
+            lineHeight: item.type === 'text' ? TextLayoutUtils.normalizeLineHeight(item.lineHeight) : undefined,
+            boxWidth: item.type === 'text' ? TextLayoutUtils.normalizeBoxWidth(item.boxWidth) : undefined,
+            overflow: item.type === 'text' ? TextLayoutUtils.normalizeOverflow(item.overflow) : undefined,
+            minFontSize: item.type === 'text' ? TextLayoutUtils.normalizeMinFontSize(item.minFontSize) : undefined,
+            textDirection: item.type === 'text' ? TextLayoutUtils.normalizeTextDirection(item.textDirection) : undefined,
+            stackSpacing: item.type === 'text' ? TextLayoutUtils.normalizeStackSpacing(item.stackSpacing) : undefined,
+            textEffect: item.type === 'text' ? TextLayoutUtils.normalizeTextEffect(item.textEffect) : undefined
         }))
         return {
             backend: this.state.backend,
@@ -102,80 +117,14 @@ export class AiActionBridge {
             ],
             itemTypes: ['text', 'qr', 'barcode', 'image', 'icon', 'shape'],
             shapeTypes: this.#shapeTypeIds,
-            alignModes: ['left', 'center', 'right', 'top', 'middle', 'bottom'],
+            alignModes: AlignmentUtils.ALIGN_MODES,
+            textAlignModes: TextLayoutUtils.TEXT_ALIGN_MODES,
+            overflowModes: TextLayoutUtils.OVERFLOW_MODES,
+            textDirections: TextLayoutUtils.TEXT_DIRECTIONS,
+            textEffects: TextLayoutUtils.TEXT_EFFECTS,
             alignReferences: ['selection', 'largest', 'smallest', 'label'],
-            itemProperties: {
-                text: [
-                    'text',
-                    'fontFamily',
-                    'fontSize',
-                    'textBold',
-                    'textItalic',
-                    'textUnderline',
-                    'textStrikethrough',
-                    'positionMode',
-                    'xOffset',
-                    'yOffset',
-                    'rotation'
-                ],
-                qr: [
-                    'data',
-                    'size',
-                    'positionMode',
-                    'xOffset',
-                    'yOffset',
-                    'rotation',
-                    'qrErrorCorrectionLevel',
-                    'qrVersion',
-                    'qrEncodingMode'
-                ],
-                barcode: [
-                    'data',
-                    'width',
-                    'height',
-                    'positionMode',
-                    'xOffset',
-                    'yOffset',
-                    'rotation',
-                    'barcodeFormat',
-                    'barcodeShowText',
-                    'barcodeModuleWidth',
-                    'barcodeMargin'
-                ],
-                image: [
-                    'imageData',
-                    'imageName',
-                    'width',
-                    'height',
-                    'positionMode',
-                    'xOffset',
-                    'yOffset',
-                    'rotation',
-                    'imageDither',
-                    'imageThreshold',
-                    'imageSmoothing',
-                    'imageInvert'
-                ],
-                icon: ['iconId', 'width', 'height', 'positionMode', 'xOffset', 'yOffset', 'rotation'],
-                shape: [
-                    'shapeType',
-                    'width',
-                    'height',
-                    'strokeWidth',
-                    'cornerRadius',
-                    'sides',
-                    'positionMode',
-                    'xOffset',
-                    'yOffset',
-                    'rotation'
-                ]
-            },
-            notes: [
-                'Text styling supports textBold, textItalic, textUnderline, textStrikethrough.',
-                'QR codes are always square. Use the size property. Width/height map to size for QR items.',
-                'positionMode supports flow and absolute. Sketch/photo reconstructions should use absolute.',
-                'Horizontal labels are center-anchored on yOffset: negative moves up, positive moves down.'
-            ]
+            itemProperties: AiActionCapabilityUtils.getItemProperties(),
+            notes: AiActionCapabilityUtils.getNotes()
         }
     }
     /**
@@ -612,13 +561,7 @@ export class AiActionBridge {
         const reference = String(action.reference || 'selection').trim()
         const result = this.previewRenderer.alignSelectedItems(mode, reference)
         if (!result.changed) {
-            if (result.reason === 'no-selection') {
-                throw new Error(this.translate('messages.selectAtLeastOne'))
-            }
-            if (result.reason === 'need-multiple') {
-                throw new Error(this.translate('messages.selectAtLeastTwo'))
-            }
-            throw new Error(this.translate('messages.nothingToAlign'))
+            throw new Error(this.translate(AlignmentUtils.resolveFailureMessageKey(result.reason)))
         }
         this.#renderAfterMutation()
         const selectedIdsAfterAlign = this.previewRenderer.getSelectedItemIds()
@@ -643,7 +586,7 @@ export class AiActionBridge {
                 throw new Error(this.translate('messages.printCanceled'))
             }
         }
-        await this.printController.print(maps)
+        if (await this.printController.print(maps)) this.parameterPanel.advanceSerialCounters?.(maps.length)
         return this.translate('assistant.actionPrintStarted', { count: maps.length })
     }
     /**
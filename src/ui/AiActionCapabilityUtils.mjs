@@ -0,0 +1,108 @@
+// SPDX-FileCopyrightText: 2026 André Fiedler
+//
+// SPDX-License-Identifier: AGPL-3.0-or-later
+
+/**
+ * Item property allowlists and usage notes advertised to the assistant in `AiActionBridge.getActionCapabilities`.
+ */
+export class AiActionCapabilityUtils {
+    /**
+     * Returns the editable properties per item type.
+     * @returns {Record<string, string[]>}
+     */
+    static getItemProperties() {
+        return {
+            text: [
+                'text',
+                'fontFamily',
+                'fontSize',
+                'fontWeight',
+                'fontWidth',
+                'textBold',
+                'textItalic',
+                'textUnderline',
+                'textStrikethrough',
+                'richText',
+                'textAlign',
+                'letterSpacing',
+                'lineHeight',
+                'boxWidth',
+                'overflow',
+                'minFontSize',
+                'textDirection',
+                'stackSpacing',
+                'textEffect',
+                'textEffectPadding',
+                'textEffectRadius',
+                'positionMode',
+                'xOffset',
+                'yOffset',
+                'rotation'
+            ],
+            qr: ['data', 'size', 'positionMode', 'xOffset', 'yOffset', 'rotation', 'qrErrorCorrectionLevel', 'qrVersion', 'qrEncodingMode'],
+            barcode: [
+                'data',
+                'width',
+                'height',
+                'positionMode',
+                'xOffset',
+                'yOffset',
+                'rotation',
+                'barcodeFormat',
+                'barcodeShowText',
+                'barcodeModuleWidth',
+                'barcodeMargin'
+            ],
+            image: [
+                'imageData',
+                'imageName',
+                'width',
+                'height',
+                'positionMode',
+                'xOffset',
+                'yOffset',
+                'rotation',
+                'imageDither',
+                'imageThreshold',
+                'imageSmoothing',
+                'imageInvert'
+            ],
+            icon: ['iconId', 'width', 'height', 'positionMode', 'xOffset', 'yOffset', 'rotation'],
+            shape: [
+                'shapeType',
+                'width',
+                'height',
+                'strokeWidth',
+                'cornerRadius',
+                'sides',
+                'positionMode',
+                'xOffset',
+                'yOffset',
+                'rotation'
+            ]
+        }
+    }
+
+    /**
+     * Returns usage notes for item properties.
+     * @returns {string[]}
+     */
+    static getNotes() {
+        return [
+            'Text styling supports textBold, textItalic, textUnderline, textStrikethrough.',
+            'fontWeight (100-900, textBold raises it to at least 700) and fontWidth (50-200 percent) select variable-font axes or matching faces.',
+            'richText: true parses the text as markup: **bold**, *italic*, __underline__, [size=20]…[/size], [font=Name]…[/font]; \\ escapes a character.',
+            'textAlign (left, center, right, justify) aligns the lines of multiline text within the text block.',
+            'letterSpacing (font-size units, negative = condensed) and lineHeight (multiple of the font size, 0 = auto) adjust tracking and line distance.',
+            'boxWidth (dots, 0 = auto) gives a text item a fixed width and word-wraps its text into that box.',
+            'overflow (none, shrink, ellipsis, clip) controls text wider than its box or tape; shrink reduces the font down to minFontSize.',
+            'textDirection: stacked places one glyph per line centered on the tape axis (vertical lettering); stackSpacing sets the gap between glyphs in dots.',
+            'textEffect (none, inverted, outline, box) draws white-on-black, outlined or framed text; textEffectPadding and textEffectRadius (dots) size the inverted or framed box around the text.',
+            "Placeholders accept filters: {{name|upper}}, {{price|number:2}}, {{sku|pad:8:0}}, {{date|date:'DD.MM.YYYY'}}, {{value|default:'n/a'}}, {{text|truncate:20}}.",
+            'Built-in date placeholders need no parameter: {{today}}, {{now}} and offsets such as {{today+7d}}, {{today+1m}}, {{now+2h}} (units d, w, m, y, h).',
+            'QR codes are always square. Use the size property. Width/height map to size for QR items.',
+            'positionMode supports flow and absolute. Sketch/photo reconstructions should use absolute.',
+            'Horizontal labels are center-anchored on yOffset: negative moves up, positive moves down.'
+        ]
+    }
+}
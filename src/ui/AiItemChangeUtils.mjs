@@ -4,6 +4,7 @@
 
 import { QrSizeUtils } from '../QrSizeUtils.mjs'
 import { RotationUtils } from '../RotationUtils.mjs'
+import { TextLayoutUtils } from '../TextLayoutUtils.mjs'
 
 /**
  * Normalization and mutation helpers for assistant-driven item updates.
@@ -214,6 +215,109 @@ export class AiItemChangeUtils {
                     changedKeys.push(key)
                     return
                 }
+                case 'richText': {
+                    if (item.type !== 'text') return
+                    item.richText = AiItemChangeUtils.#coerceBoolean(value)
+                    changedKeys.push(key)
+                    return
+                }
+                case 'textAlign': {
+                    if (item.type !== 'text') return
+                    const textAlign = TextLayoutUtils.normalizeTextAlign(value, '')
+                    if (!textAlign) return
+                    item.textAlign = textAlign
+                    changedKeys.push(key)
+                    return
+                }
+                case 'fontWeight': {
+                    if (item.type !== 'text') return
+                    const fontWeight = TextLayoutUtils.normalizeFontWeight(value, Number.NaN)
+                    if (!Number.isFinite(fontWeight)) return
+                    item.fontWeight = fontWeight
+                    changedKeys.push(key)
+                    return
+                }
+                case 'fontWidth': {
+                    if (item.type !== 'text') return
+                    const fontWidth = TextLayoutUtils.normalizeFontWidth(value, Number.NaN)
+                    if (!Number.isFinite(fontWidth)) return
+                    item.fontWidth = fontWidth
+                    changedKeys.push(key)
+                    return
+                }
+                case 'letterSpacing': {
+                    if (item.type !== 'text') return
+                    const letterSpacing = TextLayoutUtils.normalizeLetterSpacing(value, Number.NaN)
+                    if (!Number.isFinite(letterSpacing)) return
+                    item.letterSpacing = letterSpacing
+                    changedKeys.push(key)
+                    return
+                }
+                case 'lineHeight': {
+                    if (item.type !== 'text') return
+                    const lineHeight = TextLayoutUtils.normalizeLineHeight(value, -1)
+                    if (lineHeight < 0) return
+                    item.lineHeight = lineHeight
+                    changedKeys.push(key)
+                    return
+                }
+                case 'boxWidth': {
+                    if (item.type !== 'text') return
+                    const numberValue = Number(value)
+                    if (!Number.isFinite(numberValue)) return
+                    item.boxWidth = TextLayoutUtils.normalizeBoxWidth(numberValue)
+                    changedKeys.push(key)
+                    return
+                }
+                case 'overflow': {
+                    if (item.type !== 'text') return
+                    const overflow = TextLayoutUtils.normalizeOverflow(value, '')
+                    if (!overflow) return
+                    item.overflow = overflow
+                    changedKeys.push(key)
+                    return
+                }
+                case 'minFontSize': {
+                    if (item.type !== 'text') return
+                    const minFontSize = TextLayoutUtils.normalizeMinFontSize(value, 0)
+                    if (!minFontSize) return
+                    item.minFontSize = minFontSize
+                    changedKeys.push(key)
+                    return
+                }
+                case 'textDirection': {
+                    if (item.type !== 'text') return
+                    const direction = TextLayoutUtils.normalizeTextDirection(value, '')
+                    if (!direction) return
+                    item.textDirection = direction
+                    changedKeys.push(key)
+                    return
+                }
+                case 'stackSpacing': {
+                    if (item.type !== 'text') return
+                    const spacing = TextLayoutUtils.normalizeStackSpacing(value, -1)
+                    if (spacing < 0) return
+                    item.stackSpacing = spacing
+                    changedKeys.push(key)
+                    return
+                }
+                case 'textEffect': {
+                    if (item.type !== 'text') return
+                    const effect = TextLayoutUtils.normalizeTextEffect(value, '')
+                    if (!effect) return
+                    item.textEffect = effect
+                    changedKeys.push(key)
+                    return
+                }
+                case 'textEffectPadding':
+                case 'textEffectRadius': {
+                    if (item.type !== 'text') return
+                    const dots = TextLayoutUtils.normalizeEffectDots(value, -1)
+                    if (dots < 0) return
+                    item[key] = dots
+                    changedKeys.push(key)
+                    return
+                }
                 default:
                     return
             }
@@ -299,7 +403,10 @@ export class AiItemChangeUtils {
         const expanded = { ...(rawChanges || {}) }
         if (expanded.style && typeof expanded.style === 'object') {
             if (!Object.prototype.hasOwnProperty.call(expanded, 'textBold')) {
-                expanded.textBold = expanded.style.textBold ?? expanded.style.bold ?? expanded.style.fontWeight
+                expanded.textBold = expanded.style.textBold ?? expanded.style.bold
+            }
+            if (!Object.prototype.hasOwnProperty.call(expanded, 'fontWeight') && expanded.style.fontWeight !== undefined) {
+                expanded.fontWeight = expanded.style.fontWeight
             }
             if (!Object.prototype.hasOwnProperty.call(expanded, 'textItalic')) {
                 expanded.textItalic = expanded.style.textItalic ?? expanded.style.italic ?? expanded.style.fontStyle
@@ -315,9 +422,20 @@ export class AiItemChangeUtils {
                     expanded.style.strikeThrough ??
                     expanded.style.strike
             }
+            if (!Object.prototype.hasOwnProperty.call(expanded, 'textAlign') && expanded.style.textAlign !== undefined) {
+                expanded.textAlign = expanded.style.textAlign
+            }
         }
-        if (!Object.prototype.hasOwnProperty.call(expanded, 'textBold') && Object.prototype.hasOwnProperty.call(expanded, 'fontWeight')) {
-            expanded.textBold = expanded.fontWeight
+        // Numeric weights stay on `fontWeight`; only the CSS keywords `bold` and `normal` toggle `textBold`.
+        const fontWeightKey = ['fontWeight', 'font_weight'].find((key) => Object.prototype.hasOwnProperty.call(expanded, key))
+        const fontWeightKeyword = fontWeightKey
+            ? String(expanded[fontWeightKey] ?? '')
+                  .trim()
+                  .toLowerCase()
+            : ''
+        if (fontWeightKeyword === 'bold' || fontWeightKeyword === 'normal') {
+            if (expanded.textBold === undefined) expanded.textBold = fontWeightKeyword === 'bold'
+            delete expanded[fontWeightKey]
         }
         if (!Object.prototype.hasOwnProperty.call(expanded, 'textItalic') && Object.prototype.hasOwnProperty.call(expanded, 'fontStyle')) {
             expanded.textItalic = expanded.fontStyle
@@ -387,17 +505,31 @@ export class AiItemChangeUtils {
             y_offset: 'yOffset',
             font_size: 'fontSize',
             font_family: 'fontFamily',
+            font_weight: 'fontWeight',
+            font_width: 'fontWidth',
             text_bold: 'textBold',
             text_italic: 'textItalic',
             text_underline: 'textUnderline',
             text_strikethrough: 'textStrikethrough',
+            text_align: 'textAlign',
+            textAlignment: 'textAlign',
+            box_width: 'boxWidth',
+            letter_spacing: 'letterSpacing',
+            tracking: 'letterSpacing',
+            line_height: 'lineHeight',
+            rich_text: 'richText',
+            text_overflow: 'overflow',
+            min_font_size: 'minFontSize',
+            text_direction: 'textDirection',
+            stack_spacing: 'stackSpacing',
+            text_effect: 'textEffect',
+            text_effect_padding: 'textEffectPadding',
+            text_effect_radius: 'textEffectRadius',
             text_strike: 'textStrikethrough',
             textUnderlin: 'textUnderline',
             textStrikeThrough: 'textStrikethrough',
-            fontWeight: 'textBold',
             fontStyle: 'textItalic',
             textDecoration: 'textUnderline',
-            font_weight: 'textBold',
             font_style: 'textItalic',
             text_decoration: 'textUnderline',
             strike_through: 'textStrikethrough',
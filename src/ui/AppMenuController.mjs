@@ -0,0 +1,161 @@
+// SPDX-FileCopyrightText: 2026 André Fiedler
+//
+// SPDX-License-Identifier: AGPL-3.0-or-later
+
+import { ShapeMenuUtils } from '../ShapeMenuUtils.mjs'
+
+/**
+ * Binds the alignment dropdown and the shape menu (open/close state and item buttons).
+ */
+export class AppMenuController {
+    static #alignButtonModes = Object.freeze([
+        ['alignLeft', 'left'],
+        ['alignCenter', 'center'],
+        ['alignRight', 'right'],
+        ['alignTop', 'top'],
+        ['alignMiddle', 'middle'],
+        ['alignBottom', 'bottom'],
+        ['distributeHorizontal', 'distribute-horizontal'],
+        ['distributeVertical', 'distribute-vertical'],
+        ['distributeCentersHorizontal', 'distribute-centers-horizontal'],
+        ['distributeCentersVertical', 'distribute-centers-vertical'],
+        ['matchWidth', 'match-width'],
+        ['matchHeight', 'match-height']
+    ])
+    #onAlign = () => {}
+    #onAlignReferenceChange = () => {}
+    #onAddShape = () => {}
+
+    /**
+     * @param {Record<string, HTMLElement | null>} els
+     * @param {{
+     *   onAlign?: (mode: string) => void,
+     *   onAlignReferenceChange?: () => void,
+     *   onAddShape?: (shapeType: string) => void
+     * }} [callbacks]
+     */
+    constructor(els, callbacks = {}) {
+        this.els = els
+        if (typeof callbacks.onAlign === 'function') this.#onAlign = callbacks.onAlign
+        if (typeof callbacks.onAlignReferenceChange === 'function') {
+            this.#onAlignReferenceChange = callbacks.onAlignReferenceChange
+        }
+        if (typeof callbacks.onAddShape === 'function') this.#onAddShape = callbacks.onAddShape
+    }
+
+    /**
+     * Returns the alignment menu buttons with their modes in display order.
+     * @returns {Array<{ button: HTMLButtonElement, mode: string }>}
+     */
+    getAlignButtonModes() {
+        return AppMenuController.#alignButtonModes
+            .map(([key, mode]) => ({ button: this.els[key], mode }))
+            .filter((entry) => Boolean(entry.button))
+    }
+
+    /**
+     * Sets the shape menu visibility and syncs the trigger state for accessibility.
+     * @param {boolean} isOpen
+     */
+    setShapeMenuOpen(isOpen) {
+        if (!this.els.shapeMenu || !this.els.addShape) return
+        this.els.shapeMenu.hidden = !isOpen
+        this.els.addShape.setAttribute('aria-expanded', isOpen ? 'true' : 'false')
+    }
+
+    /**
+     * Sets the alignment dropdown visibility.
+     * @param {boolean} isOpen
+     */
+    setAlignMenuOpen(isOpen) {
+        if (!this.els.alignMenu || !this.els.alignMenuTrigger) return
+        this.els.alignMenu.open = isOpen
+        this.els.alignMenuTrigger.setAttribute('aria-expanded', isOpen ? 'true' : 'false')
+    }
+
+    /**
+     * Binds both menus.
+     */
+    bind() {
+        this.#bindAlignMenu()
+        this.#bindShapeMenu()
+    }
+
+    /**
+     * Binds the alignment dropdown, its buttons and the reference select.
+     */
+    #bindAlignMenu() {
+        if (this.els.alignReference) {
+            this.els.alignReference.addEventListener('change', () => this.#onAlignReferenceChange())
+        }
+        if (this.els.alignMenu && this.els.alignMenuTrigger) {
+            this.setAlignMenuOpen(this.els.alignMenu.open)
+            this.els.alignMenuTrigger.addEventListener('click', (e) => {
+                // Drive the dropdown explicitly so behavior is stable across browsers.
+                e.preventDefault()
+                e.stopPropagation()
+                this.setAlignMenuOpen(!this.els.alignMenu.open)
+            })
+            document.addEventListener(
+                'pointerdown',
+                (e) => {
+                    if (!this.els.alignMenu.open) return
+                    if (this.els.alignMenu.contains(e.target)) return
+                    this.setAlignMenuOpen(false)
+                },
+                { capture: true }
+            )
+            document.addEventListener('keydown', (e) => {
+                if (e.key === 'Escape' && this.els.alignMenu.open) {
+                    this.setAlignMenuOpen(false)
+                    this.els.alignMenuTrigger.focus()
+                }
+            })
+        }
+        AppMenuController.#alignButtonModes.forEach(([key, mode]) => {
+            if (!this.els[key]) return
+            this.els[key].addEventListener('click', () => this.#onAlign(mode))
+        })
+    }
+
+    /**
+     * Binds the shape menu trigger, its shape buttons and outside-click closing.
+     */
+    #bindShapeMenu() {
+        if (!this.els.shapeMenu || !this.els.addShape) return
+        if (!this.els.shapeMenu.id) {
+            this.els.shapeMenu.id = 'shape-menu'
+        }
+        this.els.addShape.setAttribute('aria-haspopup', 'menu')
+        this.els.addShape.setAttribute('aria-controls', this.els.shapeMenu.id)
+        this.setShapeMenuOpen(!this.els.shapeMenu.hidden)
+        this.els.addShape.addEventListener('click', (e) => {
+            e.stopPropagation()
+            this.setShapeMenuOpen(this.els.shapeMenu.hidden)
+        })
+        this.els.shapeMenu.querySelectorAll('[data-shape-type]').forEach((btn) =>
+            btn.addEventListener('click', (ev) => {
+                ev.stopPropagation()
+                const type = btn.dataset.shapeType || 'rect'
+                this.#onAddShape(type)
+                this.setShapeMenuOpen(false)
+            })
+        )
+        document.addEventListener(
+            'pointerdown',
+            (e) => {
+                // Capture so outside clicks close even if another handler stops propagation.
+                if (ShapeMenuUtils.isOutsideShapeMenuInteraction(e, this.els.shapeMenu, this.els.addShape)) {
+                    this.setShapeMenuOpen(false)
+                }
+            },
+            { capture: true }
+        )
+        document.addEventListener('keydown', (e) => {
+            if (e.key === 'Escape' && !this.els.shapeMenu.hidden) {
+                this.setShapeMenuOpen(false)
+                this.els.addShape.focus()
+            }
+        })
+    }
+}
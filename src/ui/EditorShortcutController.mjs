@@ -0,0 +1,137 @@
+// SPDX-FileCopyrightText: 2026 André Fiedler
+//
+// SPDX-License-Identifier: AGPL-3.0-or-later
+
+import { KeyboardShortcutUtils } from '../KeyboardShortcutUtils.mjs'
+
+/**
+ * Dispatches editor keyboard shortcuts and renders the shortcut help overlay (`?`).
+ */
+export class EditorShortcutController {
+    static #groups = Object.freeze(['edit', 'arrange', 'project', 'help'])
+    static #nudgeDirections = Object.freeze({
+        nudgeLeft: [-1, 0],
+        nudgeRight: [1, 0],
+        nudgeUp: [0, -1],
+        nudgeDown: [0, 1]
+    })
+    #translate = (key) => key
+
+    /**
+     * @param {{
+     *   registry: import('../ShortcutRegistry.mjs').ShortcutRegistry,
+     *   translate?: (key: string, params?: Record<string, string | number>) => string,
+     *   isMac?: boolean,
+     *   overlay?: HTMLElement | null,
+     *   list?: HTMLElement | null,
+     *   closeButton?: HTMLButtonElement | null,
+     *   openButton?: HTMLButtonElement | null
+     * }} options
+     */
+    constructor(options) {
+        this.registry = options.registry
+        this.isMac = Boolean(options.isMac)
+        this.overlay = options.overlay || null
+        this.list = options.list || null
+        this.closeButton = options.closeButton || null
+        this.openButton = options.openButton || null
+        if (typeof options.translate === 'function') this.#translate = options.translate
+    }
+
+    /**
+     * Registers action handlers and binds the document keydown listener.
+     * Nudge handlers receive the direction and whether Shift requests the large (1 mm) step.
+     * Handlers return `false` when they did nothing so the browser keeps the key.
+     * @param {Document} documentRef
+     * @param {{
+     *   nudge?: (directionX: number, directionY: number, useMillimeters: boolean) => boolean,
+     *   [actionId: string]: Function | undefined
+     * }} actions
+     */
+    bind(documentRef, actions) {
+        Object.entries(actions).forEach(([id, handler]) => {
+            if (id !== 'nudge') this.registry.register(id, handler)
+        })
+        Object.entries(EditorShortcutController.#nudgeDirections).forEach(([id, [directionX, directionY]]) => {
+            this.registry.register(id, (event) => actions.nudge?.(directionX, directionY, Boolean(event.shiftKey)) ?? false)
+        })
+        this.registry.register('help', () => this.toggleHelp())
+        documentRef.addEventListener('keydown', (event) => {
+            if (this.isHelpOpen()) {
+                this.#handleHelpKeyDown(event)
+                return
+            }
+            this.registry.handleKeyDown(event)
+        })
+        this.openButton?.addEventListener('click', () => this.toggleHelp(true))
+        this.closeButton?.addEventListener('click', () => this.toggleHelp(false))
+        this.overlay?.addEventListener('click', (event) => {
+            if (event.target === this.overlay) this.toggleHelp(false)
+        })
+    }
+
+    /**
+     * Returns true while the help overlay is visible.
+     * @returns {boolean}
+     */
+    isHelpOpen() {
+        return Boolean(this.overlay && !this.overlay.hidden)
+    }
+
+    /**
+     * Opens, closes or toggles the help overlay.
+     * @param {boolean} [open]
+     */
+    toggleHelp(open = !this.isHelpOpen()) {
+        if (!this.overlay) return
+        if (open) this.#renderHelp()
+        this.overlay.hidden = !open
+        if (open) this.closeButton?.focus()
+    }
+
+    /**
+     * Closes the overlay on Escape or the help shortcut; other shortcuts stay inactive while it is open.
+     * @param {KeyboardEvent} event
+     */
+    #handleHelpKeyDown(event) {
+        if (event.key !== 'Escape' && this.registry.resolveBinding(event)?.id !== 'help') return
+        event.preventDefault()
+        this.toggleHelp(false)
+    }
+
+    /**
+     * Renders all bindings grouped by section in the current locale.
+     */
+    #renderHelp() {
+        if (!this.list) return
+        const bindings = this.registry.getBindings()
+        const sections = EditorShortcutController.#groups.map((group) => {
+            const section = document.createElement('section')
+            section.className = 'shortcut-section'
+            const title = document.createElement('div')
+            title.className = 'shortcut-section-title'
+            title.textContent = this.#translate(`shortcuts.groups.${group}`)
+            const rows = document.createElement('dl')
+            bindings
+                .filter((binding) => binding.group === group)
+                .forEach((binding) => {
+                    const keys = document.createElement('dt')
+                    binding.keys.forEach((combo, index) => {
+                        if (index > 0) keys.append(' / ')
+                        KeyboardShortcutUtils.formatCombo(combo, this.isMac).forEach((label, labelIndex) => {
+                            if (labelIndex > 0) keys.append('+')
+                            const kbd = document.createElement('kbd')
+                            kbd.textContent = label
+                            keys.append(kbd)
+                        })
+                    })
+                    const description = document.createElement('dd')
+                    description.textContent = this.#translate(`shortcuts.actions.${binding.id}`)
+                    rows.append(keys, description)
+                })
+            section.append(title, rows)
+            return section
+        })
+        this.list.replaceChildren(...sections)
+    }
+}
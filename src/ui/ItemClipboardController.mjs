@@ -0,0 +1,161 @@
+// SPDX-FileCopyrightText: 2026 André Fiedler
+//
+// SPDX-License-Identifier: AGPL-3.0-or-later
+
+import { ItemClipboardUtils } from '../ItemClipboardUtils.mjs'
+import { KeyboardShortcutUtils } from '../KeyboardShortcutUtils.mjs'
+
+/**
+ * Copy, cut, paste, duplicate and delete for the preview selection via the system clipboard.
+ * Native clipboard behavior is kept while form fields have focus.
+ */
+export class ItemClipboardController {
+    #translate = (key) => key
+    #setStatus = () => {}
+    #onChange = () => {}
+    #lastClipboardText = ''
+    #pasteCount = 0
+
+    /**
+     * @param {{
+     *   state: object,
+     *   previewRenderer: { getSelectedItemIds: () => string[], setSelectedItemIds: (ids: string[]) => void },
+     *   nextId: () => string,
+     *   translate?: (key: string, params?: Record<string, string | number>) => string,
+     *   setStatus?: (text: string, type?: string) => void,
+     *   onChange?: () => void
+     * }} options
+     */
+    constructor(options) {
+        this.state = options.state
+        this.previewRenderer = options.previewRenderer
+        this.nextId = options.nextId
+        if (typeof options.translate === 'function') this.#translate = options.translate
+        if (typeof options.setStatus === 'function') this.#setStatus = options.setStatus
+        if (typeof options.onChange === 'function') this.#onChange = options.onChange
+    }
+
+    /**
+     * Binds clipboard events. Duplicate and delete are dispatched by the shortcut registry.
+     * @param {Document} [documentRef]
+     */
+    bind(documentRef = document) {
+        documentRef.addEventListener('copy', (event) => this.#handleCopyEvent(event, false))
+        documentRef.addEventListener('cut', (event) => this.#handleCopyEvent(event, true))
+        documentRef.addEventListener('paste', (event) => this.#handlePasteEvent(event))
+    }
+
+    /**
+     * Duplicates selected items in place (offset for absolute-positioned items).
+     * @returns {number}
+     */
+    duplicateSelection() {
+        const selectedItems = this.#getSelectedItems()
+        if (!selectedItems.length) {
+            this.#setStatus(this.#translate('messages.selectAtLeastOne'), 'info')
+            return 0
+        }
+        const count = this.#insertItems(selectedItems, 1)
+        this.#setStatus(this.#translate('messages.duplicatedItems', { count }), 'success')
+        return count
+    }
+
+    /**
+     * Removes the selected items (Delete/Backspace).
+     * @returns {number}
+     */
+    deleteSelection() {
+        const selectedItems = this.#getSelectedItems()
+        if (!selectedItems.length) return 0
+        this.#removeItems(selectedItems)
+        this.#setStatus(this.#translate('messages.deletedItems', { count: selectedItems.length }), 'success')
+        return selectedItems.length
+    }
+
+    /**
+     * Writes the selection to the clipboard event and optionally removes it (cut).
+     * @param {ClipboardEvent} event
+     * @param {boolean} removeAfterCopy
+     */
+    #handleCopyEvent(event, removeAfterCopy) {
+        if (KeyboardShortcutUtils.isEditableTarget(event.target)) return
+        const selectedItems = this.#getSelectedItems()
+        if (!selectedItems.length || !event.clipboardData) return
+        event.preventDefault()
+        const text = ItemClipboardUtils.serializeItems(selectedItems)
+        event.clipboardData.setData('text/plain', text)
+        this.#lastClipboardText = text
+        // Pasting into the same project starts one offset step away from the originals.
+        this.#pasteCount = removeAfterCopy ? 0 : 1
+        if (!removeAfterCopy) {
+            this.#setStatus(this.#translate('messages.copiedItems', { count: selectedItems.length }), 'success')
+            return
+        }
+        this.#removeItems(selectedItems)
+        this.#setStatus(this.#translate('messages.cutItems', { count: selectedItems.length }), 'success')
+    }
+
+    /**
+     * Removes items from the label and clears the selection.
+     * @param {object[]} items
+     */
+    #removeItems(items) {
+        const removedIds = new Set(items.map((item) => item.id))
+        const remainingItems = this.state.items.filter((item) => !removedIds.has(item.id))
+        this.state.items.splice(0, this.state.items.length, ...remainingItems)
+        this.previewRenderer.setSelectedItemIds([])
+        this.#onChange()
+    }
+
+    /**
+     * Inserts items from a clipboard payload.
+     * @param {ClipboardEvent} event
+     */
+    #handlePasteEvent(event) {
+        if (KeyboardShortcutUtils.isEditableTarget(event.target)) return
+        const text = event.clipboardData?.getData('text/plain') || ''
+        const rawItems = ItemClipboardUtils.parseItems(text)
+        if (!rawItems) return
+        event.preventDefault()
+        if (!rawItems.length) return
+        if (text !== this.#lastClipboardText) {
+            this.#lastClipboardText = text
+            this.#pasteCount = 0
+        }
+        const count = this.#insertItems(rawItems, this.#pasteCount)
+        this.#pasteCount += 1
+        if (!count) {
+            this.#setStatus(this.#translate('messages.pasteNothing'), 'info')
+            return
+        }
+        this.#setStatus(this.#translate('messages.pastedItems', { count }), 'success')
+    }
+
+    /**
+     * Appends normalized copies of raw items and selects them.
+     * @param {object[]} rawItems
+     * @param {number} offsetSteps
+     * @returns {number}
+     */
+    #insertItems(rawItems, offsetSteps) {
+        const items = ItemClipboardUtils.prepareItemsForInsert(rawItems, {
+            nextId: this.nextId,
+            existingItems: this.state.items,
+            offsetSteps
+        })
+        if (!items.length) return 0
+        this.state.items.push(...items)
+        this.#onChange()
+        this.previewRenderer.setSelectedItemIds(items.map((item) => item.id))
+        return items.length
+    }
+
+    /**
+     * Returns selected items in label order.
+     * @returns {object[]}
+     */
+    #getSelectedItems() {
+        const selectedIds = new Set(this.previewRenderer.getSelectedItemIds())
+        return this.state.items.filter((item) => selectedIds.has(item.id))
+    }
+}
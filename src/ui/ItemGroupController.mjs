@@ -0,0 +1,189 @@
+// SPDX-FileCopyrightText: 2026 André Fiedler
+//
+// SPDX-License-Identifier: AGPL-3.0-or-later
+
+import { GroupItemUtils } from '../GroupItemUtils.mjs'
+
+/**
+ * Groups and ungroups the preview selection (Ctrl/Cmd+G, Ctrl/Cmd+Shift+G).
+ * Grouped children are always absolute-positioned so the group can be moved, scaled and rotated as one block.
+ */
+export class ItemGroupController {
+    #translate = (key) => key
+    #setStatus = () => {}
+    #onChange = () => {}
+
+    /**
+     * @param {{
+     *   state: object,
+     *   previewRenderer: {
+     *     getSelectedItemIds: () => string[],
+     *     setSelectedItemIds: (ids: string[]) => void,
+     *     buildCanvasFromState: () => Promise<{ layoutItems: Array<{ id: string, bounds: object }> }>,
+     *     rotateGroupItem: (itemId: string, rotation: number) => boolean
+     *   },
+     *   nextId: () => string,
+     *   translate?: (key: string, params?: Record<string, string | number>) => string,
+     *   setStatus?: (text: string, type?: string) => void,
+     *   onChange?: () => void,
+     *   groupButton?: HTMLButtonElement | null,
+     *   ungroupButton?: HTMLButtonElement | null
+     * }} options
+     */
+    constructor(options) {
+        this.state = options.state
+        this.previewRenderer = options.previewRenderer
+        this.nextId = options.nextId
+        this.groupButton = options.groupButton || null
+        this.ungroupButton = options.ungroupButton || null
+        if (typeof options.translate === 'function') this.#translate = options.translate
+        if (typeof options.setStatus === 'function') this.#setStatus = options.setStatus
+        if (typeof options.onChange === 'function') this.#onChange = options.onChange
+    }
+
+    /**
+     * Binds the toolbar buttons. The Ctrl/Cmd+G shortcuts are dispatched by the shortcut registry.
+     */
+    bind() {
+        this.groupButton?.addEventListener('click', () => this.groupSelection())
+        this.ungroupButton?.addEventListener('click', () => this.ungroupSelection())
+        this.syncControls()
+    }
+
+    /**
+     * Enables the toolbar buttons for the current selection.
+     */
+    syncControls() {
+        const selectedItems = this.#getSelectedItems()
+        if (this.groupButton) this.groupButton.disabled = selectedItems.length < 2
+        if (this.ungroupButton) this.ungroupButton.disabled = !selectedItems.some((item) => GroupItemUtils.isGroup(item))
+    }
+
+    /**
+     * Combines the selected top-level items into one group at the position of the first selected item.
+     * Flow items are converted to absolute positioning at their current rendered position.
+     * @returns {Promise<boolean>}
+     */
+    async groupSelection() {
+        const selectedItems = this.#getSelectedItems()
+        if (selectedItems.length < 2) {
+            this.#setStatus(this.#translate('messages.groupNeedsTwo'), 'info')
+            return false
+        }
+        await this.#convertFlowItemsToAbsolute(selectedItems)
+        const group = GroupItemUtils.createGroup(selectedItems, this.nextId())
+        const selectedIds = new Set(selectedItems.map((item) => item.id))
+        const insertIndex = this.state.items.findIndex((item) => selectedIds.has(item.id))
+        const remainingItems = this.state.items.filter((item) => !selectedIds.has(item.id))
+        remainingItems.splice(insertIndex, 0, group)
+        this.state.items.splice(0, this.state.items.length, ...remainingItems)
+        this.#onChange()
+        this.previewRenderer.setSelectedItemIds([group.id])
+        this.#setStatus(this.#translate('messages.groupedItems', { count: selectedItems.length }), 'success')
+        return true
+    }
+
+    /**
+     * Dissolves every selected group.
+     * @returns {number}
+     */
+    ungroupSelection() {
+        const groupIds = this.#getSelectedItems()
+            .filter((item) => GroupItemUtils.isGroup(item))
+            .map((item) => item.id)
+        if (!groupIds.length) {
+            this.#setStatus(this.#translate('messages.nothingToUngroup'), 'info')
+            return 0
+        }
+        return this.ungroupItems(groupIds)
+    }
+
+    /**
+     * Replaces top-level groups with their children in place and selects the released children.
+     * @param {string[]} groupIds
+     * @returns {number}
+     */
+    ungroupItems(groupIds) {
+        const ids = new Set(groupIds)
+        const releasedIds = []
+        const nextItems = []
+        this.state.items.forEach((item) => {
+            if (!ids.has(item.id) || !GroupItemUtils.isGroup(item)) {
+                nextItems.push(item)
+                return
+            }
+            nextItems.push(...item.children)
+            releasedIds.push(...item.children.map((child) => child.id))
+        })
+        if (!releasedIds.length) return 0
+        this.state.items.splice(0, this.state.items.length, ...nextItems)
+        this.#onChange()
+        this.previewRenderer.setSelectedItemIds(releasedIds)
+        this.#setStatus(this.#translate('messages.ungroupedItems', { count: releasedIds.length }), 'success')
+        return releasedIds.length
+    }
+
+    /**
+     * Rotates a group as one block.
+     * The caller refreshes the preview so slider drags do not rebuild the editor card.
+     * @param {string} groupId
+     * @param {number} rotation
+     * @returns {boolean}
+     */
+    rotateGroup(groupId, rotation) {
+        const group = this.state.items.find((item) => item.id === groupId)
+        if (!GroupItemUtils.isGroup(group)) return false
+        if (!this.previewRenderer.rotateGroupItem(groupId, rotation)) {
+            // Without a rendered entry there is no pivot yet; keep the slider value for the next render.
+            group.rotation = rotation
+        }
+        return true
+    }
+
+    /**
+     * Switches flow items to absolute positioning without moving them.
+     * The remaining flow items close the gap the grouped items leave behind.
+     * @param {object[]} items
+     * @returns {Promise<void>}
+     */
+    async #convertFlowItemsToAbsolute(items) {
+        const flowItems = GroupItemUtils.flattenItems(items).filter((item) => item.positionMode !== 'absolute')
+        if (!flowItems.length) return
+        const before = await this.#measureCenters()
+        flowItems.forEach((item) => {
+            item.positionMode = 'absolute'
+        })
+        const after = await this.#measureCenters()
+        flowItems.forEach((item) => {
+            const start = before.get(item.id)
+            const end = after.get(item.id)
+            if (!start || !end) return
+            GroupItemUtils.translateItem(item, start.x - end.x, start.y - end.y)
+        })
+    }
+
+    /**
+     * Renders the current state and returns the rendered center of every drawable item.
+     * @returns {Promise<Map<string, { x: number, y: number }>>}
+     */
+    async #measureCenters() {
+        const { layoutItems } = await this.previewRenderer.buildCanvasFromState()
+        const centers = new Map()
+        ;(layoutItems || []).forEach((entry) => {
+            centers.set(entry.id, {
+                x: entry.bounds.x + entry.bounds.width / 2,
+                y: entry.bounds.y + entry.bounds.height / 2
+            })
+        })
+        return centers
+    }
+
+    /**
+     * Returns selected top-level items in label order.
+     * @returns {object[]}
+     */
+    #getSelectedItems() {
+        const selectedIds = new Set(this.previewRenderer.getSelectedItemIds())
+        return this.state.items.filter((item) => selectedIds.has(item.id))
+    }
+}
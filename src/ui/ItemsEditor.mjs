@@ -1,4 +1,5 @@
 import { FontFamilyUtils } from '../FontFamilyUtils.mjs'
+import { CustomFontUtils } from '../CustomFontUtils.mjs'
 import { BarcodeUtils } from '../BarcodeUtils.mjs'
 import { QrSizeUtils } from '../QrSizeUtils.mjs'
 import { QrCodeUtils } from '../QrCodeUtils.mjs'
@@ -7,12 +8,16 @@ import { ItemsEditorIconSupport } from './ItemsEditorIconSupport.mjs'
 import { ItemsEditorBarcodeSupport } from './ItemsEditorBarcodeSupport.mjs'
 import { ItemsEditorGeometrySupport } from './ItemsEditorGeometrySupport.mjs'
 import { ItemsEditorControlSupport } from './ItemsEditorControlSupport.mjs'
+import { ItemsEditorTextSupport } from './ItemsEditorTextSupport.mjs'
+import { ItemsEditorVisibilitySupport } from './ItemsEditorVisibilitySupport.mjs'
 import { ItemsScrollIndicatorUtils } from './ItemsScrollIndicatorUtils.mjs'
 /**
  * Manages the item list UI, including drag reordering and item controls.
  */
 export class ItemsEditor {
     #onChange = () => {}
+    #continuousInput = false
+    #onGroupRequest = () => {}
     #translate = (key) => key
     #setStatus = () => {}
     #fontFamilies = FontFamilyUtils.getFallbackFontFamilies()
@@ -24,7 +29,7 @@ export class ItemsEditor {
      * @param {object} els
      * @param {object} state
      * @param {Array<{ id: string, labelKey: string }>} shapeTypes
-     * @param {() => void} onChange
+     * @param {(historyOptions: { coalesce: boolean }) => void} onChange
      * @param {() => string} nextId
      * @param {(key: string, params?: Record<string, string | number>) => string} translate
      * @param {(text: string, type?: string) => void} setStatus
@@ -40,19 +45,34 @@ export class ItemsEditor {
         this.selectedItemIds = new Set()
     }
     /**
-     * Sets the item change callback.
-     * @param {() => void} callback
+     * Sets the item change callback. Slider and typing changes pass `coalesce: true`; all other changes are separate undo steps.
+     * @param {(historyOptions: { coalesce: boolean }) => void} callback
      */
     set onChange(callback) {
-        this.#onChange = typeof callback === 'function' ? callback : () => {}
+        const handler = typeof callback === 'function' ? callback : () => {}
+        this.#onChange = () => handler({ coalesce: this.#continuousInput })
     }
     /**
-     * Returns the current item change callback.
+     * Returns the item change callback used by editor controls.
      * @returns {() => void}
      */
     get onChange() {
         return this.#onChange
     }
+    /**
+     * Sets the callback for group actions (ungroup, block rotation) requested from a group card.
+     * @param {(request: { action: 'ungroup' | 'rotate', itemId: string, rotation?: number }) => void} callback
+     */
+    set onGroupRequest(callback) {
+        this.#onGroupRequest = typeof callback === 'function' ? callback : () => {}
+    }
+    /**
+     * Returns the current group action callback.
+     * @returns {(request: { action: 'ungroup' | 'rotate', itemId: string, rotation?: number }) => void}
+     */
+    get onGroupRequest() {
+        return this.#onGroupRequest
+    }
     /**
      * Sets the translation callback.
      * @param {(key: string, params?: Record<string, string | number>) => string} callback
@@ -103,35 +123,48 @@ export class ItemsEditor {
         this.fontFamilies = await FontFamilyUtils.listInstalledFontFamilies(window)
     }
     /**
-     * Loads and tracks previously saved Google Font links.
-     * @param {string[]} fontLinks
+     * Registers uploaded project fonts and adds their families to the font options.
+     * @param {Array<object>} fonts
      * @returns {Promise<void>}
      */
+    async loadCustomFonts(fonts) {
+        const families = await CustomFontUtils.registerFonts(fonts)
+        if (!families.length) return
+        this.fontFamilies = FontFamilyUtils.normalizeFontFamilies(this.fontFamilies.concat(families), 'Barlow')
+    }
+    /**
+     * Loads and tracks previously saved Google Font links with the weights and widths the text items use.
+     * Safe to call after every edit: loaded stylesheets are reused and failed variants are not requested again.
+     * @param {string[]} fontLinks
+     * @returns {Promise<boolean>} Whether a new stylesheet was loaded, so the preview should render again.
+     */
     async loadGoogleFontLinks(fontLinks) {
         this.#ensureCustomFontLinksState()
         const normalizedLinks = FontFamilyUtils.normalizeGoogleFontLinks(fontLinks)
-        if (!normalizedLinks.length) return
+        if (!normalizedLinks.length) return false
 
+        const faces = FontFamilyUtils.collectFontFaces(this.state)
         const loadedFamilies = []
         const loadedLinks = []
+        let loadedNew = false
         for (const link of normalizedLinks) {
             try {
-                const result = await FontFamilyUtils.loadGoogleFontLink(link, document, window.location)
+                const result = await FontFamilyUtils.loadGoogleFontLink(link, document, window.location, faces)
                 loadedFamilies.push(...result.families)
                 loadedLinks.push(result.url)
+                loadedNew ||= !result.alreadyLoaded
             } catch (_err) {
                 continue
             }
         }
 
         if (loadedLinks.length) {
-            this.state.customFontLinks = FontFamilyUtils.normalizeGoogleFontLinks(
-                this.state.customFontLinks.concat(loadedLinks)
-            )
+            this.state.customFontLinks = FontFamilyUtils.normalizeGoogleFontLinks(this.state.customFontLinks.concat(loadedLinks))
         }
         if (loadedFamilies.length) {
             this.fontFamilies = FontFamilyUtils.normalizeFontFamilies(this.fontFamilies.concat(loadedFamilies), 'Barlow')
         }
+        return loadedNew
     }
     /**
      * Syncs selected item ids from preview interactions.
@@ -291,10 +324,24 @@ export class ItemsEditor {
             text: this.translate('itemsEditor.newText'),
             fontFamily: this.#resolveDefaultFontFamily(),
             fontSize: 24,
+            fontWeight: 400,
+            fontWidth: 100,
             textBold: false,
             textItalic: false,
             textUnderline: false,
             textStrikethrough: false,
+            richText: false,
+            textAlign: 'left',
+            letterSpacing: 0,
+            lineHeight: 0,
+            boxWidth: 0,
+            overflow: 'none',
+            minFontSize: 6,
+            textDirection: 'horizontal',
+            stackSpacing: 2,
+            textEffect: 'none',
+            textEffectPadding: 4,
+            textEffectRadius: 0,
             height: 40,
             xOffset: 4,
             rotation: 0
@@ -515,7 +562,7 @@ export class ItemsEditor {
         this.render()
     }
     /**
-     * Creates a slider control for item adjustments.
+     * Creates a slider control for item adjustments; its changes coalesce into one undo step.
      * @param {string} label
      * @param {number} value
      * @param {number} min
@@ -525,24 +572,19 @@ export class ItemsEditor {
      * @returns {HTMLDivElement}
      */
     #createSlider(label, value, min, max, step, onInput) {
-        const wrap = document.createElement('div')
-        wrap.className = 'slider'
-        const top = document.createElement('div')
-        top.className = 'small'
-        top.textContent = `${label}: ${value}`
-        const input = document.createElement('input')
-        input.type = 'range'
-        input.min = min
-        input.max = max
-        input.step = step
-        input.value = value
-        input.addEventListener('input', (e) => {
-            const v = Number(e.target.value)
-            top.textContent = `${label}: ${v}`
-            onInput(v)
-        })
-        wrap.append(top, input)
-        return wrap
+        return ItemsEditorControlSupport.createSlider(label, value, min, max, step, (v) => this.#runContinuousInput(() => onInput(v)))
+    }
+    /**
+     * Runs a slider or typing update; its change is reported with `coalesce: true` so a drag undoes as one step.
+     * @param {() => void} update
+     */
+    #runContinuousInput(update) {
+        this.#continuousInput = true
+        try {
+            update()
+        } finally {
+            this.#continuousInput = false
+        }
     }
     /**
      * Creates a single item card with controls.
@@ -564,6 +606,8 @@ export class ItemsEditor {
         if (isCollapsed) {
             card.classList.add('collapsed')
         }
+        card.classList.toggle('is-hidden', Boolean(item.hidden))
+        card.classList.toggle('is-locked', Boolean(item.locked))
 
         const meta = document.createElement('div')
         meta.className = 'item-meta'
@@ -580,7 +624,9 @@ export class ItemsEditor {
                     ? this.translate('itemsEditor.typeImage')
                     : item.type === 'icon'
                       ? this.translate('itemsEditor.typeIcon')
-                      : this.translate('itemsEditor.typeShape')
+                      : item.type === 'group'
+                        ? this.translate('itemsEditor.typeGroup')
+                        : this.translate('itemsEditor.typeShape')
         tag.textContent = typeLabel
         const handle = document.createElement('div')
         handle.className = 'handle'
@@ -599,7 +645,15 @@ export class ItemsEditor {
         toggleSettings.addEventListener('click', () => this.#toggleItemCollapsed(item.id))
         const headerActions = document.createElement('div')
         headerActions.className = 'item-header-actions'
-        headerActions.append(handle, toggleSettings)
+        const flagToggles = ItemsEditorControlSupport.createItemFlagToggles({
+            item,
+            translate: this.translate,
+            onToggle: () => {
+                this.render()
+                this.#onChange()
+            }
+        })
+        headerActions.append(...flagToggles, handle, toggleSettings)
         meta.append(tag, headerActions)
 
         const body = document.createElement('div')
@@ -626,7 +680,7 @@ export class ItemsEditor {
                     item.data = e.target.value
                     item._qrCache = null
                 }
-                this.#onChange()
+                this.#runContinuousInput(this.#onChange)
             })
             contentWrap.append(label, input)
         } else if (item.type === 'shape') {
@@ -665,6 +719,11 @@ export class ItemsEditor {
                 translate: this.translate,
                 onChange: this.#onChange
             })
+        } else if (item.type === 'group') {
+            const summary = document.createElement('p')
+            summary.className = 'small muted'
+            summary.textContent = this.translate('itemsEditor.groupChildren', { count: item.children.length })
+            contentWrap.append(summary)
         }
 
         const controls = document.createElement('div')
@@ -682,7 +741,16 @@ export class ItemsEditor {
             this.#appendIconControls(item, controls, sizeLabel)
         } else if (item.type === 'shape') {
             this.#appendShapeControls(item, controls, sizeLabel)
+        } else if (item.type === 'group') {
+            this.#appendGroupControls(item, controls)
         }
+        ItemsEditorVisibilitySupport.appendVisibilityControls({
+            item,
+            controls,
+            parameters: this.state.parameters,
+            translate: this.translate,
+            onChange: this.#onChange
+        })
 
         const remove = document.createElement('button')
         remove.textContent = this.translate('itemsEditor.remove')
@@ -714,127 +782,33 @@ export class ItemsEditor {
      * @param {HTMLElement} controls
      */
     #appendTextControls(item, controls) {
-        const offsetCtrl = this.#createSlider(this.translate('itemsEditor.sliderXOffset'), item.xOffset ?? 0, 0, 50, 1, (v) => {
-            item.xOffset = v
-            this.#onChange()
-        })
-        const yOffsetCtrl = this.#createSlider(this.translate('itemsEditor.sliderYOffset'), item.yOffset ?? 0, -50, 50, 1, (v) => {
-            item.yOffset = v
-            this.#onChange()
+        ItemsEditorTextSupport.appendTextControls({
+            item,
+            controls,
+            fontFamilies: this.#buildItemFontFamilyOptions(item.fontFamily),
+            customFonts: this.state.customFonts,
+            translate: this.translate,
+            onChange: this.#onChange,
+            onImportGoogleFont: (input) => this.#importGoogleFontFromInput(input, item),
+            onUploadFont: (file, embed) => this.#uploadFontFile(file, embed, item),
+            createSlider: this.#createSlider.bind(this)
         })
-        const rotationCtrl = this.#createSlider(
-            this.translate('itemsEditor.sliderRotation'),
-            item.rotation ?? 0,
-            -180,
-            180,
-            1,
-            (v) => {
-                item.rotation = v
-                this.#onChange()
-            }
+    }
+    /**
+     * Appends block rotation and ungroup controls for a group item.
+     * @param {object} item
+     * @param {HTMLElement} controls
+     */
+    #appendGroupControls(item, controls) {
+        const rotationCtrl = this.#createSlider(this.translate('itemsEditor.sliderRotation'), item.rotation || 0, -180, 180, 1, (value) =>
+            this.#onGroupRequest({ action: 'rotate', itemId: item.id, rotation: value })
         )
-
-        const fontCtrl = document.createElement('div')
-        fontCtrl.className = 'field'
-        const fontLabel = document.createElement('label')
-        fontLabel.textContent = this.translate('itemsEditor.fontFamily')
-        const fontSelect = document.createElement('select')
-        const availableFamilies = this.#buildItemFontFamilyOptions(item.fontFamily)
-        if (!item.fontFamily && availableFamilies.length) {
-            item.fontFamily = availableFamilies[0]
-        }
-        availableFamilies.forEach((family) => {
-            const option = document.createElement('option')
-            option.value = family
-            option.textContent = family
-            option.style.fontFamily = `"${family}", sans-serif`
-            fontSelect.appendChild(option)
-        })
-        fontSelect.value = item.fontFamily
-        fontSelect.addEventListener('change', (e) => {
-            item.fontFamily = e.target.value
-            this.#onChange()
-        })
-        fontCtrl.append(fontLabel, fontSelect)
-
-        const googleFontCtrl = document.createElement('div')
-        googleFontCtrl.className = 'field google-font-field'
-        const googleFontLabel = document.createElement('label')
-        googleFontLabel.textContent = this.translate('itemsEditor.googleFontUrl')
-        const googleFontRow = document.createElement('div')
-        googleFontRow.className = 'google-font-row'
-        const googleFontInput = document.createElement('input')
-        googleFontInput.type = 'url'
-        googleFontInput.placeholder = this.translate('itemsEditor.googleFontUrlPlaceholder')
-        const googleFontButton = document.createElement('button')
-        googleFontButton.type = 'button'
-        googleFontButton.className = 'ghost'
-        googleFontButton.textContent = this.translate('itemsEditor.addGoogleFont')
-        googleFontButton.addEventListener('click', async () => {
-            if (googleFontButton.disabled) return
-            googleFontButton.disabled = true
-            await this.#importGoogleFontFromInput(googleFontInput, item)
-            googleFontButton.disabled = false
-        })
-        googleFontRow.append(googleFontInput, googleFontButton)
-        const googleFontHint = document.createElement('p')
-        googleFontHint.className = 'small muted'
-        googleFontHint.textContent = this.translate('itemsEditor.googleFontHint')
-        googleFontCtrl.append(googleFontLabel, googleFontRow, googleFontHint)
-
-        const sizeCtrl = this.#createSlider(this.translate('itemsEditor.sliderFontSize'), item.fontSize, 10, 64, 1, (v) => {
-            item.fontSize = v
-            this.#onChange()
-        })
-
-        const textStyleCtrl = ItemsEditorControlSupport.createToggleButtonGroupField({
-            labelText: this.translate('itemsEditor.textStyle'),
-            buttons: [
-                {
-                    id: 'bold',
-                    label: 'B',
-                    title: this.translate('itemsEditor.textBold'),
-                    isActive: () => Boolean(item.textBold),
-                    onToggle: () => {
-                        item.textBold = !Boolean(item.textBold)
-                        this.#onChange()
-                    }
-                },
-                {
-                    id: 'italic',
-                    label: '/',
-                    title: this.translate('itemsEditor.textItalic'),
-                    isActive: () => Boolean(item.textItalic),
-                    onToggle: () => {
-                        item.textItalic = !Boolean(item.textItalic)
-                        this.#onChange()
-                    }
-                },
-                {
-                    id: 'underline',
-                    label: 'U',
-                    title: this.translate('itemsEditor.textUnderline'),
-                    isActive: () => Boolean(item.textUnderline),
-                    onToggle: () => {
-                        item.textUnderline = !Boolean(item.textUnderline)
-                        this.#onChange()
-                    }
-                },
-                {
-                    id: 'strikethrough',
-                    label: 'S',
-                    title: this.translate('itemsEditor.textStrikethrough'),
-                    className: 'text-style-glyph-strike',
-                    isActive: () => Boolean(item.textStrikethrough),
-                    onToggle: () => {
-                        item.textStrikethrough = !Boolean(item.textStrikethrough)
-                        this.#onChange()
-                    }
-                }
-            ]
-        }).field
-
-        controls.append(offsetCtrl, yOffsetCtrl, rotationCtrl, fontCtrl, sizeCtrl, textStyleCtrl, googleFontCtrl)
+        const ungroup = document.createElement('button')
+        ungroup.type = 'button'
+        ungroup.className = 'ghost'
+        ungroup.textContent = this.translate('itemsEditor.ungroup')
+        ungroup.addEventListener('click', () => this.#onGroupRequest({ action: 'ungroup', itemId: item.id }))
+        controls.append(rotationCtrl, ungroup)
     }
     /**
      * Returns font-family options for the current item.
@@ -894,6 +868,29 @@ export class ItemsEditor {
             this.setStatus(this.translate('itemsEditor.googleFontLoadFailed', { message }), 'error')
         }
     }
+    /**
+     * Reads an uploaded font file, registers it and applies it to the text item.
+     * @param {File} file
+     * @param {boolean} embed
+     * @param {object} item
+     * @returns {Promise<void>}
+     */
+    async #uploadFontFile(file, embed, item) {
+        try {
+            const font = await CustomFontUtils.readFontFile(file, { embed })
+            const [family] = await CustomFontUtils.registerFonts([font])
+            if (!family) throw new Error(this.translate('itemsEditor.fontFileUnreadable'))
+            this.state.customFonts = CustomFontUtils.normalizeFonts((this.state.customFonts || []).concat([font]))
+            this.fontFamilies = FontFamilyUtils.normalizeFontFamilies(this.fontFamilies.concat([family]), 'Barlow')
+            item.fontFamily = family
+            this.render()
+            this.#onChange()
+            this.setStatus(this.translate('itemsEditor.fontFileAdded', { family }), 'success')
+        } catch (err) {
+            const message = err?.message || this.translate('messages.unknownError')
+            this.setStatus(this.translate('itemsEditor.fontFileLoadFailed', { message }), 'error')
+        }
+    }
     /**
      * Loads an uploaded image file into an image item.
      * @param {object} item
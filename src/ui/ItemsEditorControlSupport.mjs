@@ -129,6 +129,37 @@ export class ItemsEditorControlSupport {
         return { offsetCtrl, yOffsetCtrl, rotationCtrl }
     }
 
+    /**
+     * Creates a range slider with a live value label.
+     * @param {string} label
+     * @param {number} value
+     * @param {number} min
+     * @param {number} max
+     * @param {number} step
+     * @param {(value: number) => void} onInput
+     * @returns {HTMLDivElement}
+     */
+    static createSlider(label, value, min, max, step, onInput) {
+        const wrap = document.createElement('div')
+        wrap.className = 'slider'
+        const top = document.createElement('div')
+        top.className = 'small'
+        top.textContent = `${label}: ${value}`
+        const input = document.createElement('input')
+        input.type = 'range'
+        input.min = min
+        input.max = max
+        input.step = step
+        input.value = value
+        input.addEventListener('input', (e) => {
+            const v = Number(e.target.value)
+            top.textContent = `${label}: ${v}`
+            onInput(v)
+        })
+        wrap.append(top, input)
+        return wrap
+    }
+
     /**
      * Builds a labeled select field.
      * @param {{
@@ -232,4 +263,65 @@ export class ItemsEditorControlSupport {
         field.append(label, group)
         return { field, buttons: buttonMap }
     }
+
+    /**
+     * Creates the hide and lock toggle buttons for an item card header.
+     * @param {{
+     *  item: { hidden?: boolean, locked?: boolean },
+     *  translate: (key: string) => string,
+     *  onToggle: () => void
+     * }} options
+     * @returns {HTMLButtonElement[]}
+     */
+    static createItemFlagToggles({ item, translate, onToggle }) {
+        const flags = [
+            {
+                property: 'hidden',
+                titleKey: item.hidden ? 'itemsEditor.showItem' : 'itemsEditor.hideItem',
+                paths: item.hidden
+                    ? [
+                          'M3 3l18 18',
+                          'M10.6 6.1A9.8 9.8 0 0 1 12 6c6 0 9.5 6 9.5 6a16 16 0 0 1-2.9 3.5',
+                          'M6.3 7.9A16 16 0 0 0 2.5 12S6 18 12 18a9 9 0 0 0 4-.9'
+                      ]
+                    : ['M2.5 12S6 6 12 6s9.5 6 9.5 6-3.5 6-9.5 6-9.5-6-9.5-6Z', 'M12 9.5a2.5 2.5 0 1 0 0 5 2.5 2.5 0 1 0 0-5Z']
+            },
+            {
+                property: 'locked',
+                titleKey: item.locked ? 'itemsEditor.unlockItem' : 'itemsEditor.lockItem',
+                paths: item.locked
+                    ? ['M6 11h12v9H6Z', 'M8.5 11V8a3.5 3.5 0 0 1 7 0v3']
+                    : ['M6 11h12v9H6Z', 'M8.5 11V8a3.5 3.5 0 0 1 6.8-1.2']
+            }
+        ]
+        return flags.map(({ property, titleKey, paths }) => {
+            const button = document.createElement('button')
+            button.type = 'button'
+            button.className = 'ghost item-toggle item-flag-toggle'
+            button.dataset.itemFlag = property
+            button.title = translate(titleKey)
+            button.setAttribute('aria-label', button.title)
+            button.setAttribute('aria-pressed', item[property] ? 'true' : 'false')
+            button.classList.toggle('is-active', Boolean(item[property]))
+            const svg = document.createElementNS('http://www.w3.org/2000/svg', 'svg')
+            svg.setAttribute('viewBox', '0 0 24 24')
+            svg.setAttribute('aria-hidden', 'true')
+            svg.setAttribute('focusable', 'false')
+            paths.forEach((pathData) => {
+                const path = document.createElementNS('http://www.w3.org/2000/svg', 'path')
+                path.setAttribute('d', pathData)
+                svg.append(path)
+            })
+            button.append(svg)
+            button.addEventListener('click', () => {
+                if (item[property]) {
+                    delete item[property]
+                } else {
+                    item[property] = true
+                }
+                onToggle()
+            })
+            return button
+        })
+    }
 }
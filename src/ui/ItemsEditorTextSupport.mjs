@@ -0,0 +1,405 @@
+// SPDX-FileCopyrightText: 2026 André Fiedler
+//
+// SPDX-License-Identifier: AGPL-3.0-or-later
+
+import { TextLayoutUtils } from '../TextLayoutUtils.mjs'
+import { ItemsEditorControlSupport } from './ItemsEditorControlSupport.mjs'
+
+/**
+ * Shared text-item control helpers for the items editor.
+ */
+export class ItemsEditorTextSupport {
+    /**
+     * Appends text controls to the controls container.
+     * @param {{
+     *  item: object,
+     *  controls: HTMLElement,
+     *  fontFamilies: string[],
+     *  customFonts: Array<{ family: string, embed: boolean, dataUrl: string }>,
+     *  translate: (key: string, params?: Record<string, string | number>) => string,
+     *  onChange: () => void,
+     *  onImportGoogleFont: (input: HTMLInputElement) => Promise<void>,
+     *  onUploadFont: (file: File, embed: boolean) => Promise<void>,
+     *  createSlider: (label: string, value: number, min: number, max: number, step: number, onInput: (value: number) => void) => HTMLDivElement
+     * }} options
+     */
+    static appendTextControls({
+        item,
+        controls,
+        fontFamilies,
+        customFonts,
+        translate,
+        onChange,
+        onImportGoogleFont,
+        onUploadFont,
+        createSlider
+    }) {
+        const { offsetCtrl, yOffsetCtrl, rotationCtrl } = ItemsEditorControlSupport.createOffsetAndRotationControls({
+            item,
+            translate,
+            onChange,
+            createSlider,
+            xMin: 0,
+            xMax: 50,
+            yMin: -50,
+            yMax: 50
+        })
+        const fontCtrl = ItemsEditorTextSupport.#createFontFamilyField({ item, fontFamilies, translate, onChange })
+        const googleFontCtrl = ItemsEditorTextSupport.#createGoogleFontField({ translate, onImportGoogleFont })
+        const fontUploadCtrl = ItemsEditorTextSupport.#createFontUploadField({ item, customFonts, translate, onChange, onUploadFont })
+        const sizeCtrl = createSlider(translate('itemsEditor.sliderFontSize'), item.fontSize, 10, 64, 1, (value) => {
+            item.fontSize = value
+            onChange()
+        })
+        const fontWeightCtrl = createSlider(
+            translate('itemsEditor.sliderFontWeight'),
+            TextLayoutUtils.normalizeFontWeight(item.fontWeight),
+            100,
+            900,
+            50,
+            (value) => {
+                item.fontWeight = value
+                onChange()
+            }
+        )
+        const { field: fontWidthCtrl } = ItemsEditorControlSupport.createSelectField({
+            labelText: translate('itemsEditor.fontWidth'),
+            value: String(TextLayoutUtils.normalizeFontWidth(item.fontWidth)),
+            options: TextLayoutUtils.FONT_WIDTHS.map((width) => ({ value: String(width), label: `${width}%` })),
+            onChange: (value) => {
+                item.fontWidth = Number(value)
+                onChange()
+            }
+        })
+        const textStyleCtrl = ItemsEditorTextSupport.#createTextStyleField({ item, translate, onChange })
+        const textAlignCtrl = ItemsEditorTextSupport.#createTextAlignField({ item, translate, onChange })
+        const letterSpacingCtrl = createSlider(
+            translate('itemsEditor.sliderLetterSpacing'),
+            TextLayoutUtils.normalizeLetterSpacing(item.letterSpacing),
+            -5,
+            20,
+            0.5,
+            (value) => {
+                item.letterSpacing = value
+                onChange()
+            }
+        )
+        const lineHeightCtrl = createSlider(
+            translate('itemsEditor.sliderLineHeight'),
+            TextLayoutUtils.normalizeLineHeight(item.lineHeight),
+            0,
+            3,
+            0.05,
+            (value) => {
+                item.lineHeight = value
+                onChange()
+            }
+        )
+        const boxWidthCtrl = createSlider(translate('itemsEditor.sliderBoxWidth'), item.boxWidth || 0, 0, 600, 1, (value) => {
+            item.boxWidth = value
+            onChange()
+        })
+        const { field: overflowCtrl } = ItemsEditorControlSupport.createSelectField({
+            labelText: translate('itemsEditor.textOverflow'),
+            value: TextLayoutUtils.normalizeOverflow(item.overflow),
+            options: TextLayoutUtils.OVERFLOW_MODES.map((mode) => ({
+                value: mode,
+                label: translate(`itemsEditor.textOverflow${mode[0].toUpperCase()}${mode.slice(1)}`)
+            })),
+            onChange: (value) => {
+                item.overflow = value
+                onChange()
+            }
+        })
+        const minFontSizeCtrl = createSlider(
+            translate('itemsEditor.sliderMinFontSize'),
+            TextLayoutUtils.normalizeMinFontSize(item.minFontSize),
+            4,
+            64,
+            1,
+            (value) => {
+                item.minFontSize = value
+                onChange()
+            }
+        )
+        const { field: directionCtrl } = ItemsEditorControlSupport.createSelectField({
+            labelText: translate('itemsEditor.textDirection'),
+            value: TextLayoutUtils.normalizeTextDirection(item.textDirection),
+            options: TextLayoutUtils.TEXT_DIRECTIONS.map((direction) => ({
+                value: direction,
+                label: translate(`itemsEditor.textDirection${direction[0].toUpperCase()}${direction.slice(1)}`)
+            })),
+            onChange: (value) => {
+                item.textDirection = value
+                onChange()
+            }
+        })
+        const stackSpacingCtrl = createSlider(
+            translate('itemsEditor.sliderStackSpacing'),
+            TextLayoutUtils.normalizeStackSpacing(item.stackSpacing),
+            0,
+            40,
+            1,
+            (value) => {
+                item.stackSpacing = value
+                onChange()
+            }
+        )
+        const { field: effectCtrl } = ItemsEditorControlSupport.createSelectField({
+            labelText: translate('itemsEditor.textEffect'),
+            value: TextLayoutUtils.normalizeTextEffect(item.textEffect),
+            options: TextLayoutUtils.TEXT_EFFECTS.map((effect) => ({
+                value: effect,
+                label: translate(`itemsEditor.textEffect${effect[0].toUpperCase()}${effect.slice(1)}`)
+            })),
+            onChange: (value) => {
+                item.textEffect = value
+                onChange()
+            }
+        })
+        const effectPaddingCtrl = createSlider(
+            translate('itemsEditor.sliderEffectPadding'),
+            TextLayoutUtils.normalizeEffectDots(item.textEffectPadding, 4),
+            0,
+            30,
+            1,
+            (value) => {
+                item.textEffectPadding = value
+                onChange()
+            }
+        )
+        const effectRadiusCtrl = createSlider(
+            translate('itemsEditor.sliderEffectRadius'),
+            TextLayoutUtils.normalizeEffectDots(item.textEffectRadius, 0),
+            0,
+            30,
+            1,
+            (value) => {
+                item.textEffectRadius = value
+                onChange()
+            }
+        )
+
+        controls.append(
+            offsetCtrl,
+            yOffsetCtrl,
+            rotationCtrl,
+            fontCtrl,
+            sizeCtrl,
+            fontWeightCtrl,
+            fontWidthCtrl,
+            textStyleCtrl,
+            textAlignCtrl,
+            letterSpacingCtrl,
+            lineHeightCtrl,
+            boxWidthCtrl,
+            overflowCtrl,
+            minFontSizeCtrl,
+            directionCtrl,
+            stackSpacingCtrl,
+            effectCtrl,
+            effectPaddingCtrl,
+            effectRadiusCtrl,
+            googleFontCtrl,
+            fontUploadCtrl
+        )
+    }
+
+    /**
+     * Builds the font-family select field.
+     * @param {{
+     *  item: object,
+     *  fontFamilies: string[],
+     *  translate: (key: string) => string,
+     *  onChange: () => void
+     * }} options
+     * @returns {HTMLDivElement}
+     */
+    static #createFontFamilyField({ item, fontFamilies, translate, onChange }) {
+        const fontCtrl = document.createElement('div')
+        fontCtrl.className = 'field'
+        const fontLabel = document.createElement('label')
+        fontLabel.textContent = translate('itemsEditor.fontFamily')
+        const fontSelect = document.createElement('select')
+        if (!item.fontFamily && fontFamilies.length) {
+            item.fontFamily = fontFamilies[0]
+        }
+        fontFamilies.forEach((family) => {
+            const option = document.createElement('option')
+            option.value = family
+            option.textContent = family
+            option.style.fontFamily = `"${family}", sans-serif`
+            fontSelect.appendChild(option)
+        })
+        fontSelect.value = item.fontFamily
+        fontSelect.addEventListener('change', (e) => {
+            item.fontFamily = e.target.value
+            onChange()
+        })
+        fontCtrl.append(fontLabel, fontSelect)
+        return fontCtrl
+    }
+
+    /**
+     * Builds the Google Font URL import field.
+     * @param {{
+     *  translate: (key: string) => string,
+     *  onImportGoogleFont: (input: HTMLInputElement) => Promise<void>
+     * }} options
+     * @returns {HTMLDivElement}
+     */
+    static #createGoogleFontField({ translate, onImportGoogleFont }) {
+        const googleFontCtrl = document.createElement('div')
+        googleFontCtrl.className = 'field google-font-field'
+        const googleFontLabel = document.createElement('label')
+        googleFontLabel.textContent = translate('itemsEditor.googleFontUrl')
+        const googleFontRow = document.createElement('div')
+        googleFontRow.className = 'google-font-row'
+        const googleFontInput = document.createElement('input')
+        googleFontInput.type = 'url'
+        googleFontInput.placeholder = translate('itemsEditor.googleFontUrlPlaceholder')
+        const googleFontButton = document.createElement('button')
+        googleFontButton.type = 'button'
+        googleFontButton.className = 'ghost'
+        googleFontButton.textContent = translate('itemsEditor.addGoogleFont')
+        googleFontButton.addEventListener('click', async () => {
+            if (googleFontButton.disabled) return
+            googleFontButton.disabled = true
+            await onImportGoogleFont(googleFontInput)
+            googleFontButton.disabled = false
+        })
+        googleFontRow.append(googleFontInput, googleFontButton)
+        const googleFontHint = document.createElement('p')
+        googleFontHint.className = 'small muted'
+        googleFontHint.textContent = translate('itemsEditor.googleFontHint')
+        googleFontCtrl.append(googleFontLabel, googleFontRow, googleFontHint)
+        return googleFontCtrl
+    }
+
+    /**
+     * Builds the font file upload field. The embed checkbox applies to the next upload and to the item font when it was uploaded.
+     * @param {{
+     *  item: object,
+     *  customFonts: Array<{ family: string, embed: boolean, dataUrl: string }>,
+     *  translate: (key: string, params?: Record<string, string | number>) => string,
+     *  onChange: () => void,
+     *  onUploadFont: (file: File, embed: boolean) => Promise<void>
+     * }} options
+     * @returns {HTMLDivElement}
+     */
+    static #createFontUploadField({ item, customFonts, translate, onChange, onUploadFont }) {
+        const fontFileCtrl = document.createElement('div')
+        fontFileCtrl.className = 'field google-font-field'
+        const fontFileLabel = document.createElement('label')
+        fontFileLabel.textContent = translate('itemsEditor.fontFile')
+        const fontFileRow = document.createElement('div')
+        fontFileRow.className = 'google-font-row'
+        const familyKey = String(item.fontFamily || '').toLocaleLowerCase()
+        const activeFont = (Array.isArray(customFonts) ? customFonts : []).find((font) => font.family.toLocaleLowerCase() === familyKey)
+        const { field: embedField, input: embedInput } = ItemsEditorControlSupport.createCheckboxField({
+            labelText: translate('itemsEditor.fontFileEmbed'),
+            checked: activeFont ? activeFont.embed : true,
+            onChange: (checked) => {
+                if (!activeFont) return
+                activeFont.embed = checked
+                onChange()
+            }
+        })
+        const uploadButton = document.createElement('button')
+        uploadButton.type = 'button'
+        uploadButton.className = 'ghost'
+        uploadButton.textContent = translate('itemsEditor.uploadFont')
+        const uploadInput = document.createElement('input')
+        uploadInput.type = 'file'
+        uploadInput.accept = '.ttf,.otf,.woff2,font/ttf,font/otf,font/woff2'
+        uploadInput.hidden = true
+        uploadButton.addEventListener('click', () => uploadInput.click())
+        uploadInput.addEventListener('change', async () => {
+            const file = uploadInput.files?.[0] || null
+            if (!file || uploadButton.disabled) return
+            uploadButton.disabled = true
+            await onUploadFont(file, embedInput.checked)
+            uploadButton.disabled = false
+            uploadInput.value = ''
+        })
+        fontFileRow.append(embedField, uploadButton, uploadInput)
+        const fontFileHint = document.createElement('p')
+        fontFileHint.className = 'small muted'
+        fontFileHint.textContent =
+            activeFont && !activeFont.dataUrl
+                ? translate('itemsEditor.fontFileMissing', { family: activeFont.family })
+                : translate('itemsEditor.fontFileHint')
+        fontFileCtrl.append(fontFileLabel, fontFileRow, fontFileHint)
+        return fontFileCtrl
+    }
+
+    /**
+     * Builds the bold/italic/underline/strikethrough toggle group plus the rich-text markup toggle.
+     * @param {{
+     *  item: object,
+     *  translate: (key: string) => string,
+     *  onChange: () => void
+     * }} options
+     * @returns {HTMLDivElement}
+     */
+    static #createTextStyleField({ item, translate, onChange }) {
+        const styleButtons = [
+            { id: 'bold', label: 'B', titleKey: 'itemsEditor.textBold', property: 'textBold' },
+            { id: 'italic', label: '/', titleKey: 'itemsEditor.textItalic', property: 'textItalic' },
+            { id: 'underline', label: 'U', titleKey: 'itemsEditor.textUnderline', property: 'textUnderline' },
+            {
+                id: 'strikethrough',
+                label: 'S',
+                titleKey: 'itemsEditor.textStrikethrough',
+                property: 'textStrikethrough',
+                className: 'text-style-glyph-strike'
+            },
+            { id: 'richText', label: '**', titleKey: 'itemsEditor.textRichText', property: 'richText' }
+        ]
+        return ItemsEditorControlSupport.createToggleButtonGroupField({
+            labelText: translate('itemsEditor.textStyle'),
+            buttons: styleButtons.map(({ id, label, titleKey, property, className }) => ({
+                id,
+                label,
+                title: translate(titleKey),
+                ...(className ? { className } : {}),
+                isActive: () => Boolean(item[property]),
+                onToggle: () => {
+                    item[property] = !Boolean(item[property])
+                    onChange()
+                }
+            }))
+        }).field
+    }
+
+    /**
+     * Builds the left/center/right/justify toggle group; exactly one mode is active.
+     * @param {{
+     *  item: object,
+     *  translate: (key: string) => string,
+     *  onChange: () => void
+     * }} options
+     * @returns {HTMLDivElement}
+     */
+    static #createTextAlignField({ item, translate, onChange }) {
+        const glyphs = { left: '⇤', center: '↔', right: '⇥', justify: '⇹' }
+        const { field, buttons } = ItemsEditorControlSupport.createToggleButtonGroupField({
+            labelText: translate('itemsEditor.textAlign'),
+            buttons: TextLayoutUtils.TEXT_ALIGN_MODES.map((mode) => ({
+                id: mode,
+                label: glyphs[mode],
+                title: translate(`itemsEditor.textAlign${mode[0].toUpperCase()}${mode.slice(1)}`),
+                isActive: () => TextLayoutUtils.normalizeTextAlign(item.textAlign) === mode,
+                onToggle: () => {
+                    item.textAlign = mode
+                    Object.entries(buttons).forEach(([buttonMode, button]) => {
+                        button.classList.toggle('is-active', buttonMode === mode)
+                        button.setAttribute('aria-pressed', buttonMode === mode ? 'true' : 'false')
+                    })
+                    onChange()
+                }
+            }))
+        })
+        return field
+    }
+}
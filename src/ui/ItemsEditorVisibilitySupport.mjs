@@ -0,0 +1,102 @@
+// SPDX-FileCopyrightText: 2026 André Fiedler
+//
+// SPDX-License-Identifier: AGPL-3.0-or-later
+
+import { VisibilityConditionUtils } from '../VisibilityConditionUtils.mjs'
+
+/**
+ * `visibleWhen` condition controls for item cards in the items editor.
+ */
+export class ItemsEditorVisibilitySupport {
+    static #operatorLabelKeys = Object.freeze({
+        notEmpty: 'itemsEditor.visibleWhenNotEmpty',
+        empty: 'itemsEditor.visibleWhenEmpty',
+        equals: 'itemsEditor.visibleWhenEquals',
+        notEquals: 'itemsEditor.visibleWhenNotEquals',
+        contains: 'itemsEditor.visibleWhenContains'
+    })
+
+    /**
+     * Appends the "Show when" field. An empty parameter name removes the condition, so the item is always shown.
+     * The parameter input suggests the current parameter names and also accepts data columns without a definition.
+     * @param {{
+     *  item: object,
+     *  controls: HTMLElement,
+     *  parameters: Array<{ name?: string }>,
+     *  translate: (key: string) => string,
+     *  onChange: () => void
+     * }} options
+     */
+    static appendVisibilityControls({ item, controls, parameters, translate, onChange }) {
+        const condition = VisibilityConditionUtils.normalizeCondition(item.visibleWhen)
+        const field = document.createElement('div')
+        field.className = 'field visibility-field'
+        const label = document.createElement('label')
+        label.textContent = translate('itemsEditor.visibleWhen')
+        const row = document.createElement('div')
+        row.className = 'visibility-row'
+
+        const suggestions = document.createElement('datalist')
+        suggestions.id = `visible-when-parameters-${item.id}`
+        const parameterInput = document.createElement('input')
+        parameterInput.type = 'text'
+        parameterInput.value = condition?.parameter || ''
+        parameterInput.placeholder = translate('itemsEditor.visibleWhenAlways')
+        parameterInput.setAttribute('list', suggestions.id)
+        parameterInput.setAttribute('aria-label', translate('itemsEditor.visibleWhen'))
+        parameterInput.addEventListener('focus', () => {
+            const names = (Array.isArray(parameters) ? parameters : []).map((parameter) => String(parameter?.name || '').trim())
+            suggestions.replaceChildren(
+                ...names.filter(Boolean).map((name) => Object.assign(document.createElement('option'), { value: name }))
+            )
+        })
+
+        const operatorSelect = document.createElement('select')
+        operatorSelect.setAttribute('aria-label', translate('itemsEditor.visibleWhen'))
+        VisibilityConditionUtils.OPERATORS.forEach((operator) => {
+            const option = document.createElement('option')
+            option.value = operator
+            option.textContent = translate(ItemsEditorVisibilitySupport.#operatorLabelKeys[operator])
+            operatorSelect.append(option)
+        })
+        operatorSelect.value = condition?.operator || 'notEmpty'
+
+        const valueInput = document.createElement('input')
+        valueInput.type = 'text'
+        valueInput.value = condition?.value || ''
+        valueInput.placeholder = translate('itemsEditor.visibleWhenValue')
+        valueInput.setAttribute('aria-label', translate('itemsEditor.visibleWhenValue'))
+
+        const sync = () => {
+            const next = VisibilityConditionUtils.normalizeCondition({
+                parameter: parameterInput.value,
+                operator: operatorSelect.value,
+                value: valueInput.value
+            })
+            if (next) {
+                item.visibleWhen = next
+            } else {
+                delete item.visibleWhen
+            }
+            operatorSelect.hidden = !next
+            valueInput.hidden = !next || !VisibilityConditionUtils.usesValue(next.operator)
+        }
+        sync()
+        parameterInput.addEventListener('input', () => {
+            sync()
+            onChange()
+        })
+        operatorSelect.addEventListener('change', () => {
+            sync()
+            onChange()
+        })
+        valueInput.addEventListener('input', () => {
+            sync()
+            onChange()
+        })
+
+        row.append(parameterInput, operatorSelect, valueInput, suggestions)
+        field.append(label, row)
+        controls.append(field)
+    }
+}
@@ -0,0 +1,140 @@
+// SPDX-FileCopyrightText: 2026 André Fiedler
+//
+// SPDX-License-Identifier: AGPL-3.0-or-later
+
+import { LabelPageUtils } from '../LabelPageUtils.mjs'
+
+/**
+ * Renders the label page tabs above the preview and handles adding, renaming, removing and switching pages.
+ * Also owns the print scope select (active label or all labels).
+ */
+export class LabelPageController {
+    #translate = (key) => key
+    #setStatus = () => {}
+    #onChange = () => {}
+
+    /**
+     * @param {{
+     *   state: object,
+     *   els: {
+     *     labelPageTabs?: HTMLElement | null,
+     *     addLabelPage?: HTMLButtonElement | null,
+     *     renameLabelPage?: HTMLButtonElement | null,
+     *     removeLabelPage?: HTMLButtonElement | null,
+     *     printScope?: HTMLSelectElement | null
+     *   },
+     *   translate?: (key: string, params?: Record<string, string | number>) => string,
+     *   setStatus?: (text: string, type?: string) => void,
+     *   onChange?: () => void
+     * }} options
+     */
+    constructor(options) {
+        this.state = options.state
+        this.els = options.els
+        if (typeof options.translate === 'function') this.#translate = options.translate
+        if (typeof options.setStatus === 'function') this.#setStatus = options.setStatus
+        if (typeof options.onChange === 'function') this.#onChange = options.onChange
+    }
+
+    /**
+     * Binds tab and page action buttons.
+     */
+    bind() {
+        this.els.labelPageTabs?.addEventListener('click', (event) => {
+            const tab = event.target.closest('[data-label-page-index]')
+            if (tab) this.switchPage(Number(tab.dataset.labelPageIndex))
+        })
+        this.els.addLabelPage?.addEventListener('click', () => this.addPage())
+        this.els.renameLabelPage?.addEventListener('click', () => this.renameActivePage())
+        this.els.removeLabelPage?.addEventListener('click', () => this.removeActivePage())
+    }
+
+    /**
+     * Returns the display name of a page.
+     * @param {{ name?: string }} page
+     * @param {number} index
+     * @returns {string}
+     */
+    resolvePageName(page, index) {
+        return page?.name || this.#translate('labels.defaultName', { index: index + 1 })
+    }
+
+    /**
+     * Renders one tab per page and hides page-only controls for single-label projects.
+     */
+    render() {
+        const pages = LabelPageUtils.resolvePages(this.state)
+        const activeIndex = LabelPageUtils.resolveActiveIndex(this.state)
+        if (this.els.labelPageTabs) {
+            const tabs = pages.map((page, index) => {
+                const tab = document.createElement('button')
+                tab.type = 'button'
+                tab.className = 'label-page-tab'
+                tab.setAttribute('role', 'tab')
+                tab.setAttribute('aria-selected', String(index === activeIndex))
+                tab.dataset.labelPageIndex = String(index)
+                tab.textContent = this.resolvePageName(page, index)
+                return tab
+            })
+            this.els.labelPageTabs.replaceChildren(...tabs)
+        }
+        if (this.els.removeLabelPage) this.els.removeLabelPage.disabled = pages.length < 2
+        if (this.els.printScope) {
+            this.els.printScope.hidden = pages.length < 2
+            if (pages.length < 2) this.els.printScope.value = 'active'
+        }
+    }
+
+    /**
+     * Returns the pages to print for the selected print scope, or null to print the active label.
+     * @returns {Array<import('../LabelPageUtils.mjs').LabelPage> | null}
+     */
+    getPrintPages() {
+        if (this.els.printScope?.value !== 'all') return null
+        const pages = LabelPageUtils.resolvePages(this.state)
+        return pages.length > 1 ? pages : null
+    }
+
+    /**
+     * Shows another page in the editor.
+     * @param {number} index
+     */
+    switchPage(index) {
+        if (!LabelPageUtils.activatePage(this.state, index)) return
+        this.#onChange()
+    }
+
+    /**
+     * Adds an empty page and switches to it.
+     */
+    addPage() {
+        const index = LabelPageUtils.addPage(this.state)
+        this.#onChange()
+        this.#setStatus(this.#translate('labels.added', { name: this.resolvePageName(this.state.labels[index], index) }), 'success')
+    }
+
+    /**
+     * Prompts for a new name of the active page.
+     */
+    renameActivePage() {
+        const index = LabelPageUtils.resolveActiveIndex(this.state)
+        const page = LabelPageUtils.resolvePages(this.state)[index]
+        const name = window.prompt(this.#translate('labels.renamePrompt'), this.resolvePageName(page, index))
+        if (name === null) return
+        LabelPageUtils.renamePage(this.state, index, name)
+        this.#onChange()
+    }
+
+    /**
+     * Removes the active page after confirmation when it still has objects.
+     */
+    removeActivePage() {
+        const index = LabelPageUtils.resolveActiveIndex(this.state)
+        const page = LabelPageUtils.resolvePages(this.state)[index]
+        const name = this.resolvePageName(page, index)
+        if (page.items.length && !window.confirm(this.#translate('labels.removeConfirm', { name }))) return
+        if (!LabelPageUtils.removePage(this.state, index)) return
+        this.#onChange()
+        this.#setStatus(this.#translate('labels.removed', { name }), 'info')
+    }
+}
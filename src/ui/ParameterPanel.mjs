@@ -2,25 +2,36 @@
 //
 // SPDX-License-Identifier: AGPL-3.0-or-later
 
+import { CustomFontUtils } from '../CustomFontUtils.mjs'
+import { DateTemplateUtils } from '../DateTemplateUtils.mjs'
+import { FontFamilyUtils } from '../FontFamilyUtils.mjs'
 import { ParameterTemplateUtils } from '../ParameterTemplateUtils.mjs'
 import { ParameterDataFileUtils } from '../ParameterDataFileUtils.mjs'
+import { LabelPageUtils } from '../LabelPageUtils.mjs'
+import { SerialCounterUtils } from '../SerialCounterUtils.mjs'
+import { ParameterPanelCounterSupport } from './ParameterPanelCounterSupport.mjs'
+import { TextFitValidationUtils } from './TextFitValidationUtils.mjs'
 
 /**
- * Manages parameter definitions, uploaded parameter data, validation, and preview rendering.
+ * Manages parameter definitions, serial counters, uploaded parameter data, validation, and preview rendering.
  */
 export class ParameterPanel {
     #onChange = () => {}
     #translate = (key) => key
+    #getTextFitPages = () => []
+    #getLocale = () => 'en'
 
     /**
      * @param {object} els
      * @param {object} state
      * @param {(text: string, type?: string) => void} setStatus
-     * @param {() => void} onChange
+     * @param {(historyOptions: { coalesce?: boolean, untracked?: boolean }) => void} onChange
      * @param {(key: string, params?: Record<string, string | number>) => string} translate
      * @param {{
      *  parameterDataWorkerClient?: { isAvailable?: () => boolean, parseSpreadsheet?: (bytes: Uint8Array, sourceName: string) => Promise<Record<string, unknown>[]> } | null,
-     *  parameterValidationWorkerClient?: { isAvailable?: () => boolean, validateParameters?: (payload: object) => Promise<any> } | null
+     *  parameterValidationWorkerClient?: { isAvailable?: () => boolean, validateParameters?: (payload: object) => Promise<any> } | null,
+     *  getTextFitPages?: () => Array<{ items: object[], textDotScale: number, maxFontDots: number, maxWidth: number }>,
+     *  getLocale?: () => string
      * }} [options={}]
      */
     constructor(els, state, setStatus, onChange, translate, options = {}) {
@@ -31,6 +42,8 @@ export class ParameterPanel {
         this.translate = translate
         this.parameterDataWorkerClient = options.parameterDataWorkerClient || null
         this.parameterValidationWorkerClient = options.parameterValidationWorkerClient || null
+        if (typeof options.getTextFitPages === 'function') this.#getTextFitPages = options.getTextFitPages
+        if (typeof options.getLocale === 'function') this.#getLocale = options.getLocale
         this.validation = { errors: [], warnings: [], placeholders: [] }
         this.parseError = null
         this.parseErrorLine = null
@@ -45,7 +58,7 @@ export class ParameterPanel {
 
     /**
      * Sets the panel change callback.
-     * @param {() => void} callback
+     * @param {(historyOptions: { coalesce?: boolean, untracked?: boolean }) => void} callback
      */
     set onChange(callback) {
         this.#onChange = typeof callback === 'function' ? callback : () => {}
@@ -53,7 +66,7 @@ export class ParameterPanel {
 
     /**
      * Returns the panel change callback.
-     * @returns {() => void}
+     * @returns {(historyOptions: { coalesce?: boolean, untracked?: boolean }) => void}
      */
     get onChange() {
         return this.#onChange
@@ -98,6 +111,7 @@ export class ParameterPanel {
      */
     syncFromState() {
         this.#ensureStateShape()
+        this.state.serialCounters = SerialCounterUtils.normalizeCounters(this.state.serialCounters)
         this.#clearParseError()
         if (this.state.parameterDataRaw.trim()) {
             const parsed = ParameterTemplateUtils.parseParameterDataJson(this.state.parameterDataRaw)
@@ -124,24 +138,75 @@ export class ParameterPanel {
 
     /**
      * Returns the value map used for on-screen preview rendering.
-     * @returns {Record<string, string>}
+     * @returns {Record<string, string | import('../DateTemplateUtils.mjs').DatePlaceholderValue>}
      */
     getPreviewParameterValues() {
         const firstRow = Array.isArray(this.state.parameterDataRows) && this.state.parameterDataRows.length
             ? this.state.parameterDataRows[0]
             : {}
-        return ParameterTemplateUtils.buildParameterValueMap(this.state.parameters, firstRow)
+        const [counterValues] = SerialCounterUtils.buildValueMaps(this.state.serialCounters, 1)
+        return {
+            ...this.#buildDateValues(new Date()),
+            ...ParameterTemplateUtils.buildParameterValueMap(this.state.parameters, firstRow),
+            ...counterValues
+        }
     }
 
     /**
      * Returns value maps for all labels that will be printed.
-     * @returns {Array<Record<string, string>>}
+     * Loaded data rows print one label each; otherwise `count` labels are printed. Serial counters number the labels.
+     * Date placeholders are resolved once, so every label of the job shares the same timestamp.
+     * @param {number} [count=1]
+     * @returns {Array<Record<string, string | import('../DateTemplateUtils.mjs').DatePlaceholderValue>>}
+     */
+    buildPrintParameterValueMaps(count = 1) {
+        const rows =
+            Array.isArray(this.state.parameterDataRows) && this.state.parameterDataRows.length
+                ? this.state.parameterDataRows
+                : Array.from({ length: Math.max(1, Math.floor(Number(count) || 1)) }, () => ({}))
+        const counterValues = SerialCounterUtils.buildValueMaps(this.state.serialCounters, rows.length)
+        const dateValues = this.#buildDateValues(new Date())
+        return rows.map((row, index) => ({
+            ...dateValues,
+            ...ParameterTemplateUtils.buildParameterValueMap(this.state.parameters, row),
+            ...counterValues[index]
+        }))
+    }
+
+    /**
+     * Returns true when the print flow should ask for a label count: serial counters exist and no data rows are loaded.
+     * @returns {boolean}
      */
-    buildPrintParameterValueMaps() {
-        const rows = Array.isArray(this.state.parameterDataRows) && this.state.parameterDataRows.length
-            ? this.state.parameterDataRows
-            : [{}]
-        return rows.map((row) => ParameterTemplateUtils.buildParameterValueMap(this.state.parameters, row))
+    shouldAskPrintCount() {
+        const hasRows = Array.isArray(this.state.parameterDataRows) && this.state.parameterDataRows.length > 0
+        return !hasRows && SerialCounterUtils.collectCounterNames(this.state.serialCounters).length > 0
+    }
+
+    /**
+     * Describes the counter values of a batch, for example `serial: A-0001 – A-0200`.
+     * @param {number} count
+     * @returns {string}
+     */
+    describeCounterRange(count) {
+        const maps = SerialCounterUtils.buildValueMaps(this.state.serialCounters, Math.max(1, Math.floor(Number(count) || 1)))
+        return SerialCounterUtils.collectCounterNames(this.state.serialCounters)
+            .map((name) => {
+                const first = maps[0][name]
+                const last = maps[maps.length - 1][name]
+                return first === last ? `${name}: ${first}` : `${name}: ${first} – ${last}`
+            })
+            .join(', ')
+    }
+
+    /**
+     * Continues every serial counter after a printed batch, so the next batch starts where this one stopped.
+     * @param {number} count Printed label count (value maps, not pages).
+     */
+    advanceSerialCounters(count) {
+        if (!SerialCounterUtils.collectCounterNames(this.state.serialCounters).length) return
+        this.state.serialCounters = SerialCounterUtils.advanceCounters(this.state.serialCounters, count)
+        this.#renderCounters()
+        this.#emitChange({ untracked: true })
     }
 
     /**
@@ -179,6 +244,9 @@ export class ParameterPanel {
         if (typeof this.state.parameterDataSourceName !== 'string') {
             this.state.parameterDataSourceName = ''
         }
+        if (!Array.isArray(this.state.serialCounters)) {
+            this.state.serialCounters = []
+        }
         this.state.parameters = ParameterTemplateUtils.normalizeParameterDefinitions(this.state.parameters)
     }
 
@@ -198,6 +266,15 @@ export class ParameterPanel {
             })
         }
 
+        if (this.els.addSerialCounter) {
+            this.els.addSerialCounter.addEventListener('click', () => {
+                this.state.serialCounters.push(SerialCounterUtils.createCounter(this.#buildNextCounterName()))
+                this.#renderCounters()
+                this.#refreshValidationViews()
+                this.#emitChange()
+            })
+        }
+
         if (this.els.loadParameterData) {
             this.els.loadParameterData.addEventListener('click', () => this.#loadParameterDataFromFile())
         }
@@ -350,6 +427,7 @@ export class ParameterPanel {
      * Rebuilds the parameter definition editor rows.
      */
     #renderDefinitions() {
+        this.#renderCounters()
         if (!this.els.parameterDefinitions) return
         this.els.parameterDefinitions.innerHTML = ''
 
@@ -376,7 +454,7 @@ export class ParameterPanel {
             nameInput.addEventListener('input', (e) => {
                 this.state.parameters[index].name = e.target.value
                 this.#refreshValidationViews()
-                this.#emitChange()
+                this.#emitChange({ coalesce: true })
             })
             nameField.append(nameLabel, nameInput)
 
@@ -390,7 +468,7 @@ export class ParameterPanel {
             defaultInput.addEventListener('input', (e) => {
                 this.state.parameters[index].defaultValue = e.target.value
                 this.#refreshValidationViews()
-                this.#emitChange()
+                this.#emitChange({ coalesce: true })
             })
             defaultField.append(defaultLabel, defaultInput)
 
@@ -410,6 +488,47 @@ export class ParameterPanel {
         this.#syncConditionalVisibility()
     }
 
+    /**
+     * Builds the values of the built-in date placeholders used in the project, with ISO form and locale text.
+     * Parameters and data columns with the same name take precedence.
+     * @param {Date} now
+     * @returns {Record<string, import('../DateTemplateUtils.mjs').DatePlaceholderValue>}
+     */
+    #buildDateValues(now) {
+        const placeholders = ParameterTemplateUtils.collectPlaceholdersFromItems(LabelPageUtils.collectProjectItems(this.state))
+        return DateTemplateUtils.buildValueMap(placeholders, { now, locale: this.#getLocale() })
+    }
+
+    /**
+     * Renders the serial counter rows.
+     */
+    #renderCounters() {
+        ParameterPanelCounterSupport.renderCounters({
+            container: this.els.serialCounters,
+            counters: this.state.serialCounters,
+            translate: this.translate,
+            onChange: (rerender, historyOptions) => {
+                if (rerender) this.#renderCounters()
+                this.#refreshValidationViews()
+                this.#emitChange(historyOptions)
+            }
+        })
+        this.#syncConditionalVisibility()
+    }
+
+    /**
+     * Computes a unique default counter name (`serial`, `serial_2`, ...).
+     * @returns {string}
+     */
+    #buildNextCounterName() {
+        const usedNames = new Set([...this.state.parameters, ...this.state.serialCounters].map((entry) => entry.name))
+        let name = 'serial'
+        for (let index = 2; usedNames.has(name); index += 1) {
+            name = `serial_${index}`
+        }
+        return name
+    }
+
     /**
      * Computes a unique default parameter name.
      * @returns {string}
@@ -463,9 +582,15 @@ export class ParameterPanel {
     #runValidationViaWorker(requestToken, rebuildPreview) {
         const payload = {
             definitions: this.state.parameters,
-            items: this.state.items,
+            items: LabelPageUtils.collectProjectItems(this.state),
             rows: this.state.parameterDataRows,
-            rawJson: this.parseError ? '' : this.state.parameterDataRaw
+            rawJson: this.parseError ? '' : this.state.parameterDataRaw,
+            counters: this.state.serialCounters,
+            textFitPages: this.#getTextFitPages(),
+            customFonts: CustomFontUtils.normalizeFonts(this.state.customFonts).filter((font) => font.dataUrl),
+            webFontFamilies: FontFamilyUtils.normalizeGoogleFontLinks(this.state.customFontLinks).flatMap((link) =>
+                FontFamilyUtils.parseGoogleFontFamiliesFromUrl(link)
+            )
         }
         const validationPromise = this.parameterValidationWorkerClient
             .validateParameters(payload)
@@ -499,9 +624,18 @@ export class ParameterPanel {
     #applyValidationInThread(rebuildPreview) {
         this.validation = ParameterTemplateUtils.validateParameterSetup(
             this.state.parameters,
-            this.state.items,
+            LabelPageUtils.collectProjectItems(this.state),
             this.state.parameterDataRows,
-            this.parseError ? '' : this.state.parameterDataRaw
+            this.parseError ? '' : this.state.parameterDataRaw,
+            this.state.serialCounters
+        )
+        this.validation.warnings.push(
+            ...TextFitValidationUtils.collectOverflowWarnings({
+                pages: this.#getTextFitPages(),
+                definitions: this.state.parameters,
+                rows: this.state.parameterDataRows,
+                ctx: document.createElement('canvas').getContext('2d')
+            })
         )
         if (rebuildPreview && !this.parseError) {
             const { prettyText, rowLineRanges } = ParameterTemplateUtils.buildPrettyArrayPreview(this.state.parameterDataRows)
@@ -548,7 +682,7 @@ export class ParameterPanel {
     }
 
     /**
-     * Shows or hides parameter-data controls based on whether parameters exist.
+     * Shows or hides parameter-data controls based on whether parameters exist; counter issues also need the issue list.
      */
     #syncConditionalVisibility() {
         const hasParameters = this.#hasParameterDefinitions()
@@ -556,7 +690,7 @@ export class ParameterPanel {
             this.els.downloadParameterExample.hidden = !hasParameters
         }
         if (this.els.parameterDataPanel) {
-            this.els.parameterDataPanel.hidden = !hasParameters
+            this.els.parameterDataPanel.hidden = !hasParameters && !this.state.serialCounters?.length
         }
     }
 
@@ -652,6 +786,8 @@ export class ParameterPanel {
                 return this.translate('validation.emptyDefinitionName', { index: issue.definitionIndex || '' })
             case 'invalid-definition-name':
                 return this.translate('validation.invalidDefinitionName', { name: issue.parameterName || '' })
+            case 'invalid-counter-name':
+                return this.translate('validation.invalidCounterName', { name: issue.parameterName || '' })
             case 'duplicate-definition-name':
                 return this.translate('validation.duplicateDefinitionName', {
                     name: issue.parameterName || '',
@@ -659,6 +795,10 @@ export class ParameterPanel {
                 })
             case 'undefined-placeholder':
                 return this.translate('validation.undefinedPlaceholder', { placeholder: issue.placeholder || '' })
+            case 'unknown-filter':
+                return this.translate('validation.unknownFilter', { placeholder: issue.placeholder || '', filter: issue.filter || '' })
+            case 'undefined-condition-parameter':
+                return this.translate('validation.undefinedConditionParameter', { name: issue.parameterName || '' })
             case 'unused-definition':
                 return this.translate('validation.unusedDefinition', { name: issue.parameterName || '' })
             case 'invalid-row-type':
@@ -671,6 +811,11 @@ export class ParameterPanel {
                 return this.translate('validation.fallbackDefaultParameter', { row, name: issue.parameterName || '' })
             case 'json-formatting':
                 return this.translate('validation.jsonFormatting')
+            case 'text-overflow':
+                return this.translate(issue.approximate ? 'validation.textOverflowApproximate' : 'validation.textOverflow', {
+                    row,
+                    text: issue.text || ''
+                })
             default:
                 return issue.message || issue.code || ''
         }
@@ -732,9 +877,11 @@ export class ParameterPanel {
     }
 
     /**
-     * Triggers the onChange callback.
+     * Triggers the onChange callback; typing passes `coalesce: true` so it undoes as one step,
+     * counters advanced by printing pass `untracked: true` so they are no undo step.
+     * @param {{ coalesce?: boolean, untracked?: boolean }} [historyOptions={}]
      */
-    #emitChange() {
-        this.onChange()
+    #emitChange(historyOptions = {}) {
+        this.onChange(historyOptions)
     }
 }
@@ -0,0 +1,98 @@
+// SPDX-FileCopyrightText: 2026 André Fiedler
+//
+// SPDX-License-Identifier: AGPL-3.0-or-later
+
+import { SerialCounterUtils } from '../SerialCounterUtils.mjs'
+
+/**
+ * Serial counter rows for the parameter panel.
+ */
+export class ParameterPanelCounterSupport {
+    /**
+     * Renders one editable row per counter into the container.
+     * Field edits update the counter in place and pass `coalesce` so typing undoes as one step;
+     * `onChange(true)` asks for a re-render after structural changes.
+     * @param {{
+     *  container: HTMLElement | null,
+     *  counters: import('../SerialCounterUtils.mjs').SerialCounter[],
+     *  translate: (key: string, params?: Record<string, string | number>) => string,
+     *  onChange: (rerender?: boolean, historyOptions?: { coalesce?: boolean }) => void
+     * }} options
+     */
+    static renderCounters({ container, counters, translate, onChange }) {
+        if (!container) return
+        container.innerHTML = ''
+        counters.forEach((counter, index) => {
+            const row = document.createElement('div')
+            row.className = 'counter-row'
+            const preview = document.createElement('div')
+            preview.className = 'counter-next small muted'
+            const syncPreview = () => {
+                preview.textContent = translate('parameters.counterNext', {
+                    value: SerialCounterUtils.formatValue(counter, counter.nextValue)
+                })
+            }
+
+            const fields = [
+                { key: 'name', type: 'text', placeholder: 'serial' },
+                { key: 'start', type: 'number' },
+                { key: 'step', type: 'number' },
+                { key: 'padding', type: 'number', min: '0', max: '20' },
+                { key: 'prefix', type: 'text' },
+                { key: 'suffix', type: 'text' }
+            ].map(({ key, type, placeholder, min, max }) => {
+                const field = document.createElement('div')
+                field.className = 'field'
+                const label = document.createElement('label')
+                label.textContent = translate(`parameters.counter${key[0].toUpperCase()}${key.slice(1)}`)
+                const input = document.createElement('input')
+                input.type = type
+                input.value = String(counter[key] ?? '')
+                if (placeholder) input.placeholder = placeholder
+                if (type === 'number') input.step = '1'
+                if (min) input.min = min
+                if (max) input.max = max
+                input.addEventListener('input', () => {
+                    if (type === 'number') {
+                        if (input.value === '') return
+                        const normalized = SerialCounterUtils.normalizeCounter({ ...counter, [key]: input.value })
+                        // Until the first print, the next value follows the start value.
+                        if (key === 'start' && counter.nextValue === counter.start) counter.nextValue = normalized.start
+                        counter[key] = normalized[key]
+                    } else {
+                        counter[key] = input.value
+                    }
+                    syncPreview()
+                    onChange(false, { coalesce: true })
+                })
+                field.append(label, input)
+                return field
+            })
+
+            const reset = document.createElement('button')
+            reset.type = 'button'
+            reset.className = 'ghost'
+            reset.textContent = translate('parameters.counterReset')
+            reset.addEventListener('click', () => {
+                counter.nextValue = SerialCounterUtils.normalizeCounter(counter).start
+                syncPreview()
+                onChange()
+            })
+            const remove = document.createElement('button')
+            remove.type = 'button'
+            remove.className = 'ghost parameter-remove'
+            remove.textContent = translate('parameters.remove')
+            remove.addEventListener('click', () => {
+                counters.splice(index, 1)
+                onChange(true)
+            })
+
+            const actions = document.createElement('div')
+            actions.className = 'counter-actions'
+            actions.append(preview, reset, remove)
+            syncPreview()
+            row.append(...fields, actions)
+            container.appendChild(row)
+        })
+    }
+}
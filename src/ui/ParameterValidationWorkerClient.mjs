@@ -58,7 +58,17 @@ export class ParameterValidationWorkerClient {
 
     /**
      * Validates parameter setup and builds pretty preview metadata.
-     * @param {{ definitions?: unknown[], items?: unknown[], rows?: unknown[], rawJson?: string }} payload
+     * `customFonts` are registered in the worker; text in `webFontFamilies` is measured with a fallback font.
+     * @param {{
+     *  definitions?: unknown[],
+     *  items?: unknown[],
+     *  rows?: unknown[],
+     *  rawJson?: string,
+     *  counters?: unknown[],
+     *  textFitPages?: unknown[],
+     *  customFonts?: unknown[],
+     *  webFontFamilies?: string[]
+     * }} payload
      * @returns {Promise<{
      *  validation: { errors: object[], warnings: object[], placeholders: string[] },
      *  previewText: string,
@@ -73,7 +83,11 @@ export class ParameterValidationWorkerClient {
             definitions: Array.isArray(payload?.definitions) ? payload.definitions : [],
             items: Array.isArray(payload?.items) ? payload.items : [],
             rows: Array.isArray(payload?.rows) ? payload.rows : [],
-            rawJson: String(payload?.rawJson || '')
+            rawJson: String(payload?.rawJson || ''),
+            counters: Array.isArray(payload?.counters) ? payload.counters : [],
+            textFitPages: Array.isArray(payload?.textFitPages) ? payload.textFitPages : [],
+            customFonts: Array.isArray(payload?.customFonts) ? payload.customFonts : [],
+            webFontFamilies: Array.isArray(payload?.webFontFamilies) ? payload.webFontFamilies : []
         }
         try {
             const result = await this.#rpcClient.request('validateParameters', safePayload, { timeoutMs: 20000 })
@@ -3,6 +3,7 @@
 // SPDX-License-Identifier: AGPL-3.0-or-later
 
 import { AlignmentUtils } from '../AlignmentUtils.mjs'
+import { GroupItemUtils } from '../GroupItemUtils.mjs'
 
 /**
  * Base preview renderer state and shared callbacks.
@@ -35,6 +36,8 @@ export class PreviewRendererBase {
         this._interactionLayer = null
         this._interactiveItems = []
         this._interactiveItemsById = new Map()
+        this._snapTargetEntries = []
+        this._previewCssScale = { x: 1, y: 1 }
         this._interactionElements = new Map()
         this._interactables = new Map()
         this._hoverItemId = null
@@ -136,6 +139,24 @@ export class PreviewRendererBase {
      * @returns {{name: string, mime_type: string, data_url: string} | null}
      */
     getRenderedLabelAttachment() {
+        // Keep payload size bounded for long labels while preserving aspect ratio.
+        const dataUrl = this.getRenderedLabelDataUrl(1400)
+        if (!dataUrl) {
+            return null
+        }
+        return {
+            name: 'rendered-label.png',
+            mime_type: 'image/png',
+            data_url: dataUrl
+        }
+    }
+
+    /**
+     * Captures the current rendered label canvas as a PNG data URL, scaled down to fit the given edge length.
+     * @param {number} maxEdgePx
+     * @returns {string | null}
+     */
+    getRenderedLabelDataUrl(maxEdgePx) {
         const sourceCanvas = this.els?.preview
         if (!sourceCanvas || typeof sourceCanvas.toDataURL !== 'function') {
             return null
@@ -146,8 +167,6 @@ export class PreviewRendererBase {
             return null
         }
 
-        // Keep payload size bounded for long labels while preserving aspect ratio.
-        const maxEdgePx = 1400
         const scale = Math.min(1, maxEdgePx / Math.max(sourceWidth, sourceHeight))
         let outputCanvas = sourceCanvas
         if (scale < 1 && typeof document !== 'undefined') {
@@ -163,14 +182,7 @@ export class PreviewRendererBase {
 
         try {
             const dataUrl = outputCanvas.toDataURL('image/png')
-            if (!dataUrl.startsWith('data:image/png')) {
-                return null
-            }
-            return {
-                name: 'rendered-label.png',
-                mime_type: 'image/png',
-                data_url: dataUrl
-            }
+            return dataUrl.startsWith('data:image/png') ? dataUrl : null
         } catch (_error) {
             return null
         }
@@ -259,8 +271,34 @@ export class PreviewRendererBase {
     }
 
     /**
-     * Aligns the currently selected items.
-     * @param {'left' | 'center' | 'right' | 'top' | 'middle' | 'bottom'} alignMode
+     * Selects every rendered item that can be selected (hidden and locked items are skipped).
+     * @returns {number}
+     */
+    selectAllItems() {
+        const itemIds = this._interactiveItems.map((entry) => entry.id)
+        this.setSelectedItemIds(itemIds)
+        return itemIds.length
+    }
+
+    /**
+     * Moves the selected items by one dot, or by one millimeter on the printer's dot grid.
+     * @param {number} directionX -1, 0 or 1.
+     * @param {number} directionY -1, 0 or 1.
+     * @param {boolean} [useMillimeters=false]
+     * @returns {{ changed: boolean, count: number }}
+     */
+    nudgeSelectedItems(directionX, directionY, useMillimeters = false) {
+        const selectedEntries = this._interactiveItems.filter((entry) => this._selectedItemIds.has(entry.id))
+        const stepX = useMillimeters ? this._rulerContext?.dotsPerMmX || 180 / 25.4 : 1
+        const stepY = useMillimeters ? this._rulerContext?.dotsPerMmY || 180 / 25.4 : 1
+        const delta = { deltaX: directionX * stepX, deltaY: directionY * stepY }
+        return this.#translateEntries(selectedEntries, selectedEntries.map(() => delta))
+    }
+
+    /**
+     * Aligns, distributes or size-matches the currently selected items.
+     * Distribution ignores the reference; match size uses the largest item when the reference is the selection.
+     * @param {string} alignMode One of `AlignmentUtils.ALIGN_MODES`.
      * @param {'selection' | 'largest' | 'smallest' | 'label'} [referenceMode='selection']
      * @returns {{ changed: boolean, reason?: string, count: number }}
      */
@@ -269,8 +307,17 @@ export class PreviewRendererBase {
         if (!selectedEntries.length) {
             return { changed: false, reason: 'no-selection', count: 0 }
         }
-        if (referenceMode !== 'label' && selectedEntries.length < 2) {
-            return { changed: false, reason: 'need-multiple', count: selectedEntries.length }
+        const minimumSelection = AlignmentUtils.resolveMinimumSelection(alignMode, referenceMode)
+        if (selectedEntries.length < minimumSelection) {
+            const reason = minimumSelection > 2 ? 'need-three' : 'need-multiple'
+            return { changed: false, reason, count: selectedEntries.length }
+        }
+        if (AlignmentUtils.isDistributeMode(alignMode)) {
+            const deltas = AlignmentUtils.computeDistributionDeltas(
+                selectedEntries.map((entry) => entry.bounds),
+                alignMode
+            )
+            return this.#translateEntries(selectedEntries, deltas)
         }
         const labelBounds = {
             x: 0,
@@ -278,25 +325,71 @@ export class PreviewRendererBase {
             width: this.els.preview?.width || 0,
             height: this.els.preview?.height || 0
         }
-        const referenceRect = AlignmentUtils.resolveAlignmentReferenceRect(selectedEntries, referenceMode, labelBounds)
+        const isMatchSize = AlignmentUtils.isMatchSizeMode(alignMode)
+        const effectiveReference = isMatchSize && referenceMode === 'selection' ? 'largest' : referenceMode
+        const referenceRect = AlignmentUtils.resolveAlignmentReferenceRect(selectedEntries, effectiveReference, labelBounds)
         if (!referenceRect) {
             return { changed: false, reason: 'missing-reference', count: selectedEntries.length }
         }
+        if (isMatchSize) {
+            return this.#matchEntrySizes(selectedEntries, referenceRect, alignMode)
+        }
+        const deltas = selectedEntries.map((entry) => AlignmentUtils.computeAlignmentDelta(entry.bounds, referenceRect, alignMode))
+        return this.#translateEntries(selectedEntries, deltas)
+    }
+
+    /**
+     * Moves rendered entries by rounded dot deltas.
+     * @param {Array<{ item: object }>} entries
+     * @param {Array<{ deltaX: number, deltaY: number }>} deltas
+     * @returns {{ changed: boolean, count: number }}
+     */
+    #translateEntries(entries, deltas) {
         let changed = false
-        selectedEntries.forEach((entry) => {
-            const { deltaX, deltaY } = AlignmentUtils.computeAlignmentDelta(entry.bounds, referenceRect, alignMode)
-            const nextDeltaX = Math.round(deltaX)
-            const nextDeltaY = Math.round(deltaY)
-            if (nextDeltaX) {
-                entry.item.xOffset = Math.round((entry.item.xOffset || 0) + nextDeltaX)
-                changed = true
-            }
-            if (nextDeltaY) {
-                entry.item.yOffset = Math.round((entry.item.yOffset || 0) + nextDeltaY)
+        entries.forEach((entry, index) => {
+            const nextDeltaX = Math.round(deltas[index]?.deltaX || 0)
+            const nextDeltaY = Math.round(deltas[index]?.deltaY || 0)
+            if (nextDeltaX || nextDeltaY) {
+                GroupItemUtils.translateItem(entry.item, nextDeltaX, nextDeltaY)
                 changed = true
             }
         })
-        return { changed, count: selectedEntries.length }
+        return { changed, count: entries.length }
+    }
+
+    /**
+     * Resizes rendered entries so their width or height matches the reference, keeping the top-left corner.
+     * Groups and text/QR items scale uniformly.
+     * @param {Array<object>} entries
+     * @param {{ width: number, height: number }} referenceRect
+     * @param {'match-width' | 'match-height'} mode
+     * @returns {{ changed: boolean, count: number }}
+     */
+    #matchEntrySizes(entries, referenceRect, mode) {
+        const isHorizontal = this.state.orientation === 'horizontal'
+        const axis = mode === 'match-height' ? 'y' : 'x'
+        let changed = false
+        entries.forEach((entry) => {
+            const scale = AlignmentUtils.computeMatchSizeScale(entry.bounds, referenceRect, mode)
+            if (Math.abs(scale - 1) < 0.01) return
+            const snapshot = GroupItemUtils.captureEntryScaleSnapshot(entry, isHorizontal)
+            const pivot = { x: entry.bounds.x, y: entry.bounds.y }
+            GroupItemUtils.scaleGroup(snapshot, scale, pivot, entry.type === 'group' ? 'both' : axis)
+            changed = true
+        })
+        return { changed, count: entries.length }
+    }
+
+    /**
+     * Rotates a rendered group as one block to an absolute group rotation.
+     * @param {string} itemId
+     * @param {number} rotation
+     * @returns {boolean}
+     */
+    rotateGroupItem(itemId, rotation) {
+        const entry = this._interactiveItemsById.get(itemId)
+        if (!entry || entry.type !== 'group') return false
+        return GroupItemUtils.rotateGroup(entry, rotation)
     }
 
     /**
@@ -1,24 +1,29 @@
 import { PreviewLayoutUtils } from '../PreviewLayoutUtils.mjs'
+import { GroupItemUtils } from '../GroupItemUtils.mjs'
+import { LabelPageUtils } from '../LabelPageUtils.mjs'
 import { ParameterTemplateUtils } from '../ParameterTemplateUtils.mjs'
 import { ImageRasterUtils } from '../ImageRasterUtils.mjs'
 import { IconRasterUtils } from '../IconRasterUtils.mjs'
 import { ShapeDrawUtils } from '../ShapeDrawUtils.mjs'
 import { TextSizingUtils } from '../TextSizingUtils.mjs'
+import { TextLayoutUtils } from '../TextLayoutUtils.mjs'
+import { RichTextUtils } from '../RichTextUtils.mjs'
 import { RotationUtils } from '../RotationUtils.mjs'
 import { QrSizeUtils } from '../QrSizeUtils.mjs'
+import { VisibilityConditionUtils } from '../VisibilityConditionUtils.mjs'
 import { Media, Resolution } from 'labelprinterkit-web/src/index.mjs'
 import { PreviewRendererCanvasSupport } from './PreviewRendererCanvasSupport.mjs'
-import { PreviewRendererBase } from './PreviewRendererBase.mjs'
-import { RulerCanvasUtils } from './RulerCanvasUtils.mjs'
+import { PreviewRendererCanvasPrimitives } from './PreviewRendererCanvasPrimitives.mjs'
 import { PreviewPositionModeUtils } from './PreviewPositionModeUtils.mjs'
 
 /**
  * Canvas construction and low-level rendering helpers for preview output.
  */
-export class PreviewRendererCanvasBuild extends PreviewRendererBase {
+export class PreviewRendererCanvasBuild extends PreviewRendererCanvasPrimitives {
     /**
      * Builds the preview and print canvases based on the current state.
-     * @param {{ parameterValues?: Record<string, string> }} [options={}]
+     * Pass `page` to render another label page (media, orientation, length and items) with the project settings.
+     * @param {{ parameterValues?: Record<string, string>, page?: import('../LabelPageUtils.mjs').LabelPage }} [options={}]
      * @returns {Promise<{
      *  preview: HTMLCanvasElement,
      *  printCanvas: HTMLCanvasElement,
@@ -33,9 +38,10 @@ export class PreviewRendererCanvasBuild extends PreviewRendererBase {
      * }>}
      */
     async buildCanvasFromState(options = {}) {
-        const media = Media[this.state.media] || Media.W24
-        const res = Resolution[this.state.resolution] || Resolution.LOW
-        const isHorizontal = this.state.orientation === 'horizontal'
+        const source = options.page ? { ...this.state, ...options.page } : this.state
+        const media = Media[source.media] || Media.W24
+        const res = Resolution[source.resolution] || Resolution.LOW
+        const isHorizontal = source.orientation === 'horizontal'
         const printWidth = media.printArea || 128
         const marginStart = media.lmargin || 0
         const marginEnd = media.rmargin || 0
@@ -59,11 +65,23 @@ export class PreviewRendererCanvasBuild extends PreviewRendererBase {
         const feedPadEnd = 8 // trailing whitespace
         const blocks = []
         const layoutItems = []
-        for (const item of this.state.items) {
+        // Hidden items and items whose `visibleWhen` fails for this row are skipped, so flow items close the gap;
+        // groups render their children, which are absolute-positioned in label coordinates.
+        const isVisible = (item) => VisibilityConditionUtils.isVisible(item.visibleWhen, parameterValues)
+        for (const item of GroupItemUtils.flattenVisibleItems(source.items, isVisible)) {
             if (item.type === 'text') {
-                const resolvedText = ParameterTemplateUtils.resolveTemplateString(item.text || '', parameterValues)
+                const resolvedText = ParameterTemplateUtils.resolveTemplateString(
+                    item.text || '',
+                    parameterValues,
+                    undefined,
+                    item.richText ? RichTextUtils.escapeMarkup : undefined
+                )
                 const family = item.fontFamily || 'sans-serif'
                 const requestedSizeDots = Math.round((item.fontSize || 16) * textDotScale)
+                const stacked = TextLayoutUtils.normalizeTextDirection(item.textDirection) === 'stacked'
+                const textEffect = TextLayoutUtils.normalizeTextEffect(item.textEffect)
+                const effectPadding = TextLayoutUtils.resolveEffectPadding(textEffect, item.textEffectPadding)
+                const letterSpacing = stacked ? 0 : TextLayoutUtils.normalizeLetterSpacing(item.letterSpacing) * textDotScale
                 const {
                     size: fontSizeDots,
                     advanceWidth: textAdvanceWidth,
@@ -74,6 +92,7 @@ export class PreviewRendererCanvasBuild extends PreviewRendererBase {
                     inkWidth,
                     lineGap,
                     lines: textLines,
+                    paragraphEnds,
                     lineMetrics,
                     underlineOffset,
                     underlineThickness,
@@ -84,19 +103,32 @@ export class PreviewRendererCanvasBuild extends PreviewRendererBase {
                     text: resolvedText,
                     family,
                     requestedSize: requestedSizeDots,
-                    maxHeight: maxFontDots,
+                    // Vertical labels stack glyphs along the feed axis, so only the tape width limits the column.
+                    maxHeight: (stacked && !isHorizontal ? Number.POSITIVE_INFINITY : maxFontDots) - effectPadding * 2,
                     bold: Boolean(item.textBold),
                     italic: Boolean(item.textItalic),
+                    fontWeight: item.fontWeight,
+                    fontWidth: item.fontWidth,
                     underline: Boolean(item.textUnderline),
-                    strikethrough: Boolean(item.textStrikethrough)
+                    strikethrough: Boolean(item.textStrikethrough),
+                    boxWidth: item.boxWidth,
+                    maxWidth: isHorizontal ? 0 : Math.max(1, printWidth - effectPadding * 2),
+                    overflow: item.overflow,
+                    minSize: Math.round(TextLayoutUtils.normalizeMinFontSize(item.minFontSize) * textDotScale),
+                    richText: Boolean(item.richText),
+                    baseFontSize: item.fontSize || 16,
+                    direction: item.textDirection,
+                    stackSpacing: TextLayoutUtils.normalizeStackSpacing(item.stackSpacing),
+                    letterSpacing,
+                    lineHeight: item.lineHeight
                 })
                 const scaledAscent = ascent * textVerticalScale
                 const scaledDescent = descent * textVerticalScale
                 const scaledTextHeight = Math.max(1, textTotalHeight * textVerticalScale)
                 // Keep base flow dimensions stable while dragging; offsets are visual translation only.
-                const span = isHorizontal
-                    ? Math.max(textAdvanceWidth, scaledTextHeight)
-                    : Math.max(scaledTextHeight + 4, scaledTextHeight)
+                const span =
+                    (isHorizontal ? Math.max(textAdvanceWidth, scaledTextHeight) : Math.max(scaledTextHeight + 4, scaledTextHeight)) +
+                    effectPadding * 2
                 blocks.push({
                     ref: item,
                     resolvedText,
@@ -113,6 +145,15 @@ export class PreviewRendererCanvasBuild extends PreviewRendererBase {
                     textLines,
                     textLineGap: lineGap,
                     textLineMetrics: lineMetrics,
+                    textParagraphEnds: paragraphEnds,
+                    textBoxWidth: TextLayoutUtils.normalizeBoxWidth(item.boxWidth),
+                    textOverflow: TextLayoutUtils.normalizeOverflow(item.overflow),
+                    textRich: Boolean(item.richText),
+                    textStacked: stacked,
+                    textEffect,
+                    textEffectPadding: effectPadding,
+                    textEffectRadius: TextLayoutUtils.normalizeEffectDots(item.textEffectRadius, 0),
+                    textLetterSpacing: letterSpacing,
                     textTotalHeight: scaledTextHeight,
                     textUnderlineOffset: underlineOffset,
                     textUnderlineThickness: underlineThickness,
@@ -194,7 +235,7 @@ export class PreviewRendererCanvasBuild extends PreviewRendererBase {
 
             if (item.type === 'qr') {
                 const resolvedQrData = ParameterTemplateUtils.resolveTemplateString(item.data || '', parameterValues)
-                const qrSize = QrSizeUtils.clampQrSizeToLabel(this.state, Number(item.size) || 1)
+                const qrSize = QrSizeUtils.clampQrSizeToLabel(source, Number(item.size) || 1)
                 const qrCanvas = await PreviewRendererCanvasSupport.getCachedQrCanvas(this, resolvedQrData, qrSize, item)
                 const span = qrSize
                 blocks.push({ ref: item, span, qrSize, qrCanvas })
@@ -213,8 +254,8 @@ export class PreviewRendererCanvasBuild extends PreviewRendererBase {
         const contentAxisEnd = this._computeMaxFlowAxisEnd(blocks, isHorizontal, feedPadStart)
         const minLength = res.minLength
         const autoLengthDots = PreviewLayoutUtils.computeAutoLabelLengthDots(baseTotalLength, contentAxisEnd, feedPadEnd, minLength)
-        const forcedLengthDots = this.state.mediaLengthMm
-            ? Math.max(minLength, Math.round((this.state.mediaLengthMm / 25.4) * res.dots[1]))
+        const forcedLengthDots = source.mediaLengthMm
+            ? Math.max(minLength, Math.round((source.mediaLengthMm / 25.4) * res.dots[1]))
             : null
         const length = forcedLengthDots ? Math.max(forcedLengthDots, autoLengthDots) : autoLengthDots
         const canvas = document.createElement('canvas')
@@ -264,6 +305,25 @@ export class PreviewRendererCanvasBuild extends PreviewRendererBase {
         }
     }
 
+    /**
+     * Returns the text items and fitting limits of every label page for per-row overflow checks.
+     * Uses the same scale and limits as `buildCanvasFromState` so warnings match the rendered rows.
+     * @returns {Array<{ items: object[], textDotScale: number, maxFontDots: number, maxWidth: number }>}
+     */
+    getTextFitPages() {
+        const res = Resolution[this.state.resolution] || Resolution.LOW
+        const textDotScale = (res?.dots?.[1] || res?.dots?.[0] || 180) / 96
+        return LabelPageUtils.resolvePages(this.state).map((page) => {
+            const printWidth = (Media[page.media] || Media.W24).printArea || 128
+            return {
+                items: GroupItemUtils.flattenVisibleItems(page.items).filter((item) => item.type === 'text'),
+                textDotScale,
+                maxFontDots: Math.max(8, printWidth),
+                maxWidth: page.orientation === 'horizontal' ? 0 : printWidth
+            }
+        })
+    }
+
     /**
      * Renders one block on the flow axis and appends interactive bounds.
      * @param {{
@@ -294,6 +354,7 @@ export class PreviewRendererCanvasBuild extends PreviewRendererBase {
                 maxFontDots,
                 layoutItems
             })
+            PreviewRendererCanvasSupport.applyLetterSpacing(ctx, 0)
             return
         }
         if (item.type === 'qr') {
@@ -372,9 +433,12 @@ export class PreviewRendererCanvasBuild extends PreviewRendererBase {
             size: resolvedSize,
             family: block.family || item.fontFamily || 'sans-serif',
             bold: Boolean(item.textBold),
-            italic: Boolean(item.textItalic)
+            italic: Boolean(item.textItalic),
+            weight: item.fontWeight,
+            width: item.fontWidth
         })
         ctx.textBaseline = 'alphabetic'
+        PreviewRendererCanvasSupport.applyLetterSpacing(ctx, block.textLetterSpacing)
         const verticalScale = Number.isFinite(block.textVerticalScale) ? block.textVerticalScale : 1
         const underlineMetrics = PreviewRendererCanvasSupport.computeUnderlineMetrics(resolvedSize, 1)
         const underlineOffset = Math.max(1, Number(block.textUnderlineOffset || underlineMetrics.offset)) * verticalScale
@@ -387,10 +451,13 @@ export class PreviewRendererCanvasBuild extends PreviewRendererBase {
             Math.max(1, Number(block.textStrikethroughThickness || strikethroughMetrics.thickness)) * verticalScale
         const textLines = Array.isArray(block.textLines) && block.textLines.length ? block.textLines : [block.resolvedText || '']
         const lineMetrics = Array.isArray(block.textLineMetrics) ? block.textLineMetrics : []
-        const scaledLineGap = Math.max(0, Number(block.textLineGap || 0) * verticalScale)
+        // Fixed line heights may use a negative gap to tighten lines.
+        const scaledLineGap = Number(block.textLineGap || 0) * verticalScale
         const fallbackAscent = Math.max(1, Number(block.ascent || resolvedSize * verticalScale))
         const fallbackDescent = Math.max(0, Number(block.descent || 0))
         const yAdjust = Number(item.yOffset || 0)
+        const hasTextEffect = Boolean(block.textEffect) && block.textEffect !== 'none'
+        const effectPadding = Math.max(0, Number(block.textEffectPadding || 0))
         const drawX = isHorizontal
             ? PreviewPositionModeUtils.resolveFeedAxisStart({
                   item,
@@ -399,12 +466,16 @@ export class PreviewRendererCanvasBuild extends PreviewRendererBase {
                   isHorizontal: true,
                   span: block.span,
                   drawSpan: Math.max(1, Number(block.textInkWidth || block.textAdvanceWidth || 1)),
-                  feedOffset: Number(item.xOffset || 0)
+                  feedOffset: Number(item.xOffset || 0) + effectPadding
               })
-            : Number(item.xOffset || 0)
+            : block.textStacked
+              ? (canvas.width - Number(block.textAdvanceWidth || 0)) / 2 + Number(item.xOffset || 0)
+              : Number(item.xOffset || 0) + effectPadding
+        // Stacked glyphs are always centered on the column axis.
+        const textAlign = block.textStacked ? 'center' : item.textAlign
 
         // Preserve the previous single-line metrics/rendering path so existing text sizing snapshots stay stable.
-        if (textLines.length === 1) {
+        if (textLines.length === 1 && !block.textBoxWidth && !block.textRich && !block.textStacked && !hasTextEffect) {
             const singleLineUnderlineExtra = item.textUnderline ? underlineOffset + underlineThickness : 0
             const blockHeight = fallbackAscent + fallbackDescent + singleLineUnderlineExtra
             const blockTop = isHorizontal
@@ -494,15 +565,45 @@ export class PreviewRendererCanvasBuild extends PreviewRendererBase {
                   feedOffset: yAdjust,
                   centerInFlowSpan: true
               })
-        const textRenderBounds = {
-            x: drawX,
-            y: blockTop,
-            width: Math.max(1, Number(block.textInkWidth || block.textAdvanceWidth || 1)),
-            height: blockHeight
-        }
+        // Inverted and box effects draw a padded frame that also serves as the hit area.
+        const hasEffectFrame = block.textEffect === 'inverted' || block.textEffect === 'box'
+        const textRenderBounds = hasEffectFrame
+            ? {
+                  x: drawX - effectPadding,
+                  y: blockTop - effectPadding,
+                  width: Math.max(1, Number(block.textAdvanceWidth || 1)) + effectPadding * 2,
+                  height: blockHeight + effectPadding * 2
+              }
+            : {
+                  x: drawX,
+                  y: blockTop,
+                  width: Math.max(1, Number(block.textInkWidth || block.textAdvanceWidth || 1)),
+                  height: blockHeight
+              }
+        const inkColor = block.textEffect === 'inverted' ? '#fff' : '#000'
+        const effectStrokeWidth = TextLayoutUtils.resolveEffectStrokeWidth(resolvedSize)
+        const drawGlyphs = (text, x) => (block.textEffect === 'outline' ? ctx.strokeText(text, x, 0) : ctx.fillText(text, x, 0))
         let cursorY = blockTop
         const renderedLineBounds = []
+        const clipsToBox = block.textOverflow === 'clip' && block.textBoxWidth > 0
         RotationUtils.drawWithRotation(ctx, textRenderBounds, item.rotation, () => {
+            ctx.save()
+            if (hasEffectFrame) {
+                PreviewRendererCanvasSupport.drawTextEffectFrame(ctx, {
+                    ...textRenderBounds,
+                    effect: block.textEffect,
+                    radius: block.textEffectRadius,
+                    lineWidth: effectStrokeWidth
+                })
+            }
+            ctx.fillStyle = inkColor
+            ctx.strokeStyle = inkColor
+            ctx.lineWidth = effectStrokeWidth
+            if (clipsToBox) {
+                ctx.beginPath()
+                ctx.rect(drawX, blockTop, block.textBoxWidth, blockHeight)
+                ctx.clip()
+            }
             textLines.forEach((line, index) => {
                 const metric = lineMetrics[index]
                 const lineAscent = Math.max(1, Number(metric?.ascent || fallbackAscent / Math.max(1, verticalScale)))
@@ -510,28 +611,73 @@ export class PreviewRendererCanvasBuild extends PreviewRendererBase {
                 const scaledAscent = lineAscent * verticalScale
                 const scaledDescent = lineDescent * verticalScale
                 const baselineY = cursorY + scaledAscent
-                const localInkLeft = Math.max(0, Number(metric?.inkLeft || 0))
-                const localInkWidth = Math.max(1, Number(metric?.inkWidth || metric?.advanceWidth || block.textAdvanceWidth || 1))
+                const isLastLine = block.textParagraphEnds?.[index] ?? index === textLines.length - 1
+                // Rich-text lines carry styled tokens that are placed and drawn one by one with their own fonts.
+                const richLine = Array.isArray(metric?.tokens)
+                    ? RichTextUtils.positionTokens({
+                          tokens: metric.tokens,
+                          textAlign,
+                          blockAdvance: Number(block.textAdvanceWidth || 0),
+                          isLastLine
+                      })
+                    : null
+                const { segments, offsetX, extraWidth } =
+                    richLine ||
+                    TextLayoutUtils.resolveLineLayout({
+                        line,
+                        textAlign,
+                        lineAdvance: Number(metric?.advanceWidth || 0),
+                        blockAdvance: Number(block.textAdvanceWidth || 0),
+                        isLastLine,
+                        measureWidth: (text) => ctx.measureText(text).width
+                    })
+                const lineUnderline = richLine ? Boolean(metric.underline) : Boolean(item.textUnderline)
+                const lineInkX = drawX + offsetX + Math.max(0, Number(metric?.inkLeft || 0))
+                const localInkWidth =
+                    Math.max(1, Number(metric?.inkWidth || metric?.advanceWidth || block.textAdvanceWidth || 1)) + extraWidth
                 renderedLineBounds.push({
-                    x: drawX + localInkLeft,
+                    x: lineInkX,
                     y: baselineY - scaledAscent,
                     width: localInkWidth,
-                    height: Math.max(1, scaledAscent + scaledDescent + (item.textUnderline ? underlineOffset + underlineThickness : 0))
+                    height: Math.max(1, scaledAscent + scaledDescent + (lineUnderline ? underlineOffset + underlineThickness : 0))
                 })
 
                 ctx.save()
                 ctx.translate(drawX, baselineY)
                 ctx.scale(1, verticalScale)
-                ctx.fillText(String(line || ''), 0, 0)
+                if (richLine) {
+                    richLine.tokens.forEach((token) => {
+                        ctx.font = token.font
+                        drawGlyphs(token.text, token.x)
+                    })
+                } else if (block.textEffect === 'outline') {
+                    segments.forEach((segment) => ctx.strokeText(segment.text, segment.x, 0))
+                } else {
+                    segments.forEach((segment) => ctx.fillText(segment.text, segment.x, 0))
+                }
                 ctx.restore()
-                if (item.textUnderline) {
+                if (richLine) {
+                    richLine.tokens
+                        .filter((token) => token.underline)
+                        .forEach((token) => {
+                            const underlineY = baselineY + underlineOffset
+                            ctx.save()
+                            ctx.beginPath()
+                            ctx.lineWidth = underlineThickness
+                            ctx.strokeStyle = inkColor
+                            ctx.moveTo(drawX + token.x, underlineY)
+                            ctx.lineTo(drawX + token.x + token.width, underlineY)
+                            ctx.stroke()
+                            ctx.restore()
+                        })
+                } else if (item.textUnderline) {
                     const underlineY = baselineY + underlineOffset
                     ctx.save()
                     ctx.beginPath()
                     ctx.lineWidth = underlineThickness
-                    ctx.strokeStyle = '#000'
-                    ctx.moveTo(drawX + localInkLeft, underlineY)
-                    ctx.lineTo(drawX + localInkLeft + localInkWidth, underlineY)
+                    ctx.strokeStyle = inkColor
+                    ctx.moveTo(lineInkX, underlineY)
+                    ctx.lineTo(lineInkX + localInkWidth, underlineY)
                     ctx.stroke()
                     ctx.restore()
                 }
@@ -540,9 +686,9 @@ export class PreviewRendererCanvasBuild extends PreviewRendererBase {
                     ctx.save()
                     ctx.beginPath()
                     ctx.lineWidth = strikethroughThickness
-                    ctx.strokeStyle = '#000'
-                    ctx.moveTo(drawX + localInkLeft, strikethroughY)
-                    ctx.lineTo(drawX + localInkLeft + localInkWidth, strikethroughY)
+                    ctx.strokeStyle = inkColor
+                    ctx.moveTo(lineInkX, strikethroughY)
+                    ctx.lineTo(lineInkX + localInkWidth, strikethroughY)
                     ctx.stroke()
                     ctx.restore()
                 }
@@ -552,9 +698,11 @@ export class PreviewRendererCanvasBuild extends PreviewRendererBase {
                     cursorY += scaledLineGap
                 }
             })
+            ctx.restore()
         })
 
-        const textBounds = renderedLineBounds.reduce(
+        // Fixed-width boxes keep their full width as hit area so the resize handles sit on the box edges.
+        const textBounds = (clipsToBox ? [] : renderedLineBounds).reduce(
             (acc, entry) => {
                 if (!acc) return { ...entry }
                 const x = Math.min(acc.x, entry.x)
@@ -568,7 +716,7 @@ export class PreviewRendererCanvasBuild extends PreviewRendererBase {
                     height: Math.max(1, bottom - y)
                 }
             },
-            null
+            block.textBoxWidth || hasEffectFrame ? { ...textRenderBounds } : null
         ) || {
             x: drawX,
             y: blockTop,
@@ -753,64 +901,6 @@ export class PreviewRendererCanvasBuild extends PreviewRendererBase {
         })
     }
 
-    /**
-     * Constrains image dimensions to the printable cross-axis width.
-     * Horizontal layout constrains image height, vertical layout constrains image width.
-     * @param {number} width
-     * @param {number} height
-     * @param {number} printWidth
-     * @param {boolean} isHorizontal
-     * @returns {{ width: number, height: number }}
-     */
-    _constrainImageDimensionsToPrintWidth(width, height, printWidth, isHorizontal) {
-        const safeWidth = Math.max(8, Math.round(Number(width) || 8))
-        const safeHeight = Math.max(8, Math.round(Number(height) || 8))
-        const crossAxisLimit = Math.max(8, Math.round(Number(printWidth) || 8))
-        if (isHorizontal && safeHeight > crossAxisLimit) {
-            const scale = crossAxisLimit / safeHeight
-            return {
-                width: Math.max(8, Math.round(safeWidth * scale)),
-                height: crossAxisLimit
-            }
-        }
-        if (!isHorizontal && safeWidth > crossAxisLimit) {
-            const scale = crossAxisLimit / safeWidth
-            return {
-                width: crossAxisLimit,
-                height: Math.max(8, Math.round(safeHeight * scale))
-            }
-        }
-        return { width: safeWidth, height: safeHeight }
-    }
-
-    /**
-     * Estimates the farthest occupied position on the flow axis.
-     * @param {Array<{
-     *  ref: object,
-     *  span: number,
-     *  textAdvanceWidth?: number,
-     *  textInkLeft?: number,
-     *  textInkWidth?: number,
-     *  ascent?: number,
-     *  descent?: number,
-     *  fontSizeDots?: number,
-     *  shapeWidth?: number,
-     *  shapeHeight?: number,
-     *  imageWidth?: number,
-     *  imageHeight?: number,
-     *  iconWidth?: number,
-     *  iconHeight?: number,
-     *  barcodeWidth?: number,
-     *  barcodeHeight?: number,
-     *  qrSize?: number
-     * }>} blocks
-     * @param {boolean} isHorizontal
-     * @param {number} feedPadStart
-     * @returns {number}
-     */
-    _computeMaxFlowAxisEnd(blocks, isHorizontal, feedPadStart) {
-        return PreviewPositionModeUtils.computeMaxFlowAxisEnd(blocks, isHorizontal, feedPadStart)
-    }
     /**
      * Returns a cached monochrome image canvas or generates one.
      * @param {object} item
@@ -861,138 +951,4 @@ export class PreviewRendererCanvasBuild extends PreviewRendererBase {
         }
         return canvas
     }
-
-    /**
-     * Builds a stable cache key for rendered image variants.
-     * @param {string} imageData
-     * @param {number} width
-     * @param {number} height
-     * @param {{ imageDither: string, imageThreshold: number, imageSmoothing: string, imageInvert: boolean }} options
-     * @returns {string}
-     */
-    _buildImageCacheKey(imageData, width, height, options) {
-        const sourceHash = this._hashString(imageData)
-        return `${sourceHash}:${width}x${height}:${options.imageDither}:${options.imageThreshold}:${options.imageSmoothing}:${options.imageInvert ? 1 : 0}`
-    }
-
-    /**
-     * Computes a small non-cryptographic hash for cache keys.
-     * @param {string} value
-     * @returns {string}
-     */
-    _hashString(value) {
-        let hash = 2166136261
-        for (let i = 0; i < value.length; i += 1) {
-            hash ^= value.charCodeAt(i)
-            hash = Math.imul(hash, 16777619)
-        }
-        return (hash >>> 0).toString(16)
-    }
-
-    /**
-     * Loads and caches image elements by source data URL.
-     * @param {string} imageData
-     * @returns {Promise<HTMLImageElement | null>}
-     */
-    async _getSourceImage(imageData) {
-        if (!imageData) return null
-        if (this._sourceImageCache.has(imageData)) {
-            return this._sourceImageCache.get(imageData)
-        }
-        const imageElement = await new Promise((resolve) => {
-            const candidate = new Image()
-            candidate.onload = () => resolve(candidate)
-            candidate.onerror = () => resolve(null)
-            candidate.src = imageData
-        })
-        if (!imageElement) return null
-        this._sourceImageCache.set(imageData, imageElement)
-        const maxEntries = 32
-        if (this._sourceImageCache.size > maxEntries) {
-            const oldestKey = this._sourceImageCache.keys().next().value
-            if (oldestKey) this._sourceImageCache.delete(oldestKey)
-        }
-        return imageElement
-    }
-
-    /**
-     * Builds a monochrome image canvas from source pixels.
-     * @param {CanvasImageSource} sourceImage
-     * @param {number} width
-     * @param {number} height
-     * @param {{ imageDither: string, imageThreshold: number, imageSmoothing: string, imageInvert: boolean }} options
-     * @returns {HTMLCanvasElement}
-     */
-    _buildMonochromeImageCanvas(sourceImage, width, height, options) {
-        const canvas = document.createElement('canvas')
-        canvas.width = width
-        canvas.height = height
-        const ctx = canvas.getContext('2d', { willReadFrequently: true })
-        ctx.fillStyle = '#fff'
-        ctx.fillRect(0, 0, width, height)
-        const smoothingMode = options.imageSmoothing
-        ctx.imageSmoothingEnabled = smoothingMode !== 'off'
-        if (ctx.imageSmoothingEnabled && 'imageSmoothingQuality' in ctx) {
-            ctx.imageSmoothingQuality = smoothingMode === 'high' ? 'high' : smoothingMode === 'low' ? 'low' : 'medium'
-        }
-        ctx.drawImage(sourceImage, 0, 0, width, height)
-        const imageData = ctx.getImageData(0, 0, width, height)
-        const monochromePixels = ImageRasterUtils.convertRgbaToMonochrome(imageData.data, width, height, options)
-        imageData.data.set(monochromePixels)
-        ctx.putImageData(imageData, 0, 0)
-        return canvas
-    }
-
-    /**
-     * Draws a millimeter ruler axis into a canvas.
-     * @param {HTMLCanvasElement} canvas
-     * @param {number} lengthDots
-     * @param {number} dpi
-     * @param {'x' | 'y'} [orientation='x']
-     * @param {boolean} [showUnitLabel=true]
-     * @param {number} [offsetPx=0]
-     * @param {number} [axisLengthPxOverride=0]
-     * @param {number} [highlightLengthMm=0]
-     * @param {number} [viewportShiftPx=0]
-     */
-    _drawRulerAxis(
-        canvas,
-        lengthDots,
-        dpi,
-        orientation = 'x',
-        showUnitLabel = true,
-        offsetPx = 0,
-        axisLengthPxOverride = 0,
-        highlightLengthMm = 0,
-        viewportShiftPx = 0
-    ) {
-        RulerCanvasUtils.drawRulerAxis(
-            canvas,
-            lengthDots,
-            dpi,
-            orientation,
-            showUnitLabel,
-            offsetPx,
-            axisLengthPxOverride,
-            highlightLengthMm,
-            viewportShiftPx
-        )
-    }
-
-    /**
-     * Rotates a canvas so the print head width matches the expected orientation.
-     * @param {HTMLCanvasElement} canvas
-     * @returns {HTMLCanvasElement}
-     */
-    _rotateForPrint(canvas) {
-        const rotated = document.createElement('canvas')
-        rotated.width = canvas.height
-        rotated.height = canvas.width
-        const ctx = rotated.getContext('2d')
-        // Rotate so the canvas height matches the print head width expected by Label/Job.
-        ctx.translate(rotated.width, 0)
-        ctx.rotate(Math.PI / 2)
-        ctx.drawImage(canvas, 0, 0)
-        return rotated
-    }
 }
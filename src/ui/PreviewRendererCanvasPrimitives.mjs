@@ -0,0 +1,206 @@
+// SPDX-FileCopyrightText: 2026 André Fiedler
+//
+// SPDX-License-Identifier: AGPL-3.0-or-later
+
+import { ImageRasterUtils } from '../ImageRasterUtils.mjs'
+import { PreviewRendererBase } from './PreviewRendererBase.mjs'
+import { RulerCanvasUtils } from './RulerCanvasUtils.mjs'
+import { PreviewPositionModeUtils } from './PreviewPositionModeUtils.mjs'
+
+/**
+ * Low-level canvas primitives (image sources, monochrome conversion, rulers, print rotation) used by the canvas build layer.
+ */
+export class PreviewRendererCanvasPrimitives extends PreviewRendererBase {
+    /**
+     * Constrains image dimensions to the printable cross-axis width.
+     * Horizontal layout constrains image height, vertical layout constrains image width.
+     * @param {number} width
+     * @param {number} height
+     * @param {number} printWidth
+     * @param {boolean} isHorizontal
+     * @returns {{ width: number, height: number }}
+     */
+    _constrainImageDimensionsToPrintWidth(width, height, printWidth, isHorizontal) {
+        const safeWidth = Math.max(8, Math.round(Number(width) || 8))
+        const safeHeight = Math.max(8, Math.round(Number(height) || 8))
+        const crossAxisLimit = Math.max(8, Math.round(Number(printWidth) || 8))
+        if (isHorizontal && safeHeight > crossAxisLimit) {
+            const scale = crossAxisLimit / safeHeight
+            return {
+                width: Math.max(8, Math.round(safeWidth * scale)),
+                height: crossAxisLimit
+            }
+        }
+        if (!isHorizontal && safeWidth > crossAxisLimit) {
+            const scale = crossAxisLimit / safeWidth
+            return {
+                width: crossAxisLimit,
+                height: Math.max(8, Math.round(safeHeight * scale))
+            }
+        }
+        return { width: safeWidth, height: safeHeight }
+    }
+
+    /**
+     * Estimates the farthest occupied position on the flow axis.
+     * @param {Array<{
+     *  ref: object,
+     *  span: number,
+     *  textAdvanceWidth?: number,
+     *  textInkLeft?: number,
+     *  textInkWidth?: number,
+     *  ascent?: number,
+     *  descent?: number,
+     *  fontSizeDots?: number,
+     *  shapeWidth?: number,
+     *  shapeHeight?: number,
+     *  imageWidth?: number,
+     *  imageHeight?: number,
+     *  iconWidth?: number,
+     *  iconHeight?: number,
+     *  barcodeWidth?: number,
+     *  barcodeHeight?: number,
+     *  qrSize?: number
+     * }>} blocks
+     * @param {boolean} isHorizontal
+     * @param {number} feedPadStart
+     * @returns {number}
+     */
+    _computeMaxFlowAxisEnd(blocks, isHorizontal, feedPadStart) {
+        return PreviewPositionModeUtils.computeMaxFlowAxisEnd(blocks, isHorizontal, feedPadStart)
+    }
+
+    /**
+     * Builds a stable cache key for rendered image variants.
+     * @param {string} imageData
+     * @param {number} width
+     * @param {number} height
+     * @param {{ imageDither: string, imageThreshold: number, imageSmoothing: string, imageInvert: boolean }} options
+     * @returns {string}
+     */
+    _buildImageCacheKey(imageData, width, height, options) {
+        const sourceHash = this._hashString(imageData)
+        return `${sourceHash}:${width}x${height}:${options.imageDither}:${options.imageThreshold}:${options.imageSmoothing}:${options.imageInvert ? 1 : 0}`
+    }
+
+    /**
+     * Computes a small non-cryptographic hash for cache keys.
+     * @param {string} value
+     * @returns {string}
+     */
+    _hashString(value) {
+        let hash = 2166136261
+        for (let i = 0; i < value.length; i += 1) {
+            hash ^= value.charCodeAt(i)
+            hash = Math.imul(hash, 16777619)
+        }
+        return (hash >>> 0).toString(16)
+    }
+
+    /**
+     * Loads and caches image elements by source data URL.
+     * @param {string} imageData
+     * @returns {Promise<HTMLImageElement | null>}
+     */
+    async _getSourceImage(imageData) {
+        if (!imageData) return null
+        if (this._sourceImageCache.has(imageData)) {
+            return this._sourceImageCache.get(imageData)
+        }
+        const imageElement = await new Promise((resolve) => {
+            const candidate = new Image()
+            candidate.onload = () => resolve(candidate)
+            candidate.onerror = () => resolve(null)
+            candidate.src = imageData
+        })
+        if (!imageElement) return null
+        this._sourceImageCache.set(imageData, imageElement)
+        const maxEntries = 32
+        if (this._sourceImageCache.size > maxEntries) {
+            const oldestKey = this._sourceImageCache.keys().next().value
+            if (oldestKey) this._sourceImageCache.delete(oldestKey)
+        }
+        return imageElement
+    }
+
+    /**
+     * Builds a monochrome image canvas from source pixels.
+     * @param {CanvasImageSource} sourceImage
+     * @param {number} width
+     * @param {number} height
+     * @param {{ imageDither: string, imageThreshold: number, imageSmoothing: string, imageInvert: boolean }} options
+     * @returns {HTMLCanvasElement}
+     */
+    _buildMonochromeImageCanvas(sourceImage, width, height, options) {
+        const canvas = document.createElement('canvas')
+        canvas.width = width
+        canvas.height = height
+        const ctx = canvas.getContext('2d', { willReadFrequently: true })
+        ctx.fillStyle = '#fff'
+        ctx.fillRect(0, 0, width, height)
+        const smoothingMode = options.imageSmoothing
+        ctx.imageSmoothingEnabled = smoothingMode !== 'off'
+        if (ctx.imageSmoothingEnabled && 'imageSmoothingQuality' in ctx) {
+            ctx.imageSmoothingQuality = smoothingMode === 'high' ? 'high' : smoothingMode === 'low' ? 'low' : 'medium'
+        }
+        ctx.drawImage(sourceImage, 0, 0, width, height)
+        const imageData = ctx.getImageData(0, 0, width, height)
+        const monochromePixels = ImageRasterUtils.convertRgbaToMonochrome(imageData.data, width, height, options)
+        imageData.data.set(monochromePixels)
+        ctx.putImageData(imageData, 0, 0)
+        return canvas
+    }
+
+    /**
+     * Draws a millimeter ruler axis into a canvas.
+     * @param {HTMLCanvasElement} canvas
+     * @param {number} lengthDots
+     * @param {number} dpi
+     * @param {'x' | 'y'} [orientation='x']
+     * @param {boolean} [showUnitLabel=true]
+     * @param {number} [offsetPx=0]
+     * @param {number} [axisLengthPxOverride=0]
+     * @param {number} [highlightLengthMm=0]
+     * @param {number} [viewportShiftPx=0]
+     */
+    _drawRulerAxis(
+        canvas,
+        lengthDots,
+        dpi,
+        orientation = 'x',
+        showUnitLabel = true,
+        offsetPx = 0,
+        axisLengthPxOverride = 0,
+        highlightLengthMm = 0,
+        viewportShiftPx = 0
+    ) {
+        RulerCanvasUtils.drawRulerAxis(
+            canvas,
+            lengthDots,
+            dpi,
+            orientation,
+            showUnitLabel,
+            offsetPx,
+            axisLengthPxOverride,
+            highlightLengthMm,
+            viewportShiftPx
+        )
+    }
+
+    /**
+     * Rotates a canvas so the print head width matches the expected orientation.
+     * @param {HTMLCanvasElement} canvas
+     * @returns {HTMLCanvasElement}
+     */
+    _rotateForPrint(canvas) {
+        const rotated = document.createElement('canvas')
+        rotated.width = canvas.height
+        rotated.height = canvas.width
+        const ctx = rotated.getContext('2d')
+        // Rotate so the canvas height matches the print head width expected by Label/Job.
+        ctx.translate(rotated.width, 0)
+        ctx.rotate(Math.PI / 2)
+        ctx.drawImage(canvas, 0, 0)
+        return rotated
+    }
+}
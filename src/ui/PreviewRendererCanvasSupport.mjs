@@ -4,6 +4,8 @@
 
 import { BarcodeUtils } from '../BarcodeUtils.mjs'
 import { QrCodeUtils } from '../QrCodeUtils.mjs'
+import { RichTextUtils } from '../RichTextUtils.mjs'
+import { TextLayoutUtils } from '../TextLayoutUtils.mjs'
 
 /**
  * Shared helpers for canvas barcode rendering and text metric fitting.
@@ -11,15 +13,20 @@ import { QrCodeUtils } from '../QrCodeUtils.mjs'
 export class PreviewRendererCanvasSupport {
     /**
      * Builds a canvas font declaration for text rendering/measurement.
-     * @param {{ size: number, family: string, bold?: boolean, italic?: boolean }} options
+     * `bold` raises the numeric `weight` to at least 700; `width` is a `fontWidth` percentage sent as `font-stretch` keyword.
+     * @param {{ size: number, family: string, bold?: boolean, italic?: boolean, weight?: number, width?: number }} options
      * @returns {string}
      */
-    static buildTextFontDeclaration({ size, family, bold = false, italic = false }) {
+    static buildTextFontDeclaration({ size, family, bold = false, italic = false, weight = 400, width = 100 }) {
         const safeSize = Math.max(1, Math.round(Number(size) || 1))
         const safeFamily = String(family || 'sans-serif')
         const style = italic ? 'italic ' : ''
-        const weight = bold ? '700 ' : ''
-        return `${style}${weight}${safeSize}px ${safeFamily}`.trim()
+        const numericWeight = TextLayoutUtils.normalizeFontWeight(weight)
+        const resolvedWeight = bold ? Math.max(700, numericWeight) : numericWeight
+        const weightPart = resolvedWeight === 400 ? '' : `${resolvedWeight} `
+        const stretch = TextLayoutUtils.resolveFontStretch(width)
+        const stretchPart = stretch === 'normal' ? '' : `${stretch} `
+        return `${style}${weightPart}${stretchPart}${safeSize}px ${safeFamily}`.trim()
     }
 
     /**
@@ -50,6 +57,42 @@ export class PreviewRendererCanvasSupport {
         return { offset, thickness }
     }
 
+    /**
+     * Draws the frame of a text effect on whole dots: `inverted` fills it black, `box` strokes its outline inside the frame.
+     * @param {CanvasRenderingContext2D} ctx
+     * @param {{ effect: string, x: number, y: number, width: number, height: number, radius?: number, lineWidth?: number }} options
+     */
+    static drawTextEffectFrame(ctx, { effect, x, y, width, height, radius = 0, lineWidth = 1 }) {
+        if (effect !== 'inverted' && effect !== 'box') return
+        const inset = effect === 'box' ? Math.max(1, lineWidth) / 2 : 0
+        const left = Math.round(x) + inset
+        const top = Math.round(y) + inset
+        const right = Math.round(x + width) - inset
+        const bottom = Math.round(y + height) - inset
+        const r = Math.max(0, Math.min(Number(radius) || 0, (right - left) / 2, (bottom - top) / 2))
+        ctx.save()
+        ctx.beginPath()
+        ctx.moveTo(left + r, top)
+        ctx.lineTo(right - r, top)
+        ctx.quadraticCurveTo(right, top, right, top + r)
+        ctx.lineTo(right, bottom - r)
+        ctx.quadraticCurveTo(right, bottom, right - r, bottom)
+        ctx.lineTo(left + r, bottom)
+        ctx.quadraticCurveTo(left, bottom, left, bottom - r)
+        ctx.lineTo(left, top + r)
+        ctx.quadraticCurveTo(left, top, left + r, top)
+        ctx.closePath()
+        if (effect === 'inverted') {
+            ctx.fillStyle = '#000'
+            ctx.fill()
+        } else {
+            ctx.lineWidth = Math.max(1, lineWidth)
+            ctx.strokeStyle = '#000'
+            ctx.stroke()
+        }
+        ctx.restore()
+    }
+
     /**
      * Returns a cached QR canvas or generates a new one.
      * @param {object} renderer
@@ -295,6 +338,14 @@ export class PreviewRendererCanvasSupport {
 
     /**
      * Resolves text metrics while ensuring the rendered text fits the available height.
+     * A positive `boxWidth` word-wraps the text and makes the block exactly that wide.
+     * Lines wider than the box (or `maxWidth` without a box) are handled by the `overflow` policy:
+     * `shrink` lowers the size down to `minSize`, `ellipsis` shortens them; `clip` and `none` leave them to the renderer.
+     * With `richText`, the text is parsed as `RichTextUtils` markup and every line metric carries its styled `tokens`;
+     * `[size=…]` runs scale with the fitted size relative to `baseFontSize`.
+     * The `stacked` direction lays out one plain glyph per row with uniform row heights and `stackSpacing` dots between rows.
+     * `letterSpacing` (dots) is applied to the context while measuring; a positive `lineHeight` sets the baseline distance
+     * to that multiple of the font size instead of the automatic line gap.
      * @param {{
      *  ctx: CanvasRenderingContext2D,
      *  text: string,
@@ -303,8 +354,20 @@ export class PreviewRendererCanvasSupport {
      *  maxHeight: number,
      *  bold?: boolean,
      *  italic?: boolean,
+     *  fontWeight?: number,
+     *  fontWidth?: number,
      *  underline?: boolean,
-     *  strikethrough?: boolean
+     *  strikethrough?: boolean,
+     *  boxWidth?: number,
+     *  maxWidth?: number,
+     *  overflow?: string,
+     *  minSize?: number,
+     *  richText?: boolean,
+     *  baseFontSize?: number,
+     *  direction?: string,
+     *  stackSpacing?: number,
+     *  letterSpacing?: number,
+     *  lineHeight?: number
      * }} options
      * @returns {{
      *  size: number,
@@ -317,6 +380,7 @@ export class PreviewRendererCanvasSupport {
      *  inkWidth: number,
      *  lineGap: number,
      *  lines: string[],
+     *  paragraphEnds: boolean[],
      *  lineMetrics: Array<{
      *   text: string,
      *   advanceWidth: number,
@@ -324,14 +388,17 @@ export class PreviewRendererCanvasSupport {
      *   descent: number,
      *   inkLeft: number,
      *   inkRight: number,
-     *   inkWidth: number
+     *   inkWidth: number,
+     *   underline?: boolean,
+     *   tokens?: Array<{ text: string, width: number, font: string, underline: boolean }>
      *  }>,
      *  totalHeight: number,
      *  underlineOffset: number,
      *  underlineThickness: number,
      *  underlineExtra: number,
      *  strikethroughOffset: number,
-     *  strikethroughThickness: number
+     *  strikethroughThickness: number,
+     *  overflows: boolean
      * }}
      */
     static resolveTextMetrics({
@@ -342,35 +409,134 @@ export class PreviewRendererCanvasSupport {
         maxHeight,
         bold = false,
         italic = false,
+        fontWeight = 400,
+        fontWidth = 100,
         underline = false,
-        strikethrough = false
+        strikethrough = false,
+        boxWidth = 0,
+        maxWidth = 0,
+        overflow = 'none',
+        minSize = 4,
+        richText = false,
+        baseFontSize = 0,
+        direction = 'horizontal',
+        stackSpacing = 0,
+        letterSpacing = 0,
+        lineHeight = 0
     }) {
         const limit = Math.max(4, maxHeight)
-        const lines = PreviewRendererCanvasSupport.#normalizeTextLines(text)
+        const lineHeightFactor = TextLayoutUtils.normalizeLineHeight(lineHeight)
+        const stacked = TextLayoutUtils.normalizeTextDirection(direction) === 'stacked'
+        const sourceLines = stacked
+            ? TextLayoutUtils.stackGlyphs(richText ? RichTextUtils.toPlainText(text) : text)
+            : PreviewRendererCanvasSupport.#normalizeTextLines(text)
+        const width = stacked ? 0 : TextLayoutUtils.normalizeBoxWidth(boxWidth)
+        const widthLimit = width || Math.max(0, Number(maxWidth) || 0)
+        const policy = TextLayoutUtils.normalizeOverflow(overflow)
+        const paragraphs = richText && !stacked ? RichTextUtils.parseMarkup(text) : null
+        const face = { family, bold, italic, weight: fontWeight, width: fontWidth }
+        const measureAt = (fontSize) => {
+            if (paragraphs) {
+                return PreviewRendererCanvasSupport.#layoutRichText(ctx, paragraphs, {
+                    size: fontSize,
+                    baseFontSize,
+                    face,
+                    underline,
+                    strikethrough,
+                    boxWidth: width,
+                    truncateWidth: policy === 'ellipsis' ? widthLimit : 0
+                })
+            }
+            ctx.font = PreviewRendererCanvasSupport.buildTextFontDeclaration({ size: fontSize, ...face })
+            const measureWidth = (value) => ctx.measureText(value).width
+            const wrapped = TextLayoutUtils.wrapLines(sourceLines, width, measureWidth)
+            if (policy === 'ellipsis' && !stacked) {
+                wrapped.lines = wrapped.lines.map((line) => TextLayoutUtils.truncateLine(line, widthLimit, measureWidth))
+            }
+            const lineMetrics = PreviewRendererCanvasSupport.#measureTextLines(ctx, wrapped.lines, fontSize, face, underline, strikethrough)
+            return { ...wrapped, metrics: lineMetrics }
+        }
+        const layoutAt = (fontSize) => {
+            const layout = measureAt(fontSize)
+            if (stacked) {
+                const gap = TextLayoutUtils.normalizeStackSpacing(stackSpacing, 0)
+                return { ...layout, metrics: PreviewRendererCanvasSupport.#uniformLineMetrics(layout.metrics, { gap }) }
+            }
+            if (lineHeightFactor && layout.lines.length > 1) {
+                const pitch = fontSize * lineHeightFactor
+                return { ...layout, metrics: PreviewRendererCanvasSupport.#uniformLineMetrics(layout.metrics, { pitch }) }
+            }
+            return layout
+        }
+        PreviewRendererCanvasSupport.applyLetterSpacing(ctx, letterSpacing)
         let size = Math.min(Math.max(4, requestedSize), limit * 3)
-        let metrics = PreviewRendererCanvasSupport.#measureTextLines(ctx, lines, size, family, bold, italic, underline, strikethrough)
-        while (metrics.height > limit && size > 4) {
+        let layout = layoutAt(size)
+        while (layout.metrics.height > limit && size > 4) {
+            size -= 1
+            layout = layoutAt(size)
+        }
+        const shrinkLimit = Math.max(4, Math.round(Number(minSize) || 4))
+        while (policy === 'shrink' && size > shrinkLimit && TextLayoutUtils.exceedsWidth(layout.metrics.lineMetrics, widthLimit)) {
             size -= 1
-            metrics = PreviewRendererCanvasSupport.#measureTextLines(ctx, lines, size, family, bold, italic, underline, strikethrough)
+            layout = layoutAt(size)
         }
+        PreviewRendererCanvasSupport.applyLetterSpacing(ctx, 0)
+        const { lines, paragraphEnds, metrics } = layout
         return {
             size,
-            advanceWidth: metrics.advanceWidth,
+            advanceWidth: width || metrics.advanceWidth,
             height: Math.min(metrics.height, limit),
             ascent: metrics.ascent,
             descent: metrics.descent,
-            inkLeft: metrics.inkLeft,
-            inkRight: metrics.inkRight,
-            inkWidth: metrics.inkWidth,
+            inkLeft: width ? 0 : metrics.inkLeft,
+            inkRight: width || metrics.inkRight,
+            inkWidth: width || metrics.inkWidth,
             lineGap: metrics.lineGap,
             lines,
+            paragraphEnds,
             lineMetrics: metrics.lineMetrics,
             totalHeight: metrics.height,
             underlineOffset: metrics.underlineOffset,
             underlineThickness: metrics.underlineThickness,
             underlineExtra: metrics.underlineExtra,
             strikethroughOffset: metrics.strikethroughOffset,
-            strikethroughThickness: metrics.strikethroughThickness
+            strikethroughThickness: metrics.strikethroughThickness,
+            overflows: metrics.height > limit || TextLayoutUtils.exceedsWidth(metrics.lineMetrics, widthLimit)
+        }
+    }
+
+    /**
+     * Sets the canvas letter spacing in dots where the context supports it (measurement and drawing).
+     * @param {CanvasRenderingContext2D | OffscreenCanvasRenderingContext2D} ctx
+     * @param {number} dots
+     */
+    static applyLetterSpacing(ctx, dots) {
+        if (!ctx || !('letterSpacing' in ctx)) return
+        ctx.letterSpacing = `${Number(dots) || 0}px`
+    }
+
+    /**
+     * Gives every row the same ascent and descent so lines sit on an even grid (stacked glyphs and fixed line heights).
+     * Blank rows take the height of the text rows. The row gap is either `gap` or what is left of the baseline `pitch`;
+     * a pitch below the row height yields a negative gap that tightens the lines.
+     * @param {{ lineMetrics: Array<{ text: string, ascent: number, descent: number }>, underlineExtra: number }} metrics
+     * @param {{ gap?: number, pitch?: number }} spacing
+     * @returns {object}
+     */
+    static #uniformLineMetrics(metrics, { gap, pitch = 0 }) {
+        const rows = metrics.lineMetrics.length
+        const glyphRows = metrics.lineMetrics.filter((line) => line.text)
+        const measured = glyphRows.length ? glyphRows : metrics.lineMetrics
+        const ascent = Math.max(1, ...measured.map((line) => line.ascent))
+        const descent = Math.max(0, ...measured.map((line) => line.descent))
+        const lineGap = rows > 1 ? (gap ?? Math.round(pitch - ascent - descent)) : 0
+        return {
+            ...metrics,
+            ascent,
+            descent,
+            lineGap,
+            lineMetrics: metrics.lineMetrics.map((line) => ({ ...line, ascent, descent })),
+            height: Math.max(1, rows * Math.ceil(ascent + descent + metrics.underlineExtra) + lineGap * (rows - 1))
         }
     }
 
@@ -389,9 +555,7 @@ export class PreviewRendererCanvasSupport {
      * @param {CanvasRenderingContext2D} ctx
      * @param {string[]} lines
      * @param {number} size
-     * @param {string} family
-     * @param {boolean} bold
-     * @param {boolean} italic
+     * @param {{ family: string, bold: boolean, italic: boolean, weight: number, width: number }} face
      * @param {boolean} underline
      * @param {boolean} strikethrough
      * @returns {{
@@ -419,8 +583,8 @@ export class PreviewRendererCanvasSupport {
      *  strikethroughThickness: number
      * }}
      */
-    static #measureTextLines(ctx, lines, size, family, bold, italic, underline, strikethrough) {
-        ctx.font = PreviewRendererCanvasSupport.buildTextFontDeclaration({ size, family, bold, italic })
+    static #measureTextLines(ctx, lines, size, face, underline, strikethrough) {
+        ctx.font = PreviewRendererCanvasSupport.buildTextFontDeclaration({ size, ...face })
         const safeLines = Array.isArray(lines) && lines.length ? lines : ['']
         const lineGap = safeLines.length > 1 ? Math.max(1, Math.round(size * 0.22)) : 0
         const underlineMetrics = PreviewRendererCanvasSupport.computeUnderlineMetrics(size)
@@ -490,6 +654,97 @@ export class PreviewRendererCanvasSupport {
         }
     }
 
+    /**
+     * Lays out and measures rich-text paragraphs; the result matches `#measureTextLines` plus per-line styled tokens.
+     * @param {CanvasRenderingContext2D} ctx
+     * @param {import('../RichTextUtils.mjs').RichTextRun[][]} paragraphs
+     * @param {{
+     *  size: number,
+     *  baseFontSize: number,
+     *  face: { family: string, bold: boolean, italic: boolean, weight: number, width: number },
+     *  underline: boolean,
+     *  strikethrough: boolean,
+     *  boxWidth: number,
+     *  truncateWidth: number
+     * }} options
+     * @returns {{ lines: string[], paragraphEnds: boolean[], metrics: object }}
+     */
+    static #layoutRichText(ctx, paragraphs, options) {
+        const { size, baseFontSize, face, underline, strikethrough, boxWidth, truncateWidth } = options
+        const fontOf = (token) =>
+            PreviewRendererCanvasSupport.buildTextFontDeclaration({
+                ...face,
+                size: token.size > 0 && baseFontSize > 0 ? Math.max(1, Math.round((size * token.size) / baseFontSize)) : size,
+                family: token.family || face.family,
+                bold: face.bold || token.bold,
+                italic: face.italic || token.italic
+            })
+        const measureToken = (token) => {
+            ctx.font = fontOf(token)
+            return ctx.measureText(token.text)
+        }
+        const measureWidth = (token) => measureToken(token).width
+        const wrapped = RichTextUtils.layoutParagraphs(paragraphs, boxWidth, measureWidth)
+        const rows = wrapped.lines.map((tokens) => RichTextUtils.truncateTokens(tokens, truncateWidth, measureWidth))
+        const lineGap = rows.length > 1 ? Math.max(1, Math.round(size * 0.22)) : 0
+        const underlineMetrics = PreviewRendererCanvasSupport.computeUnderlineMetrics(size)
+        const strikethroughMetrics = PreviewRendererCanvasSupport.computeStrikethroughMetrics(size)
+        const lineMetrics = rows.map((tokens) => {
+            let ascent = 0
+            let descent = 0
+            const styledTokens = tokens.map((token) => {
+                if (token.text !== ' ') {
+                    const measured = measureToken(token)
+                    ascent = Math.max(ascent, Number.isFinite(measured.actualBoundingBoxAscent) ? measured.actualBoundingBoxAscent : size)
+                    descent = Math.max(descent, Number.isFinite(measured.actualBoundingBoxDescent) ? measured.actualBoundingBoxDescent : 0)
+                }
+                return { text: token.text, width: token.width, font: fontOf(token), underline: underline || token.underline }
+            })
+            const advanceWidth = Math.ceil(RichTextUtils.lineWidth(tokens))
+            return {
+                text: RichTextUtils.lineText(tokens),
+                advanceWidth,
+                ascent: ascent || size,
+                descent,
+                inkLeft: 0,
+                inkRight: advanceWidth,
+                inkWidth: advanceWidth,
+                underline: styledTokens.some((token) => token.underline),
+                tokens: styledTokens,
+                underlineOffset: underlineMetrics.offset,
+                underlineThickness: underlineMetrics.thickness,
+                strikethroughOffset: strikethroughMetrics.offset,
+                strikethroughThickness: strikethroughMetrics.thickness
+            }
+        })
+        const hasUnderline = lineMetrics.some((metric) => metric.underline)
+        const height = lineMetrics.reduce(
+            (sum, metric) => sum + Math.ceil(metric.ascent + metric.descent + (metric.underline ? underlineMetrics.extraHeight : 0)),
+            lineGap * Math.max(0, rows.length - 1)
+        )
+        const advanceWidth = lineMetrics.reduce((maxValue, metric) => Math.max(maxValue, metric.advanceWidth), 0)
+        return {
+            lines: lineMetrics.map((metric) => metric.text),
+            paragraphEnds: wrapped.paragraphEnds,
+            metrics: {
+                advanceWidth,
+                height: Math.max(1, height),
+                ascent: lineMetrics.reduce((maxValue, metric) => Math.max(maxValue, metric.ascent), 0) || size,
+                descent: lineMetrics.reduce((maxValue, metric) => Math.max(maxValue, metric.descent), 0),
+                inkLeft: 0,
+                inkRight: advanceWidth,
+                inkWidth: advanceWidth,
+                lineGap,
+                lineMetrics,
+                underlineOffset: underlineMetrics.offset,
+                underlineThickness: underlineMetrics.thickness,
+                underlineExtra: hasUnderline ? underlineMetrics.extraHeight : 0,
+                strikethroughOffset: strikethrough ? strikethroughMetrics.offset : 0,
+                strikethroughThickness: strikethrough ? strikethroughMetrics.thickness : 0
+            }
+        }
+    }
+
     /**
      * Computes a small non-cryptographic hash for cache keys.
      * @param {string} value
@@ -2,8 +2,12 @@
 //
 // SPDX-License-Identifier: AGPL-3.0-or-later
 
+import { AlignmentUtils } from '../AlignmentUtils.mjs'
 import { InteractionUtils } from '../InteractionUtils.mjs'
+import { SnapUtils } from '../SnapUtils.mjs'
+import { GroupItemUtils } from '../GroupItemUtils.mjs'
 import { QrSizeUtils } from '../QrSizeUtils.mjs'
+import { TextLayoutUtils } from '../TextLayoutUtils.mjs'
 import { Media } from 'labelprinterkit-web/src/index.mjs'
 import { ItemsEditorImageSupport } from './ItemsEditorImageSupport.mjs'
 import { PreviewRendererRender } from './PreviewRendererRender.mjs'
@@ -521,6 +525,14 @@ export class PreviewRendererInteractions extends PreviewRendererRender {
         this._inlineTextEditor.style.height = `${height}px`
         this._inlineTextEditor.style.fontSize = `${fontSize}px`
         this._inlineTextEditor.style.fontFamily = entry.item?.fontFamily || 'sans-serif'
+        const fontWeight = TextLayoutUtils.normalizeFontWeight(entry.item?.fontWeight)
+        this._inlineTextEditor.style.fontWeight = String(entry.item?.textBold ? Math.max(700, fontWeight) : fontWeight)
+        this._inlineTextEditor.style.fontStretch = `${TextLayoutUtils.normalizeFontWidth(entry.item?.fontWidth)}%`
+        // Tracking is stored in font-size units, so it maps to `em` and scales with the editor font like the rendered text.
+        const letterSpacing = TextLayoutUtils.normalizeLetterSpacing(entry.item?.letterSpacing)
+        const itemFontSize = Math.max(1, Number(entry.item?.fontSize) || 16)
+        this._inlineTextEditor.style.letterSpacing = letterSpacing ? `${(letterSpacing / itemFontSize).toFixed(3)}em` : ''
+        this._inlineTextEditor.style.lineHeight = String(TextLayoutUtils.normalizeLineHeight(entry.item?.lineHeight) || '')
     }
 
     /**
@@ -679,9 +691,21 @@ export class PreviewRendererInteractions extends PreviewRendererRender {
         const dragEntries = dragItemIds
             .map((id) => this._interactiveItemsById.get(id) || null)
             .filter((candidate) => !!candidate)
+        const dragIds = new Set(dragEntries.map((candidate) => candidate.id))
         this._interaction = {
             type: 'drag',
-            entries: dragEntries
+            entries: dragEntries,
+            startBounds: AlignmentUtils.computeBoundingRect(dragEntries.map((candidate) => candidate.bounds)),
+            snapTargets: SnapUtils.collectTargets({
+                labelWidth: this.els.preview?.width || 0,
+                labelHeight: this.els.preview?.height || 0,
+                bounds: this._snapTargetEntries.filter((candidate) => !dragIds.has(candidate.id)).map((candidate) => candidate.bounds)
+            }),
+            pointerDx: 0,
+            pointerDy: 0,
+            appliedDx: 0,
+            appliedDy: 0,
+            guides: []
         }
         this._debugLog('drag:start', {
             id: entry.id,
@@ -700,13 +724,21 @@ export class PreviewRendererInteractions extends PreviewRendererRender {
         if (!this._interaction || this._interaction.type !== 'drag') return
         const entry = this._getEntryFromEvent(event)
         if (!entry) return
-        const dxDots = (event.dx || 0) * this._dotsPerPxX
-        const dyDots = (event.dy || 0) * this._dotsPerPxY
-        const dragEntries = this._interaction.entries || []
+        const interaction = this._interaction
+        interaction.pointerDx += (event.dx || 0) * this._dotsPerPxX
+        interaction.pointerDy += (event.dy || 0) * this._dotsPerPxY
+        const snap = this._resolveDragSnap(interaction, event)
+        // Track the whole gesture so sub-dot pointer steps add up instead of being rounded away per event.
+        const nextDx = Math.round(interaction.pointerDx + snap.dx)
+        const nextDy = Math.round(interaction.pointerDy + snap.dy)
+        const dxDots = nextDx - interaction.appliedDx
+        const dyDots = nextDy - interaction.appliedDy
+        interaction.appliedDx = nextDx
+        interaction.appliedDy = nextDy
+        interaction.guides = snap.guides
+        const dragEntries = interaction.entries || []
         dragEntries.forEach((dragEntry) => {
-            const item = dragEntry.item
-            item.xOffset = Math.round((item.xOffset || 0) + dxDots)
-            item.yOffset = Math.round((item.yOffset || 0) + dyDots)
+            GroupItemUtils.translateItem(dragEntry.item, dxDots, dyDots)
         })
         this._debugLog('drag:move', {
             id: entry.id,
@@ -719,6 +751,27 @@ export class PreviewRendererInteractions extends PreviewRendererRender {
         this._queueRender()
     }
 
+    /**
+     * Resolves the snap correction for the dragged selection at the current pointer offset.
+     * @param {{ startBounds: object | null, snapTargets: { x: number[], y: number[] }, pointerDx: number, pointerDy: number }} interaction
+     * @param {{ altKey?: boolean }} event
+     * @returns {{ dx: number, dy: number, guides: Array<{ axis: 'x' | 'y', position: number }> }}
+     */
+    _resolveDragSnap(interaction, event) {
+        if (!interaction.startBounds || SnapUtils.isSnapDisabled(event)) {
+            return { dx: 0, dy: 0, guides: [] }
+        }
+        const bounds = {
+            ...interaction.startBounds,
+            x: interaction.startBounds.x + interaction.pointerDx,
+            y: interaction.startBounds.y + interaction.pointerDy
+        }
+        return SnapUtils.resolveSnap(bounds, interaction.snapTargets, {
+            x: SnapUtils.SNAP_THRESHOLD_PX * this._dotsPerPxX,
+            y: SnapUtils.SNAP_THRESHOLD_PX * this._dotsPerPxY
+        })
+    }
+
     /**
      * Handles InteractJS drag end.
      * @param {object} event
@@ -738,6 +791,8 @@ export class PreviewRendererInteractions extends PreviewRendererRender {
         this._interaction = null
         this._activeItemId = null
         this._drawOverlay()
+        // Emit once per gesture so editor controls and undo history see the final geometry.
+        this._emitItemChange()
     }
 
     /**
@@ -769,7 +824,9 @@ export class PreviewRendererInteractions extends PreviewRendererRender {
                 width: item.width || 0,
                 height: item.height || 0,
                 fontSize: item.fontSize || 16
-            }
+            },
+            groupSnapshot:
+                item.type === 'group' ? GroupItemUtils.captureScaleSnapshot(entry, this.state.orientation === 'horizontal') : null
         }
         this._debugLog('resize:start', {
             id: entry.id,
@@ -812,6 +869,9 @@ export class PreviewRendererInteractions extends PreviewRendererRender {
             item.size = sizeDots
             item.height = sizeDots
             this._applyOffsetDelta(item, deltaLeft, deltaTop)
+        } else if (item.type === 'text' && InteractionUtils.isHorizontalEdgeHandle(this._interaction.handle)) {
+            item.boxWidth = Math.max(8, Math.round((event.rect?.width || 0) * this._dotsPerPxX))
+            this._applyOffsetDelta(item, deltaLeft, deltaTop)
         } else if (item.type === 'text') {
             const startRect = this._interaction.startRect
             const scaleX = startRect.width ? (event.rect?.width || startRect.width) / startRect.width : 1
@@ -819,6 +879,10 @@ export class PreviewRendererInteractions extends PreviewRendererRender {
             const scale = Math.max(scaleX, scaleY)
             item.fontSize = Math.max(8, Math.round((this._interaction.startItem.fontSize || 16) * scale))
             this._applyOffsetDelta(item, deltaLeft, deltaTop)
+        } else if (item.type === 'group' && this._interaction.groupSnapshot) {
+            const { handle, startRect, groupSnapshot } = this._interaction
+            const scale = InteractionUtils.resolveUniformResizeScale(startRect, event.rect, handle)
+            GroupItemUtils.scaleGroup(groupSnapshot, scale, InteractionUtils.resolveResizePivot(groupSnapshot.bounds, handle))
         }
         this._debugLog('resize:move', {
             id: entry.id,
@@ -847,5 +911,7 @@ export class PreviewRendererInteractions extends PreviewRendererRender {
         this._interaction = null
         this._activeItemId = null
         this._drawOverlay()
+        // Emit once per gesture so editor controls and undo history see the final geometry.
+        this._emitItemChange()
     }
 }
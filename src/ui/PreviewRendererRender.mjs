@@ -5,6 +5,7 @@
 import { PreviewLayoutUtils } from '../PreviewLayoutUtils.mjs'
 import { ZoomUtils } from '../ZoomUtils.mjs'
 import { InteractionUtils } from '../InteractionUtils.mjs'
+import { GroupItemUtils } from '../GroupItemUtils.mjs'
 import { Media } from 'labelprinterkit-web/src/index.mjs'
 import { PreviewRendererCanvasBuild } from './PreviewRendererCanvasBuild.mjs'
 
@@ -329,8 +330,11 @@ export class PreviewRendererRender extends PreviewRendererCanvasBuild {
         const scaleX = previewRect.width ? previewRect.width / (this.els.preview.width || 1) : 1
         const scaleY = previewRect.height ? previewRect.height / (this.els.preview.height || 1) : 1
         this._interactiveItemsById.clear()
-        this._interactiveItems = layoutItems
-            .filter((entry) => InteractionUtils.isInteractiveItemType(entry.type))
+        this._previewCssScale = { x: scaleX, y: scaleY }
+        // Grouped children are hit-tested and transformed as one block; locked items get no hitbox but still act as snap targets.
+        this._snapTargetEntries = GroupItemUtils.collapseLayoutItems(this.state.items, layoutItems)
+        this._interactiveItems = this._snapTargetEntries
+            .filter((entry) => InteractionUtils.isSelectableItem(entry.item))
             .map((entry) => {
                 const enriched = {
                     ...entry,
@@ -424,6 +428,7 @@ export class PreviewRendererRender extends PreviewRendererCanvasBuild {
         ctx.save()
         ctx.scale(dpr, dpr)
         ctx.clearRect(0, 0, rect.width, rect.height)
+        this._drawSnapGuides(ctx, this._overlayPadding || 0)
         const selectedItems = this._interactiveItems.filter((entry) => this._selectedItemIds.has(entry.id))
         const hoverItem = this._interactiveItems.find((entry) => entry.id === this._hoverItemId) || null
         const activeItem = this._interactiveItems.find((entry) => entry.id === this._activeItemId) || null
@@ -450,6 +455,33 @@ export class PreviewRendererRender extends PreviewRendererCanvasBuild {
         ctx.restore()
     }
 
+    /**
+     * Draws the smart guides of the active drag gesture across the whole label.
+     * @param {CanvasRenderingContext2D} ctx
+     * @param {number} overlayPadding
+     */
+    _drawSnapGuides(ctx, overlayPadding) {
+        const guides = this._interaction?.type === 'drag' ? this._interaction.guides || [] : []
+        if (!guides.length) return
+        const widthCss = (this.els.preview?.width || 0) * this._previewCssScale.x
+        const heightCss = (this.els.preview?.height || 0) * this._previewCssScale.y
+        ctx.strokeStyle = '#ff3d9a'
+        ctx.lineWidth = 1
+        ctx.beginPath()
+        guides.forEach((guide) => {
+            if (guide.axis === 'x') {
+                const x = Math.round(guide.position * this._previewCssScale.x + overlayPadding) + 0.5
+                ctx.moveTo(x, overlayPadding)
+                ctx.lineTo(x, overlayPadding + heightCss)
+                return
+            }
+            const y = Math.round(guide.position * this._previewCssScale.y + overlayPadding) + 0.5
+            ctx.moveTo(overlayPadding, y)
+            ctx.lineTo(overlayPadding + widthCss, y)
+        })
+        ctx.stroke()
+    }
+
     /**
      * Draws a selection rectangle.
      * @param {CanvasRenderingContext2D} ctx
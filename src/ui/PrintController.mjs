@@ -19,7 +19,7 @@ export class PrintController {
      * @param {object} els
      * @param {object} state
      * @param {Record<string, Function>} printerMap
-     * @param {{ buildCanvasFromState: (options?: { parameterValues?: Record<string, string> }) => Promise<object> }} previewRenderer
+     * @param {{ buildCanvasFromState: (options?: { parameterValues?: Record<string, string>, page?: object }) => Promise<object> }} previewRenderer
      * @param {(text: string, type?: string) => void} setStatus
      * @param {(key: string, params?: Record<string, string | number>) => string} translate
      * @param {{ printPageWorkerPoolClient?: { isAvailable?: () => boolean, canRenderStateSnapshot?: (stateSnapshot: object) => boolean, renderPages?: (options: { stateSnapshot: object, parameterValueMaps: Array<Record<string, string>> }) => Promise<Array<any>> } | null }} [options={}]
@@ -35,24 +35,39 @@ export class PrintController {
     }
 
     /**
-     * Sends the current label to the selected printer backend.
+     * Sends the current label, or several label pages, to the selected printer backend.
+     * Every page is printed once per parameter value map; all pages share one job and therefore one tape.
      * @param {Array<Record<string, string>>} [parameterValueMaps=[]]
-     * @returns {Promise<void>}
+     * @param {{ pages?: Array<import('../LabelPageUtils.mjs').LabelPage> }} [options={}]
+     * @returns {Promise<boolean>} True when the job was sent to the printer.
      */
-    async print(parameterValueMaps = []) {
+    async print(parameterValueMaps = [], options = {}) {
         const normalizedValueMaps =
             Array.isArray(parameterValueMaps) && parameterValueMaps.length ? parameterValueMaps : [{}]
+        const labelPages = Array.isArray(options?.pages) && options.pages.length ? options.pages : [null]
+        const labelCount = normalizedValueMaps.length * labelPages.length
+        const mediaIds = new Set(labelPages.map((page) => this.#resolveCanonicalJobMedia(Media[page?.media || this.state.media])?.id))
+        if (mediaIds.size > 1) {
+            this.setStatus(this.translate('print.mixedMedia', { media: Array.from(mediaIds).join(', ') }), 'error')
+            return false
+        }
 
         this.setStatus(
-            normalizedValueMaps.length > 1
-                ? this.translate('print.renderingMany', { count: normalizedValueMaps.length })
+            labelCount > 1
+                ? this.translate('print.renderingMany', { count: labelCount })
                 : this.translate('print.renderingSingle'),
             'info'
         )
         this.els.print.disabled = true
         try {
-            const { pages, media } = await this.#buildPrintPages(normalizedValueMaps)
-            const fallbackMedia = this.#resolveCanonicalJobMedia(Media[this.state.media]) || Media.W24
+            const pages = []
+            let media = null
+            for (const labelPage of labelPages) {
+                const result = await this.#buildPrintPages(normalizedValueMaps, labelPage)
+                pages.push(...result.pages)
+                media = result.media || media
+            }
+            const fallbackMedia = this.#resolveCanonicalJobMedia(Media[labelPages[0]?.media || this.state.media]) || Media.W24
             const job = new Job(media || fallbackMedia)
             pages.forEach((page) => job.addPage(page))
 
@@ -65,14 +80,16 @@ export class PrintController {
             const printer = new PrinterClass(backend)
             await printer.print(job)
             this.setStatus(
-                normalizedValueMaps.length > 1
-                    ? this.translate('print.sentMany', { count: normalizedValueMaps.length })
+                labelCount > 1
+                    ? this.translate('print.sentMany', { count: labelCount })
                     : this.translate('print.sentSingle'),
                 'success'
             )
+            return true
         } catch (err) {
             console.error(err)
             this.setStatus(this.#formatPrintError(err) || err?.message || this.translate('print.failed'), 'error')
+            return false
         } finally {
             this.els.print.disabled = false
         }
@@ -154,9 +171,10 @@ export class PrintController {
      * Builds print pages, using worker pool acceleration when possible.
      * Falls back to in-thread rendering for unsupported or failed pages.
      * @param {Array<Record<string, string>>} parameterValueMaps
+     * @param {import('../LabelPageUtils.mjs').LabelPage | null} labelPage Page to render, or null for the active label.
      * @returns {Promise<{ pages: Label[], media: object | null }>}
      */
-    async #buildPrintPages(parameterValueMaps) {
+    async #buildPrintPages(parameterValueMaps, labelPage) {
         let media = null
         const pages = []
         const canUseWorkerPool =
@@ -165,7 +183,7 @@ export class PrintController {
             typeof this.printPageWorkerPoolClient.renderPages === 'function'
 
         if (canUseWorkerPool) {
-            const stateSnapshot = this.#buildWorkerStateSnapshot()
+            const stateSnapshot = this.#buildWorkerStateSnapshot(labelPage)
             const workerSupportsSnapshot =
                 typeof this.printPageWorkerPoolClient.canRenderStateSnapshot === 'function'
                     ? this.printPageWorkerPoolClient.canRenderStateSnapshot(stateSnapshot)
@@ -195,7 +213,8 @@ export class PrintController {
                             console.debug(`[PrintController] print-page worker fallback for page ${index}:`, workerPage.error)
                         }
                         const fallbackResult = await this.previewRenderer.buildCanvasFromState({
-                            parameterValues: parameterValueMaps[index]
+                            parameterValues: parameterValueMaps[index],
+                            page: labelPage || undefined
                         })
                         const pageMedia = this.#resolveCanonicalJobMedia(fallbackResult.media)
                         if (pageMedia) {
@@ -215,7 +234,10 @@ export class PrintController {
 
         for (let index = 0; index < parameterValueMaps.length; index += 1) {
             const valueMap = parameterValueMaps[index]
-            const renderResult = await this.previewRenderer.buildCanvasFromState({ parameterValues: valueMap })
+            const renderResult = await this.previewRenderer.buildCanvasFromState({
+                parameterValues: valueMap,
+                page: labelPage || undefined
+            })
             const pageMedia = this.#resolveCanonicalJobMedia(renderResult.media)
             if (pageMedia) {
                 media = pageMedia
@@ -227,17 +249,22 @@ export class PrintController {
 
     /**
      * Builds a worker-serializable snapshot of print-relevant state.
+     * @param {import('../LabelPageUtils.mjs').LabelPage | null} [labelPage] Page overriding the active label fields.
      * @returns {{ media: object, resolution: object, orientation: string, mediaLengthMm: number | null, items: object[], referencePrintAreaDots: number, referenceWidthMm: number }}
      */
-    #buildWorkerStateSnapshot() {
-        const media = this.#resolveCanonicalJobMedia(Media[this.state.media]) || Media.W24
+    #buildWorkerStateSnapshot(labelPage = null) {
+        const source = labelPage || this.state
+        const media = this.#resolveCanonicalJobMedia(Media[source.media]) || Media.W24
         const resolution = Resolution[this.state.resolution] || Resolution.LOW
         return {
             media: { ...media },
             resolution: { ...resolution },
-            orientation: this.state.orientation === 'vertical' ? 'vertical' : 'horizontal',
-            mediaLengthMm: Number.isFinite(Number(this.state.mediaLengthMm)) ? Number(this.state.mediaLengthMm) : null,
-            items: Array.isArray(this.state.items) ? this.state.items.map((item) => ({ ...item })) : [],
+            orientation: source.orientation === 'vertical' ? 'vertical' : 'horizontal',
+            mediaLengthMm: Number.isFinite(Number(source.mediaLengthMm)) ? Number(source.mediaLengthMm) : null,
+            items: Array.isArray(source.items) ? source.items.map((item) => ({ ...item })) : [],
+            customFonts: (Array.isArray(this.state.customFonts) ? this.state.customFonts : [])
+                .filter((font) => font?.dataUrl)
+                .map((font) => ({ family: font.family, dataUrl: font.dataUrl })),
             referencePrintAreaDots: Media.W9?.printArea || 64,
             referenceWidthMm: Media.W9?.width || 9
         }
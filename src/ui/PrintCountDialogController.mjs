@@ -0,0 +1,106 @@
+// SPDX-FileCopyrightText: 2026 André Fiedler
+//
+// SPDX-License-Identifier: AGPL-3.0-or-later
+
+/**
+ * Renders the "Print labels" dialog that asks how many labels a serial counter batch should print.
+ */
+export class PrintCountDialogController {
+    static #maxCount = 9999
+    #describe = () => ''
+    #resolve = null
+
+    /**
+     * @param {{
+     *   els: {
+     *     printCountOverlay?: HTMLElement | null,
+     *     printCountInput?: HTMLInputElement | null,
+     *     printCountSummary?: HTMLElement | null,
+     *     printCountConfirm?: HTMLButtonElement | null,
+     *     printCountCancel?: HTMLButtonElement | null
+     *   }
+     * }} options
+     */
+    constructor(options) {
+        this.els = options.els || {}
+    }
+
+    /**
+     * Binds dialog buttons and the count input.
+     */
+    bind() {
+        this.els.printCountInput?.addEventListener('input', () => this.#renderSummary())
+        this.els.printCountInput?.addEventListener('keydown', (event) => {
+            if (event.key === 'Enter') this.#finish(this.#readCount())
+        })
+        this.els.printCountConfirm?.addEventListener('click', () => this.#finish(this.#readCount()))
+        this.els.printCountCancel?.addEventListener('click', () => this.#finish(null))
+        this.els.printCountOverlay?.addEventListener('click', (event) => {
+            if (event.target === this.els.printCountOverlay) this.#finish(null)
+        })
+        // Editor shortcuts stay inactive while the dialog has focus.
+        this.els.printCountOverlay?.addEventListener('keydown', (event) => {
+            event.stopPropagation()
+            if (event.key === 'Escape') this.#finish(null)
+        })
+    }
+
+    /**
+     * Opens the dialog and resolves with the chosen label count, or `null` when canceled.
+     * Without dialog markup the default count is used.
+     * @param {{ defaultCount?: number, describe?: (count: number) => string }} [options={}]
+     * @returns {Promise<number | null>}
+     */
+    request(options = {}) {
+        const defaultCount = PrintCountDialogController.normalizeCount(options.defaultCount)
+        if (!this.els.printCountOverlay || !this.els.printCountInput) return Promise.resolve(defaultCount)
+        this.#finish(null)
+        this.#describe = typeof options.describe === 'function' ? options.describe : () => ''
+        this.els.printCountInput.max = String(PrintCountDialogController.#maxCount)
+        this.els.printCountInput.value = String(defaultCount)
+        this.#renderSummary()
+        this.els.printCountOverlay.hidden = false
+        this.els.printCountInput.focus()
+        this.els.printCountInput.select()
+        return new Promise((resolve) => {
+            this.#resolve = resolve
+        })
+    }
+
+    /**
+     * Normalizes a label count to an integer between 1 and 9999.
+     * @param {unknown} value
+     * @returns {number}
+     */
+    static normalizeCount(value) {
+        const count = Math.floor(Number(value))
+        if (!Number.isFinite(count) || count < 1) return 1
+        return Math.min(PrintCountDialogController.#maxCount, count)
+    }
+
+    /**
+     * Returns the normalized count from the input.
+     * @returns {number}
+     */
+    #readCount() {
+        return PrintCountDialogController.normalizeCount(this.els.printCountInput?.value)
+    }
+
+    /**
+     * Updates the counter range summary below the input.
+     */
+    #renderSummary() {
+        if (this.els.printCountSummary) this.els.printCountSummary.textContent = this.#describe(this.#readCount())
+    }
+
+    /**
+     * Closes the dialog and resolves the pending request.
+     * @param {number | null} count
+     */
+    #finish(count) {
+        if (this.els.printCountOverlay) this.els.printCountOverlay.hidden = true
+        const resolve = this.#resolve
+        this.#resolve = null
+        if (resolve) resolve(count)
+    }
+}
@@ -0,0 +1,216 @@
+// SPDX-FileCopyrightText: 2026 André Fiedler
+//
+// SPDX-License-Identifier: AGPL-3.0-or-later
+
+import { ProjectAutosaveStore } from '../ProjectAutosaveStore.mjs'
+
+/**
+ * Debounced autosave of the project payload to IndexedDB and the restore banner for crash recovery.
+ * Autosave failures never interrupt editing; they are only logged.
+ */
+export class ProjectAutosaveController {
+    static #debounceMs = 1500
+    #translate = (key) => key
+    #setStatus = () => {}
+    #buildPayload = () => ({})
+    #applyLoadedProject = async () => {}
+    #getLocale = () => undefined
+    #timer = null
+    #lastFingerprint = ''
+    #lastSnapshotId = null
+    #snapshots = []
+
+    /**
+     * @param {{
+     *   store: ProjectAutosaveStore,
+     *   els: {
+     *     autosaveBanner?: HTMLElement | null,
+     *     autosaveMessage?: HTMLElement | null,
+     *     autosaveSelect?: HTMLSelectElement | null,
+     *     autosaveRestore?: HTMLButtonElement | null,
+     *     autosaveDismiss?: HTMLButtonElement | null,
+     *     autosaveOpen?: HTMLButtonElement | null
+     *   },
+     *   translate?: (key: string, params?: Record<string, string | number>) => string,
+     *   setStatus?: (text: string, type?: string) => void,
+     *   buildPayload?: () => object,
+     *   applyLoadedProject?: (rawState: object, sourceLabel: string) => Promise<void>,
+     *   getLocale?: () => string | undefined
+     * }} options
+     */
+    constructor(options) {
+        this.store = options.store
+        this.els = options.els || {}
+        if (typeof options.translate === 'function') this.#translate = options.translate
+        if (typeof options.setStatus === 'function') this.#setStatus = options.setStatus
+        if (typeof options.buildPayload === 'function') this.#buildPayload = options.buildPayload
+        if (typeof options.applyLoadedProject === 'function') this.#applyLoadedProject = options.applyLoadedProject
+        if (typeof options.getLocale === 'function') this.#getLocale = options.getLocale
+    }
+
+    /**
+     * Binds banner buttons and flushes pending changes when the page is hidden or closed.
+     * @param {Window} windowRef
+     */
+    bind(windowRef) {
+        this.els.autosaveRestore?.addEventListener('click', () => this.restoreSelected())
+        this.els.autosaveDismiss?.addEventListener('click', () => this.hideBanner())
+        this.els.autosaveOpen?.addEventListener('click', () => this.showSnapshots())
+        windowRef?.addEventListener('pagehide', () => this.flush())
+        windowRef?.document?.addEventListener('visibilitychange', () => {
+            if (windowRef.document.visibilityState === 'hidden') this.flush()
+        })
+    }
+
+    /**
+     * Schedules an autosave; further calls within the debounce window postpone it.
+     */
+    schedule() {
+        if (!this.store?.isAvailable()) return
+        clearTimeout(this.#timer)
+        this.#timer = setTimeout(() => this.flush(), ProjectAutosaveController.#debounceMs)
+    }
+
+    /**
+     * Writes a pending autosave now. Unchanged designs are not stored again.
+     * @returns {Promise<boolean>} True when a snapshot was written.
+     */
+    async flush() {
+        clearTimeout(this.#timer)
+        this.#timer = null
+        if (!this.store?.isAvailable()) return false
+        try {
+            const payload = this.#buildPayload()
+            const fingerprint = ProjectAutosaveStore.createFingerprint(payload)
+            if (fingerprint === this.#lastFingerprint) return false
+            this.#lastFingerprint = fingerprint
+            this.#lastSnapshotId = await this.store.add(payload)
+            return true
+        } catch (error) {
+            console.debug('[ProjectAutosave] autosave failed:', error instanceof Error ? error.message : error)
+            return false
+        }
+    }
+
+    /**
+     * Marks the current design as explicitly saved (after a project file was written).
+     * @returns {Promise<void>}
+     */
+    async markSaved() {
+        await this.flush()
+        if (this.#lastSnapshotId === null) return
+        try {
+            await this.store.markSaved(this.#lastSnapshotId)
+        } catch (error) {
+            console.debug('[ProjectAutosave] mark saved failed:', error instanceof Error ? error.message : error)
+        }
+    }
+
+    /**
+     * Shows the restore banner on startup when the newest snapshot holds unsaved changes
+     * that differ from the current design.
+     * @returns {Promise<boolean>} True when the banner was shown.
+     */
+    async offerRestore() {
+        const snapshots = await this.#listSnapshots()
+        const latest = snapshots[0]
+        const currentFingerprint = ProjectAutosaveStore.createFingerprint(this.#buildPayload())
+        if (!latest || latest.saved || latest.fingerprint === currentFingerprint) return false
+        this.#showBanner(snapshots, this.#translate('autosave.restoreOffer', { time: this.#formatTime(latest.savedAt) }))
+        return true
+    }
+
+    /**
+     * Shows the banner with all kept snapshots to roll back to an earlier version.
+     * @returns {Promise<void>}
+     */
+    async showSnapshots() {
+        await this.flush()
+        const snapshots = await this.#listSnapshots()
+        if (!snapshots.length) {
+            this.#setStatus(this.#translate('autosave.none'), 'info')
+            return
+        }
+        this.#showBanner(snapshots, this.#translate('autosave.chooseVersion'))
+    }
+
+    /**
+     * Loads the snapshot selected in the banner.
+     * @returns {Promise<void>}
+     */
+    async restoreSelected() {
+        const selectedId = Number(this.els.autosaveSelect?.value ?? this.#snapshots[0]?.id)
+        const snapshot = this.#snapshots.find((entry) => entry.id === selectedId)
+        if (!snapshot) return
+        this.hideBanner()
+        try {
+            await this.#applyLoadedProject(
+                snapshot.payload,
+                this.#translate('autosave.sourceLabel', { time: this.#formatTime(snapshot.savedAt) })
+            )
+            this.#lastFingerprint = snapshot.fingerprint
+        } catch (error) {
+            const message = error?.message || this.#translate('messages.unknownError')
+            this.#setStatus(this.#translate('messages.loadFailed', { message }), 'error')
+        }
+    }
+
+    /**
+     * Hides the restore banner; snapshots stay available.
+     */
+    hideBanner() {
+        if (this.els.autosaveBanner) this.els.autosaveBanner.hidden = true
+    }
+
+    /**
+     * Reads snapshots; IndexedDB failures resolve to an empty list.
+     * @returns {Promise<import('../ProjectAutosaveStore.mjs').AutosaveSnapshot[]>}
+     */
+    async #listSnapshots() {
+        if (!this.store?.isAvailable()) return []
+        try {
+            return await this.store.list()
+        } catch (error) {
+            console.debug('[ProjectAutosave] reading snapshots failed:', error instanceof Error ? error.message : error)
+            return []
+        }
+    }
+
+    /**
+     * Fills the snapshot select and shows the banner.
+     * @param {import('../ProjectAutosaveStore.mjs').AutosaveSnapshot[]} snapshots
+     * @param {string} message
+     */
+    #showBanner(snapshots, message) {
+        this.#snapshots = snapshots
+        if (this.els.autosaveMessage) this.els.autosaveMessage.textContent = message
+        if (this.els.autosaveSelect) {
+            const options = snapshots.map((snapshot) => {
+                const option = document.createElement('option')
+                const { labelCount, itemCount } = ProjectAutosaveStore.summarize(snapshot)
+                option.value = String(snapshot.id)
+                option.textContent = this.#translate('autosave.snapshotOption', {
+                    time: this.#formatTime(snapshot.savedAt),
+                    labels: labelCount,
+                    items: itemCount
+                })
+                return option
+            })
+            this.els.autosaveSelect.replaceChildren(...options)
+        }
+        if (this.els.autosaveBanner) this.els.autosaveBanner.hidden = false
+    }
+
+    /**
+     * Formats a snapshot timestamp in the UI locale.
+     * @param {number} timestamp
+     * @returns {string}
+     */
+    #formatTime(timestamp) {
+        try {
+            return new Date(timestamp).toLocaleString(this.#getLocale(), { dateStyle: 'short', timeStyle: 'medium' })
+        } catch (_error) {
+            return new Date(timestamp).toISOString()
+        }
+    }
+}
@@ -0,0 +1,196 @@
+// SPDX-FileCopyrightText: 2026 André Fiedler
+//
+// SPDX-License-Identifier: AGPL-3.0-or-later
+
+import { AppProjectFileUtils } from '../AppProjectFileUtils.mjs'
+import { CustomFontUtils } from '../CustomFontUtils.mjs'
+import { ProjectIoUtils } from '../ProjectIoUtils.mjs'
+import { ProjectUrlUtils } from '../ProjectUrlUtils.mjs'
+
+/**
+ * Saves, loads and shares project JSON from the top-bar project buttons (and Ctrl/Cmd+S).
+ */
+export class ProjectFileController {
+    #translate = (key) => key
+    #setStatus = () => {}
+    #getAppVersion = () => ''
+    #applyLoadedProject = async () => {}
+    #onSaved = () => {}
+
+    /**
+     * @param {{
+     *   state: object,
+     *   els: { saveProject?: HTMLElement | null, loadProject?: HTMLElement | null, shareProject?: HTMLElement | null, loadInput?: HTMLInputElement | null },
+     *   translate?: (key: string, params?: Record<string, string | number>) => string,
+     *   setStatus?: (text: string, type?: string) => void,
+     *   getAppVersion?: () => string,
+     *   applyLoadedProject?: (rawState: object, sourceLabel: string) => Promise<void>,
+     *   onSaved?: () => void
+     * }} options
+     */
+    constructor(options) {
+        this.state = options.state
+        this.els = options.els
+        if (typeof options.translate === 'function') this.#translate = options.translate
+        if (typeof options.setStatus === 'function') this.#setStatus = options.setStatus
+        if (typeof options.getAppVersion === 'function') this.#getAppVersion = options.getAppVersion
+        if (typeof options.applyLoadedProject === 'function') this.#applyLoadedProject = options.applyLoadedProject
+        if (typeof options.onSaved === 'function') this.#onSaved = options.onSaved
+    }
+
+    /**
+     * Builds the current serializable project payload.
+     * @returns {object}
+     */
+    buildPayload() {
+        return ProjectIoUtils.buildProjectPayload(this.state, { appVersion: this.#getAppVersion() })
+    }
+
+    /**
+     * Builds a shareable URL containing the current project payload.
+     * @returns {string}
+     */
+    buildShareUrl() {
+        return this.#buildShareLink().url
+    }
+
+    /**
+     * Builds the share URL; embedded fonts beyond the share size limit are left out (see `CustomFontUtils.toShareFonts`).
+     * @returns {{ url: string, skippedFamilies: string[] }}
+     */
+    #buildShareLink() {
+        const payload = this.buildPayload()
+        const { fonts, skippedFamilies } = CustomFontUtils.toShareFonts(payload.customFonts)
+        payload.customFonts = fonts
+        const shareUrl = new URL(window.location.href)
+        shareUrl.searchParams.set(ProjectUrlUtils.PROJECT_PARAM, ProjectUrlUtils.encodeProjectPayloadParam(payload))
+        shareUrl.searchParams.delete(ProjectUrlUtils.PROJECT_URL_PARAM)
+        return { url: shareUrl.toString(), skippedFamilies }
+    }
+
+    /**
+     * Reports a shared link, warning when fonts were too large to travel with it.
+     * @param {string} key
+     * @param {string} type
+     * @param {string[]} skippedFamilies
+     */
+    #reportShared(key, type, skippedFamilies) {
+        if (!skippedFamilies.length) {
+            this.#setStatus(this.#translate(key), type)
+            return
+        }
+        const families = skippedFamilies.join(', ')
+        const size = Math.round(CustomFontUtils.MAX_SHARE_FONT_BYTES / 1024)
+        this.#setStatus(this.#translate('messages.shareFontsSkipped', { families, size }), 'warning')
+    }
+
+    /**
+     * Shares or copies the current project URL.
+     * @returns {Promise<void>}
+     */
+    async shareProject() {
+        if (!this.els.shareProject) return
+        try {
+            const { url: shareUrl, skippedFamilies } = this.#buildShareLink()
+            if (navigator.share) {
+                await navigator.share({
+                    title: this.#translate('app.title'),
+                    url: shareUrl
+                })
+                this.#reportShared('messages.sharedLink', 'success', skippedFamilies)
+                return
+            }
+            if (navigator.clipboard?.writeText) {
+                await navigator.clipboard.writeText(shareUrl)
+                this.#reportShared('messages.copiedLink', 'success', skippedFamilies)
+                return
+            }
+            window.prompt(this.#translate('messages.copyPrompt'), shareUrl)
+            this.#reportShared('messages.linkReady', 'info', skippedFamilies)
+        } catch (err) {
+            if (err?.name === 'AbortError') {
+                this.#setStatus(this.#translate('messages.shareCanceled'), 'info')
+                return
+            }
+            const message = err?.message || this.#translate('messages.unknownError')
+            this.#setStatus(this.#translate('messages.shareFailed', { message }), 'error')
+        }
+    }
+
+    /**
+     * Saves the current project state as a JSON file.
+     * @returns {Promise<void>}
+     */
+    async saveProject() {
+        if (!this.els.saveProject) return
+        const contents = JSON.stringify(this.buildPayload(), null, 2)
+        const suggestedName = AppProjectFileUtils.buildSuggestedFileName()
+
+        try {
+            if (window.showSaveFilePicker) {
+                const handle = await window.showSaveFilePicker({
+                    suggestedName,
+                    types: [
+                        {
+                            description: this.#translate('messages.projectJsonDescription'),
+                            accept: { 'application/json': ['.json'] }
+                        }
+                    ]
+                })
+                const writable = await handle.createWritable()
+                await writable.write(contents)
+                await writable.close()
+                this.#setStatus(this.#translate('messages.saved', { fileName: handle.name || suggestedName }), 'success')
+                this.#onSaved()
+                return
+            }
+
+            // Prompt for a file name when the save picker is unavailable.
+            const fallbackName = window.prompt(this.#translate('messages.savePrompt'), suggestedName)
+            if (!fallbackName) {
+                this.#setStatus(this.#translate('messages.saveCanceled'), 'info')
+                return
+            }
+            const fileName = fallbackName.endsWith('.json') ? fallbackName : `${fallbackName}.json`
+            AppProjectFileUtils.downloadProjectFallback(contents, fileName)
+            this.#setStatus(this.#translate('messages.downloaded', { fileName }), 'success')
+            this.#onSaved()
+        } catch (err) {
+            if (err?.name === 'AbortError') {
+                this.#setStatus(this.#translate('messages.saveCanceled'), 'info')
+                return
+            }
+            const message = err?.message || this.#translate('messages.unknownError')
+            this.#setStatus(this.#translate('messages.saveFailed', { message }), 'error')
+        }
+    }
+
+    /**
+     * Loads a project JSON file and updates the editor state.
+     * @returns {Promise<void>}
+     */
+    async loadProject() {
+        if (!this.els.loadProject) return
+        try {
+            const file = await AppProjectFileUtils.promptForProjectFile({
+                translate: (key) => this.#translate(key),
+                inputElement: this.els.loadInput,
+                windowRef: window
+            })
+            if (!file) {
+                this.#setStatus(this.#translate('messages.loadCanceled'), 'info')
+                return
+            }
+            const rawText = await file.text()
+            const rawState = JSON.parse(rawText)
+            await this.#applyLoadedProject(rawState, file.name)
+        } catch (err) {
+            if (err?.name === 'AbortError') {
+                this.#setStatus(this.#translate('messages.loadCanceled'), 'info')
+                return
+            }
+            const message = err?.message || this.#translate('messages.unknownError')
+            this.#setStatus(this.#translate('messages.loadFailed', { message }), 'error')
+        }
+    }
+}
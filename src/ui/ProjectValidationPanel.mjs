@@ -0,0 +1,109 @@
+// SPDX-FileCopyrightText: 2026 André Fiedler
+//
+// SPDX-License-Identifier: AGPL-3.0-or-later
+
+import { ProjectValidationUtils } from '../ProjectValidationUtils.mjs'
+
+/**
+ * Shows the strict validation report of a loaded project as a dismissible banner.
+ * Issues are listed with their JSON path and a reason translated by issue code.
+ */
+export class ProjectValidationPanel {
+    static #maxListedIssues = 20
+    #translate = (key) => key
+
+    /**
+     * @param {{
+     *   els: {
+     *     validationReport?: HTMLElement | null,
+     *     validationSummary?: HTMLElement | null,
+     *     validationList?: HTMLElement | null,
+     *     validationDismiss?: HTMLButtonElement | null
+     *   },
+     *   translate?: (key: string, params?: Record<string, string | number>) => string
+     * }} options
+     */
+    constructor(options) {
+        this.els = options.els || {}
+        if (typeof options.translate === 'function') this.#translate = options.translate
+    }
+
+    /**
+     * Binds the dismiss button.
+     */
+    bind() {
+        this.els.validationDismiss?.addEventListener('click', () => this.hide())
+    }
+
+    /**
+     * Renders a report from `ProjectValidationUtils.validateProject`; hides the banner when there is nothing to report.
+     * @param {{ errors: object[], warnings: object[] }} report
+     * @param {string} sourceLabel
+     */
+    show(report, sourceLabel) {
+        const { validationReport, validationSummary, validationList } = this.els
+        const issues = [...(report?.errors || []), ...(report?.warnings || [])]
+        if (!validationReport || !issues.length) {
+            this.hide()
+            return
+        }
+        if (validationSummary) {
+            validationSummary.textContent = this.#translate('projectValidation.summary', {
+                sourceLabel,
+                errors: report.errors.length,
+                warnings: report.warnings.length
+            })
+        }
+        if (validationList) {
+            validationList.replaceChildren()
+            issues.slice(0, ProjectValidationPanel.#maxListedIssues).forEach((issue) => {
+                validationList.appendChild(this.#buildIssueRow(issue))
+            })
+            const hiddenCount = issues.length - ProjectValidationPanel.#maxListedIssues
+            if (hiddenCount > 0) {
+                const more = document.createElement('li')
+                more.className = 'validation-issue muted'
+                more.textContent = this.#translate('projectValidation.more', { count: hiddenCount })
+                validationList.appendChild(more)
+            }
+        }
+        validationReport.hidden = false
+    }
+
+    /**
+     * Hides the report banner.
+     */
+    hide() {
+        if (this.els.validationReport) this.els.validationReport.hidden = true
+    }
+
+    /**
+     * Translates the reason of one issue; unknown codes fall back to the English message.
+     * @param {{ code: string, message?: string, [key: string]: any }} issue
+     * @returns {string}
+     */
+    formatIssue(issue) {
+        const key = `projectValidation.codes.${String(issue.code || '').replace(/-([a-z])/g, (_match, letter) => letter.toUpperCase())}`
+        const params = {
+            ...issue,
+            value: JSON.stringify(issue.value) ?? '',
+            allowed: ProjectValidationUtils.formatAllowedValues(issue.allowed)
+        }
+        const translated = this.#translate(key, params)
+        return translated === key ? issue.message || issue.code || '' : translated
+    }
+
+    /**
+     * Builds one list row with path and reason.
+     * @param {{ level: string, path: string }} issue
+     * @returns {HTMLLIElement}
+     */
+    #buildIssueRow(issue) {
+        const row = document.createElement('li')
+        row.className = `validation-issue ${issue.level === 'error' ? 'error' : 'warning'}`
+        const path = document.createElement('code')
+        path.textContent = issue.path || this.#translate('projectValidation.rootPath')
+        row.append(path, ` ${this.formatIssue(issue)}`)
+        return row
+    }
+}
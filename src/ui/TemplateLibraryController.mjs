@@ -0,0 +1,349 @@
+// SPDX-FileCopyrightText: 2026 André Fiedler
+//
+// SPDX-License-Identifier: AGPL-3.0-or-later
+
+import { AppProjectFileUtils } from '../AppProjectFileUtils.mjs'
+import { TemplateLibraryStore } from '../TemplateLibraryStore.mjs'
+
+/**
+ * Renders the "My templates" dialog: save the current project with name, tags and a preview thumbnail,
+ * then search, open, rename, duplicate, delete, export and import templates.
+ */
+export class TemplateLibraryController {
+    static #thumbnailEdgePx = 320
+    #translate = (key) => key
+    #setStatus = () => {}
+    #buildPayload = () => ({})
+    #applyLoadedProject = async () => {}
+    #captureThumbnail = () => null
+    #getAppVersion = () => ''
+    #templates = []
+
+    /**
+     * @param {{
+     *   store: TemplateLibraryStore,
+     *   els: {
+     *     templateOpen?: HTMLButtonElement | null,
+     *     templateOverlay?: HTMLElement | null,
+     *     templateClose?: HTMLButtonElement | null,
+     *     templateName?: HTMLInputElement | null,
+     *     templateTags?: HTMLInputElement | null,
+     *     templateSave?: HTMLButtonElement | null,
+     *     templateSearch?: HTMLInputElement | null,
+     *     templateList?: HTMLElement | null,
+     *     templateEmpty?: HTMLElement | null,
+     *     templateExport?: HTMLButtonElement | null,
+     *     templateImport?: HTMLButtonElement | null,
+     *     templateImportInput?: HTMLInputElement | null
+     *   },
+     *   translate?: (key: string, params?: Record<string, string | number>) => string,
+     *   setStatus?: (text: string, type?: string) => void,
+     *   buildPayload?: () => object,
+     *   applyLoadedProject?: (rawState: object, sourceLabel: string) => Promise<void>,
+     *   captureThumbnail?: (maxEdgePx: number) => string | null,
+     *   getAppVersion?: () => string
+     * }} options
+     */
+    constructor(options) {
+        this.store = options.store
+        this.els = options.els || {}
+        if (typeof options.translate === 'function') this.#translate = options.translate
+        if (typeof options.setStatus === 'function') this.#setStatus = options.setStatus
+        if (typeof options.buildPayload === 'function') this.#buildPayload = options.buildPayload
+        if (typeof options.applyLoadedProject === 'function') this.#applyLoadedProject = options.applyLoadedProject
+        if (typeof options.captureThumbnail === 'function') this.#captureThumbnail = options.captureThumbnail
+        if (typeof options.getAppVersion === 'function') this.#getAppVersion = options.getAppVersion
+    }
+
+    /**
+     * Binds dialog buttons, search and the template card actions.
+     */
+    bind() {
+        this.els.templateOpen?.addEventListener('click', () => this.open())
+        this.els.templateClose?.addEventListener('click', () => this.close())
+        this.els.templateOverlay?.addEventListener('click', (event) => {
+            if (event.target === this.els.templateOverlay) this.close()
+        })
+        // Editor shortcuts stay inactive while the dialog has focus.
+        this.els.templateOverlay?.addEventListener('keydown', (event) => {
+            event.stopPropagation()
+            if (event.key === 'Escape') this.close()
+        })
+        this.els.templateSave?.addEventListener('click', () => this.saveCurrent())
+        this.els.templateName?.addEventListener('keydown', (event) => {
+            if (event.key === 'Enter') this.saveCurrent()
+        })
+        this.els.templateSearch?.addEventListener('input', () => this.#renderList())
+        this.els.templateList?.addEventListener('click', (event) => {
+            const button = event.target.closest('[data-template-action]')
+            const card = button?.closest('[data-template-id]')
+            if (!card) return
+            this.#runAction(button.dataset.templateAction, Number(card.dataset.templateId))
+        })
+        this.els.templateExport?.addEventListener('click', () => this.exportLibrary())
+        this.els.templateImport?.addEventListener('click', () => this.importLibrary())
+    }
+
+    /**
+     * Returns true while the dialog is visible.
+     * @returns {boolean}
+     */
+    isOpen() {
+        return Boolean(this.els.templateOverlay && !this.els.templateOverlay.hidden)
+    }
+
+    /**
+     * Opens the dialog and loads the library.
+     * @returns {Promise<void>}
+     */
+    async open() {
+        if (!this.els.templateOverlay) return
+        if (!this.store?.isAvailable()) {
+            this.#setStatus(this.#translate('templates.unavailable'), 'error')
+            return
+        }
+        this.els.templateOverlay.hidden = false
+        this.els.templateName?.focus()
+        await this.refresh()
+    }
+
+    /**
+     * Closes the dialog.
+     */
+    close() {
+        if (this.els.templateOverlay) this.els.templateOverlay.hidden = true
+    }
+
+    /**
+     * Reloads templates from the store and renders the filtered list.
+     * @returns {Promise<void>}
+     */
+    async refresh() {
+        try {
+            this.#templates = await this.store.list()
+        } catch (error) {
+            this.#templates = []
+            this.#reportError(error)
+        }
+        this.#renderList()
+    }
+
+    /**
+     * Saves the current project as a new template with the entered name, tags and a preview thumbnail.
+     * @returns {Promise<void>}
+     */
+    async saveCurrent() {
+        const name = TemplateLibraryStore.normalizeName(this.els.templateName?.value)
+        if (!name) {
+            this.#setStatus(this.#translate('templates.nameRequired'), 'error')
+            this.els.templateName?.focus()
+            return
+        }
+        try {
+            await this.store.add({
+                name,
+                tags: this.els.templateTags?.value,
+                thumbnail: this.#captureThumbnail(TemplateLibraryController.#thumbnailEdgePx) || '',
+                payload: this.#buildPayload()
+            })
+            if (this.els.templateName) this.els.templateName.value = ''
+            if (this.els.templateTags) this.els.templateTags.value = ''
+            this.#setStatus(this.#translate('templates.saved', { name }), 'success')
+            await this.refresh()
+        } catch (error) {
+            this.#reportError(error)
+        }
+    }
+
+    /**
+     * Loads a template into the editor and closes the dialog.
+     * @param {number} id
+     * @returns {Promise<void>}
+     */
+    async openTemplate(id) {
+        const template = this.#templates.find((entry) => entry.id === id)
+        if (!template) return
+        try {
+            await this.#applyLoadedProject(template.payload, this.#translate('templates.sourceLabel', { name: template.name }))
+            this.close()
+        } catch (error) {
+            const message = error?.message || this.#translate('messages.unknownError')
+            this.#setStatus(this.#translate('messages.loadFailed', { message }), 'error')
+        }
+    }
+
+    /**
+     * Prompts for a new name and tags of a template.
+     * @param {number} id
+     * @returns {Promise<void>}
+     */
+    async renameTemplate(id) {
+        const template = this.#templates.find((entry) => entry.id === id)
+        if (!template) return
+        const name = window.prompt(this.#translate('templates.renamePrompt'), template.name)
+        if (name === null) return
+        const tags = window.prompt(this.#translate('templates.tagsPrompt'), template.tags.join(', '))
+        try {
+            await this.store.update(id, { name, tags: tags === null ? undefined : tags })
+            await this.refresh()
+        } catch (error) {
+            this.#reportError(error)
+        }
+    }
+
+    /**
+     * Copies a template.
+     * @param {number} id
+     * @returns {Promise<void>}
+     */
+    async duplicateTemplate(id) {
+        const template = this.#templates.find((entry) => entry.id === id)
+        if (!template) return
+        const name = this.#translate('templates.copyName', { name: template.name })
+        try {
+            await this.store.duplicate(id, name)
+            this.#setStatus(this.#translate('templates.duplicated', { name }), 'success')
+            await this.refresh()
+        } catch (error) {
+            this.#reportError(error)
+        }
+    }
+
+    /**
+     * Deletes a template after confirmation.
+     * @param {number} id
+     * @returns {Promise<void>}
+     */
+    async deleteTemplate(id) {
+        const template = this.#templates.find((entry) => entry.id === id)
+        if (!template) return
+        if (!window.confirm(this.#translate('templates.deleteConfirm', { name: template.name }))) return
+        try {
+            await this.store.remove(id)
+            this.#setStatus(this.#translate('templates.deleted', { name: template.name }), 'info')
+            await this.refresh()
+        } catch (error) {
+            this.#reportError(error)
+        }
+    }
+
+    /**
+     * Downloads the whole library as one JSON file.
+     * @returns {Promise<void>}
+     */
+    async exportLibrary() {
+        try {
+            const templates = await this.store.list()
+            if (!templates.length) {
+                this.#setStatus(this.#translate('templates.empty'), 'info')
+                return
+            }
+            const contents = JSON.stringify(
+                TemplateLibraryStore.buildLibraryExport(templates, { appVersion: this.#getAppVersion() }),
+                null,
+                2
+            )
+            const fileName = `label-templates-${new Date().toISOString().slice(0, 10)}.json`
+            AppProjectFileUtils.downloadProjectFallback(contents, fileName)
+            this.#setStatus(this.#translate('templates.exported', { count: templates.length, fileName }), 'success')
+        } catch (error) {
+            this.#reportError(error)
+        }
+    }
+
+    /**
+     * Adds all templates of a library file to the local library.
+     * @returns {Promise<void>}
+     */
+    async importLibrary() {
+        try {
+            const file = await AppProjectFileUtils.promptForProjectFile({
+                translate: (key) => this.#translate(key),
+                inputElement: this.els.templateImportInput,
+                windowRef: window
+            })
+            if (!file) return
+            const templates = TemplateLibraryStore.parseLibraryImport(JSON.parse(await file.text()))
+            const count = await this.store.importTemplates(templates)
+            this.#setStatus(this.#translate('templates.imported', { count }), 'success')
+            await this.refresh()
+        } catch (error) {
+            if (error?.name === 'AbortError') return
+            this.#reportError(error)
+        }
+    }
+
+    /**
+     * Dispatches a card button action.
+     * @param {string} action
+     * @param {number} id
+     */
+    #runAction(action, id) {
+        if (action === 'open') this.openTemplate(id)
+        if (action === 'rename') this.renameTemplate(id)
+        if (action === 'duplicate') this.duplicateTemplate(id)
+        if (action === 'delete') this.deleteTemplate(id)
+    }
+
+    /**
+     * Renders one card per template matching the search field.
+     */
+    #renderList() {
+        if (!this.els.templateList) return
+        const query = this.els.templateSearch?.value || ''
+        const cards = this.#templates
+            .filter((template) => TemplateLibraryStore.matchesQuery(template, query))
+            .map((template) => this.#buildCard(template))
+        this.els.templateList.replaceChildren(...cards)
+        if (this.els.templateEmpty) {
+            this.els.templateEmpty.hidden = cards.length > 0
+            this.els.templateEmpty.textContent = this.#translate(this.#templates.length ? 'templates.noMatches' : 'templates.empty')
+        }
+    }
+
+    /**
+     * Builds a template card with thumbnail, name, tags and actions.
+     * @param {import('../TemplateLibraryStore.mjs').LabelTemplate} template
+     * @returns {HTMLElement}
+     */
+    #buildCard(template) {
+        const card = document.createElement('article')
+        card.className = 'template-card'
+        card.dataset.templateId = String(template.id)
+        const thumbnail = document.createElement('div')
+        thumbnail.className = 'template-thumbnail'
+        if (template.thumbnail) {
+            const image = document.createElement('img')
+            image.src = template.thumbnail
+            image.alt = ''
+            thumbnail.append(image)
+        }
+        const name = document.createElement('div')
+        name.className = 'template-name'
+        name.textContent = template.name
+        const tags = document.createElement('div')
+        tags.className = 'template-tags muted small'
+        tags.textContent = template.tags.join(', ')
+        const actions = document.createElement('div')
+        actions.className = 'template-actions'
+        ;['open', 'rename', 'duplicate', 'delete'].forEach((action) => {
+            const button = document.createElement('button')
+            button.type = 'button'
+            button.className = action === 'open' ? 'primary' : 'ghost'
+            button.dataset.templateAction = action
+            button.textContent = this.#translate(`templates.actions.${action}`)
+            actions.append(button)
+        })
+        card.append(thumbnail, name, tags, actions)
+        return card
+    }
+
+    /**
+     * Shows a storage or file error in the status bar.
+     * @param {unknown} error
+     */
+    #reportError(error) {
+        const message = error?.message || this.#translate('messages.unknownError')
+        this.#setStatus(this.#translate('templates.failed', { message }), 'error')
+    }
+}
@@ -0,0 +1,137 @@
+// SPDX-FileCopyrightText: 2026 André Fiedler
+//
+// SPDX-License-Identifier: AGPL-3.0-or-later
+
+import { ParameterTemplateUtils } from '../ParameterTemplateUtils.mjs'
+import { RichTextUtils } from '../RichTextUtils.mjs'
+import { TextLayoutUtils } from '../TextLayoutUtils.mjs'
+import { VisibilityConditionUtils } from '../VisibilityConditionUtils.mjs'
+import { PreviewRendererCanvasSupport } from './PreviewRendererCanvasSupport.mjs'
+
+/**
+ * Finds parameter rows whose text still overflows after the `shrink` policy reached its minimum font size.
+ * Runs on the main thread and in `ParameterValidationWorker` with any 2D context that can measure text.
+ */
+export class TextFitValidationUtils {
+    static #maxQuotedLength = 40
+
+    /**
+     * Builds `text-overflow` warnings for every row and shrinking placeholder text item that does not fit.
+     * Items in one of `approximateFamilies` are measured with a fallback font (for example Google fonts inside a worker),
+     * so their warnings are marked `approximate`.
+     * @param {{
+     *  pages: Array<{ items: object[], textDotScale: number, maxFontDots: number, maxWidth: number }>,
+     *  definitions: Array<{ name: string, defaultValue?: string }>,
+     *  rows: Record<string, unknown>[],
+     *  ctx: CanvasRenderingContext2D | OffscreenCanvasRenderingContext2D | null,
+     *  approximateFamilies?: string[]
+     * }} options
+     * @returns {Array<{ level: string, code: string, rowIndex: number, rowNumber: number, itemId: string, text: string, approximate: boolean, message: string }>}
+     */
+    static collectOverflowWarnings({ pages, definitions, rows, ctx, approximateFamilies = [] }) {
+        if (!ctx || typeof ctx.measureText !== 'function') return []
+        const fallbackFamilies = new Set(
+            (Array.isArray(approximateFamilies) ? approximateFamilies : []).map((family) => String(family).toLowerCase())
+        )
+        const checks = (Array.isArray(pages) ? pages : []).flatMap((page) =>
+            (Array.isArray(page?.items) ? page.items : [])
+                .filter((item) => TextFitValidationUtils.#needsRowCheck(item))
+                .map((item) => ({ item, page }))
+        )
+        if (!checks.length) return []
+        const warnings = []
+        ;(Array.isArray(rows) ? rows : []).forEach((row, rowIndex) => {
+            if (!row || typeof row !== 'object' || Array.isArray(row)) return
+            const values = ParameterTemplateUtils.buildParameterValueMap(definitions, row)
+            checks.forEach(({ item, page }) => {
+                if (!VisibilityConditionUtils.isVisible(item.visibleWhen, values)) return
+                const text = ParameterTemplateUtils.resolveTemplateString(
+                    item.text || '',
+                    values,
+                    undefined,
+                    item.richText ? RichTextUtils.escapeMarkup : undefined
+                )
+                if (!TextFitValidationUtils.#overflows(ctx, item, page, text)) return
+                const quoted = TextFitValidationUtils.#shorten(item.richText ? RichTextUtils.toPlainText(text) : text)
+                const approximate = fallbackFamilies.has(String(item.fontFamily || '').toLowerCase())
+                warnings.push({
+                    level: 'warning',
+                    code: 'text-overflow',
+                    rowIndex,
+                    rowNumber: rowIndex + 1,
+                    itemId: String(item.id || ''),
+                    text: quoted,
+                    approximate,
+                    message:
+                        `Row ${rowIndex + 1}: text "${quoted}" does not fit even at the minimum font size.` +
+                        (approximate ? ' Measured with a fallback font, so this is approximate.' : '')
+                })
+            })
+        })
+        return warnings
+    }
+
+    /**
+     * Returns whether an item uses the `shrink` policy and changes per row.
+     * @param {object} item
+     * @returns {boolean}
+     */
+    static #needsRowCheck(item) {
+        return (
+            item?.type === 'text' &&
+            TextLayoutUtils.normalizeOverflow(item.overflow) === 'shrink' &&
+            ParameterTemplateUtils.extractPlaceholders(item.text || '').length > 0
+        )
+    }
+
+    /**
+     * Measures the resolved text with the same fitting rules as `buildCanvasFromState`.
+     * @param {CanvasRenderingContext2D | OffscreenCanvasRenderingContext2D} ctx
+     * @param {object} item
+     * @param {{ textDotScale: number, maxFontDots: number, maxWidth: number }} page
+     * @param {string} text
+     * @returns {boolean}
+     */
+    static #overflows(ctx, item, page, text) {
+        const textDotScale = Number(page.textDotScale) || 1
+        const stacked = TextLayoutUtils.normalizeTextDirection(item.textDirection) === 'stacked'
+        const padding = TextLayoutUtils.resolveEffectPadding(item.textEffect, item.textEffectPadding) * 2
+        return PreviewRendererCanvasSupport.resolveTextMetrics({
+            ctx,
+            text,
+            family: item.fontFamily || 'sans-serif',
+            requestedSize: Math.round((item.fontSize || 16) * textDotScale),
+            maxHeight: (stacked && Number(page.maxWidth) > 0 ? Number.POSITIVE_INFINITY : Number(page.maxFontDots) || 8) - padding,
+            bold: Boolean(item.textBold),
+            italic: Boolean(item.textItalic),
+            fontWeight: item.fontWeight,
+            fontWidth: item.fontWidth,
+            underline: Boolean(item.textUnderline),
+            strikethrough: Boolean(item.textStrikethrough),
+            boxWidth: item.boxWidth,
+            maxWidth: Number(page.maxWidth) > 0 ? Math.max(1, Number(page.maxWidth) - padding) : 0,
+            overflow: 'shrink',
+            minSize: Math.round(TextLayoutUtils.normalizeMinFontSize(item.minFontSize) * textDotScale),
+            richText: Boolean(item.richText),
+            baseFontSize: item.fontSize || 16,
+            direction: item.textDirection,
+            stackSpacing: TextLayoutUtils.normalizeStackSpacing(item.stackSpacing),
+            letterSpacing: stacked ? 0 : TextLayoutUtils.normalizeLetterSpacing(item.letterSpacing) * textDotScale,
+            lineHeight: item.lineHeight
+        }).overflows
+    }
+
+    /**
+     * Shortens text for issue messages.
+     * @param {string} text
+     * @returns {string}
+     */
+    static #shorten(text) {
+        const flat = String(text || '')
+            .replace(/\s+/g, ' ')
+            .trim()
+        const chars = Array.from(flat)
+        if (chars.length <= TextFitValidationUtils.#maxQuotedLength) return flat
+        return `${chars.slice(0, TextFitValidationUtils.#maxQuotedLength - 1).join('')}…`
+    }
+}
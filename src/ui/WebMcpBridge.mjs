@@ -2,6 +2,7 @@
 //
 // SPDX-License-Identifier: AGPL-3.0-or-later
 
+import { ProjectValidationUtils } from '../ProjectValidationUtils.mjs'
 import { WebMcpBridgeSchemaUtils } from './WebMcpBridgeSchemaUtils.mjs'
 
 const WEB_MCP_TOOL_NAME = 'labelprinter_action'
@@ -38,7 +39,8 @@ export class WebMcpBridge {
      *     loadProjectFromUrl: Function,
      *     loadParameterDataFromUrl: Function,
      *     buildProjectPayload: Function,
-     *     buildProjectShareUrl: Function
+     *     buildProjectShareUrl: Function,
+     *     runHistoryBatch?: Function
      *   },
      *   translate?: (key: string, params?: Record<string, string | number>) => string,
      *   runtime?: any
@@ -134,7 +136,7 @@ export class WebMcpBridge {
             if (!actions.length) {
                 throw new Error(this.#translate('assistant.actionMissing'))
             }
-            await this.#runActionsInOrder(actions, envelope)
+            await this.#runInHistoryBatch(() => this.#runActionsInOrder(actions, envelope))
         } catch (error) {
             envelope.errors.push(this.#normalizeErrorMessage(error))
         }
@@ -162,6 +164,19 @@ export class WebMcpBridge {
         return input.actions.filter((entry) => entry && typeof entry === 'object')
     }
 
+    /**
+     * Runs one tool invocation as a single undo step when the app controller supports history batches.
+     * @param {() => Promise<void>} task
+     * @returns {Promise<void>}
+     */
+    async #runInHistoryBatch(task) {
+        if (typeof this.#appController?.runHistoryBatch !== 'function') {
+            await task()
+            return
+        }
+        await this.#appController.runHistoryBatch(task)
+    }
+
     /**
      * Runs mixed action lists while preserving order.
      * @param {Array<Record<string, any>>} actions
@@ -396,6 +411,14 @@ export class WebMcpBridge {
                     envelope.results.push({ action: 'export_project_json', payload })
                     return
                 }
+                case 'validate_project': {
+                    const project =
+                        action.project === undefined ? this.#appController.buildProjectPayload() : this.#parseProjectPayload(action.project)
+                    const { valid, errors, warnings } = ProjectValidationUtils.validateProject(project)
+                    envelope.executed.push('validate_project')
+                    envelope.results.push({ action: 'validate_project', valid, errors, warnings })
+                    return
+                }
                 case 'build_share_url': {
                     const shareUrl = this.#appController.buildProjectShareUrl()
                     envelope.executed.push('build_share_url')
@@ -680,9 +703,11 @@ export class WebMcpBridge {
      */
     #buildSupportedValuesSnapshot() {
         const payload = this.#safeBuildProjectPayload()
+        // Label settings live per label page; report the page shown in the editor.
+        const activeLabel = Array.isArray(payload.labels) ? payload.labels[payload.activeLabelIndex] || payload : payload
         const elements = this.#appController?.els || {}
         const printers = this.#appendCurrentOption(this.#readSelectOptions(elements?.printer), payload.printer)
-        const media = this.#appendCurrentOption(this.#readSelectOptions(elements?.media), payload.media)
+        const media = this.#appendCurrentOption(this.#readSelectOptions(elements?.media), activeLabel.media)
         const resolutions = this.#appendCurrentOption(this.#readSelectOptions(elements?.resolution), payload.resolution)
         return {
             toolName: WEB_MCP_TOOL_NAME,
@@ -696,10 +721,10 @@ export class WebMcpBridge {
                 locale: this.#runtime?.document?.documentElement?.lang || null,
                 backend: payload.backend || null,
                 printer: payload.printer || null,
-                media: payload.media || null,
+                media: activeLabel.media || null,
                 resolution: payload.resolution || null,
-                orientation: payload.orientation || null,
-                mediaLengthMm: Number.isFinite(Number(payload.mediaLengthMm)) ? Number(payload.mediaLengthMm) : null
+                orientation: activeLabel.orientation || null,
+                mediaLengthMm: Number.isFinite(Number(activeLabel.mediaLengthMm)) ? Number(activeLabel.mediaLengthMm) : null
             }
         }
     }
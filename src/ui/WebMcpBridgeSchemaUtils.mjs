@@ -2,6 +2,8 @@
 //
 // SPDX-License-Identifier: AGPL-3.0-or-later
 
+import { AlignmentUtils } from '../AlignmentUtils.mjs'
+
 /**
  * Shared constants and schema builders for WebMCP action tooling.
  */
@@ -21,6 +23,7 @@ export class WebMcpBridgeSchemaUtils {
         'load_project_url',
         'load_parameter_data_url',
         'export_project_json',
+        'validate_project',
         'build_share_url',
         'get_ui_state',
         'get_action_capabilities',
@@ -152,7 +155,7 @@ export class WebMcpBridgeSchemaUtils {
                                     itemIds: { type: 'array', items: { type: 'string' }, minItems: 1 },
                                     mode: {
                                         type: 'string',
-                                        enum: ['left', 'center', 'right', 'top', 'middle', 'bottom']
+                                        enum: AlignmentUtils.ALIGN_MODES
                                     },
                                     reference: {
                                         type: 'string',
@@ -298,6 +301,14 @@ export class WebMcpBridgeSchemaUtils {
                                 },
                                 required: ['action']
                             },
+                            {
+                                type: 'object',
+                                properties: {
+                                    action: { const: 'validate_project' },
+                                    project: { type: ['object', 'string'] }
+                                },
+                                required: ['action']
+                            },
                             {
                                 type: 'object',
                                 properties: {
@@ -2,7 +2,9 @@
 //
 // SPDX-License-Identifier: AGPL-3.0-or-later
 
+import { CustomFontUtils } from '../CustomFontUtils.mjs'
 import { ParameterTemplateUtils } from '../ParameterTemplateUtils.mjs'
+import { TextFitValidationUtils } from '../ui/TextFitValidationUtils.mjs'
 
 /**
  * Handles incoming parameter validation requests.
@@ -20,7 +22,20 @@ async function handleWorkerMessage(event) {
             payload.definitions,
             payload.items,
             payload.rows,
-            payload.rawJson
+            payload.rawJson,
+            payload.counters
+        )
+        // Uploaded fonts are registered in the worker font set so rows are measured with the same glyphs as the preview.
+        // Google fonts only exist as document stylesheets, so their warnings are marked approximate.
+        await CustomFontUtils.registerFonts(payload.customFonts, { fontSet: globalThis.fonts })
+        validation.warnings.push(
+            ...TextFitValidationUtils.collectOverflowWarnings({
+                pages: payload.textFitPages,
+                definitions: payload.definitions,
+                rows: payload.rows,
+                ctx: createMeasureContext(),
+                approximateFamilies: payload.webFontFamilies
+            })
         )
         const preview = ParameterTemplateUtils.buildPrettyArrayPreview(payload.rows)
         postSuccess(requestId, {
@@ -37,17 +52,39 @@ async function handleWorkerMessage(event) {
 /**
  * Builds a normalized validation payload.
  * @param {any} payload
- * @returns {{ definitions: object[], items: object[], rows: Record<string, unknown>[], rawJson: string }}
+ * @returns {{
+ *  definitions: object[],
+ *  items: object[],
+ *  rows: Record<string, unknown>[],
+ *  rawJson: string,
+ *  counters: object[],
+ *  textFitPages: object[],
+ *  customFonts: object[],
+ *  webFontFamilies: string[]
+ * }}
  */
 function buildValidationPayload(payload) {
     return {
         definitions: Array.isArray(payload?.definitions) ? payload.definitions : [],
         items: Array.isArray(payload?.items) ? payload.items : [],
         rows: Array.isArray(payload?.rows) ? payload.rows : [],
-        rawJson: String(payload?.rawJson || '')
+        rawJson: String(payload?.rawJson || ''),
+        counters: Array.isArray(payload?.counters) ? payload.counters : [],
+        textFitPages: Array.isArray(payload?.textFitPages) ? payload.textFitPages : [],
+        customFonts: Array.isArray(payload?.customFonts) ? payload.customFonts : [],
+        webFontFamilies: Array.isArray(payload?.webFontFamilies) ? payload.webFontFamilies.map((family) => String(family || '')) : []
     }
 }
 
+/**
+ * Creates a text measuring context; returns `null` where `OffscreenCanvas` is unavailable, which skips the text-fit check.
+ * @returns {OffscreenCanvasRenderingContext2D | null}
+ */
+function createMeasureContext() {
+    if (typeof OffscreenCanvas !== 'function') return null
+    return new OffscreenCanvas(1, 1).getContext('2d')
+}
+
 /**
  * Posts one successful response.
  * @param {number} requestId
@@ -0,0 +1,212 @@
+// SPDX-FileCopyrightText: 2026 André Fiedler
+//
+// SPDX-License-Identifier: AGPL-3.0-or-later
+
+// Placeholder filters and `visibleWhen` conditions for `PrintPageWorker.mjs`.
+// Loaded with `importScripts` because the print-page worker runs as a classic worker; it mirrors
+// `TemplateFilterUtils`, `VisibilityConditionUtils` and the date value helpers of `DateTemplateUtils` so printed rows match the preview.
+
+const TEMPLATE_MAX_PAD_LENGTH = 256
+const TEMPLATE_DATE_TOKEN_PATTERN = /\[([^\]]*)\]|YYYY|YY|MM|M|DD|D|HH|H|mm|ss/g
+
+/**
+ * Parses a filter chain such as `|pad:8:0|upper` (copy of `TemplateFilterUtils.parseFilters`).
+ * @param {string} chain
+ * @returns {Array<{ name: string, args: string[] }>}
+ */
+function parseTemplateFilters(chain) {
+    const text = String(chain || '').trim()
+    if (!text.startsWith('|')) return []
+    return splitOutsideQuotes(text.slice(1), '|').map((segment) => {
+        const [name = '', ...args] = splitOutsideQuotes(segment, ':')
+        return { name: name.trim(), args: args.map((arg) => unquoteFilterArg(arg)) }
+    })
+}
+
+/**
+ * Applies filters from left to right (copy of `TemplateFilterUtils.applyFilters`).
+ * @param {string} value
+ * @param {Array<{ name: string, args: string[] }>} filters
+ * @returns {string}
+ */
+function applyTemplateFilters(value, filters) {
+    return (Array.isArray(filters) ? filters : []).reduce((current, filter) => applyTemplateFilter(current, filter), String(value ?? ''))
+}
+
+/**
+ * Applies a single filter; unknown filters leave the value unchanged.
+ * @param {string} value
+ * @param {{ name: string, args: string[] }} filter
+ * @returns {string}
+ */
+function applyTemplateFilter(value, { name, args }) {
+    switch (name) {
+        case 'upper':
+            return value.toUpperCase()
+        case 'lower':
+            return value.toLowerCase()
+        case 'trim':
+            return value.trim()
+        case 'number':
+            return formatTemplateNumber(value, args[0], args[1])
+        case 'pad': {
+            const length = Math.min(TEMPLATE_MAX_PAD_LENGTH, Math.max(0, Math.round(Number(args[0]) || 0)))
+            return value.padStart(length, args[1] || '0')
+        }
+        case 'date': {
+            const date = parseTemplateDate(value)
+            return date ? formatTemplateDate(date, args[0]) : value
+        }
+        case 'default':
+            return value.trim() ? value : (args[0] ?? '')
+        case 'truncate': {
+            const chars = Array.from(value)
+            const length = Math.max(0, Math.round(Number(args[0]) || 0))
+            if (!length || chars.length <= length) return value
+            const suffix = Array.from(args[1] ?? '…')
+            return chars.slice(0, Math.max(0, length - suffix.length)).join('') + suffix.slice(0, length).join('')
+        }
+        default:
+            return value
+    }
+}
+
+/**
+ * Formats a number with a fixed count of decimals (copy of `TemplateFilterUtils.formatNumber`).
+ * @param {string} value
+ * @param {unknown} [decimals=0]
+ * @param {string} [separator='.']
+ * @returns {string}
+ */
+function formatTemplateNumber(value, decimals = 0, separator = '.') {
+    const text = String(value ?? '').trim()
+    const number = Number(/^-?\d+,\d+$/.test(text) ? text.replace(',', '.') : text)
+    if (!text || !Number.isFinite(number)) return String(value ?? '')
+    const digits = Math.min(20, Math.max(0, Math.round(Number(decimals) || 0)))
+    return number.toFixed(digits).replace('.', separator || '.')
+}
+
+/**
+ * Parses an ISO date, ISO date-time or millisecond timestamp (copy of `TemplateFilterUtils.parseDate`).
+ * @param {unknown} value
+ * @returns {Date | null}
+ */
+function parseTemplateDate(value) {
+    if (value instanceof Date) return Number.isNaN(value.getTime()) ? null : value
+    const text = String(value ?? '').trim()
+    if (!text) return null
+    const dateOnly = /^(\d{4})-(\d{2})-(\d{2})$/.exec(text)
+    const date = dateOnly
+        ? new Date(Number(dateOnly[1]), Number(dateOnly[2]) - 1, Number(dateOnly[3]))
+        : new Date(/^-?\d+$/.test(text) ? Number(text) : text)
+    return Number.isNaN(date.getTime()) ? null : date
+}
+
+/**
+ * Formats a date with `YYYY`/`YY`/`MM`/`M`/`DD`/`D`/`HH`/`H`/`mm`/`ss` tokens (copy of `TemplateFilterUtils.formatDate`).
+ * @param {Date} date
+ * @param {string} [pattern='YYYY-MM-DD']
+ * @returns {string}
+ */
+function formatTemplateDate(date, pattern = 'YYYY-MM-DD') {
+    const pad = (number) => String(number).padStart(2, '0')
+    const tokens = {
+        YYYY: String(date.getFullYear()),
+        YY: pad(date.getFullYear() % 100),
+        MM: pad(date.getMonth() + 1),
+        M: String(date.getMonth() + 1),
+        DD: pad(date.getDate()),
+        D: String(date.getDate()),
+        HH: pad(date.getHours()),
+        H: String(date.getHours()),
+        mm: pad(date.getMinutes()),
+        ss: pad(date.getSeconds())
+    }
+    return String(pattern || 'YYYY-MM-DD').replace(TEMPLATE_DATE_TOKEN_PATTERN, (token, literal) => literal ?? tokens[token])
+}
+
+/**
+ * Splits text at a separator that is not inside single or double quotes.
+ * @param {string} text
+ * @param {string} separator
+ * @returns {string[]}
+ */
+function splitOutsideQuotes(text, separator) {
+    const parts = ['']
+    let quote = ''
+    for (const char of text) {
+        if (quote) {
+            if (char === quote) quote = ''
+        } else if (char === "'" || char === '"') {
+            quote = char
+        } else if (char === separator) {
+            parts.push('')
+            continue
+        }
+        parts[parts.length - 1] += char
+    }
+    return parts
+}
+
+/**
+ * Trims a filter argument and removes surrounding quotes.
+ * @param {string} arg
+ * @returns {string}
+ */
+function unquoteFilterArg(arg) {
+    const text = arg.trim()
+    const quoted = text.length >= 2 && (text[0] === "'" || text[0] === '"') && text.endsWith(text[0])
+    return quoted ? text.slice(1, -1) : text
+}
+
+/**
+ * Returns whether an item with a `visibleWhen` condition is printed for a parameter row
+ * (copy of `VisibilityConditionUtils.isVisible`).
+ * @param {unknown} condition
+ * @param {Record<string, string>} values
+ * @returns {boolean}
+ */
+function isVisibleForParameterValues(condition, values) {
+    if (!condition || typeof condition !== 'object' || Array.isArray(condition)) return true
+    const parameter = String(condition.parameter || '').trim()
+    if (!parameter) return true
+    const hasValue = !!values && typeof values === 'object' && Object.hasOwn(values, parameter)
+    const rawValue = hasValue ? values[parameter] : ''
+    const actual = String((isDatePlaceholderValue(rawValue) ? rawValue.text : rawValue) ?? '')
+        .trim()
+        .toLowerCase()
+    const expected = String(condition.value ?? '')
+        .trim()
+        .toLowerCase()
+    switch (condition.operator) {
+        case 'empty':
+            return !actual
+        case 'equals':
+            return actual === expected
+        case 'notEquals':
+            return actual !== expected
+        case 'contains':
+            return actual.includes(expected)
+        default:
+            return actual.length > 0
+    }
+}
+
+/**
+ * Returns whether a value map entry is a built-in date value (copy of `DateTemplateUtils.isPlaceholderValue`).
+ * @param {unknown} value
+ * @returns {boolean}
+ */
+function isDatePlaceholderValue(value) {
+    return !!value && typeof value === 'object' && typeof value.iso === 'string' && typeof value.text === 'string'
+}
+
+/**
+ * Picks the ISO form before a `date` filter, else the locale text (copy of `DateTemplateUtils.selectFilterInput`).
+ * @param {{ iso: string, text: string }} value
+ * @param {Array<{ name: string }>} filters
+ * @returns {string}
+ */
+function selectDatePlaceholderInput(value, filters) {
+    return (Array.isArray(filters) ? filters : []).some((filter) => filter?.name === 'date') ? value.iso : value.text
+}
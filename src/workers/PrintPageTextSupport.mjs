@@ -0,0 +1,934 @@
+// SPDX-FileCopyrightText: 2026 André Fiedler
+//
+// SPDX-License-Identifier: AGPL-3.0-or-later
+
+// Text measurement and rendering for `PrintPageWorker.mjs`.
+// Loaded with `importScripts` because the print-page worker runs as a classic worker; it mirrors
+// `PreviewRendererCanvasSupport`, `TextLayoutUtils` and `RichTextUtils` so printed text matches the preview.
+
+const SOFT_HYPHEN = '\u00AD'
+const ELLIPSIS = '\u2026'
+const RICH_TEXT_MARKERS = [
+    ['**', 'bold'],
+    ['__', 'underline'],
+    ['*', 'italic']
+]
+const RICH_TEXT_TAG_PATTERN = /^\[(\/?)(size|font)(?:=([^\]\n]*))?\]/
+const FONT_STRETCHES = [
+    [50, 'ultra-condensed'],
+    [62.5, 'extra-condensed'],
+    [75, 'condensed'],
+    [87.5, 'semi-condensed'],
+    [100, 'normal'],
+    [112.5, 'semi-expanded'],
+    [125, 'expanded'],
+    [150, 'extra-expanded'],
+    [200, 'ultra-expanded']
+]
+
+/**
+ * Builds a canvas font declaration; `bold` raises the numeric `weight` to at least 700.
+ * @param {{ size: number, family: string, bold?: boolean, italic?: boolean, weight?: number, width?: number }} options
+ * @returns {string}
+ */
+function buildTextFontDeclaration({ size, family, bold = false, italic = false, weight = 400, width = 100 }) {
+    const safeSize = Math.max(1, Math.round(Number(size) || 1))
+    const safeFamily = String(family || 'sans-serif')
+    const style = italic ? 'italic ' : ''
+    const requestedWeight = Number(weight)
+    const validWeight = weight !== null && weight !== '' && Number.isFinite(requestedWeight)
+    const numericWeight = validWeight ? Math.min(900, Math.max(100, Math.round(requestedWeight))) : 400
+    const resolvedWeight = bold ? Math.max(700, numericWeight) : numericWeight
+    const weightPart = resolvedWeight === 400 ? '' : `${resolvedWeight} `
+    const stretch = resolveFontStretch(width)
+    const stretchPart = stretch === 'normal' ? '' : `${stretch} `
+    return `${style}${weightPart}${stretchPart}${safeSize}px ${safeFamily}`.trim()
+}
+
+/**
+ * Returns the `font-stretch` keyword closest to a `fontWidth` percentage (copy of `TextLayoutUtils.resolveFontStretch`).
+ * @param {unknown} width
+ * @returns {string}
+ */
+function resolveFontStretch(width) {
+    const value = Number(width)
+    if (width === null || width === '' || !Number.isFinite(value)) return 'normal'
+    return FONT_STRETCHES.reduce((best, candidate) => (Math.abs(candidate[0] - value) < Math.abs(best[0] - value) ? candidate : best))[1]
+}
+
+/**
+ * Resolves text metrics while constraining rendered height.
+ * @param {{
+ *  ctx: OffscreenCanvasRenderingContext2D,
+ *  text: string,
+ *  family: string,
+ *  requestedSize: number,
+ *  maxHeight: number,
+ *  bold?: boolean,
+ *  italic?: boolean,
+ *  fontWeight?: number,
+ *  fontWidth?: number,
+ *  boxWidth?: number,
+ *  maxWidth?: number,
+ *  overflow?: string,
+ *  minSize?: number,
+ *  richText?: boolean,
+ *  baseFontSize?: number,
+ *  direction?: string,
+ *  stackSpacing?: number,
+ *  letterSpacing?: number,
+ *  lineHeight?: number
+ * }} options
+ * @returns {{
+ *  size: number,
+ *  advanceWidth: number,
+ *  ascent: number,
+ *  descent: number,
+ *  inkLeft: number,
+ *  inkWidth: number,
+ *  lineGap: number,
+ *  lines: string[],
+ *  paragraphEnds: boolean[],
+ *  lineMetrics: Array<{ text: string, advanceWidth: number, ascent: number, descent: number, inkLeft: number, inkWidth: number }>,
+ *  totalHeight: number,
+ *  overflows: boolean
+ * }}
+ */
+function resolveTextMetrics({
+    ctx,
+    text,
+    family,
+    requestedSize,
+    maxHeight,
+    bold = false,
+    italic = false,
+    fontWeight = 400,
+    fontWidth = 100,
+    boxWidth = 0,
+    maxWidth = 0,
+    overflow = 'none',
+    minSize = 4,
+    richText = false,
+    baseFontSize = 0,
+    direction = 'horizontal',
+    stackSpacing = 0,
+    letterSpacing = 0,
+    lineHeight = 0
+}) {
+    const limit = Math.max(4, maxHeight)
+    const lineHeightFactor = Math.max(0, Number(lineHeight) || 0)
+    const stacked = direction === 'stacked'
+    const sourceLines = stacked ? stackTextGlyphs(richText ? richTextToPlain(text) : text) : normalizeTextLines(text)
+    const width = stacked ? 0 : normalizeBoxWidth(boxWidth)
+    const widthLimit = width || Math.max(0, Number(maxWidth) || 0)
+    const paragraphs = richText && !stacked ? parseRichText(text) : null
+    const face = { family, bold, italic, weight: fontWeight, width: fontWidth }
+    const measureAt = (fontSize) => {
+        if (paragraphs) {
+            return layoutRichText(ctx, paragraphs, {
+                size: fontSize,
+                baseFontSize,
+                face,
+                boxWidth: width,
+                truncateWidth: overflow === 'ellipsis' ? widthLimit : 0
+            })
+        }
+        ctx.font = buildTextFontDeclaration({ size: fontSize, ...face })
+        const measureWidth = (value) => ctx.measureText(value).width
+        const wrapped = wrapTextLines(sourceLines, width, measureWidth)
+        if (overflow === 'ellipsis' && !stacked) {
+            wrapped.lines = wrapped.lines.map((line) => truncateTextLine(line, widthLimit, measureWidth))
+        }
+        return { ...wrapped, metrics: measureTextLines(ctx, wrapped.lines, fontSize, face) }
+    }
+    const layoutAt = (fontSize) => {
+        const layout = measureAt(fontSize)
+        if (stacked) {
+            const gap = Math.max(0, Math.round(Number(stackSpacing) || 0))
+            return { ...layout, metrics: uniformTextLineMetrics(layout.metrics, { gap }) }
+        }
+        if (lineHeightFactor && layout.lines.length > 1) {
+            return { ...layout, metrics: uniformTextLineMetrics(layout.metrics, { pitch: fontSize * lineHeightFactor }) }
+        }
+        return layout
+    }
+    applyTextLetterSpacing(ctx, letterSpacing)
+    let size = Math.min(Math.max(4, requestedSize), limit * 3)
+    let layout = layoutAt(size)
+    while (layout.metrics.height > limit && size > 4) {
+        size -= 1
+        layout = layoutAt(size)
+    }
+    const shrinkLimit = Math.max(4, Math.round(Number(minSize) || 4))
+    while (overflow === 'shrink' && size > shrinkLimit && exceedsTextWidth(layout.metrics.lineMetrics, widthLimit)) {
+        size -= 1
+        layout = layoutAt(size)
+    }
+    applyTextLetterSpacing(ctx, 0)
+    const { lines, paragraphEnds, metrics } = layout
+    return {
+        size,
+        advanceWidth: width || metrics.advanceWidth,
+        ascent: metrics.ascent,
+        descent: metrics.descent,
+        inkLeft: width ? 0 : metrics.inkLeft,
+        inkWidth: width || metrics.inkWidth,
+        lineGap: metrics.lineGap,
+        lines,
+        paragraphEnds,
+        lineMetrics: metrics.lineMetrics,
+        totalHeight: metrics.height,
+        overflows: metrics.height > limit || exceedsTextWidth(metrics.lineMetrics, widthLimit)
+    }
+}
+
+/**
+ * Returns whether any line is wider than the width limit (copy of `TextLayoutUtils.exceedsWidth`).
+ * @param {Array<{ advanceWidth: number }>} lineMetrics
+ * @param {number} widthLimit
+ * @returns {boolean}
+ */
+function exceedsTextWidth(lineMetrics, widthLimit) {
+    const limit = Number(widthLimit || 0)
+    if (!(limit > 0)) return false
+    return (Array.isArray(lineMetrics) ? lineMetrics : []).some((metric) => Number(metric?.advanceWidth || 0) > limit)
+}
+
+/**
+ * Shortens a line with a trailing ellipsis (copy of `TextLayoutUtils.truncateLine`).
+ * @param {string} line
+ * @param {number} width
+ * @param {(text: string) => number} measureWidth
+ * @returns {string}
+ */
+function truncateTextLine(line, width, measureWidth) {
+    const text = String(line || '')
+    if (!(Number(width) > 0) || measureWidth(text) <= width) return text
+    const chars = Array.from(text)
+    while (chars.length && measureWidth(`${chars.join('').trimEnd()}${ELLIPSIS}`) > width) {
+        chars.pop()
+    }
+    return `${chars.join('').trimEnd()}${ELLIPSIS}`
+}
+
+/**
+ * Returns a usable `boxWidth` in dots (copy of `TextLayoutUtils.normalizeBoxWidth`).
+ * @param {unknown} value
+ * @returns {number}
+ */
+function normalizeBoxWidth(value) {
+    const width = Math.round(Number(value))
+    return Number.isFinite(width) && width > 0 ? width : 0
+}
+
+/**
+ * Word-wraps text lines into a fixed-width box (copy of `TextLayoutUtils.wrapLines`).
+ * @param {string[]} lines
+ * @param {number} boxWidth
+ * @param {(text: string) => number} measureWidth
+ * @returns {{ lines: string[], paragraphEnds: boolean[] }}
+ */
+function wrapTextLines(lines, boxWidth, measureWidth) {
+    const sourceLines = Array.isArray(lines) && lines.length ? lines : ['']
+    const width = normalizeBoxWidth(boxWidth)
+    if (!width) {
+        return { lines: [...sourceLines], paragraphEnds: sourceLines.map((_line, index) => index === sourceLines.length - 1) }
+    }
+    const wrapped = []
+    const paragraphEnds = []
+    sourceLines.forEach((line) => {
+        const rows = wrapTextLine(String(line || ''), width, measureWidth)
+        rows.forEach((row, index) => {
+            wrapped.push(row.split(SOFT_HYPHEN).join(''))
+            paragraphEnds.push(index === rows.length - 1)
+        })
+    })
+    return { lines: wrapped, paragraphEnds }
+}
+
+/**
+ * Greedily fills rows of one paragraph, hyphenating at soft hyphens.
+ * @param {string} line
+ * @param {number} width
+ * @param {(text: string) => number} measureWidth
+ * @returns {string[]}
+ */
+function wrapTextLine(line, width, measureWidth) {
+    const fits = (text) => measureWidth(text.split(SOFT_HYPHEN).join('')) <= width
+    const rows = []
+    let current = ''
+    line.split(' ').forEach((word) => {
+        let rest = word
+        while (true) {
+            const prefix = current ? `${current} ` : ''
+            if (fits(`${prefix}${rest}`)) {
+                current = `${prefix}${rest}`
+                return
+            }
+            const parts = rest.split(SOFT_HYPHEN)
+            const hyphenated = (count) => `${prefix}${parts.slice(0, count).join('')}-`
+            let splitIndex = parts.length - 1
+            while (splitIndex > 0 && !fits(hyphenated(splitIndex))) {
+                splitIndex -= 1
+            }
+            if (splitIndex > 0) {
+                rows.push(hyphenated(splitIndex))
+                current = ''
+                rest = parts.slice(splitIndex).join(SOFT_HYPHEN)
+            } else if (current) {
+                rows.push(current)
+                current = ''
+            } else {
+                current = rest
+                return
+            }
+        }
+    })
+    rows.push(current)
+    return rows
+}
+
+/**
+ * Normalizes text into drawable lines.
+ * @param {string} text
+ * @returns {string[]}
+ */
+function normalizeTextLines(text) {
+    const lines = String(text || '')
+        .replace(/\r/g, '')
+        .split('\n')
+    return lines.length ? lines : ['']
+}
+
+/**
+ * Splits text into one row per glyph for stacked text (copy of `TextLayoutUtils.stackGlyphs`).
+ * @param {string} text
+ * @returns {string[]}
+ */
+function stackTextGlyphs(text) {
+    const source = String(text ?? '').replace(/\r/g, '')
+    const glyphs =
+        typeof Intl?.Segmenter === 'function'
+            ? Array.from(new Intl.Segmenter(undefined, { granularity: 'grapheme' }).segment(source), (entry) => entry.segment)
+            : Array.from(source)
+    const lines = glyphs.map((glyph) => (glyph.trim() ? glyph : ''))
+    return lines.length ? lines : ['']
+}
+
+/**
+ * Sets the canvas letter spacing in dots where supported (copy of `PreviewRendererCanvasSupport.applyLetterSpacing`).
+ * @param {OffscreenCanvasRenderingContext2D} ctx
+ * @param {number} dots
+ */
+function applyTextLetterSpacing(ctx, dots) {
+    if (!ctx || !('letterSpacing' in ctx)) return
+    ctx.letterSpacing = `${Number(dots) || 0}px`
+}
+
+/**
+ * Gives every row the same ascent and descent; the row gap is `gap` or what is left of the baseline `pitch`.
+ * @param {{ lineMetrics: Array<{ text: string, ascent: number, descent: number }> }} metrics
+ * @param {{ gap?: number, pitch?: number }} spacing
+ * @returns {object}
+ */
+function uniformTextLineMetrics(metrics, { gap, pitch = 0 }) {
+    const rows = metrics.lineMetrics.length
+    const glyphRows = metrics.lineMetrics.filter((line) => line.text)
+    const measured = glyphRows.length ? glyphRows : metrics.lineMetrics
+    const ascent = Math.max(1, ...measured.map((line) => line.ascent))
+    const descent = Math.max(0, ...measured.map((line) => line.descent))
+    const lineGap = rows > 1 ? (gap ?? Math.round(pitch - ascent - descent)) : 0
+    return {
+        ...metrics,
+        ascent,
+        descent,
+        lineGap,
+        lineMetrics: metrics.lineMetrics.map((line) => ({ ...line, ascent, descent })),
+        height: Math.max(1, rows * (ascent + descent) + lineGap * (rows - 1))
+    }
+}
+
+/**
+ * Measures line-level text metrics.
+ * @param {OffscreenCanvasRenderingContext2D} ctx
+ * @param {string[]} lines
+ * @param {number} size
+ * @param {{ family: string, bold: boolean, italic: boolean, weight: number, width: number }} face
+ * @returns {{
+ *  advanceWidth: number,
+ *  height: number,
+ *  ascent: number,
+ *  descent: number,
+ *  inkLeft: number,
+ *  inkWidth: number,
+ *  lineGap: number,
+ *  lineMetrics: Array<{ text: string, advanceWidth: number, ascent: number, descent: number, inkLeft: number, inkWidth: number }>
+ * }}
+ */
+function measureTextLines(ctx, lines, size, face) {
+    ctx.font = buildTextFontDeclaration({ size, ...face })
+    const safeLines = Array.isArray(lines) && lines.length ? lines : ['']
+    const lineGap = safeLines.length > 1 ? Math.max(1, Math.round(size * 0.22)) : 0
+
+    const lineMetrics = safeLines.map((lineText) => {
+        const measured = ctx.measureText(String(lineText || ''))
+        const ascent = Number.isFinite(measured.actualBoundingBoxAscent) ? measured.actualBoundingBoxAscent : size * 0.8
+        const descent = Number.isFinite(measured.actualBoundingBoxDescent) ? measured.actualBoundingBoxDescent : size * 0.2
+        const inkLeft = Number.isFinite(measured.actualBoundingBoxLeft) ? measured.actualBoundingBoxLeft : 0
+        const inkRight = Number.isFinite(measured.actualBoundingBoxRight) ? measured.actualBoundingBoxRight : measured.width
+        const clampedInkLeft = Math.max(0, inkLeft)
+        const clampedInkWidth = Math.max(1, Math.max(clampedInkLeft, inkRight) - clampedInkLeft)
+        return {
+            text: String(lineText || ''),
+            advanceWidth: Math.max(1, measured.width),
+            ascent: Math.max(1, ascent),
+            descent: Math.max(0, descent),
+            inkLeft: clampedInkLeft,
+            inkWidth: clampedInkWidth
+        }
+    })
+
+    const advanceWidth = lineMetrics.reduce((maxValue, metric) => Math.max(maxValue, metric.advanceWidth), 1)
+    const inkLeft = lineMetrics.reduce((minValue, metric) => Math.min(minValue, metric.inkLeft), Infinity)
+    const rightMostInk = lineMetrics.reduce((maxValue, metric) => Math.max(maxValue, metric.inkLeft + metric.inkWidth), 0)
+    const ascent = lineMetrics.reduce((maxValue, metric) => Math.max(maxValue, metric.ascent), 1)
+    const descent = lineMetrics.reduce((maxValue, metric) => Math.max(maxValue, metric.descent), 0)
+    const lineHeightSum = lineMetrics.reduce((sum, metric) => sum + metric.ascent + metric.descent, 0)
+    const height = Math.max(1, lineHeightSum + lineGap * Math.max(0, safeLines.length - 1))
+
+    return {
+        advanceWidth,
+        height,
+        ascent,
+        descent,
+        inkLeft: Number.isFinite(inkLeft) ? inkLeft : 0,
+        inkWidth: Math.max(1, rightMostInk - (Number.isFinite(inkLeft) ? inkLeft : 0)),
+        lineGap,
+        lineMetrics
+    }
+}
+
+/**
+ * Renders one text block.
+ * @param {{
+ *  ctx: OffscreenCanvasRenderingContext2D,
+ *  canvas: OffscreenCanvas,
+ *  block: any,
+ *  flowCursor: number,
+ *  feedPadStart: number,
+ *  isHorizontal: boolean,
+ *  textDotScale: number,
+ *  maxFontDots: number
+ * }} options
+ */
+function renderTextFlowBlock({ ctx, canvas, block, flowCursor, feedPadStart, isHorizontal, textDotScale, maxFontDots }) {
+    const item = block.ref
+    const resolvedSize = block.fontSizeDots || Math.min(Math.max(8, Math.round((Number(item.fontSize) || 16) * textDotScale)), maxFontDots)
+    ctx.font = buildTextFontDeclaration({
+        size: resolvedSize,
+        family: block.family || item.fontFamily || 'sans-serif',
+        bold: Boolean(item.textBold),
+        italic: Boolean(item.textItalic),
+        weight: item.fontWeight,
+        width: item.fontWidth
+    })
+    ctx.textBaseline = 'alphabetic'
+    applyTextLetterSpacing(ctx, block.textLetterSpacing)
+
+    const verticalScale = Number.isFinite(block.textVerticalScale) ? block.textVerticalScale : 1
+    const textLines = Array.isArray(block.textLines) && block.textLines.length ? block.textLines : [block.resolvedText || '']
+    const lineMetrics = Array.isArray(block.textLineMetrics) ? block.textLineMetrics : []
+    const scaledLineGap = Number(block.textLineGap || 0) * verticalScale
+    const fallbackAscent = Math.max(1, Number(block.ascent || resolvedSize * verticalScale))
+    const fallbackDescent = Math.max(0, Number(block.descent || 0))
+    const yAdjust = Number(item.yOffset || 0)
+
+    const effectPadding = Math.max(0, Number(block.textEffectPadding || 0))
+    const drawX = isHorizontal
+        ? flowCursor + Number(item.xOffset || 0) + effectPadding
+        : block.textStacked
+          ? (canvas.width - Number(block.textAdvanceWidth || 0)) / 2 + Number(item.xOffset || 0)
+          : Number(item.xOffset || 0) + effectPadding
+    const textAlign = block.textStacked ? 'center' : item.textAlign
+
+    const blockHeight = Math.max(1, Number(block.textTotalHeight || fallbackAscent + fallbackDescent))
+    const blockTop = isHorizontal
+        ? (canvas.height - blockHeight) / 2 + yAdjust
+        : flowCursor + Math.max(0, (Math.max(1, Number(block.span || blockHeight)) - blockHeight) / 2 + yAdjust)
+
+    let cursorY = blockTop
+    const boxWidth = Number(block.textBoxWidth || 0)
+    const inkColor = block.textEffect === 'inverted' ? '#fff' : '#000'
+    const effectStrokeWidth = Math.max(1, Math.round(resolvedSize / 16))
+    ctx.save()
+    drawTextEffectFrame(ctx, {
+        effect: block.textEffect,
+        x: drawX - effectPadding,
+        y: blockTop - effectPadding,
+        width: Math.max(1, Number(block.textAdvanceWidth || 1)) + effectPadding * 2,
+        height: blockHeight + effectPadding * 2,
+        radius: block.textEffectRadius,
+        lineWidth: effectStrokeWidth
+    })
+    ctx.fillStyle = inkColor
+    ctx.strokeStyle = inkColor
+    ctx.lineWidth = effectStrokeWidth
+    if (block.textOverflow === 'clip' && boxWidth > 0) {
+        ctx.beginPath()
+        ctx.rect(drawX, blockTop, boxWidth, blockHeight)
+        ctx.clip()
+    }
+    textLines.forEach((line, index) => {
+        const metric = lineMetrics[index]
+        const lineAscent = Math.max(1, Number(metric?.ascent || fallbackAscent / Math.max(1, verticalScale)))
+        const lineDescent = Math.max(0, Number(metric?.descent || fallbackDescent / Math.max(1, verticalScale)))
+        const scaledAscent = lineAscent * verticalScale
+        const scaledDescent = lineDescent * verticalScale
+        const baselineY = cursorY + scaledAscent
+        const isLastLine = block.textParagraphEnds?.[index] ?? index === textLines.length - 1
+        if (Array.isArray(metric?.tokens)) {
+            renderRichTextLine({ ctx, metric, textAlign, block, isLastLine, drawX, baselineY, verticalScale })
+        } else {
+            const { segments } = resolveLineLayout({
+                line,
+                textAlign,
+                lineAdvance: Number(metric?.advanceWidth || 0),
+                blockAdvance: Number(block.textAdvanceWidth || 0),
+                isLastLine,
+                measureWidth: (text) => ctx.measureText(text).width
+            })
+
+            ctx.save()
+            ctx.translate(drawX, baselineY)
+            ctx.scale(1, verticalScale)
+            segments.forEach((segment) => drawTextGlyphs(ctx, block, segment.text, segment.x))
+            ctx.restore()
+        }
+
+        cursorY += scaledAscent + scaledDescent
+        if (index < textLines.length - 1) {
+            cursorY += scaledLineGap
+        }
+    })
+    ctx.restore()
+    applyTextLetterSpacing(ctx, 0)
+}
+
+/**
+ * Draws glyphs filled, or stroked for the `outline` effect.
+ * @param {OffscreenCanvasRenderingContext2D} ctx
+ * @param {{ textEffect?: string }} block
+ * @param {string} text
+ * @param {number} x
+ */
+function drawTextGlyphs(ctx, block, text, x) {
+    if (block.textEffect === 'outline') {
+        ctx.strokeText(text, x, 0)
+    } else {
+        ctx.fillText(text, x, 0)
+    }
+}
+
+/**
+ * Draws the frame of an `inverted` or `box` text effect (copy of `PreviewRendererCanvasSupport.drawTextEffectFrame`).
+ * @param {OffscreenCanvasRenderingContext2D} ctx
+ * @param {{ effect: string, x: number, y: number, width: number, height: number, radius?: number, lineWidth?: number }} options
+ */
+function drawTextEffectFrame(ctx, { effect, x, y, width, height, radius = 0, lineWidth = 1 }) {
+    if (effect !== 'inverted' && effect !== 'box') return
+    const inset = effect === 'box' ? Math.max(1, lineWidth) / 2 : 0
+    const left = Math.round(x) + inset
+    const top = Math.round(y) + inset
+    const right = Math.round(x + width) - inset
+    const bottom = Math.round(y + height) - inset
+    const r = Math.max(0, Math.min(Number(radius) || 0, (right - left) / 2, (bottom - top) / 2))
+    ctx.save()
+    ctx.beginPath()
+    ctx.moveTo(left + r, top)
+    ctx.lineTo(right - r, top)
+    ctx.quadraticCurveTo(right, top, right, top + r)
+    ctx.lineTo(right, bottom - r)
+    ctx.quadraticCurveTo(right, bottom, right - r, bottom)
+    ctx.lineTo(left + r, bottom)
+    ctx.quadraticCurveTo(left, bottom, left, bottom - r)
+    ctx.lineTo(left, top + r)
+    ctx.quadraticCurveTo(left, top, left + r, top)
+    ctx.closePath()
+    if (effect === 'inverted') {
+        ctx.fillStyle = '#000'
+        ctx.fill()
+    } else {
+        ctx.lineWidth = Math.max(1, lineWidth)
+        ctx.strokeStyle = '#000'
+        ctx.stroke()
+    }
+    ctx.restore()
+}
+
+/**
+ * Places one line inside a text block for `textAlign` (copy of `TextLayoutUtils.resolveLineLayout`).
+ * @param {{
+ *  line: string,
+ *  textAlign: string,
+ *  lineAdvance: number,
+ *  blockAdvance: number,
+ *  isLastLine: boolean,
+ *  measureWidth: (text: string) => number
+ * }} options
+ * @returns {{ segments: Array<{ text: string, x: number }>, offsetX: number, extraWidth: number }}
+ */
+function resolveLineLayout({ line, textAlign, lineAdvance, blockAdvance, isLastLine, measureWidth }) {
+    const text = String(line || '')
+    const spareWidth = Math.max(0, Number(blockAdvance || 0) - Number(lineAdvance || 0))
+    const mode = String(textAlign || 'left')
+    if (mode === 'justify') {
+        const words = text.split(' ')
+        if (isLastLine || words.length < 2 || !spareWidth) {
+            return { segments: [{ text, x: 0 }], offsetX: 0, extraWidth: 0 }
+        }
+        const gapExtra = spareWidth / (words.length - 1)
+        const spaceWidth = measureWidth(' ')
+        const segments = []
+        let cursorX = 0
+        words.forEach((word) => {
+            if (word) segments.push({ text: word, x: cursorX })
+            cursorX += measureWidth(word) + spaceWidth + gapExtra
+        })
+        return { segments, offsetX: 0, extraWidth: spareWidth }
+    }
+    const offsetX = mode === 'center' ? spareWidth / 2 : mode === 'right' ? spareWidth : 0
+    return { segments: [{ text, x: offsetX }], offsetX, extraWidth: 0 }
+}
+
+/**
+ * Draws the styled tokens of one rich-text line with their own fonts and underlines.
+ * @param {{
+ *  ctx: OffscreenCanvasRenderingContext2D,
+ *  metric: { tokens: Array<{ text: string, width: number, font: string, underline: boolean }>, underlineOffset: number, underlineThickness: number },
+ *  textAlign: string,
+ *  block: any,
+ *  isLastLine: boolean,
+ *  drawX: number,
+ *  baselineY: number,
+ *  verticalScale: number
+ * }} options
+ */
+function renderRichTextLine({ ctx, metric, textAlign, block, isLastLine, drawX, baselineY, verticalScale }) {
+    const { tokens } = positionRichTokens({
+        tokens: metric.tokens,
+        textAlign,
+        blockAdvance: Number(block.textAdvanceWidth || 0),
+        isLastLine
+    })
+    ctx.save()
+    ctx.translate(drawX, baselineY)
+    ctx.scale(1, verticalScale)
+    tokens.forEach((token) => {
+        ctx.font = token.font
+        drawTextGlyphs(ctx, block, token.text, token.x)
+    })
+    ctx.restore()
+    const underlineY = baselineY + Number(metric.underlineOffset || 1) * verticalScale
+    tokens
+        .filter((token) => token.underline)
+        .forEach((token) => {
+            ctx.fillRect(drawX + token.x, underlineY, token.width, Math.max(1, Number(metric.underlineThickness || 1) * verticalScale))
+        })
+}
+
+/**
+ * Escapes markup characters so a value renders literally (copy of `RichTextUtils.escapeMarkup`).
+ * @param {unknown} value
+ * @returns {string}
+ */
+function escapeRichTextMarkup(value) {
+    return String(value ?? '').replace(/[\\*_[\]]/g, '\\$&')
+}
+
+/**
+ * Parses rich-text markup into paragraphs of styled runs (copy of `RichTextUtils.parseMarkup`).
+ * @param {string} text
+ * @returns {Array<Array<{ text: string, bold: boolean, italic: boolean, underline: boolean, size: number, family: string }>>}
+ */
+function parseRichText(text) {
+    const source = String(text ?? '').replace(/\r/g, '')
+    const paragraphs = [[]]
+    const style = { bold: false, italic: false, underline: false }
+    const sizes = []
+    const families = []
+    let buffer = ''
+    const flush = () => {
+        if (!buffer) return
+        paragraphs[paragraphs.length - 1].push({
+            text: buffer,
+            ...style,
+            size: sizes.length ? sizes[sizes.length - 1] : 0,
+            family: families.length ? families[families.length - 1] : ''
+        })
+        buffer = ''
+    }
+    let index = 0
+    while (index < source.length) {
+        const char = source[index]
+        if (char === '\\' && index + 1 < source.length) {
+            buffer += source[index + 1]
+            index += 2
+            continue
+        }
+        if (char === '\n') {
+            flush()
+            paragraphs.push([])
+            index += 1
+            continue
+        }
+        const marker = RICH_TEXT_MARKERS.find(([token]) => source.startsWith(token, index))
+        if (marker) {
+            flush()
+            style[marker[1]] = !style[marker[1]]
+            index += marker[0].length
+            continue
+        }
+        const tag = char === '[' ? RICH_TEXT_TAG_PATTERN.exec(source.slice(index)) : null
+        if (tag) {
+            flush()
+            const stack = tag[2] === 'size' ? sizes : families
+            if (tag[1]) {
+                stack.pop()
+            } else if (tag[2] === 'size') {
+                const size = Number(tag[3])
+                stack.push(Number.isFinite(size) && size > 0 ? size : 0)
+            } else {
+                stack.push(String(tag[3] || '').trim())
+            }
+            index += tag[0].length
+            continue
+        }
+        buffer += char
+        index += 1
+    }
+    flush()
+    return paragraphs
+}
+
+/**
+ * Returns rich-text markup as plain text (copy of `RichTextUtils.toPlainText`).
+ * @param {string} text
+ * @returns {string}
+ */
+function richTextToPlain(text) {
+    return parseRichText(text)
+        .map((runs) => runs.map((run) => run.text).join(''))
+        .join('\n')
+}
+
+/**
+ * Lays out and measures rich-text paragraphs; every line metric carries its styled tokens.
+ * @param {OffscreenCanvasRenderingContext2D} ctx
+ * @param {Array<Array<object>>} paragraphs
+ * @param {{
+ *  size: number,
+ *  baseFontSize: number,
+ *  face: { family: string, bold: boolean, italic: boolean, weight: number, width: number },
+ *  boxWidth: number,
+ *  truncateWidth: number
+ * }} options
+ * @returns {{ lines: string[], paragraphEnds: boolean[], metrics: object }}
+ */
+function layoutRichText(ctx, paragraphs, { size, baseFontSize, face, boxWidth, truncateWidth }) {
+    const fontOf = (token) =>
+        buildTextFontDeclaration({
+            ...face,
+            size: token.size > 0 && baseFontSize > 0 ? Math.max(1, Math.round((size * token.size) / baseFontSize)) : size,
+            family: token.family || face.family,
+            bold: face.bold || token.bold,
+            italic: face.italic || token.italic
+        })
+    const measureToken = (token) => {
+        ctx.font = fontOf(token)
+        return ctx.measureText(token.text)
+    }
+    const measureWidth = (token) => measureToken(token).width
+    const sources = Array.isArray(paragraphs) && paragraphs.length ? paragraphs : [[]]
+    const width = normalizeBoxWidth(boxWidth)
+    const rows = []
+    const paragraphEnds = []
+    sources.forEach((runs, paragraphIndex) => {
+        const tokens = tokenizeRichRuns(runs, measureWidth)
+        const wrapped = width ? wrapRichTokens(tokens, width) : [tokens]
+        wrapped.forEach((row, rowIndex) => {
+            rows.push(truncateRichTokens(row, truncateWidth, measureWidth))
+            paragraphEnds.push(width ? rowIndex === wrapped.length - 1 : paragraphIndex === sources.length - 1)
+        })
+    })
+    const lineGap = rows.length > 1 ? Math.max(1, Math.round(size * 0.22)) : 0
+    const underlineOffset = Math.max(1, size * 0.08)
+    const underlineThickness = Math.max(1, size * 0.06)
+    const lineMetrics = rows.map((tokens) => {
+        let ascent = 0
+        let descent = 0
+        const styledTokens = tokens.map((token) => {
+            if (token.text !== ' ') {
+                const measured = measureToken(token)
+                ascent = Math.max(ascent, Number.isFinite(measured.actualBoundingBoxAscent) ? measured.actualBoundingBoxAscent : size * 0.8)
+                descent = Math.max(
+                    descent,
+                    Number.isFinite(measured.actualBoundingBoxDescent) ? measured.actualBoundingBoxDescent : size * 0.2
+                )
+            }
+            return { text: token.text, width: token.width, font: fontOf(token), underline: Boolean(token.underline) }
+        })
+        const advanceWidth = Math.max(1, richLineWidth(tokens))
+        return {
+            text: tokens.map((token) => token.text).join(''),
+            advanceWidth,
+            ascent: Math.max(1, ascent || size * 0.8),
+            descent,
+            inkLeft: 0,
+            inkWidth: advanceWidth,
+            underline: styledTokens.some((token) => token.underline),
+            tokens: styledTokens,
+            underlineOffset,
+            underlineThickness
+        }
+    })
+    const advanceWidth = lineMetrics.reduce((maxValue, metric) => Math.max(maxValue, metric.advanceWidth), 1)
+    const height = lineMetrics.reduce(
+        (sum, metric) => sum + metric.ascent + metric.descent + (metric.underline ? underlineOffset + underlineThickness : 0),
+        lineGap * Math.max(0, rows.length - 1)
+    )
+    return {
+        lines: lineMetrics.map((metric) => metric.text),
+        paragraphEnds,
+        metrics: {
+            advanceWidth,
+            height: Math.max(1, height),
+            ascent: lineMetrics.reduce((maxValue, metric) => Math.max(maxValue, metric.ascent), 1),
+            descent: lineMetrics.reduce((maxValue, metric) => Math.max(maxValue, metric.descent), 0),
+            inkLeft: 0,
+            inkWidth: advanceWidth,
+            lineGap,
+            lineMetrics
+        }
+    }
+}
+
+/**
+ * Returns the advance width of rich-text tokens (copy of `RichTextUtils.lineWidth`).
+ * @param {Array<{ width: number }>} tokens
+ * @returns {number}
+ */
+function richLineWidth(tokens) {
+    return (Array.isArray(tokens) ? tokens : []).reduce((sum, token) => sum + Number(token.width || 0), 0)
+}
+
+/**
+ * Splits runs into measured word and single-space tokens (copy of `RichTextUtils` tokenizing).
+ * @param {Array<object>} runs
+ * @param {(token: object) => number} measureWidth
+ * @returns {Array<object>}
+ */
+function tokenizeRichRuns(runs, measureWidth) {
+    return (Array.isArray(runs) ? runs : []).flatMap((run) =>
+        String(run.text || '')
+            .split(SOFT_HYPHEN)
+            .join('')
+            .split(/( )/)
+            .filter(Boolean)
+            .map((text) => {
+                const token = { ...run, text }
+                return { ...token, width: measureWidth(token) }
+            })
+    )
+}
+
+/**
+ * Greedily fills rows with whole words (copy of `RichTextUtils` wrapping).
+ * @param {Array<object>} tokens
+ * @param {number} width
+ * @returns {Array<Array<object>>}
+ */
+function wrapRichTokens(tokens, width) {
+    const rows = []
+    let row = []
+    let spaces = []
+    let word = []
+    const placeWord = () => {
+        if (!word.length) return
+        if (row.length && richLineWidth(row) + richLineWidth(spaces) + richLineWidth(word) > width) {
+            rows.push(row)
+            row = [...word]
+        } else {
+            row.push(...spaces, ...word)
+        }
+        spaces = []
+        word = []
+    }
+    tokens.forEach((token) => {
+        if (token.text === ' ') {
+            placeWord()
+            spaces.push(token)
+        } else {
+            word.push(token)
+        }
+    })
+    placeWord()
+    rows.push(row.length ? row : spaces)
+    return rows
+}
+
+/**
+ * Shortens rich-text tokens with a trailing ellipsis (copy of `RichTextUtils.truncateTokens`).
+ * @param {Array<object>} tokens
+ * @param {number} width
+ * @param {(token: object) => number} measureWidth
+ * @returns {Array<object>}
+ */
+function truncateRichTokens(tokens, width, measureWidth) {
+    const source = Array.isArray(tokens) ? tokens : []
+    if (!(Number(width) > 0) || richLineWidth(source) <= width) return source
+    const chars = source.flatMap((token) => Array.from(token.text).map((char) => ({ token, char })))
+    while (chars.length) {
+        while (chars.length && chars[chars.length - 1].char === ' ') chars.pop()
+        if (!chars.length) break
+        const runs = []
+        chars.forEach(({ token, char }) => {
+            const last = runs[runs.length - 1]
+            if (last?.origin === token) {
+                last.text += char
+            } else {
+                runs.push({ origin: token, text: char })
+            }
+        })
+        runs[runs.length - 1].text += ELLIPSIS
+        const candidate = tokenizeRichRuns(
+            runs.map(({ origin, text }) => ({ ...origin, text })),
+            measureWidth
+        )
+        if (richLineWidth(candidate) <= width) return candidate
+        chars.pop()
+    }
+    return tokenizeRichRuns(source.length ? [{ ...source[0], text: ELLIPSIS }] : [], measureWidth)
+}
+
+/**
+ * Places rich-text tokens for `textAlign` (copy of `RichTextUtils.positionTokens`).
+ * @param {{ tokens: Array<object>, textAlign: string, blockAdvance: number, isLastLine: boolean }} options
+ * @returns {{ tokens: Array<object>, offsetX: number, extraWidth: number }}
+ */
+function positionRichTokens({ tokens, textAlign, blockAdvance, isLastLine }) {
+    const source = Array.isArray(tokens) ? tokens : []
+    const spareWidth = Math.max(0, Number(blockAdvance || 0) - richLineWidth(source))
+    const mode = String(textAlign || 'left')
+    const firstWord = source.findIndex((token) => token.text !== ' ')
+    const gaps = source.filter((token, index) => index > firstWord && token.text === ' ').length
+    const justify = mode === 'justify' && !isLastLine && gaps > 0 && spareWidth > 0
+    const gapExtra = justify ? spareWidth / gaps : 0
+    const offsetX = justify ? 0 : mode === 'center' ? spareWidth / 2 : mode === 'right' ? spareWidth : 0
+    let cursorX = offsetX
+    const placed = source.map((token, index) => {
+        const entry = { ...token, x: cursorX }
+        cursorX += Number(token.width || 0) + (index > firstWord && token.text === ' ' ? gapExtra : 0)
+        return entry
+    })
+    return { tokens: placed, offsetX, extraWidth: justify ? spareWidth : 0 }
+}
@@ -2,12 +2,20 @@
 //
 // SPDX-License-Identifier: AGPL-3.0-or-later
 
-const PLACEHOLDER_PATTERN = /\{\{\s*([A-Za-z_][A-Za-z0-9_]*)\s*\}\}/g
+const PLACEHOLDER_PATTERN = /\{\{\s*([A-Za-z_][A-Za-z0-9_]*(?:[+-]\d+[A-Za-z]+)?)\s*((?:\|(?:'[^']*'|"[^"]*"|[^'"{}])*)?)\}\}/g
 const QR_FEED_PADDING_DOTS = 10
 
+// Text measurement and text block rendering (`resolveTextMetrics`, `renderTextFlowBlock`).
+importScripts('./PrintPageTextSupport.mjs')
+// Placeholder filters and row conditions (`parseTemplateFilters`, `applyTemplateFilters`, `isVisibleForParameterValues`).
+importScripts('./PrintPageTemplateSupport.mjs')
+
 /** @type {boolean} */
 let codeRuntimesLoaded = false
 
+/** @type {Map<string, { face: FontFace, dataUrl: string }>} */
+const registeredCustomFonts = new Map()
+
 /**
  * Handles incoming print-page rendering requests.
  * @param {MessageEvent<any>} event
@@ -41,6 +49,31 @@ function ensureCodeRuntimes() {
     codeRuntimesLoaded = true
 }
 
+/**
+ * Registers uploaded project fonts in the worker font set so text renders with the same glyphs as the preview
+ * (copy of `CustomFontUtils.registerFonts`).
+ * @param {Array<{ family: string, dataUrl: string }>} fonts
+ * @returns {Promise<void>}
+ */
+async function registerCustomFonts(fonts) {
+    const fontSet = globalThis.fonts
+    if (!fontSet || typeof FontFace !== 'function') return
+    for (const font of fonts) {
+        const key = font.family.toLocaleLowerCase()
+        const previous = registeredCustomFonts.get(key)
+        if (previous?.dataUrl === font.dataUrl) continue
+        try {
+            const face = new FontFace(font.family, `url(${font.dataUrl})`)
+            await face.load()
+            if (previous) fontSet.delete(previous.face)
+            fontSet.add(face)
+            registeredCustomFonts.set(key, { face, dataUrl: font.dataUrl })
+        } catch (_error) {
+            // Broken font data falls back to the default family instead of failing the page.
+        }
+    }
+}
+
 /**
  * Posts a successful response.
  * @param {number} requestId
@@ -83,6 +116,7 @@ async function renderPrintPage(payload) {
     const pageIndex = Math.max(0, Math.round(Number(payload?.pageIndex) || 0))
     const state = normalizeStateSnapshot(payload?.stateSnapshot)
     assertSupportedStateForWorker(state)
+    await registerCustomFonts(state.customFonts)
     const parameterValues = normalizeParameterValues(payload?.parameterValues)
 
     const media = state.media
@@ -115,23 +149,42 @@ async function renderPrintPage(payload) {
     const blocks = []
 
     for (const item of state.items) {
+        // Items whose `visibleWhen` condition fails for this row are skipped, so the flow closes the gap.
+        if (!isVisibleForParameterValues(item.visibleWhen, parameterValues)) continue
         if (item.type === 'text') {
-            const resolvedText = resolveTemplateString(item.text || '', parameterValues)
+            const resolvedText = resolveTemplateString(item.text || '', parameterValues, item.richText ? escapeRichTextMarkup : undefined)
             const family = item.fontFamily || 'sans-serif'
             const requestedSizeDots = Math.round((Number(item.fontSize) || 16) * textDotScale)
+            const stacked = item.textDirection === 'stacked'
+            const textEffect = String(item.textEffect || 'none')
+            const effectPadding =
+                textEffect === 'inverted' || textEffect === 'box' ? Math.max(0, Math.round(Number(item.textEffectPadding ?? 4) || 0)) : 0
+            const letterSpacing = stacked ? 0 : (Number(item.letterSpacing) || 0) * textDotScale
             const metrics = resolveTextMetrics({
                 ctx: measureCtx,
                 text: resolvedText,
                 family,
                 requestedSize: requestedSizeDots,
-                maxHeight: maxFontDots,
+                maxHeight: (stacked && !isHorizontal ? Number.POSITIVE_INFINITY : maxFontDots) - effectPadding * 2,
                 bold: Boolean(item.textBold),
-                italic: Boolean(item.textItalic)
+                italic: Boolean(item.textItalic),
+                fontWeight: item.fontWeight,
+                fontWidth: item.fontWidth,
+                boxWidth: item.boxWidth,
+                maxWidth: isHorizontal ? 0 : Math.max(1, printWidth - effectPadding * 2),
+                overflow: String(item.overflow || 'none'),
+                minSize: Math.round((Number(item.minFontSize) || 6) * textDotScale),
+                richText: Boolean(item.richText),
+                baseFontSize: Number(item.fontSize) || 16,
+                direction: stacked ? 'stacked' : 'horizontal',
+                stackSpacing: item.stackSpacing ?? 2,
+                letterSpacing,
+                lineHeight: Number(item.lineHeight) || 0
             })
             const textTotalHeight = Math.max(1, metrics.totalHeight * textVerticalScale)
-            const span = isHorizontal
-                ? Math.max(metrics.advanceWidth, textTotalHeight)
-                : Math.max(textTotalHeight + 4, textTotalHeight)
+            const span =
+                (isHorizontal ? Math.max(metrics.advanceWidth, textTotalHeight) : Math.max(textTotalHeight + 4, textTotalHeight)) +
+                effectPadding * 2
             blocks.push({
                 ref: item,
                 type: 'text',
@@ -145,6 +198,14 @@ async function renderPrintPage(payload) {
                 textVerticalScale,
                 textLines: metrics.lines,
                 textLineMetrics: metrics.lineMetrics,
+                textParagraphEnds: metrics.paragraphEnds,
+                textBoxWidth: normalizeBoxWidth(item.boxWidth),
+                textOverflow: String(item.overflow || 'none'),
+                textStacked: stacked,
+                textEffect,
+                textEffectPadding: effectPadding,
+                textEffectRadius: Math.max(0, Number(item.textEffectRadius) || 0),
+                textLetterSpacing: letterSpacing,
                 textLineGap: metrics.lineGap,
                 ascent: metrics.ascent * textVerticalScale,
                 descent: metrics.descent * textVerticalScale,
@@ -245,6 +306,7 @@ async function renderPrintPage(payload) {
  *  orientation: 'horizontal' | 'vertical',
  *  mediaLengthMm: number | null,
  *  items: Array<Record<string, any>>,
+ *  customFonts: Array<{ family: string, dataUrl: string }>,
  *  referencePrintAreaDots: number,
  *  referenceWidthMm: number
  * }}
@@ -262,7 +324,11 @@ function normalizeStateSnapshot(stateSnapshot) {
         resolution,
         orientation,
         mediaLengthMm: Number.isFinite(mediaLengthMm) && mediaLengthMm > 0 ? mediaLengthMm : null,
-        items: Array.isArray(safeState.items) ? safeState.items : [],
+        // Hidden items stay in the project but are never printed.
+        items: Array.isArray(safeState.items) ? safeState.items.filter((item) => !item?.hidden) : [],
+        customFonts: Array.isArray(safeState.customFonts)
+            ? safeState.customFonts.filter((font) => String(font?.family || '').trim() && String(font?.dataUrl || '').startsWith('data:'))
+            : [],
         referencePrintAreaDots: Number(safeState.referencePrintAreaDots) || 64,
         referenceWidthMm: Number(safeState.referenceWidthMm) || 9
     }
@@ -285,32 +351,36 @@ function assertSupportedStateForWorker(state) {
 }
 
 /**
- * Normalizes worker parameter value payload.
+ * Normalizes worker parameter value payload; built-in date values keep their ISO and locale text.
  * @param {unknown} value
- * @returns {Record<string, string>}
+ * @returns {Record<string, string | { iso: string, text: string }>}
  */
 function normalizeParameterValues(value) {
     if (!value || typeof value !== 'object' || Array.isArray(value)) return {}
     const normalized = {}
     Object.entries(value).forEach(([key, entry]) => {
-        normalized[String(key)] = stringifyValue(entry)
+        normalized[String(key)] = isDatePlaceholderValue(entry) ? { iso: entry.iso, text: entry.text } : stringifyValue(entry)
     })
     return normalized
 }
 
 /**
- * Resolves template placeholders with provided values.
+ * Resolves template placeholders with provided values and applies their filters.
  * @param {string} template
- * @param {Record<string, string>} values
+ * @param {Record<string, string | { iso: string, text: string }>} values
+ * @param {(value: string) => string} [escapeValue] Runs on the filtered value, for example to escape rich-text markup.
  * @returns {string}
  */
-function resolveTemplateString(template, values) {
+function resolveTemplateString(template, values, escapeValue = (value) => value) {
     const text = String(template || '')
-    return text.replace(PLACEHOLDER_PATTERN, (_full, placeholderName) => {
+    return text.replace(PLACEHOLDER_PATTERN, (full, placeholderName, filterChain) => {
         if (Object.hasOwn(values || {}, placeholderName)) {
-            return stringifyValue(values[placeholderName])
+            const rawValue = values[placeholderName]
+            const filters = parseTemplateFilters(filterChain)
+            const value = isDatePlaceholderValue(rawValue) ? selectDatePlaceholderInput(rawValue, filters) : stringifyValue(rawValue)
+            return escapeValue(filters.length ? applyTemplateFilters(value, filters) : value)
         }
-        return `{{${placeholderName}}}`
+        return filterChain ? full : `{{${placeholderName}}}`
     })
 }
 
@@ -421,68 +491,6 @@ function clampQrSizeToLabel(state, value) {
     return Math.max(1, Math.min(maxSize, Math.round(safeValue)))
 }
 
-/**
- * Renders one text block.
- * @param {{
- *  ctx: OffscreenCanvasRenderingContext2D,
- *  canvas: OffscreenCanvas,
- *  block: any,
- *  flowCursor: number,
- *  feedPadStart: number,
- *  isHorizontal: boolean,
- *  textDotScale: number,
- *  maxFontDots: number
- * }} options
- */
-function renderTextFlowBlock({ ctx, canvas, block, flowCursor, feedPadStart, isHorizontal, textDotScale, maxFontDots }) {
-    const item = block.ref
-    const resolvedSize =
-        block.fontSizeDots || Math.min(Math.max(8, Math.round((Number(item.fontSize) || 16) * textDotScale)), maxFontDots)
-    ctx.font = buildTextFontDeclaration({
-        size: resolvedSize,
-        family: block.family || item.fontFamily || 'sans-serif',
-        bold: Boolean(item.textBold),
-        italic: Boolean(item.textItalic)
-    })
-    ctx.textBaseline = 'alphabetic'
-
-    const verticalScale = Number.isFinite(block.textVerticalScale) ? block.textVerticalScale : 1
-    const textLines = Array.isArray(block.textLines) && block.textLines.length ? block.textLines : [block.resolvedText || '']
-    const lineMetrics = Array.isArray(block.textLineMetrics) ? block.textLineMetrics : []
-    const scaledLineGap = Math.max(0, Number(block.textLineGap || 0) * verticalScale)
-    const fallbackAscent = Math.max(1, Number(block.ascent || resolvedSize * verticalScale))
-    const fallbackDescent = Math.max(0, Number(block.descent || 0))
-    const yAdjust = Number(item.yOffset || 0)
-
-    const drawX = isHorizontal ? flowCursor + Number(item.xOffset || 0) : Number(item.xOffset || 0)
-
-    const blockHeight = Math.max(1, Number(block.textTotalHeight || fallbackAscent + fallbackDescent))
-    const blockTop = isHorizontal
-        ? (canvas.height - blockHeight) / 2 + yAdjust
-        : flowCursor + Math.max(0, (Math.max(1, Number(block.span || blockHeight)) - blockHeight) / 2 + yAdjust)
-
-    let cursorY = blockTop
-    textLines.forEach((line, index) => {
-        const metric = lineMetrics[index]
-        const lineAscent = Math.max(1, Number(metric?.ascent || fallbackAscent / Math.max(1, verticalScale)))
-        const lineDescent = Math.max(0, Number(metric?.descent || fallbackDescent / Math.max(1, verticalScale)))
-        const scaledAscent = lineAscent * verticalScale
-        const scaledDescent = lineDescent * verticalScale
-        const baselineY = cursorY + scaledAscent
-
-        ctx.save()
-        ctx.translate(drawX, baselineY)
-        ctx.scale(1, verticalScale)
-        ctx.fillText(String(line || ''), 0, 0)
-        ctx.restore()
-
-        cursorY += scaledAscent + scaledDescent
-        if (index < textLines.length - 1) {
-            cursorY += scaledLineGap
-        }
-    })
-}
-
 /**
  * Renders one QR block.
  * @param {{
@@ -791,147 +799,6 @@ function normalizeBoolean(value, fallback) {
     return fallback
 }
 
-/**
- * Builds a canvas font declaration.
- * @param {{ size: number, family: string, bold?: boolean, italic?: boolean }} options
- * @returns {string}
- */
-function buildTextFontDeclaration({ size, family, bold = false, italic = false }) {
-    const safeSize = Math.max(1, Math.round(Number(size) || 1))
-    const safeFamily = String(family || 'sans-serif')
-    const style = italic ? 'italic ' : ''
-    const weight = bold ? '700 ' : ''
-    return `${style}${weight}${safeSize}px ${safeFamily}`.trim()
-}
-
-/**
- * Resolves text metrics while constraining rendered height.
- * @param {{
- *  ctx: OffscreenCanvasRenderingContext2D,
- *  text: string,
- *  family: string,
- *  requestedSize: number,
- *  maxHeight: number,
- *  bold?: boolean,
- *  italic?: boolean
- * }} options
- * @returns {{
- *  size: number,
- *  advanceWidth: number,
- *  ascent: number,
- *  descent: number,
- *  inkLeft: number,
- *  inkWidth: number,
- *  lineGap: number,
- *  lines: string[],
- *  lineMetrics: Array<{ text: string, advanceWidth: number, ascent: number, descent: number, inkLeft: number, inkWidth: number }>,
- *  totalHeight: number
- * }}
- */
-function resolveTextMetrics({ ctx, text, family, requestedSize, maxHeight, bold = false, italic = false }) {
-    const limit = Math.max(4, maxHeight)
-    const lines = normalizeTextLines(text)
-    let size = Math.min(Math.max(4, requestedSize), limit * 3)
-    let metrics = measureTextLines(ctx, lines, size, family, bold, italic)
-    while (metrics.height > limit && size > 4) {
-        size -= 1
-        metrics = measureTextLines(ctx, lines, size, family, bold, italic)
-    }
-    return {
-        size,
-        advanceWidth: metrics.advanceWidth,
-        ascent: metrics.ascent,
-        descent: metrics.descent,
-        inkLeft: metrics.inkLeft,
-        inkWidth: metrics.inkWidth,
-        lineGap: metrics.lineGap,
-        lines,
-        lineMetrics: metrics.lineMetrics,
-        totalHeight: metrics.height
-    }
-}
-
-/**
- * Normalizes text into drawable lines.
- * @param {string} text
- * @returns {string[]}
- */
-function normalizeTextLines(text) {
-    const lines = String(text || '').replace(/\r/g, '').split('\n')
-    return lines.length ? lines : ['']
-}
-
-/**
- * Measures line-level text metrics.
- * @param {OffscreenCanvasRenderingContext2D} ctx
- * @param {string[]} lines
- * @param {number} size
- * @param {string} family
- * @param {boolean} bold
- * @param {boolean} italic
- * @returns {{
- *  advanceWidth: number,
- *  height: number,
- *  ascent: number,
- *  descent: number,
- *  inkLeft: number,
- *  inkWidth: number,
- *  lineGap: number,
- *  lineMetrics: Array<{ text: string, advanceWidth: number, ascent: number, descent: number, inkLeft: number, inkWidth: number }>
- * }}
- */
-function measureTextLines(ctx, lines, size, family, bold, italic) {
-    ctx.font = buildTextFontDeclaration({ size, family, bold, italic })
-    const safeLines = Array.isArray(lines) && lines.length ? lines : ['']
-    const lineGap = safeLines.length > 1 ? Math.max(1, Math.round(size * 0.22)) : 0
-
-    const lineMetrics = safeLines.map((lineText) => {
-        const measured = ctx.measureText(String(lineText || ''))
-        const ascent = Number.isFinite(measured.actualBoundingBoxAscent)
-            ? measured.actualBoundingBoxAscent
-            : size * 0.8
-        const descent = Number.isFinite(measured.actualBoundingBoxDescent)
-            ? measured.actualBoundingBoxDescent
-            : size * 0.2
-        const inkLeft = Number.isFinite(measured.actualBoundingBoxLeft) ? measured.actualBoundingBoxLeft : 0
-        const inkRight = Number.isFinite(measured.actualBoundingBoxRight)
-            ? measured.actualBoundingBoxRight
-            : measured.width
-        const clampedInkLeft = Math.max(0, inkLeft)
-        const clampedInkWidth = Math.max(1, Math.max(clampedInkLeft, inkRight) - clampedInkLeft)
-        return {
-            text: String(lineText || ''),
-            advanceWidth: Math.max(1, measured.width),
-            ascent: Math.max(1, ascent),
-            descent: Math.max(0, descent),
-            inkLeft: clampedInkLeft,
-            inkWidth: clampedInkWidth
-        }
-    })
-
-    const advanceWidth = lineMetrics.reduce((maxValue, metric) => Math.max(maxValue, metric.advanceWidth), 1)
-    const inkLeft = lineMetrics.reduce((minValue, metric) => Math.min(minValue, metric.inkLeft), Infinity)
-    const rightMostInk = lineMetrics.reduce(
-        (maxValue, metric) => Math.max(maxValue, metric.inkLeft + metric.inkWidth),
-        0
-    )
-    const ascent = lineMetrics.reduce((maxValue, metric) => Math.max(maxValue, metric.ascent), 1)
-    const descent = lineMetrics.reduce((maxValue, metric) => Math.max(maxValue, metric.descent), 0)
-    const lineHeightSum = lineMetrics.reduce((sum, metric) => sum + metric.ascent + metric.descent, 0)
-    const height = Math.max(1, lineHeightSum + lineGap * Math.max(0, safeLines.length - 1))
-
-    return {
-        advanceWidth,
-        height,
-        ascent,
-        descent,
-        inkLeft: Number.isFinite(inkLeft) ? inkLeft : 0,
-        inkWidth: Math.max(1, rightMostInk - (Number.isFinite(inkLeft) ? inkLeft : 0)),
-        lineGap,
-        lineMetrics
-    }
-}
-
 globalThis.onmessage = (event) => {
     void handleWorkerMessage(event)
 }
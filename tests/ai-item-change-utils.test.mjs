@@ -65,4 +65,37 @@ describe('ai-item-change-utils', () => {
         assert.equal(AiItemChangeUtils.changesContainExplicitPlacement({ positionMode: 'absolute' }), true)
         assert.equal(AiItemChangeUtils.changesContainExplicitPlacement({ positionMode: 'flow' }), false)
     })
+
+    it('applies numeric font weights without toggling bold', () => {
+        const item = {
+            id: 'text-4',
+            type: 'text',
+            text: 'Example',
+            textBold: false,
+            fontWeight: 400
+        }
+        const changedKeys = AiItemChangeUtils.applyItemChanges({
+            item,
+            rawChanges: { fontWeight: 300 },
+            state: {},
+            shapeTypeIds: []
+        })
+
+        assert.deepEqual(changedKeys, ['fontWeight'])
+        assert.equal(item.fontWeight, 300)
+        assert.equal(item.textBold, false)
+    })
+
+    it('maps bold and normal font weight keywords to textBold', () => {
+        const item = { id: 'text-5', type: 'text', text: 'Example', textBold: false, fontWeight: 400 }
+        AiItemChangeUtils.applyItemChanges({ item, rawChanges: { font_weight: 'bold' }, state: {}, shapeTypeIds: [] })
+        assert.equal(item.textBold, true)
+        assert.equal(item.fontWeight, 400)
+
+        AiItemChangeUtils.applyItemChanges({ item, rawChanges: { style: { fontWeight: 'normal' } }, state: {}, shapeTypeIds: [] })
+        assert.equal(item.textBold, false)
+
+        AiItemChangeUtils.applyItemChanges({ item, rawChanges: { style: { fontWeight: 600 } }, state: {}, shapeTypeIds: [] })
+        assert.equal(item.fontWeight, 600)
+    })
 })
@@ -61,3 +61,49 @@ describe('computeAlignmentDelta', () => {
         assert.deepEqual(AlignmentUtils.computeAlignmentDelta(bounds, reference, 'bottom'), { deltaX: 0, deltaY: 32 })
     })
 })
+
+describe('computeDistributionDeltas', () => {
+    const rects = [
+        { x: 40, y: 0, width: 10, height: 10 },
+        { x: 0, y: 0, width: 10, height: 10 },
+        { x: 90, y: 0, width: 30, height: 10 }
+    ]
+
+    it('keeps the outer items fixed and equalizes the gaps', () => {
+        const deltas = AlignmentUtils.computeDistributionDeltas(rects, 'distribute-horizontal')
+        assert.deepEqual(deltas, [
+            { deltaX: 5, deltaY: 0 },
+            { deltaX: 0, deltaY: 0 },
+            { deltaX: 0, deltaY: 0 }
+        ])
+    })
+
+    it('equalizes the spacing between centers', () => {
+        const deltas = AlignmentUtils.computeDistributionDeltas(rects, 'distribute-centers-horizontal')
+        assert.deepEqual(deltas[0], { deltaX: 10, deltaY: 0 })
+    })
+
+    it('distributes on the vertical axis', () => {
+        const vertical = rects.map((rect) => ({ x: rect.y, y: rect.x, width: rect.height, height: rect.width }))
+        const deltas = AlignmentUtils.computeDistributionDeltas(vertical, 'distribute-vertical')
+        assert.deepEqual(deltas[0], { deltaX: 0, deltaY: 5 })
+    })
+})
+
+describe('match size and selection rules', () => {
+    it('computes the scale that matches the reference width or height', () => {
+        const bounds = { x: 0, y: 0, width: 10, height: 20 }
+        const reference = { x: 0, y: 0, width: 30, height: 10 }
+        assert.equal(AlignmentUtils.computeMatchSizeScale(bounds, reference, 'match-width'), 3)
+        assert.equal(AlignmentUtils.computeMatchSizeScale(bounds, reference, 'match-height'), 0.5)
+    })
+
+    it('resolves the minimum selection and failure messages per mode', () => {
+        assert.equal(AlignmentUtils.resolveMinimumSelection('left', 'label'), 1)
+        assert.equal(AlignmentUtils.resolveMinimumSelection('match-width', 'largest'), 2)
+        assert.equal(AlignmentUtils.resolveMinimumSelection('distribute-vertical', 'label'), 3)
+        assert.equal(AlignmentUtils.resolveFailureMessageKey('need-three'), 'messages.selectAtLeastThree')
+        assert.equal(AlignmentUtils.resolveFailureMessageKey('unknown'), 'messages.nothingToAlign')
+        assert.equal(AlignmentUtils.ALIGN_MODES.length, 12)
+    })
+})
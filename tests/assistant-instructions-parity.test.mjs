@@ -26,7 +26,29 @@ const REQUIRED_SHARED_INSTRUCTION_LINES = [
     'For heading/value inventory labels with a right-side QR (for example Artikelname/Artikelnummer/Lagerplatz), build a two-column layout: left stacked text rows and a right QR block.',
     'Keep left text rows in strict top-to-bottom order with visible gaps; avoid row overlap and avoid clipping the last row.',
     'If space is tight in this style, reduce QR size first before shrinking text, while keeping all text content unchanged.',
-    'For heading/value inventory labels with a right-side QR, if the top heading row is underlined, keep its immediate value row underlined as well (for example Artikelname: and its value).'
+    'For heading/value inventory labels with a right-side QR, if the top heading row is underlined, keep its immediate value row underlined as well (for example Artikelname: and its value).',
+    'Multiline text items support textAlign (left, center, right, justify); use it instead of padding lines with spaces.',
+    'Set boxWidth (dots, 0 = auto) on text items to word-wrap long text into a fixed-width box instead of inserting manual line breaks.',
+    'To style only part of a text (for example "Room: **A-101**"), set richText: true on the text item and use **bold**, *italic*, __underline__, [size=N]…[/size] or [font=Name]…[/font] markup instead of separate text items.',
+    'On narrow tapes such as W6, condense text with a negative letterSpacing and a lineHeight around 1 before lowering fontSize; wide tapes can use a positive letterSpacing for open tracking.',
+    'Set overflow to "shrink" (with minFontSize), "ellipsis" or "clip" on text items whose placeholder values vary in length per row.',
+    'For vertical lettering down a narrow label, set textDirection: "stacked" on the text item (stackSpacing adjusts the gap between glyphs) instead of rotating it or splitting it into one item per letter.',
+    'For white-on-black, outlined or framed text, set textEffect ("inverted", "outline" or "box") with textEffectPadding/textEffectRadius on the text item instead of placing a filled shape under it; the frame follows the text length per row.',
+    'For variable fonts, set fontWeight (100-900, for example 300 for light) and fontWidth (percent, for example 75 for condensed) on text items; textBold only toggles a bold face.'
+]
+const TEXT_ITEM_PROPERTY_KEYS = [
+    'fontWeight',
+    'fontWidth',
+    'richText',
+    'textAlign',
+    'letterSpacing',
+    'lineHeight',
+    'boxWidth',
+    'overflow',
+    'minFontSize',
+    'textDirection',
+    'stackSpacing',
+    'textEffect'
 ]
 const REMOVED_LEGACY_QR_LINE =
     'For visual reconstruction, prefer one multiline text item for the left stacked content plus one QR item on the right, unless the user explicitly requests separate text objects.'
@@ -63,6 +85,20 @@ describe('assistant instructions parity', () => {
         })
     })
 
+    it('lists the same text item properties in add_item and update_item descriptions of both backends', async () => {
+        const sources = await Promise.all([readFile('src/server.mjs', 'utf8'), readFile('api/chat.php', 'utf8')])
+        sources.forEach((source, index) => {
+            const backend = index === 0 ? 'Node' : 'PHP'
+            ;[/'(Initial item properties\.[^']*)'/, /'(Property patch\.[^']*)'/].forEach((pattern) => {
+                const description = source.match(pattern)?.[1] || ''
+                assert.notEqual(description, '', `expected ${backend} tool description matching ${pattern}`)
+                TEXT_ITEM_PROPERTY_KEYS.forEach((key) => {
+                    assert.equal(description.includes(key), true, `expected ${backend} description "${description}" to mention ${key}`)
+                })
+            })
+        })
+    })
+
     it('removes obsolete PHP-only QR reconstruction instruction', async () => {
         const phpSource = await readFile('api/chat.php', 'utf8')
         assert.equal(
@@ -0,0 +1,167 @@
+// SPDX-FileCopyrightText: 2026 André Fiedler
+//
+// SPDX-License-Identifier: AGPL-3.0-or-later
+
+import assert from 'node:assert/strict'
+import { readFile } from 'node:fs/promises'
+import { describe, it } from 'node:test'
+import { CustomFontUtils } from '../src/CustomFontUtils.mjs'
+import { ProjectIoUtils } from '../src/ProjectIoUtils.mjs'
+
+const ttfBytes = new Uint8Array([0, 1, 0, 0, 0, 12, 0, 128])
+const woff2Bytes = new Uint8Array([0x77, 0x4f, 0x46, 0x32, 0, 1, 0, 0])
+const defaultState = {
+    media: 'W9',
+    resolution: 'LOW',
+    orientation: 'horizontal',
+    backend: 'usb',
+    printer: 'P700',
+    ble: {},
+    parameters: [],
+    customFontLinks: [],
+    customFonts: [],
+    items: []
+}
+
+/**
+ * Creates a FontFaceSet double that records added and deleted faces.
+ * @returns {{ faces: Set<object>, add: (face: object) => void, delete: (face: object) => void }}
+ */
+function createFontSet() {
+    const faces = new Set()
+    return {
+        faces,
+        add: (face) => faces.add(face),
+        delete: (face) => faces.delete(face)
+    }
+}
+
+/**
+ * FontFace double that fails to load sources containing `broken`.
+ */
+class FakeFontFace {
+    /**
+     * @param {string} family
+     * @param {string} source
+     */
+    constructor(family, source) {
+        this.family = family
+        this.source = source
+    }
+
+    /**
+     * @returns {Promise<FakeFontFace>}
+     */
+    async load() {
+        if (this.source.includes('broken')) throw new Error('invalid font data')
+        return this
+    }
+}
+
+describe('custom-font-utils', () => {
+    it('detects supported formats from the file signature', () => {
+        assert.equal(CustomFontUtils.detectFormat(ttfBytes), 'truetype')
+        assert.equal(CustomFontUtils.detectFormat(new TextEncoder().encode('OTTO....')), 'opentype')
+        assert.equal(CustomFontUtils.detectFormat(woff2Bytes), 'woff2')
+        assert.equal(CustomFontUtils.detectFormat(new TextEncoder().encode('wOFF....')), '')
+        assert.equal(CustomFontUtils.detectFormat(new Uint8Array([0, 1])), '')
+    })
+
+    it('creates embedded entries with a family derived from the file name', () => {
+        const font = CustomFontUtils.createFontEntry({ fileName: 'Inter_Display-Bold.woff2', bytes: woff2Bytes })
+        assert.equal(font.family, 'Inter Display Bold')
+        assert.equal(font.format, 'woff2')
+        assert.equal(font.embed, true)
+        assert.equal(font.dataUrl, `data:font/woff2;base64,${Buffer.from(woff2Bytes).toString('base64')}`)
+        assert.equal(CustomFontUtils.familyFromFileName('.ttf'), 'Uploaded Font')
+    })
+
+    it('rejects unsupported and oversized files', () => {
+        assert.throws(
+            () => CustomFontUtils.createFontEntry({ fileName: 'logo.png', bytes: new Uint8Array([137, 80, 78, 71]) }),
+            /TTF, OTF and WOFF2/
+        )
+        const oversized = new Uint8Array(CustomFontUtils.MAX_FONT_BYTES + 1)
+        oversized.set(ttfBytes)
+        assert.throws(() => CustomFontUtils.createFontEntry({ fileName: 'big.ttf', bytes: oversized }), /must not exceed 4 MB/)
+    })
+
+    it('embeds only fonts marked for embedding in project payloads', () => {
+        const embedded = CustomFontUtils.createFontEntry({ fileName: 'Label.ttf', bytes: ttfBytes })
+        const local = CustomFontUtils.createFontEntry({ fileName: 'Local.ttf', bytes: ttfBytes, embed: false })
+        const payload = ProjectIoUtils.buildProjectPayload({ ...defaultState, customFonts: [embedded, local] })
+        assert.deepEqual(
+            payload.customFonts.map((font) => [font.family, font.embed, Boolean(font.dataUrl)]),
+            [
+                ['Label', true, true],
+                ['Local', false, false]
+            ]
+        )
+        const { state } = ProjectIoUtils.normalizeProjectState(payload, defaultState)
+        assert.deepEqual(state.customFonts, payload.customFonts)
+    })
+
+    it('leaves fonts beyond the share size limit out of share URLs', () => {
+        const small = CustomFontUtils.createFontEntry({ fileName: 'Small.ttf', bytes: ttfBytes })
+        const largeBytes = new Uint8Array(CustomFontUtils.MAX_SHARE_FONT_BYTES)
+        largeBytes.set(ttfBytes)
+        const large = CustomFontUtils.createFontEntry({ fileName: 'Large.ttf', bytes: largeBytes })
+        const local = CustomFontUtils.createFontEntry({ fileName: 'Local.ttf', bytes: ttfBytes, embed: false })
+        assert.equal(CustomFontUtils.estimateDataUrlBytes(small.dataUrl), ttfBytes.length)
+        assert.equal(CustomFontUtils.estimateDataUrlBytes(large.dataUrl), CustomFontUtils.MAX_SHARE_FONT_BYTES)
+
+        const { fonts, skippedFamilies } = CustomFontUtils.toShareFonts([small, large, local])
+        assert.deepEqual(
+            fonts.map((font) => [font.family, font.embed, Boolean(font.dataUrl)]),
+            [
+                ['Small', true, true],
+                ['Large', true, false],
+                ['Local', false, false]
+            ]
+        )
+        assert.deepEqual(skippedFamilies, ['Large'])
+        assert.deepEqual(CustomFontUtils.toShareFonts([large]).skippedFamilies, [])
+    })
+
+    it('normalizes entries and lets later uploads replace the same family', () => {
+        const fonts = CustomFontUtils.normalizeFonts([
+            { family: 'Label', dataUrl: 'data:font/ttf;base64,AAA=' },
+            null,
+            { family: ' ' },
+            { family: 'label', format: 'woff2', dataUrl: 'https://example.com/font.woff2' }
+        ])
+        assert.deepEqual(fonts, [{ family: 'label', fileName: '', format: 'woff2', embed: true, dataUrl: '' }])
+    })
+
+    it('registers fonts once per font set and skips broken data', async () => {
+        const fontSet = createFontSet()
+        const targets = { fontSet, FontFaceClass: FakeFontFace }
+        const fonts = [
+            { family: 'Label', dataUrl: 'data:font/ttf;base64,AAA=' },
+            { family: 'Broken', dataUrl: 'data:font/ttf;base64,broken' },
+            { family: 'Missing', dataUrl: '' }
+        ]
+        assert.deepEqual(await CustomFontUtils.registerFonts(fonts, targets), ['Label'])
+        assert.deepEqual(await CustomFontUtils.registerFonts(fonts, targets), ['Label'])
+        assert.equal(fontSet.faces.size, 1)
+        await CustomFontUtils.registerFonts([{ family: 'Label', dataUrl: 'data:font/ttf;base64,BBB=' }], targets)
+        assert.deepEqual(
+            Array.from(fontSet.faces, (face) => face.source),
+            ['url(data:font/ttf;base64,BBB=)']
+        )
+        assert.deepEqual(await CustomFontUtils.registerFonts(fonts, { fontSet: null, FontFaceClass: FakeFontFace }), [])
+    })
+
+    it('wires uploaded fonts into the editor, project loading and print workers', async () => {
+        const mainSource = await readFile('src/main.mjs', 'utf8')
+        const editorSource = await readFile('src/ui/ItemsEditor.mjs', 'utf8')
+        const textSupportSource = await readFile('src/ui/ItemsEditorTextSupport.mjs', 'utf8')
+        const printControllerSource = await readFile('src/ui/PrintController.mjs', 'utf8')
+        const printWorkerSource = await readFile('src/workers/PrintPageWorker.mjs', 'utf8')
+        assert.match(mainSource, /await this\.itemsEditor\.loadCustomFonts\(this\.state\.customFonts\)/)
+        assert.match(editorSource, /CustomFontUtils\.readFontFile\(file, \{ embed \}\)/)
+        assert.match(textSupportSource, /translate\('itemsEditor\.fontFileEmbed'\)/)
+        assert.match(printControllerSource, /customFonts: \(Array\.isArray\(this\.state\.customFonts\)/)
+        assert.match(printWorkerSource, /await registerCustomFonts\(state\.customFonts\)/)
+    })
+})
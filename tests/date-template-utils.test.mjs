@@ -0,0 +1,113 @@
+// SPDX-FileCopyrightText: 2026 André Fiedler
+//
+// SPDX-License-Identifier: AGPL-3.0-or-later
+
+import assert from 'node:assert/strict'
+import { readFile } from 'node:fs/promises'
+import { describe, it } from 'node:test'
+import { DateTemplateUtils } from '../src/DateTemplateUtils.mjs'
+import { ParameterTemplateUtils } from '../src/ParameterTemplateUtils.mjs'
+import { VisibilityConditionUtils } from '../src/VisibilityConditionUtils.mjs'
+import { ParameterPanel } from '../src/ui/ParameterPanel.mjs'
+
+const now = new Date(2026, 0, 31, 14, 5, 30)
+
+describe('date-template-utils', () => {
+    it('recognizes today, now and offsets', () => {
+        ;['today', 'now', 'today+7d', 'today-1w', 'now+2h', 'today+12m', 'today+1y'].forEach((name) => {
+            assert.equal(DateTemplateUtils.isDatePlaceholder(name), true, name)
+        })
+        ;['todays', 'today+7', 'today+2x', 'Now', 'tomorrow'].forEach((name) => {
+            assert.equal(DateTemplateUtils.isDatePlaceholder(name), false, name)
+        })
+    })
+
+    it('resolves offsets relative to the job time', () => {
+        const iso = (name) => {
+            const date = DateTemplateUtils.resolveDate(name, now)
+            const pad = (value) => String(value).padStart(2, '0')
+            return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())} ${pad(date.getHours())}:${pad(date.getMinutes())}`
+        }
+        assert.equal(iso('today'), '2026-01-31 00:00')
+        assert.equal(iso('now'), '2026-01-31 14:05')
+        assert.equal(iso('today+7d'), '2026-02-07 00:00')
+        assert.equal(iso('today-1w'), '2026-01-24 00:00')
+        assert.equal(iso('today+1m'), '2026-02-28 00:00')
+        assert.equal(iso('today+1y'), '2027-01-31 00:00')
+        assert.equal(iso('now+10h'), '2026-02-01 00:05')
+        assert.equal(DateTemplateUtils.resolveDate('tomorrow', now), null)
+    })
+
+    it('formats values with the locale', () => {
+        assert.equal(DateTemplateUtils.formatPlaceholder('today', now, 'de'), '31.01.2026')
+        assert.equal(DateTemplateUtils.formatPlaceholder('today', now, 'en'), '01/31/2026')
+        assert.equal(DateTemplateUtils.formatPlaceholder('now', now, 'de'), '31.01.2026, 14:05')
+        assert.equal(DateTemplateUtils.formatPlaceholder('today+7d', now, 'not a locale!'), '02/07/2026')
+        assert.deepEqual(DateTemplateUtils.buildValueMap(['today+7d', 'sku', 'now'], { now, locale: 'de' }), {
+            'today+7d': { iso: '2026-02-07', text: '07.02.2026' },
+            now: { iso: '2026-01-31T14:05:30', text: '31.01.2026, 14:05' }
+        })
+    })
+
+    it('passes ISO dates to date filters under the de locale', () => {
+        const values = DateTemplateUtils.buildValueMap(['today', 'today+7d', 'now'], { now, locale: 'de' })
+        const resolve = (template) => ParameterTemplateUtils.resolveTemplateString(template, values)
+        assert.equal(resolve("{{today+7d|date:'YYYY-MM-DD'}}"), '2026-02-07')
+        assert.equal(resolve("{{now|date:'HH:mm'}}"), '14:05')
+        assert.equal(resolve("{{today|date:'D.M.YY'}}"), '31.1.26')
+        assert.equal(resolve('{{today}} / {{now|upper}}'), '31.01.2026 / 31.01.2026, 14:05')
+        assert.equal(VisibilityConditionUtils.isVisible({ parameter: 'today', operator: 'equals', value: '31.01.2026' }, values), true)
+    })
+
+    it('extracts offset placeholders and treats built-in dates as defined', () => {
+        assert.deepEqual(ParameterTemplateUtils.extractPlaceholders('Packed {{today}} / use by {{today+7d|upper}}'), ['today', 'today+7d'])
+        assert.equal(ParameterTemplateUtils.resolveTemplateString('Use by {{today+7d}}', { 'today+7d': '07.02.2026' }), 'Use by 07.02.2026')
+        const result = ParameterTemplateUtils.validateParameterSetup(
+            [],
+            [{ type: 'text', text: '{{today}} {{now+2h}} {{today+2x}}' }],
+            [{}]
+        )
+        assert.deepEqual(
+            result.errors.map((issue) => [issue.code, issue.placeholder || issue.parameterName]),
+            [
+                ['undefined-placeholder', 'today+2x'],
+                ['missing-row-parameter', 'today+2x']
+            ]
+        )
+    })
+
+    it('shares one timestamp per print job and lets parameters override built-ins', () => {
+        const state = {
+            items: [{ id: 'a', type: 'text', text: '{{today}} {{today+7d}} {{now}}' }],
+            parameters: [{ name: 'today', defaultValue: 'fixed' }],
+            parameterDataRows: [],
+            serialCounters: []
+        }
+        const panel = new ParameterPanel(
+            {},
+            state,
+            () => {},
+            () => {},
+            (key) => key,
+            { getLocale: () => 'de' }
+        )
+        const maps = panel.buildPrintParameterValueMaps(3)
+        assert.equal(maps.length, 3)
+        assert.equal(maps[0].today, 'fixed')
+        assert.match(maps[0]['today+7d'].text, /^\d{2}\.\d{2}\.\d{4}$/)
+        assert.match(maps[0]['today+7d'].iso, /^\d{4}-\d{2}-\d{2}$/)
+        assert.ok(maps.every((values) => values.now.iso === maps[0].now.iso && values['today+7d'].text === maps[0]['today+7d'].text))
+        assert.match(panel.getPreviewParameterValues().now.text, /^\d{2}\.\d{2}\.\d{4}, \d{2}:\d{2}$/)
+    })
+
+    it('matches offset placeholders in the print worker and passes the locale to the panel', async () => {
+        const workerSource = await readFile('src/workers/PrintPageWorker.mjs', 'utf8')
+        const mainSource = await readFile('src/main.mjs', 'utf8')
+        assert.match(workerSource, /\[A-Za-z_\]\[A-Za-z0-9_\]\*\(\?:\[\+-\]\\d\+\[A-Za-z\]\+\)\?/)
+        const supportSource = await readFile('src/workers/PrintPageTemplateSupport.mjs', 'utf8')
+        assert.match(workerSource, /isDatePlaceholderValue\(rawValue\) \? selectDatePlaceholderInput\(rawValue, filters\)/)
+        assert.match(workerSource, /isDatePlaceholderValue\(entry\) \? \{ iso: entry\.iso, text: entry\.text \}/)
+        assert.match(supportSource, /some\(\(filter\) => filter\?\.name === 'date'\) \? value\.iso : value\.text/)
+        assert.match(mainSource, /getLocale: \(\) => i18n\.locale/)
+    })
+})
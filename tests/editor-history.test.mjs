@@ -0,0 +1,223 @@
+// SPDX-FileCopyrightText: 2026 André Fiedler
+//
+// SPDX-License-Identifier: AGPL-3.0-or-later
+
+import assert from 'node:assert/strict'
+import { readFile } from 'node:fs/promises'
+import { describe, it } from 'node:test'
+import { EditorHistory } from '../src/EditorHistory.mjs'
+import { LabelPageUtils } from '../src/LabelPageUtils.mjs'
+
+/**
+ * Builds a minimal editor state for history tests.
+ * @param {Array<Record<string, any>>} items
+ * @returns {Record<string, any>}
+ */
+function createState(items = []) {
+    return {
+        media: 'W24',
+        mediaLengthMm: null,
+        resolution: 'LOW',
+        orientation: 'horizontal',
+        backend: 'usb',
+        parameters: [],
+        items
+    }
+}
+
+describe('editor-history', () => {
+    it('captures items without runtime fields and restores them in place', () => {
+        const state = createState([{ id: 'item-1', type: 'qr', data: 'A', _qrCache: { stale: true } }])
+        const snapshot = EditorHistory.captureState(state)
+        assert.equal(snapshot.includes('_qrCache'), false)
+
+        const itemsRef = state.items
+        state.items.push({ id: 'item-2', type: 'text', text: 'B' })
+        state.media = 'W9'
+        EditorHistory.restoreState(state, snapshot)
+        assert.equal(state.items, itemsRef)
+        assert.deepEqual(state.items, [{ id: 'item-1', type: 'qr', data: 'A' }])
+        assert.equal(state.media, 'W24')
+        assert.equal(state.backend, 'usb')
+    })
+
+    it('captures every label page but not which page is active', () => {
+        const state = createState([{ id: 'item-1', type: 'text', text: 'Front' }])
+        LabelPageUtils.addPage(state)
+        state.items.push({ id: 'item-2', type: 'text', text: 'Cable' })
+        const snapshot = EditorHistory.captureState(state)
+        LabelPageUtils.activatePage(state, 0)
+        assert.equal(EditorHistory.captureState(state), snapshot)
+
+        state.items.splice(0, state.items.length)
+        EditorHistory.restoreState(state, snapshot)
+        assert.equal(state.activeLabelIndex, 0)
+        assert.deepEqual(
+            state.items.map((item) => item.text),
+            ['Front']
+        )
+        assert.deepEqual(
+            state.labels[1].items.map((item) => item.text),
+            ['Cable']
+        )
+    })
+
+    it('undoes and redoes recorded steps', () => {
+        const history = new EditorHistory()
+        history.reset('a')
+        assert.equal(history.canUndo, false)
+        assert.equal(history.record('b'), true)
+        assert.equal(history.record('c'), true)
+        assert.equal(history.undo(), 'b')
+        assert.equal(history.undo(), 'a')
+        assert.equal(history.undo(), null)
+        assert.equal(history.redo(), 'b')
+        assert.equal(history.canRedo, true)
+        history.record('d')
+        assert.equal(history.canRedo, false)
+        assert.equal(history.undo(), 'b')
+    })
+
+    it('ignores unchanged snapshots', () => {
+        const history = new EditorHistory()
+        history.reset('a')
+        assert.equal(history.record('a'), false)
+        assert.equal(history.canUndo, false)
+    })
+
+    it('coalesces rapid control edits into one step', () => {
+        let now = 1000
+        const history = new EditorHistory({ coalesceMs: 500, now: () => now })
+        history.reset('a')
+        history.record('b', { coalesce: true })
+        now += 100
+        history.record('c', { coalesce: true })
+        now += 100
+        history.record('d', { coalesce: true })
+        assert.equal(history.undo(), 'a')
+        assert.equal(history.canUndo, false)
+
+        history.redo()
+        now += 2000
+        history.record('e', { coalesce: true })
+        assert.equal(history.undo(), 'd')
+    })
+
+    it('keeps a discrete edit right after a slider drag as its own undo step', () => {
+        let now = 1000
+        const history = new EditorHistory({ coalesceMs: 600, now: () => now })
+        const state = createState([
+            { id: 'item-1', type: 'text', text: 'A', fontSize: 10 },
+            { id: 'item-2', type: 'text', text: 'B', fontSize: 10 }
+        ])
+        history.reset(EditorHistory.captureState(state))
+        ;[12, 14].forEach((fontSize) => {
+            state.items[0].fontSize = fontSize
+            history.record(EditorHistory.captureState(state), { coalesce: true })
+            now += 50
+        })
+        state.items.splice(1, 1)
+        history.record(EditorHistory.captureState(state), { coalesce: false })
+
+        EditorHistory.restoreState(state, history.undo())
+        assert.deepEqual(
+            state.items.map((item) => [item.id, item.fontSize]),
+            [
+                ['item-1', 14],
+                ['item-2', 10]
+            ]
+        )
+        EditorHistory.restoreState(state, history.undo())
+        assert.equal(state.items[0].fontSize, 10)
+        assert.equal(history.canUndo, false)
+    })
+
+    it('coalesces only slider and typing changes of the items editor', async () => {
+        const editorSource = await readFile('src/ui/ItemsEditor.mjs', 'utf8')
+        const mainSource = await readFile('src/main.mjs', 'utf8')
+        assert.match(editorSource, /this\.#onChange = \(\) => handler\(\{ coalesce: this\.#continuousInput \}\)/)
+        assert.match(editorSource, /\(v\) => this\.#runContinuousInput\(\(\) => onInput\(v\)\)/)
+        assert.match(editorSource, /item\._qrCache = null\s*}\s*this\.#runContinuousInput\(this\.#onChange\)/)
+        assert.match(mainSource, /#handleStateChange\(historyOptions = \{\}\)/)
+        assert.match(mainSource, /#handleParameterChange\(historyOptions = \{\}\)/)
+    })
+
+    it('undoes serial counter edits but keeps numbers advanced by printing', async () => {
+        const history = new EditorHistory()
+        const state = {
+            ...createState(),
+            serialCounters: [{ name: 'serial', start: 1, step: 1, padding: 0, prefix: '', suffix: '', nextValue: 1 }]
+        }
+        history.reset(EditorHistory.captureState(state))
+        state.serialCounters[0] = { ...state.serialCounters[0], start: 100, step: 5, nextValue: 100 }
+        assert.equal(history.record(EditorHistory.captureState(state)), true)
+
+        state.serialCounters[0].nextValue = 130
+        assert.equal(history.record(EditorHistory.captureState(state), { untracked: true }), false)
+        state.items.push({ id: 'item-1', type: 'text', text: 'A' })
+        history.record(EditorHistory.captureState(state))
+
+        EditorHistory.restoreState(state, history.undo())
+        assert.equal(state.items.length, 0)
+        assert.equal(state.serialCounters[0].nextValue, 130)
+        EditorHistory.restoreState(state, history.undo())
+        assert.deepEqual([state.serialCounters[0].start, state.serialCounters[0].step, state.serialCounters[0].nextValue], [1, 1, 130])
+        assert.equal(history.canUndo, false)
+
+        const unprinted = { ...createState(), serialCounters: [{ name: 'serial', start: 1, step: 1, nextValue: 1 }] }
+        history.reset(EditorHistory.captureState(unprinted))
+        unprinted.serialCounters[0] = { ...unprinted.serialCounters[0], start: 50, nextValue: 50 }
+        history.record(EditorHistory.captureState(unprinted))
+        EditorHistory.restoreState(unprinted, history.undo())
+        assert.deepEqual([unprinted.serialCounters[0].start, unprinted.serialCounters[0].nextValue], [1, 1])
+        const panelSource = await readFile('src/ui/ParameterPanel.mjs', 'utf8')
+        assert.match(panelSource, /advanceCounters\(this\.state\.serialCounters, count\)[\s\S]*?this\.#emitChange\(\{ untracked: true \}\)/)
+    })
+
+    it('records a batch as one step', () => {
+        const history = new EditorHistory()
+        history.reset('a')
+        history.beginBatch()
+        assert.equal(history.record('b'), false)
+        history.beginBatch()
+        history.endBatch('c')
+        assert.equal(history.isBatching, true)
+        assert.equal(history.endBatch('d'), true)
+        assert.equal(history.undo(), 'a')
+        assert.equal(history.canUndo, false)
+    })
+
+    it('drops the oldest steps beyond the limit', () => {
+        const history = new EditorHistory({ limit: 2 })
+        history.reset('a')
+        history.record('b')
+        history.record('c')
+        history.record('d')
+        assert.equal(history.undo(), 'c')
+        assert.equal(history.undo(), 'b')
+        assert.equal(history.undo(), null)
+    })
+
+    it('reset clears undo and redo stacks', () => {
+        const history = new EditorHistory()
+        history.reset('a')
+        history.record('b')
+        history.undo()
+        history.reset('loaded')
+        assert.equal(history.canUndo, false)
+        assert.equal(history.canRedo, false)
+    })
+
+    it('wires history into the app controller, preview gestures and assistant batches', async () => {
+        const mainSource = await readFile('src/main.mjs', 'utf8')
+        assert.match(mainSource, /this\.history = new EditorHistory\(\)/)
+        assert.match(mainSource, /async runHistoryBatch\(task\)/)
+        assert.match(mainSource, /app\.runHistoryBatch\(\(\) => aiActionBridge\.runActions\(actions, context\)\)/)
+        assert.match(mainSource, /#applyLoadedProject[\s\S]*this\.#resetHistory\(\)/)
+        const interactionsSource = await readFile('src/ui/PreviewRendererInteractions.mjs', 'utf8')
+        assert.match(interactionsSource, /_handleInteractDragEnd\(event\)\s*{[\s\S]*?this\._emitItemChange\(\)/)
+        assert.match(interactionsSource, /_handleInteractResizeEnd\(event\)\s*{[\s\S]*?this\._emitItemChange\(\)/)
+        const webMcpSource = await readFile('src/ui/WebMcpBridge.mjs', 'utf8')
+        assert.match(webMcpSource, /#runInHistoryBatch\(\(\) => this\.#runActionsInOrder\(actions, envelope\)\)/)
+    })
+})
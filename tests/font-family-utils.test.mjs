@@ -74,6 +74,102 @@ describe('font-family-utils', () => {
         assert.deepEqual(result.families, ['Roboto'])
     })
 
+    it('collects the font faces used by text items on all pages', () => {
+        const state = {
+            activeLabelIndex: 0,
+            items: [
+                { type: 'text', fontFamily: 'Roboto Flex', fontWeight: 300, fontWidth: 75 },
+                { type: 'group', children: [{ type: 'text', fontFamily: 'Roboto Flex', textBold: true }] },
+                { type: 'qr', fontFamily: 'Ignored' }
+            ],
+            labels: [{}, { items: [{ type: 'text', fontFamily: 'Barlow', richText: true }] }]
+        }
+        assert.deepEqual(FontFamilyUtils.collectFontFaces(state), [
+            { family: 'Roboto Flex', weight: 300, width: 75 },
+            { family: 'Roboto Flex', weight: 700, width: 100 },
+            { family: 'Barlow', weight: 400, width: 100 },
+            { family: 'Barlow', weight: 700, width: 100 }
+        ])
+    })
+
+    it('requests only the weights and widths in use for Google font links without axes', () => {
+        const faces = [
+            { family: 'Roboto Flex', weight: 700, width: 100 },
+            { family: 'Roboto Flex', weight: 300, width: 75 },
+            { family: 'Barlow', weight: 400, width: 100 }
+        ]
+        assert.deepEqual(
+            FontFamilyUtils.buildGoogleFontCandidateUrls('https://fonts.googleapis.com/css2?family=Roboto+Flex&display=swap', faces),
+            [
+                'https://fonts.googleapis.com/css2?family=Roboto+Flex:wdth,wght@75,300;100,400;100,700&display=swap',
+                'https://fonts.googleapis.com/css2?family=Roboto+Flex:wght@300;400;700&display=swap',
+                'https://fonts.googleapis.com/css2?family=Roboto+Flex&display=swap'
+            ]
+        )
+        const regular = 'https://fonts.googleapis.com/css2?family=Barlow'
+        assert.deepEqual(FontFamilyUtils.buildGoogleFontCandidateUrls(regular, faces), [regular])
+        assert.deepEqual(FontFamilyUtils.buildGoogleFontCandidateUrls('https://fonts.googleapis.com/css2?family=Roboto+Flex'), [
+            'https://fonts.googleapis.com/css2?family=Roboto+Flex'
+        ])
+        const pinned = 'https://fonts.googleapis.com/css2?family=Roboto:wght@400;700'
+        assert.deepEqual(FontFamilyUtils.buildGoogleFontCandidateUrls(pinned, faces), [pinned])
+        const legacy = 'https://fonts.googleapis.com/css?family=Roboto'
+        assert.deepEqual(FontFamilyUtils.buildGoogleFontCandidateUrls(legacy, faces), [legacy])
+    })
+
+    it('falls back to fewer axes when a stylesheet fails to load and skips failed variants later', async () => {
+        const appended = []
+        const fakeDocument = {
+            head: {
+                appendChild(link) {
+                    appended.push(link)
+                    const failing = link.href.includes('wdth')
+                    queueMicrotask(() => link.listeners[failing ? 'error' : 'load']?.())
+                }
+            },
+            querySelectorAll() {
+                return []
+            },
+            createElement() {
+                const link = {
+                    dataset: {},
+                    sheet: null,
+                    removed: false,
+                    listeners: {},
+                    addEventListener(type, listener) {
+                        this.listeners[type] = listener
+                    },
+                    removeEventListener(type) {
+                        delete this.listeners[type]
+                    },
+                    remove() {
+                        this.removed = true
+                    }
+                }
+                return link
+            }
+        }
+        const faces = [{ family: 'Barlow', weight: 300, width: 75 }]
+        const location = { href: 'http://localhost:3000/' }
+
+        const result = await FontFamilyUtils.loadGoogleFontLink(
+            'https://fonts.googleapis.com/css2?family=Barlow',
+            fakeDocument,
+            location,
+            faces
+        )
+        assert.equal(result.url, 'https://fonts.googleapis.com/css2?family=Barlow')
+        assert.equal(result.loadedUrl, 'https://fonts.googleapis.com/css2?family=Barlow:wght@300;400')
+        assert.equal(result.alreadyLoaded, false)
+        assert.deepEqual(
+            appended.map((link) => link.removed),
+            [true, false]
+        )
+
+        await FontFamilyUtils.loadGoogleFontLink('https://fonts.googleapis.com/css2?family=Barlow', fakeDocument, location, faces)
+        assert.equal(appended.filter((link) => link.href.includes('wdth')).length, 1)
+    })
+
     it('parses persisted Google font links from localStorage payloads', () => {
         const parsedLinks = FontFamilyUtils.parsePersistedGoogleFontLinks(
             '["https://fonts.googleapis.com/css2?family=Roboto"," https://fonts.googleapis.com/css2?family=Roboto "]'
@@ -0,0 +1,201 @@
+// SPDX-FileCopyrightText: 2026 André Fiedler
+//
+// SPDX-License-Identifier: AGPL-3.0-or-later
+
+import assert from 'node:assert/strict'
+import { readFile } from 'node:fs/promises'
+import { describe, it } from 'node:test'
+import { GroupItemUtils } from '../src/GroupItemUtils.mjs'
+import { InteractionUtils } from '../src/InteractionUtils.mjs'
+import { ItemClipboardUtils } from '../src/ItemClipboardUtils.mjs'
+import { ParameterTemplateUtils } from '../src/ParameterTemplateUtils.mjs'
+import { ProjectIoUtils } from '../src/ProjectIoUtils.mjs'
+import { ProjectUrlUtils } from '../src/ProjectUrlUtils.mjs'
+
+/**
+ * Builds a two-member group with render-time layout entries.
+ * @returns {{ group: object, layoutItems: object[] }}
+ */
+function createRenderedGroup() {
+    const shape = { type: 'shape', shapeType: 'rect', positionMode: 'absolute', yOffset: 0, width: 20, height: 10 }
+    const left = { ...shape, id: 'item-2', xOffset: 10 }
+    const right = { ...shape, id: 'item-3', xOffset: 50 }
+    const group = GroupItemUtils.createGroup([left, right], 'item-1')
+    const layoutItems = [
+        { id: 'item-2', type: 'shape', item: left, bounds: { x: 12, y: 20, width: 20, height: 10 } },
+        { id: 'item-3', type: 'shape', item: right, bounds: { x: 52, y: 20, width: 20, height: 10 } }
+    ]
+    return { group, layoutItems }
+}
+
+describe('group-item-utils', () => {
+    it('flattens nested groups into drawable members and walks every level', () => {
+        const inner = GroupItemUtils.createGroup([{ id: 'item-3', type: 'text' }], 'item-2')
+        const items = [{ id: 'item-0', type: 'qr' }, GroupItemUtils.createGroup([{ id: 'item-4', type: 'shape' }, inner], 'item-1')]
+        assert.deepEqual(
+            GroupItemUtils.flattenItems(items).map((item) => item.id),
+            ['item-0', 'item-4', 'item-3']
+        )
+        const visited = []
+        GroupItemUtils.walkItems(items, (item, parent) => visited.push(`${item.id}:${parent?.id || '-'}`))
+        assert.deepEqual(visited, ['item-0:-', 'item-1:-', 'item-4:item-1', 'item-2:item-1', 'item-3:item-2'])
+    })
+
+    it('translates every nested member of a group', () => {
+        const { group } = createRenderedGroup()
+        GroupItemUtils.translateItem(group, 5.4, -3)
+        assert.deepEqual(
+            group.children.map((child) => [child.xOffset, child.yOffset]),
+            [
+                [15, -3],
+                [55, -3]
+            ]
+        )
+    })
+
+    it('collapses member layout entries into one group entry with union bounds', () => {
+        const { group, layoutItems } = createRenderedGroup()
+        const loose = { id: 'item-9', type: 'text', item: { id: 'item-9' }, bounds: { x: 0, y: 0, width: 4, height: 4 } }
+        const collapsed = GroupItemUtils.collapseLayoutItems([group, loose.item], [...layoutItems, loose])
+        assert.equal(collapsed.length, 2)
+        assert.equal(collapsed[0].type, 'group')
+        assert.equal(collapsed[0].item, group)
+        assert.deepEqual(collapsed[0].bounds, { x: 12, y: 20, width: 60, height: 10 })
+        assert.equal(collapsed[0].children.length, 2)
+        assert.equal(collapsed[1], loose)
+    })
+
+    it('rotates a group around the centroid of its members', () => {
+        const { group, layoutItems } = createRenderedGroup()
+        const [entry] = GroupItemUtils.collapseLayoutItems([group], layoutItems)
+        assert.equal(GroupItemUtils.rotateGroup(entry, 180), true)
+        assert.equal(group.rotation, 180)
+        assert.deepEqual(
+            group.children.map((child) => [child.xOffset, child.yOffset, child.rotation]),
+            [
+                [50, 0, 180],
+                [10, 0, 180]
+            ]
+        )
+        // A second call only applies the remaining delta from the current group rotation.
+        GroupItemUtils.rotateGroup(entry, 180)
+        assert.equal(group.children[0].xOffset, 50)
+    })
+
+    it('scales members uniformly around a pivot and respects start-anchored axes', () => {
+        const { group, layoutItems } = createRenderedGroup()
+        const [entry] = GroupItemUtils.collapseLayoutItems([group], layoutItems)
+        const snapshot = GroupItemUtils.captureScaleSnapshot(entry, true)
+        GroupItemUtils.scaleGroup(snapshot, 2, InteractionUtils.resolveResizePivot(snapshot.bounds, 'e'))
+        assert.deepEqual(
+            group.children.map((child) => [child.xOffset, child.yOffset, child.width, child.height]),
+            [
+                [10, 0, 40, 20],
+                [90, 0, 40, 20]
+            ]
+        )
+    })
+
+    it('stretches plain entries along one axis for match-size alignment', () => {
+        const { layoutItems } = createRenderedGroup()
+        const snapshot = GroupItemUtils.captureEntryScaleSnapshot(layoutItems[0], true)
+        GroupItemUtils.scaleGroup(snapshot, 2, { x: 12, y: 20 }, 'x')
+        const { xOffset, yOffset, width, height } = layoutItems[0].item
+        // The left edge is the pivot, so the start-anchored offset stays put while the width doubles.
+        assert.deepEqual([xOffset, yOffset, width, height], [10, 0, 40, 10])
+    })
+
+    it('resolves resize pivots and uniform scale factors from handles', () => {
+        const bounds = { x: 10, y: 20, width: 40, height: 10 }
+        assert.deepEqual(InteractionUtils.resolveResizePivot(bounds, 'se'), { x: 10, y: 20 })
+        assert.deepEqual(InteractionUtils.resolveResizePivot(bounds, 'n'), { x: 30, y: 30 })
+        assert.equal(InteractionUtils.resolveUniformResizeScale(bounds, { width: 80, height: 10 }, 'e'), 2)
+        assert.equal(InteractionUtils.resolveUniformResizeScale(bounds, { width: 44, height: 30 }, 'nw'), 3)
+        assert.equal(InteractionUtils.isInteractiveItemType('group'), true)
+    })
+
+    it('normalizes groups on load with unique nested ids and absolute members', () => {
+        const { items, nextIdCounter } = ProjectIoUtils.normalizeItems([
+            { id: 'item-1', type: 'text', text: 'A' },
+            {
+                id: 'item-5',
+                type: 'group',
+                rotation: 270,
+                children: [
+                    { id: 'item-1', type: 'text', text: 'B', positionMode: 'flow', _measure: 1 },
+                    { type: 'unknown' },
+                    { id: 'item-7', type: 'group', children: [] }
+                ]
+            }
+        ])
+        assert.equal(items.length, 2)
+        const group = items[1]
+        assert.equal(group.type, 'group')
+        assert.equal(group.rotation, -90)
+        assert.equal(group.children.length, 1)
+        assert.equal(group.children[0].positionMode, 'absolute')
+        assert.equal('_measure' in group.children[0], false)
+        assert.notEqual(group.children[0].id, 'item-1')
+        assert.ok(nextIdCounter > 7)
+        assert.equal(ProjectIoUtils.deriveNextIdCounter([{ id: 'item-1', type: 'group', children: [{ id: 'item-12' }] }]), 13)
+    })
+
+    it('round-trips groups through share URL payloads', () => {
+        const { group } = createRenderedGroup()
+        group.children[0]._shapeCache = { stale: true }
+        const encoded = ProjectUrlUtils.encodeProjectPayloadParam({ items: [ProjectIoUtils.stripRuntimeFields(group)] })
+        const decoded = ProjectUrlUtils.decodeEmbeddedProjectParam(encoded)
+        const { items } = ProjectIoUtils.normalizeItems(decoded.items)
+        assert.equal(items[0].type, 'group')
+        assert.deepEqual(
+            items[0].children.map((child) => [child.id, child.xOffset, '_shapeCache' in child]),
+            [
+                ['item-2', 10, false],
+                ['item-3', 50, false]
+            ]
+        )
+    })
+
+    it('assigns fresh ids to pasted group members and offsets the whole group', () => {
+        const { group } = createRenderedGroup()
+        const [pasted] = ItemClipboardUtils.prepareItemsForInsert([group], {
+            nextId: (() => {
+                let counter = 10
+                return () => `item-${counter++}`
+            })(),
+            existingItems: [group],
+            offsetSteps: 1
+        })
+        assert.equal(pasted.type, 'group')
+        const ids = [pasted.id, ...pasted.children.map((child) => child.id)]
+        assert.equal(new Set(ids).size, 3)
+        assert.equal(
+            ids.some((id) => ['item-1', 'item-2', 'item-3'].includes(id)),
+            false
+        )
+        assert.equal(pasted.children[0].xOffset, 10 + ItemClipboardUtils.PASTE_OFFSET_DOTS)
+        assert.equal(group.children[0].xOffset, 10)
+    })
+
+    it('collects placeholders from group members', () => {
+        const items = [GroupItemUtils.createGroup([{ id: 'item-2', type: 'text', text: '{{name}}' }], 'item-1')]
+        assert.deepEqual(ParameterTemplateUtils.collectPlaceholdersFromItems(items), ['name'])
+    })
+
+    it('wires the group controller, preview and items editor', async () => {
+        const mainSource = await readFile('src/main.mjs', 'utf8')
+        assert.match(mainSource, /this\.groups = new ItemGroupController\(/)
+        assert.match(mainSource, /this\.groups\.bind\(\)/)
+        assert.match(mainSource, /this\.itemsEditor\.onGroupRequest = /)
+        const canvasBuildSource = await readFile('src/ui/PreviewRendererCanvasBuild.mjs', 'utf8')
+        assert.match(canvasBuildSource, /GroupItemUtils\.flattenVisibleItems\(source\.items, isVisible\)/)
+        const renderSource = await readFile('src/ui/PreviewRendererRender.mjs', 'utf8')
+        assert.match(renderSource, /GroupItemUtils\.collapseLayoutItems\(/)
+        const interactionsSource = await readFile('src/ui/PreviewRendererInteractions.mjs', 'utf8')
+        assert.match(interactionsSource, /GroupItemUtils\.translateItem\(/)
+        assert.match(interactionsSource, /GroupItemUtils\.scaleGroup\(/)
+        const itemsEditorSource = await readFile('src/ui/ItemsEditor.mjs', 'utf8')
+        assert.match(itemsEditorSource, /itemsEditor\.typeGroup/)
+        assert.match(itemsEditorSource, /action: 'ungroup'/)
+    })
+})
@@ -97,6 +97,16 @@ describe('getCursorForHandle', () => {
     })
 })
 
+describe('isHorizontalEdgeHandle', () => {
+    it('accepts only the left and right edge handles', () => {
+        assert.equal(InteractionUtils.isHorizontalEdgeHandle('e'), true)
+        assert.equal(InteractionUtils.isHorizontalEdgeHandle('w'), true)
+        assert.equal(InteractionUtils.isHorizontalEdgeHandle('ne'), false)
+        assert.equal(InteractionUtils.isHorizontalEdgeHandle('s'), false)
+        assert.equal(InteractionUtils.isHorizontalEdgeHandle('move'), false)
+    })
+})
+
 describe('getHandleFromEdges', () => {
     it('maps edge flags to the expected handle name', () => {
         assert.equal(InteractionUtils.getHandleFromEdges({ top: true, left: true }), 'nw')
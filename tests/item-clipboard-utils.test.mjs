@@ -0,0 +1,90 @@
+// SPDX-FileCopyrightText: 2026 André Fiedler
+//
+// SPDX-License-Identifier: AGPL-3.0-or-later
+
+import assert from 'node:assert/strict'
+import { readFile } from 'node:fs/promises'
+import { describe, it } from 'node:test'
+import { ItemClipboardUtils } from '../src/ItemClipboardUtils.mjs'
+
+/**
+ * Creates an id generator that mirrors the app `nextId()` helper.
+ * @param {number} start
+ * @returns {() => string}
+ */
+function createIdGenerator(start) {
+    let counter = start
+    return () => `item-${counter++}`
+}
+
+describe('item-clipboard-utils', () => {
+    it('serializes items without runtime fields and parses them back', () => {
+        const text = ItemClipboardUtils.serializeItems([
+            { id: 'item-1', type: 'qr', data: 'A', size: 80, _qrCache: { stale: true } }
+        ])
+        assert.equal(text.includes('_qrCache'), false)
+        const items = ItemClipboardUtils.parseItems(text)
+        assert.deepEqual(items, [{ id: 'item-1', type: 'qr', data: 'A', size: 80 }])
+    })
+
+    it('ignores foreign clipboard text', () => {
+        assert.equal(ItemClipboardUtils.parseItems('hello'), null)
+        assert.equal(ItemClipboardUtils.parseItems('{"items":[]}'), null)
+        assert.equal(ItemClipboardUtils.parseItems('{broken'), null)
+    })
+
+    it('assigns fresh ids that do not collide with existing items', () => {
+        const rawItems = [
+            { id: 'item-1', type: 'text', text: 'A' },
+            { id: 'item-1', type: 'text', text: 'B' }
+        ]
+        const items = ItemClipboardUtils.prepareItemsForInsert(rawItems, {
+            nextId: createIdGenerator(2),
+            existingItems: [{ id: 'item-1' }, { id: 'item-3' }]
+        })
+        assert.deepEqual(
+            items.map((item) => item.id),
+            ['item-2', 'item-4']
+        )
+        assert.equal(items[0].text, 'A')
+        assert.equal(items[1].text, 'B')
+        assert.equal(rawItems[0].id, 'item-1')
+    })
+
+    it('drops unsupported item types and fills defaults', () => {
+        const items = ItemClipboardUtils.prepareItemsForInsert(
+            [{ type: 'unknown' }, { type: 'shape', shapeType: 'oval' }],
+            { nextId: createIdGenerator(1) }
+        )
+        assert.equal(items.length, 1)
+        assert.equal(items[0].type, 'shape')
+        assert.equal(items[0].positionMode, 'flow')
+        assert.equal(typeof items[0].width, 'number')
+    })
+
+    it('offsets only absolute-positioned items per paste step', () => {
+        const offset = ItemClipboardUtils.PASTE_OFFSET_DOTS
+        const items = ItemClipboardUtils.prepareItemsForInsert(
+            [
+                { id: 'item-1', type: 'text', text: 'A', positionMode: 'absolute', xOffset: 10, yOffset: 5 },
+                { id: 'item-2', type: 'text', text: 'B', positionMode: 'flow', xOffset: 10, yOffset: 5 }
+            ],
+            { nextId: createIdGenerator(3), offsetSteps: 2 }
+        )
+        assert.equal(items[0].xOffset, 10 + offset * 2)
+        assert.equal(items[0].yOffset, 5 + offset * 2)
+        assert.equal(items[1].xOffset, 10)
+        assert.equal(items[1].yOffset, 5)
+    })
+
+    it('wires the clipboard controller into the app controller', async () => {
+        const mainSource = await readFile('src/main.mjs', 'utf8')
+        assert.match(mainSource, /this\.clipboard = new ItemClipboardController\(/)
+        assert.match(mainSource, /this\.clipboard\.bind\(document\)/)
+        const controllerSource = await readFile('src/ui/ItemClipboardController.mjs', 'utf8')
+        assert.match(controllerSource, /addEventListener\('copy'/)
+        assert.match(controllerSource, /addEventListener\('cut'/)
+        assert.match(controllerSource, /addEventListener\('paste'/)
+        assert.match(controllerSource, /KeyboardShortcutUtils\.isEditableTarget\(event\.target\)/)
+    })
+})
@@ -0,0 +1,56 @@
+// SPDX-FileCopyrightText: 2026 André Fiedler
+//
+// SPDX-License-Identifier: AGPL-3.0-or-later
+
+import assert from 'node:assert/strict'
+import { readFile } from 'node:fs/promises'
+import { describe, it } from 'node:test'
+import { GroupItemUtils } from '../src/GroupItemUtils.mjs'
+import { InteractionUtils } from '../src/InteractionUtils.mjs'
+import { ProjectIoUtils } from '../src/ProjectIoUtils.mjs'
+
+describe('item-lock-hide', () => {
+    it('normalizes hidden and locked flags and omits unset flags', () => {
+        const { items } = ProjectIoUtils.normalizeItems([
+            { id: 'item-1', type: 'text', text: 'A', hidden: 'true', locked: 0 },
+            { id: 'item-2', type: 'shape', shapeType: 'rect', locked: true },
+            { id: 'item-3', type: 'group', hidden: 1, children: [{ id: 'item-4', type: 'qr', data: 'x' }] }
+        ])
+        assert.equal(items[0].hidden, true)
+        assert.equal('locked' in items[0], false)
+        assert.equal(items[1].locked, true)
+        assert.equal('hidden' in items[1], false)
+        assert.equal(items[2].hidden, true)
+    })
+
+    it('skips hidden items and members of hidden groups when flattening', () => {
+        const items = [
+            { id: 'item-1', type: 'text' },
+            { id: 'item-2', type: 'text', hidden: true },
+            GroupItemUtils.createGroup([{ id: 'item-4', type: 'qr' }, { id: 'item-5', type: 'qr', hidden: true }], 'item-3'),
+            { ...GroupItemUtils.createGroup([{ id: 'item-7', type: 'qr' }], 'item-6'), hidden: true }
+        ]
+        assert.deepEqual(
+            GroupItemUtils.flattenVisibleItems(items).map((item) => item.id),
+            ['item-1', 'item-4']
+        )
+    })
+
+    it('treats locked items as not selectable', () => {
+        assert.equal(InteractionUtils.isSelectableItem({ type: 'shape' }), true)
+        assert.equal(InteractionUtils.isSelectableItem({ type: 'shape', locked: true }), false)
+        assert.equal(InteractionUtils.isSelectableItem({ type: 'group', locked: true }), false)
+        assert.equal(InteractionUtils.isSelectableItem(null), false)
+    })
+
+    it('wires flags into preview, print worker and item cards', async () => {
+        const canvasBuildSource = await readFile('src/ui/PreviewRendererCanvasBuild.mjs', 'utf8')
+        assert.match(canvasBuildSource, /GroupItemUtils\.flattenVisibleItems\(source\.items, isVisible\)/)
+        const renderSource = await readFile('src/ui/PreviewRendererRender.mjs', 'utf8')
+        assert.match(renderSource, /InteractionUtils\.isSelectableItem\(entry\.item\)/)
+        const workerSource = await readFile('src/workers/PrintPageWorker.mjs', 'utf8')
+        assert.match(workerSource, /safeState\.items\.filter\(\(item\) => !item\?\.hidden\)/)
+        const itemsEditorSource = await readFile('src/ui/ItemsEditor.mjs', 'utf8')
+        assert.match(itemsEditorSource, /ItemsEditorControlSupport\.createItemFlagToggles\(/)
+    })
+})
@@ -8,6 +8,7 @@ import fs from 'node:fs'
 import path from 'node:path'
 
 const itemsEditorSource = fs.readFileSync(path.join(process.cwd(), 'src/ui/ItemsEditor.mjs'), 'utf8')
+const textSupportSource = fs.readFileSync(path.join(process.cwd(), 'src/ui/ItemsEditorTextSupport.mjs'), 'utf8')
 const en = JSON.parse(fs.readFileSync(path.join(process.cwd(), 'src/i18n/en.json'), 'utf8'))
 const de = JSON.parse(fs.readFileSync(path.join(process.cwd(), 'src/i18n/de.json'), 'utf8'))
 
@@ -20,12 +21,13 @@ describe('items-editor text style controls', () => {
     })
 
     it('renders text style toggle buttons', () => {
-        assert.match(itemsEditorSource, /createToggleButtonGroupField/)
-        assert.match(itemsEditorSource, /itemsEditor\.textStyle/)
-        assert.match(itemsEditorSource, /itemsEditor\.textBold/)
-        assert.match(itemsEditorSource, /itemsEditor\.textItalic/)
-        assert.match(itemsEditorSource, /itemsEditor\.textUnderline/)
-        assert.match(itemsEditorSource, /itemsEditor\.textStrikethrough/)
+        assert.match(itemsEditorSource, /ItemsEditorTextSupport\.appendTextControls\(/)
+        assert.match(textSupportSource, /createToggleButtonGroupField/)
+        assert.match(textSupportSource, /itemsEditor\.textStyle/)
+        assert.match(textSupportSource, /itemsEditor\.textBold/)
+        assert.match(textSupportSource, /itemsEditor\.textItalic/)
+        assert.match(textSupportSource, /itemsEditor\.textUnderline/)
+        assert.match(textSupportSource, /itemsEditor\.textStrikethrough/)
     })
 
     it('includes i18n labels for text style controls', () => {
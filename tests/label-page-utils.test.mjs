@@ -0,0 +1,131 @@
+// SPDX-FileCopyrightText: 2026 André Fiedler
+//
+// SPDX-License-Identifier: AGPL-3.0-or-later
+
+import assert from 'node:assert/strict'
+import { readFile } from 'node:fs/promises'
+import { describe, it } from 'node:test'
+import { LabelPageUtils } from '../src/LabelPageUtils.mjs'
+
+/**
+ * Builds a minimal single-label editor state.
+ * @param {Array<Record<string, any>>} items
+ * @returns {Record<string, any>}
+ */
+function createState(items = []) {
+    return {
+        media: 'W24',
+        mediaLengthMm: null,
+        resolution: 'LOW',
+        orientation: 'horizontal',
+        items
+    }
+}
+
+describe('label-page-utils', () => {
+    it('resolves single-label projects to one page from the live fields', () => {
+        const state = createState([{ id: 'item-1', type: 'text', text: 'A' }])
+        const pages = LabelPageUtils.resolvePages(state)
+        assert.equal(pages.length, 1)
+        assert.deepEqual(
+            { ...pages[0], items: undefined },
+            { id: 'label-1', name: '', media: 'W24', mediaLengthMm: null, orientation: 'horizontal', items: undefined }
+        )
+        assert.equal(pages[0].items, state.items)
+        assert.equal(state.labels, undefined)
+    })
+
+    it('adds a page with the active media settings and switches back and forth', () => {
+        const state = createState([{ id: 'item-1', type: 'text', text: 'Front' }])
+        const itemsRef = state.items
+        state.mediaLengthMm = 80
+
+        assert.equal(LabelPageUtils.addPage(state, { name: ' Cable ' }), 1)
+        assert.equal(state.items, itemsRef)
+        assert.deepEqual(state.items, [])
+        assert.equal(state.mediaLengthMm, 80)
+        assert.deepEqual(
+            state.labels.map((page) => [page.id, page.name]),
+            [
+                ['label-1', ''],
+                ['label-2', 'Cable']
+            ]
+        )
+
+        state.items.push({ id: 'item-2', type: 'qr', data: 'B' })
+        state.orientation = 'vertical'
+        assert.equal(LabelPageUtils.activatePage(state, 0), true)
+        assert.deepEqual(
+            state.items.map((item) => item.id),
+            ['item-1']
+        )
+        assert.equal(state.orientation, 'horizontal')
+        assert.equal(LabelPageUtils.activatePage(state, 0), false)
+        assert.equal(LabelPageUtils.activatePage(state, 5), false)
+
+        assert.equal(LabelPageUtils.activatePage(state, 1), true)
+        assert.equal(state.orientation, 'vertical')
+        assert.deepEqual(
+            state.items.map((item) => item.id),
+            ['item-2']
+        )
+    })
+
+    it('removes pages but keeps at least one', () => {
+        const state = createState([{ id: 'item-1', type: 'text', text: 'A' }])
+        assert.equal(LabelPageUtils.removePage(state, 0), false)
+        LabelPageUtils.addPage(state)
+        LabelPageUtils.addPage(state)
+        state.items.push({ id: 'item-3', type: 'text', text: 'C' })
+
+        assert.equal(LabelPageUtils.removePage(state, 0), true)
+        assert.equal(state.activeLabelIndex, 1)
+        assert.deepEqual(
+            state.items.map((item) => item.id),
+            ['item-3']
+        )
+        assert.equal(LabelPageUtils.removePage(state, 1), true)
+        assert.equal(state.activeLabelIndex, 0)
+        assert.deepEqual(state.items, [])
+        assert.equal(LabelPageUtils.removePage(state, 0), false)
+    })
+
+    it('renames pages and creates unused page ids', () => {
+        const state = createState()
+        LabelPageUtils.addPage(state)
+        assert.equal(LabelPageUtils.renamePage(state, 0, '  Asset tag '), true)
+        assert.equal(LabelPageUtils.renamePage(state, 4, 'x'), false)
+        assert.equal(state.labels[0].name, 'Asset tag')
+        assert.equal(LabelPageUtils.createPageId(['label-1', 'label-3']), 'label-2')
+    })
+
+    it('collects top-level items of every page with the live active page', () => {
+        const state = createState([{ id: 'item-1', type: 'text', text: '{{rack}}' }])
+        LabelPageUtils.addPage(state)
+        state.items.push({ id: 'item-2', type: 'qr', data: '{{asset}}' })
+        assert.deepEqual(
+            LabelPageUtils.collectProjectItems(state).map((item) => item.id),
+            ['item-1', 'item-2']
+        )
+    })
+
+    it('clamps the active index to the stored pages', () => {
+        assert.equal(LabelPageUtils.resolveActiveIndex({ labels: [{}, {}], activeLabelIndex: 9 }), 1)
+        assert.equal(LabelPageUtils.resolveActiveIndex({ labels: [{}], activeLabelIndex: -1 }), 0)
+        assert.equal(LabelPageUtils.resolveActiveIndex({ activeLabelIndex: 3 }), 0)
+    })
+
+    it('wires the page switcher, print scope and project-wide parameter validation', async () => {
+        const mainSource = await readFile('src/main.mjs', 'utf8')
+        assert.match(mainSource, /this\.labelPages = new LabelPageController\(/)
+        assert.match(mainSource, /this\.printController\.print\(parameterValueMaps, \{ pages: this\.labelPages\.getPrintPages\(\) \}\)/)
+        assert.match(mainSource, /#syncFormFromState\(\)\s*{[\s\S]*?this\.labelPages\.render\(\)/)
+        const panelSource = await readFile('src/ui/ParameterPanel.mjs', 'utf8')
+        assert.doesNotMatch(panelSource, /this\.state\.items/)
+        const printSource = await readFile('src/ui/PrintController.mjs', 'utf8')
+        assert.match(printSource, /buildCanvasFromState\(\{\s*parameterValues: valueMap,\s*page: labelPage \|\| undefined\s*\}\)/)
+        const html = await readFile('src/index.html', 'utf8')
+        assert.match(html, /data-label-page-tabs/)
+        assert.match(html, /data-print-scope/)
+    })
+})
@@ -3,6 +3,7 @@
 // SPDX-License-Identifier: AGPL-3.0-or-later
 
 import assert from 'node:assert/strict'
+import { readFile } from 'node:fs/promises'
 import { describe, it } from 'node:test'
 import { ParameterTemplateUtils } from '../src/ParameterTemplateUtils.mjs'
 
@@ -31,6 +32,42 @@ describe('parameter-template-utils', () => {
         assert.deepEqual(Array.from(missing), ['path'])
     })
 
+    it('resolves placeholders with filters and keeps missing filtered placeholders', () => {
+        const missing = new Set()
+        const resolved = ParameterTemplateUtils.resolveTemplateString(
+            "{{ sku | pad:6:0 }} {{price|number:2}} {{name|upper|truncate:4}} {{note|default:'n/a'}} {{gone|upper}}",
+            { sku: '42', price: 3.5, name: 'printer', note: '' },
+            missing
+        )
+        assert.equal(resolved, '000042 3.50 PRI… n/a {{gone|upper}}')
+        assert.deepEqual(Array.from(missing), ['gone'])
+        assert.deepEqual(ParameterTemplateUtils.extractPlaceholders("{{sku|pad:6:0}} {{date|date:'HH:mm'}} {{sku}}"), ['sku', 'date'])
+        assert.deepEqual(ParameterTemplateUtils.extractPlaceholderExpressions('{{sku|pad:6}}'), [
+            { name: 'sku', filters: [{ name: 'pad', args: ['6'] }] }
+        ])
+    })
+
+    it('reports unknown placeholder filters once per placeholder', () => {
+        const result = ParameterTemplateUtils.validateParameterSetup(
+            [{ name: 'name', defaultValue: 'x' }],
+            [
+                { type: 'text', text: '{{name|shout}} {{name|shout|upper}}' },
+                { type: 'group', children: [{ type: 'qr', data: '{{name|lower}}' }] }
+            ],
+            []
+        )
+        assert.deepEqual(
+            result.errors.map((issue) => [issue.code, issue.placeholder, issue.filter]),
+            [['unknown-filter', 'name', 'shout']]
+        )
+        assert.deepEqual(result.placeholders, ['name'])
+    })
+
+    it('shows unknown filters in the parameter issue list', async () => {
+        const panelSource = await readFile('src/ui/ParameterPanel.mjs', 'utf8')
+        assert.match(panelSource, /case 'unknown-filter':\s+return this\.translate\('validation\.unknownFilter'/)
+    })
+
     it('parses valid and invalid parameter JSON payloads', () => {
         const valid = ParameterTemplateUtils.parseParameterDataJson('[{"host":"a"}]')
         assert.equal(valid.parseError, null)
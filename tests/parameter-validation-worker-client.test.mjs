@@ -53,11 +53,15 @@ describe('parameter-validation-worker-client', () => {
             definitions: [{ name: 'name', defaultValue: '' }],
             items: [{ type: 'text', text: '{{name}}' }],
             rows: largeRows,
-            rawJson: JSON.stringify(largeRows)
+            rawJson: JSON.stringify(largeRows),
+            customFonts: [{ family: 'Shop Sans', dataUrl: 'data:font/woff2;base64,AAAA' }],
+            webFontFamilies: ['Roboto']
         })
 
         assert.equal(Array.isArray(capturedPayload.rows), true)
         assert.equal(capturedPayload.rows.length, 250)
+        assert.deepEqual(capturedPayload.customFonts, [{ family: 'Shop Sans', dataUrl: 'data:font/woff2;base64,AAAA' }])
+        assert.deepEqual(capturedPayload.webFontFamilies, ['Roboto'])
         assert.equal(result.validation.warnings.length, 1)
         assert.equal(result.previewText, '[{"id":"1"}]')
         assert.deepEqual(result.rowLineRanges, [{ start: 2, end: 4 }])
@@ -13,13 +13,13 @@ describe('preview multiline text rendering', () => {
 
         assert.match(buildSource, /textLines,\s*textLineGap:\s*lineGap,\s*textLineMetrics:\s*lineMetrics/)
         assert.match(buildSource, /textLines\.forEach\(\(line, index\)/)
-        assert.match(buildSource, /ctx\.fillText\(String\(line \|\| ''\), 0, 0\)/)
+        assert.match(buildSource, /segments\.forEach\(\(segment\) => ctx\.fillText\(segment\.text, segment\.x, 0\)\)/)
         assert.match(buildSource, /block\.textTotalHeight/)
 
         assert.match(supportSource, /#normalizeTextLines\(text\)/)
         assert.match(
             supportSource,
-            /#measureTextLines\(ctx, lines, size, family, bold, italic, underline, strikethrough\)/
+            /#measureTextLines\(ctx, lines, size, face, underline, strikethrough\)/
         )
     })
 })
@@ -14,7 +14,7 @@ const canvasBuildSource = fs.readFileSync(
 
 describe('preview text media scale', () => {
     it('uses horizontal-only vertical compensation while keeping feed-axis text sizing stable', () => {
-        assert.match(canvasBuildSource, /const isHorizontal = this\.state\.orientation === 'horizontal'/)
+        assert.match(canvasBuildSource, /const isHorizontal = source\.orientation === 'horizontal'/)
         assert.match(canvasBuildSource, /const baseDotScale =/)
         assert.match(canvasBuildSource, /const mediaCompensatedDotScale = TextSizingUtils\.computeMediaCompensatedDotScale\(/)
         assert.match(canvasBuildSource, /const textVerticalScale = isHorizontal \? mediaCompensatedDotScale \/ baseDotScale : 1/)
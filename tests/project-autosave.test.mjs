@@ -0,0 +1,144 @@
+// SPDX-FileCopyrightText: 2026 André Fiedler
+//
+// SPDX-License-Identifier: AGPL-3.0-or-later
+
+import assert from 'node:assert/strict'
+import { readFile } from 'node:fs/promises'
+import { describe, it } from 'node:test'
+import { IndexedDbUtils } from '../src/IndexedDbUtils.mjs'
+import { ProjectAutosaveStore } from '../src/ProjectAutosaveStore.mjs'
+import { ProjectAutosaveController } from '../src/ui/ProjectAutosaveController.mjs'
+
+/**
+ * In-memory stand-in for the IndexedDB store.
+ * @returns {{ isAvailable: () => boolean, add: Function, list: Function, markSaved: Function, snapshots: object[] }}
+ */
+function createMemoryStore() {
+    const snapshots = []
+    return {
+        snapshots,
+        isAvailable: () => true,
+        async add(payload) {
+            const id = snapshots.length + 1
+            snapshots.push({ id, savedAt: id * 1000, fingerprint: ProjectAutosaveStore.createFingerprint(payload), saved: false, payload })
+            return id
+        },
+        async list() {
+            return [...snapshots].sort((left, right) => right.id - left.id)
+        },
+        async markSaved(id) {
+            const snapshot = snapshots.find((entry) => entry.id === id)
+            if (snapshot) snapshot.saved = true
+        }
+    }
+}
+
+describe('project-autosave', () => {
+    it('fingerprints the design without zoom and editor metadata', () => {
+        const base = { labels: [{ items: [] }], parameters: [] }
+        assert.equal(
+            ProjectAutosaveStore.createFingerprint({ ...base, zoom: 1, appVersion: '1.0.0', meta: { editor: {} } }),
+            ProjectAutosaveStore.createFingerprint({ ...base, zoom: 2 })
+        )
+        assert.notEqual(ProjectAutosaveStore.createFingerprint(base), ProjectAutosaveStore.createFingerprint({ ...base, parameters: [{}] }))
+    })
+
+    it('prunes the oldest snapshots beyond the limit', () => {
+        const snapshots = [{ id: 3 }, { id: 1 }, { id: 4 }, { id: 2 }]
+        assert.deepEqual(ProjectAutosaveStore.resolvePrunedIds(snapshots, 2), [2, 1])
+        assert.deepEqual(ProjectAutosaveStore.resolvePrunedIds(snapshots, 10), [])
+        assert.equal(ProjectAutosaveStore.DEFAULT_LIMIT, 10)
+    })
+
+    it('summarizes labels and objects of multi-label and older payloads', () => {
+        assert.deepEqual(ProjectAutosaveStore.summarize({ payload: { labels: [{ items: [{}, {}] }, { items: [{}] }] } }), {
+            labelCount: 2,
+            itemCount: 3
+        })
+        assert.deepEqual(ProjectAutosaveStore.summarize({ payload: { items: [{}] } }), { labelCount: 1, itemCount: 1 })
+    })
+
+    it('rejects store access without IndexedDB', async () => {
+        const store = new ProjectAutosaveStore({ indexedDB: null })
+        assert.equal(store.isAvailable(), false)
+        await assert.rejects(() => store.list(), /IndexedDB is not available/)
+    })
+
+    it('writes a snapshot only when the design changed and marks explicit saves', async () => {
+        const store = createMemoryStore()
+        let payload = { labels: [{ items: [] }] }
+        const controller = new ProjectAutosaveController({ store, els: {}, buildPayload: () => payload })
+        assert.equal(await controller.flush(), true)
+        assert.equal(await controller.flush(), false)
+        payload = { labels: [{ items: [{ id: 'item-1' }] }], zoom: 2 }
+        assert.equal(await controller.flush(), true)
+        await controller.markSaved()
+        assert.deepEqual(
+            store.snapshots.map((snapshot) => snapshot.saved),
+            [false, true]
+        )
+    })
+
+    it('offers recovery only for unsaved snapshots that differ from the current design', async () => {
+        const store = createMemoryStore()
+        const current = { labels: [{ items: [] }] }
+        const applied = []
+        const controller = new ProjectAutosaveController({
+            store,
+            els: {},
+            buildPayload: () => current,
+            applyLoadedProject: async (rawState, sourceLabel) => applied.push({ rawState, sourceLabel })
+        })
+        assert.equal(await controller.offerRestore(), false)
+
+        await store.add(current)
+        assert.equal(await controller.offerRestore(), false)
+
+        const crashed = { labels: [{ items: [{ id: 'item-1' }] }] }
+        await store.add(crashed)
+        assert.equal(await controller.offerRestore(), true)
+        await controller.restoreSelected()
+        assert.equal(applied.length, 1)
+        assert.equal(applied[0].rawState, crashed)
+
+        store.snapshots[1].saved = true
+        assert.equal(await controller.offerRestore(), false)
+    })
+
+    it('wires autosave into history changes, explicit saves and startup', async () => {
+        const mainSource = await readFile('src/main.mjs', 'utf8')
+        assert.match(mainSource, /new ProjectAutosaveController\(\{\s*store: new ProjectAutosaveStore\(\)/)
+        assert.match(mainSource, /#recordHistory\(options = \{\}\)\s*{[\s\S]*?this\.autosave\.schedule\(\)/)
+        assert.match(mainSource, /if \(!loadedProjectFromUrl\) await this\.autosave\.offerRestore\(\)/)
+        assert.match(mainSource, /onSaved: \(\) => this\.autosave\.markSaved\(\)/)
+        const fileSource = await readFile('src/ui/ProjectFileController.mjs', 'utf8')
+        assert.equal((fileSource.match(/this\.#onSaved\(\)/g) || []).length, 2)
+    })
+
+    it('waits out a blocked upgrade and closes the connection when a newer version opens', async () => {
+        const request = { result: null }
+        const database = {
+            closed: false,
+            objectStoreNames: { contains: () => true },
+            close() {
+                this.closed = true
+            }
+        }
+        const factory = { open: () => request }
+        let closeCount = 0
+        const opened = IndexedDbUtils.openDatabase(factory, { onClose: () => closeCount++ })
+        const originalDebug = console.debug
+        console.debug = () => {}
+        try {
+            request.onblocked()
+        } finally {
+            console.debug = originalDebug
+        }
+        request.result = database
+        request.onsuccess()
+        assert.equal(await opened, database)
+        database.onversionchange()
+        assert.equal(database.closed, true)
+        assert.equal(closeCount, 1)
+    })
+})
@@ -69,13 +69,14 @@ describe('project-io-utils', () => {
                 url: 'https://example.com/src/'
             }
         })
-        assert.equal(payload.items[0]._qrCache, undefined)
-        assert.equal(payload.items[0].type, 'qr')
-        assert.equal(payload.items[0].positionMode, 'absolute')
-        assert.equal(payload.items[0].qrErrorCorrectionLevel, 'H')
-        assert.equal(payload.items[0].qrVersion, 7)
-        assert.equal(payload.items[0].qrEncodingMode, 'numeric')
-        assert.equal(payload.items[0].rotation, 22)
+        assert.equal(payload.items, undefined)
+        assert.equal(payload.labels[0].items[0]._qrCache, undefined)
+        assert.equal(payload.labels[0].items[0].type, 'qr')
+        assert.equal(payload.labels[0].items[0].positionMode, 'absolute')
+        assert.equal(payload.labels[0].items[0].qrErrorCorrectionLevel, 'H')
+        assert.equal(payload.labels[0].items[0].qrVersion, 7)
+        assert.equal(payload.labels[0].items[0].qrEncodingMode, 'numeric')
+        assert.equal(payload.labels[0].items[0].rotation, 22)
         assert.equal(payload.zoom, 1.23)
         assert.deepEqual(payload.parameters, [{ name: 'host', defaultValue: 'localhost' }])
         assert.deepEqual(payload.parameterDataRows, [{ host: 'printer-1' }])
@@ -96,6 +97,84 @@ describe('project-io-utils', () => {
         assert.throws(() => ProjectIoUtils.normalizeProjectState({ media: 'W9' }, defaultState), /items array/)
     })
 
+    it('buildProjectPayload writes every label page with the active page from the live fields', () => {
+        const state = {
+            ...defaultState,
+            media: 'W12',
+            orientation: 'vertical',
+            items: [{ id: 'item-3', type: 'text', text: 'Flag', _layoutCache: {} }],
+            activeLabelIndex: 1,
+            labels: [
+                {
+                    id: 'label-1',
+                    name: 'Front',
+                    media: 'W24',
+                    mediaLengthMm: 80,
+                    orientation: 'horizontal',
+                    items: [{ id: 'item-1', type: 'text', text: 'Rack' }]
+                },
+                { id: 'label-2', name: 'Cable', media: 'W9', mediaLengthMm: null, orientation: 'horizontal', items: [] }
+            ]
+        }
+        const payload = ProjectIoUtils.buildProjectPayload(state)
+        assert.equal(payload.activeLabelIndex, 1)
+        assert.equal(payload.media, undefined)
+        assert.deepEqual(
+            payload.labels.map((label) => [label.id, label.name, label.media, label.mediaLengthMm, label.orientation]),
+            [
+                ['label-1', 'Front', 'W24', 80, 'horizontal'],
+                ['label-2', 'Cable', 'W12', null, 'vertical']
+            ]
+        )
+        assert.deepEqual(payload.labels[1].items, [{ id: 'item-3', type: 'text', text: 'Flag' }])
+    })
+
+    it('normalizeProjectState migrates single-label files into one label', () => {
+        const raw = { media: 'W24', mediaLengthMm: 60, orientation: 'vertical', items: [{ id: 'item-1', type: 'text', text: 'A' }] }
+        const { state } = ProjectIoUtils.normalizeProjectState(raw, defaultState)
+        assert.equal(state.activeLabelIndex, 0)
+        assert.equal(state.labels.length, 1)
+        assert.equal(state.labels[0].id, 'label-1')
+        assert.equal(state.labels[0].media, 'W24')
+        assert.equal(state.labels[0].mediaLengthMm, 60)
+        assert.equal(state.labels[0].orientation, 'vertical')
+        assert.equal(state.media, 'W24')
+        assert.equal(state.orientation, 'vertical')
+        assert.deepEqual(
+            state.items.map((item) => item.text),
+            ['A']
+        )
+    })
+
+    it('normalizeProjectState loads labels with ids unique across pages', () => {
+        const raw = {
+            activeLabelIndex: 7,
+            items: [{ id: 'item-9', type: 'text', text: 'ignored' }],
+            labels: [
+                { id: 'front', name: ' Front ', media: 'W24', items: [{ id: 'item-1', type: 'text', text: 'A' }] },
+                { id: 'front', orientation: 'sideways', items: [{ id: 'item-1', type: 'qr', data: 'B' }, { type: 'unsupported' }] },
+                'invalid'
+            ]
+        }
+        const { state, nextIdCounter } = ProjectIoUtils.normalizeProjectState(raw, defaultState)
+        assert.deepEqual(
+            state.labels.map((label) => [label.id, label.name, label.media, label.orientation]),
+            [
+                ['front', 'Front', 'W24', 'horizontal'],
+                ['label-1', '', 'W9', 'horizontal']
+            ]
+        )
+        assert.equal(state.activeLabelIndex, 1)
+        assert.equal(state.labels[0].items[0].id, 'item-1')
+        assert.equal(state.labels[1].items.length, 1)
+        assert.equal(state.labels[1].items[0].id, 'item-2')
+        assert.deepEqual(
+            state.items.map((item) => item.id),
+            ['item-2']
+        )
+        assert.equal(nextIdCounter, 3)
+    })
+
     it('normalizeProjectState normalizes ids and filters unknown types', () => {
         const raw = {
             media: 'W9',
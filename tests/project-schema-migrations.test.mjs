@@ -0,0 +1,142 @@
+// SPDX-FileCopyrightText: 2026 André Fiedler
+//
+// SPDX-License-Identifier: AGPL-3.0-or-later
+
+import assert from 'node:assert/strict'
+import { readFile } from 'node:fs/promises'
+import { describe, it } from 'node:test'
+import { ProjectSchemaMigrations } from '../src/ProjectSchemaMigrations.mjs'
+import { ProjectIoUtils } from '../src/ProjectIoUtils.mjs'
+
+const defaultState = {
+    media: 'W24',
+    mediaLengthMm: null,
+    zoom: 1,
+    resolution: 'LOW',
+    orientation: 'horizontal',
+    backend: 'usb',
+    printer: 'P700',
+    ble: { serviceUuid: '', writeCharacteristicUuid: '', notifyCharacteristicUuid: '', namePrefix: '' },
+    parameters: [],
+    parameterDataRows: [],
+    parameterDataRaw: '',
+    parameterDataSourceName: '',
+    customFontLinks: [],
+    items: []
+}
+
+/**
+ * Runs a single migration step on a deep copy of the given project.
+ * @param {number} version
+ * @param {object} project
+ * @returns {object}
+ */
+function runStep(version, project) {
+    const step = ProjectSchemaMigrations.getSteps().find((entry) => entry.version === version)
+    return step.migrate(JSON.parse(JSON.stringify(project)))
+}
+
+describe('project-schema-migrations', () => {
+    it('orders steps by consecutive versions ending at the current version', () => {
+        const versions = ProjectSchemaMigrations.getSteps().map((step) => step.version)
+        assert.deepEqual(
+            versions,
+            versions.map((_version, index) => index + 1)
+        )
+        assert.equal(ProjectSchemaMigrations.CURRENT_VERSION, versions[versions.length - 1])
+        ProjectSchemaMigrations.getSteps().forEach((step) => assert.ok(step.description))
+    })
+
+    it('treats missing or invalid schema versions as version 0', () => {
+        assert.equal(ProjectSchemaMigrations.resolveVersion({}), 0)
+        assert.equal(ProjectSchemaMigrations.resolveVersion({ schemaVersion: 'x' }), 0)
+        assert.equal(ProjectSchemaMigrations.resolveVersion({ schemaVersion: 1.5 }), 0)
+        assert.equal(ProjectSchemaMigrations.resolveVersion({ schemaVersion: 2 }), 2)
+    })
+
+    it('step 1 renames legacy item aliases, also inside labels and groups', () => {
+        const migrated = runStep(1, {
+            items: [
+                { type: 'text', bold: 'yes', fontStyle: 'italic', textDecoration: 'line-through', textUnderline: false, underline: true },
+                { type: 'qr', errorCorrectionLevel: 'H', version: 4, encodingMode: 'byte', width: 90 },
+                { type: 'group', children: [{ type: 'barcode', format: 'EAN13', displayValue: true, moduleWidth: 3, margin: 2 }] }
+            ],
+            labels: [{ items: [{ type: 'text', kursiv: true, fontWeight: 'bold' }] }]
+        })
+        const [text, qr, group] = migrated.items
+        assert.deepEqual(text, { type: 'text', textBold: 'yes', textItalic: true, textUnderline: false, textStrikethrough: true })
+        assert.deepEqual(qr, { type: 'qr', qrErrorCorrectionLevel: 'H', qrVersion: 4, qrEncodingMode: 'byte', size: 90 })
+        assert.deepEqual(group.children[0], {
+            type: 'barcode',
+            barcodeFormat: 'EAN13',
+            barcodeShowText: true,
+            barcodeModuleWidth: 3,
+            barcodeMargin: 2
+        })
+        assert.equal(migrated.labels[0].items[0].textItalic, true)
+        assert.equal(migrated.labels[0].items[0].textBold, true)
+    })
+
+    it('keeps numeric font weights of unversioned projects', () => {
+        const migrated = runStep(1, {
+            items: [
+                { type: 'text', fontWeight: 'normal' },
+                { type: 'text', fontWeight: 300 }
+            ]
+        })
+        assert.deepEqual(migrated.items[0], {
+            type: 'text',
+            textBold: false,
+            textItalic: false,
+            textUnderline: false,
+            textStrikethrough: false
+        })
+        assert.equal(migrated.items[1].fontWeight, 300)
+        assert.equal(migrated.items[1].textBold, false)
+
+        const { state } = ProjectIoUtils.normalizeProjectState(
+            { items: [{ type: 'text', text: 'a', fontWeight: 300, fontWidth: 75 }] },
+            defaultState
+        )
+        assert.equal(state.items[0].fontWeight, 300)
+        assert.equal(state.items[0].fontWidth, 75)
+    })
+
+    it('step 2 moves single-label fields into labels and keeps existing labels', () => {
+        const migrated = runStep(2, { media: 'W9', mediaLengthMm: 40, orientation: 'vertical', items: [{ type: 'text' }] })
+        assert.deepEqual(migrated, {
+            labels: [{ media: 'W9', mediaLengthMm: 40, orientation: 'vertical', items: [{ type: 'text' }] }],
+            activeLabelIndex: 0
+        })
+        const withLabels = runStep(2, { labels: [{ media: 'W12', items: [] }], activeLabelIndex: 0, media: 'W9' })
+        assert.deepEqual(withLabels, { labels: [{ media: 'W12', items: [] }], activeLabelIndex: 0 })
+    })
+
+    it('migrates the whole chain without mutating the input', () => {
+        const raw = { media: 'W9', items: [{ type: 'barcode', format: 'CODE39' }] }
+        const { project, fromVersion, toVersion, isNewer } = ProjectSchemaMigrations.migrate(raw)
+        assert.equal(fromVersion, 0)
+        assert.equal(toVersion, ProjectSchemaMigrations.CURRENT_VERSION)
+        assert.equal(isNewer, false)
+        assert.equal(project.schemaVersion, ProjectSchemaMigrations.CURRENT_VERSION)
+        assert.equal(project.labels[0].items[0].barcodeFormat, 'CODE39')
+        assert.deepEqual(raw, { media: 'W9', items: [{ type: 'barcode', format: 'CODE39' }] })
+    })
+
+    it('skips migrations for current files and flags newer schemas', () => {
+        const payload = ProjectIoUtils.buildProjectPayload({ ...defaultState, items: [{ id: 'item-1', type: 'text', text: 'A' }] })
+        assert.equal(payload.schemaVersion, ProjectSchemaMigrations.CURRENT_VERSION)
+        assert.deepEqual(ProjectSchemaMigrations.migrate(payload).project, payload)
+
+        const newer = { ...payload, schemaVersion: ProjectSchemaMigrations.CURRENT_VERSION + 1, futureField: true }
+        const { state, migration } = ProjectIoUtils.normalizeProjectState(newer, defaultState)
+        assert.equal(migration.isNewer, true)
+        assert.equal(migration.fromVersion, ProjectSchemaMigrations.CURRENT_VERSION + 1)
+        assert.equal(state.items[0].text, 'A')
+    })
+
+    it('warns after loading a project from a newer schema', async () => {
+        const source = await readFile('src/main.mjs', 'utf8')
+        assert.match(source, /if \(migration\.isNewer\) \{[\s\S]*?messages\.loadedNewerSchema[\s\S]*?'warning'\)/)
+    })
+})
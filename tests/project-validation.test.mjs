@@ -0,0 +1,152 @@
+// SPDX-FileCopyrightText: 2026 André Fiedler
+//
+// SPDX-License-Identifier: AGPL-3.0-or-later
+
+import assert from 'node:assert/strict'
+import { readFile } from 'node:fs/promises'
+import { describe, it } from 'node:test'
+import { ProjectIoUtils } from '../src/ProjectIoUtils.mjs'
+import { ProjectSchemaDefinitions } from '../src/ProjectSchemaDefinitions.mjs'
+import { ProjectSchemaMigrations } from '../src/ProjectSchemaMigrations.mjs'
+import { ProjectValidationUtils } from '../src/ProjectValidationUtils.mjs'
+import { ProjectValidationPanel } from '../src/ui/ProjectValidationPanel.mjs'
+
+const defaultState = {
+    media: 'W24',
+    mediaLengthMm: null,
+    zoom: 1,
+    resolution: 'LOW',
+    orientation: 'horizontal',
+    backend: 'usb',
+    printer: 'P700',
+    ble: { serviceUuid: '', writeCharacteristicUuid: '', notifyCharacteristicUuid: '', namePrefix: '' },
+    parameters: [],
+    parameterDataRows: [],
+    parameterDataRaw: '',
+    parameterDataSourceName: '',
+    customFontLinks: [],
+    items: []
+}
+
+/**
+ * Returns `[path, code]` pairs of all issues for compact assertions.
+ * @param {{ errors: object[], warnings: object[] }} report
+ * @returns {Array<[string, string]>}
+ */
+function summarize(report) {
+    return [...report.errors, ...report.warnings].map((issue) => [issue.path, issue.code])
+}
+
+describe('project-validation', () => {
+    it('accepts payloads saved by the app for every item type', () => {
+        const items = ProjectSchemaDefinitions.getItemTypes()
+            .filter((type) => type !== 'group')
+            .map((type) => ({ type }))
+        items.push({ type: 'group', children: [{ type: 'text' }, { type: 'qr' }] })
+        const { state } = ProjectIoUtils.normalizeProjectState({ items }, defaultState)
+        const report = ProjectValidationUtils.validateProject(ProjectIoUtils.buildProjectPayload(state))
+        assert.deepEqual(report, { valid: true, errors: [], warnings: [] })
+    })
+
+    it('reports every problem with its JSON path', () => {
+        const report = ProjectValidationUtils.validateProject({
+            schemaVersion: 2,
+            backend: 'serial',
+            labels: [
+                {
+                    orientation: 'diagonal',
+                    items: [
+                        { id: 'a', type: 'text', fontSize: 0, textBold: 'yes' },
+                        { id: 'a', type: 'qr', qrVersion: 41, size: 80 },
+                        { type: 'sticker' },
+                        { type: 'barcode', barcodeFormat: 'NOPE', barcodeMargin: 2.5, colour: 'red' },
+                        { type: 'group', children: [] },
+                        { data: 'no type' }
+                    ]
+                }
+            ]
+        })
+        assert.equal(report.valid, false)
+        assert.deepEqual(summarize(report), [
+            ['backend', 'invalid-value'],
+            ['labels[0].orientation', 'invalid-value'],
+            ['labels[0].items[0].fontSize', 'below-minimum'],
+            ['labels[0].items[0].textBold', 'invalid-type'],
+            ['labels[0].items[1].qrVersion', 'above-maximum'],
+            ['labels[0].items[2].type', 'unknown-item-type'],
+            ['labels[0].items[3].barcodeFormat', 'invalid-value'],
+            ['labels[0].items[3].barcodeMargin', 'invalid-type'],
+            ['labels[0].items[4].children', 'too-few-entries'],
+            ['labels[0].items[5].type', 'missing-required'],
+            ['labels[0].items[3].colour', 'unknown-property'],
+            ['labels[0].items[1].id', 'duplicate-id']
+        ])
+        const formatIssue = report.errors.find((issue) => issue.path.endsWith('barcodeFormat'))
+        assert.equal(formatIssue.value, 'NOPE')
+        assert.ok(formatIssue.allowed.includes('CODE128'))
+        assert.match(formatIssue.message, /^Value "NOPE" is not allowed\. Allowed: "CODE128"/)
+    })
+
+    it('keeps original paths for legacy single-label files and alias fields', () => {
+        const report = ProjectValidationUtils.validateProject({
+            media: 'W9',
+            items: [{ type: 'text' }, { type: 'text' }, { type: 'text' }, { type: 'barcode', format: 'EAN99' }]
+        })
+        assert.deepEqual(summarize(report), [['items[3].barcodeFormat', 'invalid-value']])
+    })
+
+    it('flags missing labels, bad roots and out-of-range label indexes', () => {
+        assert.deepEqual(summarize(ProjectValidationUtils.validateProject([])), [['', 'invalid-type']])
+        assert.deepEqual(summarize(ProjectValidationUtils.validateProject({ schemaVersion: 2 })), [['labels', 'missing-required']])
+        const report = ProjectValidationUtils.validateProject({ schemaVersion: 2, activeLabelIndex: 3, labels: [{ items: [] }] })
+        assert.equal(report.valid, true)
+        assert.deepEqual(summarize(report), [['activeLabelIndex', 'active-label-out-of-range']])
+    })
+
+    it('warns about newer schemas instead of failing', () => {
+        const version = ProjectSchemaMigrations.CURRENT_VERSION + 1
+        const report = ProjectValidationUtils.validateProject({ schemaVersion: version, labels: [{ items: [] }], futureField: 1 })
+        assert.equal(report.valid, true)
+        assert.deepEqual(summarize(report), [
+            ['schemaVersion', 'newer-schema'],
+            ['futureField', 'unknown-property']
+        ])
+    })
+
+    it('shortens long lists of allowed values', () => {
+        assert.equal(ProjectValidationUtils.formatAllowedValues(['a', 'b']), '"a", "b"')
+        const values = Array.from({ length: 15 }, (_value, index) => index)
+        assert.match(ProjectValidationUtils.formatAllowedValues(values), /^0, 1, .*, 11, … \(3 more\)$/)
+    })
+
+    it('translates issue reasons by code with a fallback to the message', () => {
+        const translations = { 'projectValidation.codes.invalidValue': '{{value}} | {{allowed}}' }
+        const panel = new ProjectValidationPanel({
+            els: {},
+            translate: (key, params = {}) =>
+                (translations[key] || key).replace(/\{\{(\w+)\}\}/g, (_match, name) => String(params[name] ?? ''))
+        })
+        assert.equal(panel.formatIssue({ code: 'invalid-value', value: 'X', allowed: ['A', 'B'] }), '"X" | "A", "B"')
+        assert.equal(panel.formatIssue({ code: 'custom-check', message: 'Fallback.' }), 'Fallback.')
+    })
+
+    it('publishes the JSON Schema generated from the validation definitions', async () => {
+        const published = await readFile('docs/project.schema.json', 'utf8')
+        assert.equal(published, `${JSON.stringify(ProjectSchemaDefinitions.buildJsonSchema(), null, 4)}\n`)
+        const schema = JSON.parse(published)
+        assert.deepEqual(schema.required, ['labels'])
+        assert.deepEqual(
+            schema.$defs.item.oneOf.map((entry) => entry.$ref),
+            ProjectSchemaDefinitions.getItemTypes().map((type) => `#/$defs/${type}Item`)
+        )
+    })
+
+    it('shows the validation report when a project is loaded', async () => {
+        const source = await readFile('src/main.mjs', 'utf8')
+        assert.match(source, /const report = ProjectValidationUtils\.validateProject\(rawState\)/)
+        assert.match(source, /this\.validationReport\.show\(report, sourceLabel\)/)
+        assert.match(source, /messages\.loadedWithIssues/)
+        const html = await readFile('src/index.html', 'utf8')
+        assert.match(html, /data-validation-report role="status" hidden/)
+    })
+})
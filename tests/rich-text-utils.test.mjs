@@ -0,0 +1,133 @@
+// SPDX-FileCopyrightText: 2026 André Fiedler
+//
+// SPDX-License-Identifier: AGPL-3.0-or-later
+
+import assert from 'node:assert/strict'
+import { readFile } from 'node:fs/promises'
+import { describe, it } from 'node:test'
+import { ParameterTemplateUtils } from '../src/ParameterTemplateUtils.mjs'
+import { ProjectIoUtils } from '../src/ProjectIoUtils.mjs'
+import { RichTextUtils } from '../src/RichTextUtils.mjs'
+
+/**
+ * Measures tokens with a width of 10 per character, 20 for bold characters.
+ * @param {{ text: string, bold?: boolean }} token
+ * @returns {number}
+ */
+function measureWidth(token) {
+    return Array.from(token.text).length * (token.bold ? 20 : 10)
+}
+
+/**
+ * Returns `[text, style]` pairs of laid-out lines for compact assertions.
+ * @param {Array<Array<{ text: string, bold: boolean, italic: boolean, underline: boolean }>>} lines
+ * @returns {string[][]}
+ */
+function describeLines(lines) {
+    return lines.map((tokens) =>
+        tokens.map((token) => `${token.text}${token.bold ? '/b' : ''}${token.italic ? '/i' : ''}${token.underline ? '/u' : ''}`)
+    )
+}
+
+describe('rich-text-utils', () => {
+    it('parses bold, italic, underline, size and font runs', () => {
+        const [first, second] = RichTextUtils.parseMarkup(
+            'Room: **A-101**\n*[size=20]big[/size]* __[font=Courier New]mono[/font]__ snake_case'
+        )
+        assert.deepEqual(
+            first.map((run) => [run.text, run.bold]),
+            [
+                ['Room: ', false],
+                ['A-101', true]
+            ]
+        )
+        assert.deepEqual(
+            second.map((run) => [run.text, run.italic, run.underline, run.size, run.family]),
+            [
+                ['big', true, false, 20, ''],
+                [' ', false, false, 0, ''],
+                ['mono', false, true, 0, 'Courier New'],
+                [' snake_case', false, false, 0, '']
+            ]
+        )
+    })
+
+    it('escapes markup characters in values and strips markup to plain text', () => {
+        assert.equal(RichTextUtils.escapeMarkup('2*3 [x]'), '2\\*3 \\[x\\]')
+        assert.deepEqual(RichTextUtils.escapeValues({ price: '**5**' }), { price: '\\*\\*5\\*\\*' })
+        assert.equal(RichTextUtils.toPlainText(`**Price:** ${RichTextUtils.escapeMarkup('**5**')}`), 'Price: **5**')
+        assert.equal(RichTextUtils.toPlainText('[size=x]a[/size] [color=red]b'), 'a [color=red]b')
+    })
+
+    it('applies placeholder filters to raw values before escaping markup', () => {
+        const resolve = (template, values) =>
+            ParameterTemplateUtils.resolveTemplateString(template, values, undefined, RichTextUtils.escapeMarkup)
+        const padded = resolve('**SKU** {{sku|pad:8:0}}', { sku: 'AB_12' })
+        assert.equal(padded, '**SKU** 000AB\\_12')
+        assert.equal(RichTextUtils.toPlainText(padded), 'SKU 000AB_12')
+        const truncated = resolve('{{name|truncate:4}}', { name: 'a_b_c_d' })
+        assert.equal(truncated, 'a\\_b…')
+        assert.equal(RichTextUtils.toPlainText(truncated), 'a_b…')
+    })
+
+    it('word-wraps styled tokens across runs and keeps paragraph ends', () => {
+        const paragraphs = RichTextUtils.parseMarkup('ab **cd** ef gh\nij')
+        const { lines, paragraphEnds } = RichTextUtils.layoutParagraphs(paragraphs, 80, measureWidth)
+        assert.deepEqual(describeLines(lines), [['ab', ' ', 'cd/b'], ['ef', ' ', 'gh'], ['ij']])
+        assert.deepEqual(paragraphEnds, [false, true, true])
+        const unboxed = RichTextUtils.layoutParagraphs(paragraphs, 0, measureWidth)
+        assert.deepEqual(unboxed.paragraphEnds, [false, true])
+        assert.equal(RichTextUtils.lineText(unboxed.lines[0]), 'ab cd ef gh')
+        assert.equal(RichTextUtils.lineWidth(unboxed.lines[0]), 130)
+    })
+
+    it('truncates styled lines with an ellipsis', () => {
+        const [tokens] = RichTextUtils.layoutParagraphs(RichTextUtils.parseMarkup('ab **cdef**'), 0, measureWidth).lines
+        const truncated = RichTextUtils.truncateTokens(tokens, 70, measureWidth)
+        assert.deepEqual(describeLines([truncated]), [['ab', ' ', 'c…/b']])
+        assert.equal(RichTextUtils.truncateTokens(tokens, 0, measureWidth), tokens)
+    })
+
+    it('positions tokens for alignment and justify', () => {
+        const [tokens] = RichTextUtils.layoutParagraphs(RichTextUtils.parseMarkup('a **b** c'), 0, measureWidth).lines
+        const right = RichTextUtils.positionTokens({ tokens, textAlign: 'right', blockAdvance: 100, isLastLine: false })
+        assert.equal(right.offsetX, 40)
+        const justified = RichTextUtils.positionTokens({ tokens, textAlign: 'justify', blockAdvance: 100, isLastLine: false })
+        assert.deepEqual(
+            justified.tokens.map((token) => token.x),
+            [0, 10, 40, 60, 90]
+        )
+        assert.equal(justified.extraWidth, 40)
+        assert.equal(RichTextUtils.positionTokens({ tokens, textAlign: 'justify', blockAdvance: 100, isLastLine: true }).extraWidth, 0)
+    })
+
+    it('stores richText in project files with a plain-text default', () => {
+        const { items } = ProjectIoUtils.normalizeItems([
+            { type: 'text', richText: true },
+            { type: 'text', richText: 'no' },
+            { type: 'text' }
+        ])
+        assert.deepEqual(
+            items.map((item) => item.richText),
+            [true, false, false]
+        )
+    })
+
+    it('wires rich text into preview, print worker, editor and AI capabilities', async () => {
+        const supportSource = await readFile('src/ui/PreviewRendererCanvasSupport.mjs', 'utf8')
+        const buildSource = await readFile('src/ui/PreviewRendererCanvasBuild.mjs', 'utf8')
+        const textSupportSource = await readFile('src/workers/PrintPageTextSupport.mjs', 'utf8')
+        const printWorkerSource = await readFile('src/workers/PrintPageWorker.mjs', 'utf8')
+        const editorSource = await readFile('src/ui/ItemsEditorTextSupport.mjs', 'utf8')
+        const changeSource = await readFile('src/ui/AiItemChangeUtils.mjs', 'utf8')
+        assert.match(supportSource, /const paragraphs = richText && !stacked \? RichTextUtils\.parseMarkup\(text\) : null/)
+        assert.match(buildSource, /parameterValues,\s+undefined,\s+item\.richText \? RichTextUtils\.escapeMarkup : undefined/)
+        assert.match(buildSource, /RichTextUtils\.positionTokens\(\{/)
+        assert.match(textSupportSource, /const paragraphs = richText && !stacked \? parseRichText\(text\) : null/)
+        assert.match(textSupportSource, /renderRichTextLine\(\{/)
+        assert.match(printWorkerSource, /parameterValues, item\.richText \? escapeRichTextMarkup : undefined\)/)
+        assert.match(printWorkerSource, /richText: Boolean\(item\.richText\)/)
+        assert.match(editorSource, /property: 'richText'/)
+        assert.match(changeSource, /case 'richText':/)
+    })
+})
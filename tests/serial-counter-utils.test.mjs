@@ -0,0 +1,158 @@
+// SPDX-FileCopyrightText: 2026 André Fiedler
+//
+// SPDX-License-Identifier: AGPL-3.0-or-later
+
+import assert from 'node:assert/strict'
+import { readFile } from 'node:fs/promises'
+import { describe, it } from 'node:test'
+import { ParameterTemplateUtils } from '../src/ParameterTemplateUtils.mjs'
+import { ProjectIoUtils } from '../src/ProjectIoUtils.mjs'
+import { ProjectValidationUtils } from '../src/ProjectValidationUtils.mjs'
+import { SerialCounterUtils } from '../src/SerialCounterUtils.mjs'
+import { ParameterPanel } from '../src/ui/ParameterPanel.mjs'
+import { PrintCountDialogController } from '../src/ui/PrintCountDialogController.mjs'
+
+describe('serial-counter-utils', () => {
+    it('normalizes counters with defaults and integer settings', () => {
+        assert.deepEqual(SerialCounterUtils.createCounter('serial'), {
+            name: 'serial',
+            start: 1,
+            step: 1,
+            padding: 0,
+            prefix: '',
+            suffix: '',
+            nextValue: 1
+        })
+        assert.deepEqual(
+            SerialCounterUtils.normalizeCounter({ name: ' tag ', start: '100', step: 0, padding: 99, prefix: 'A-', nextValue: 'x' }),
+            { name: 'tag', start: 100, step: 1, padding: 20, prefix: 'A-', suffix: '', nextValue: 100 }
+        )
+        assert.deepEqual(SerialCounterUtils.normalizeCounters('serial'), [])
+    })
+
+    it('formats values with padding, prefix and suffix', () => {
+        const counter = { name: 'serial', padding: 4, prefix: 'A-', suffix: '/26' }
+        assert.equal(SerialCounterUtils.formatValue(counter, 42), 'A-0042/26')
+        assert.equal(SerialCounterUtils.formatValue(counter, 123456), 'A-123456/26')
+        assert.equal(SerialCounterUtils.formatValue({ name: 'n', padding: 3 }, -7), '-007')
+    })
+
+    it('builds one value map per label and continues after a batch', () => {
+        const counters = [
+            { name: 'serial', padding: 3, nextValue: 9 },
+            { name: 'down', start: 10, step: -2 },
+            { name: '', nextValue: 5 }
+        ]
+        assert.deepEqual(SerialCounterUtils.buildValueMaps(counters, 3), [
+            { serial: '009', down: '10' },
+            { serial: '010', down: '8' },
+            { serial: '011', down: '6' }
+        ])
+        assert.deepEqual(
+            SerialCounterUtils.advanceCounters(counters, 3).map((counter) => counter.nextValue),
+            [12, 4, 8]
+        )
+        assert.deepEqual(SerialCounterUtils.collectCounterNames(counters), ['serial', 'down'])
+    })
+
+    it('treats counters as defined placeholders during validation', () => {
+        const items = [{ type: 'text', text: '{{serial|pad:6}} {{room}}' }]
+        const definitions = [{ name: 'room', defaultValue: '' }]
+        const withoutCounter = ParameterTemplateUtils.validateParameterSetup(definitions, items, [{ room: 'A' }])
+        assert.deepEqual(
+            withoutCounter.errors.map((issue) => issue.code),
+            ['undefined-placeholder', 'missing-row-parameter']
+        )
+        const result = ParameterTemplateUtils.validateParameterSetup(definitions, items, [{ room: 'A' }], '', [
+            { name: 'serial' },
+            { name: 'unused' },
+            { name: '1bad' }
+        ])
+        assert.deepEqual(
+            result.errors.map((issue) => [issue.code, issue.parameterName]),
+            [['invalid-counter-name', '1bad']]
+        )
+        assert.deepEqual(
+            result.warnings.map((issue) => [issue.code, issue.parameterName]),
+            [['unused-definition', 'unused']]
+        )
+        const duplicate = ParameterTemplateUtils.validateParameterSetup(definitions, items, [], '', [{ name: 'room' }])
+        assert.equal(duplicate.errors[0].code, 'duplicate-definition-name')
+    })
+
+    it('numbers print value maps in the parameter panel and advances after printing', () => {
+        const state = {
+            parameters: [{ name: 'room', defaultValue: 'R1' }],
+            parameterDataRows: [],
+            serialCounters: [{ name: 'serial', padding: 4, prefix: 'A-', nextValue: 41 }]
+        }
+        let changes = 0
+        const panel = new ParameterPanel(
+            {},
+            state,
+            () => {},
+            () => (changes += 1),
+            (key) => key
+        )
+        assert.equal(panel.shouldAskPrintCount(), true)
+        assert.deepEqual(panel.getPreviewParameterValues(), { room: 'R1', serial: 'A-0041' })
+        assert.deepEqual(
+            panel.buildPrintParameterValueMaps(3).map((values) => values.serial),
+            ['A-0041', 'A-0042', 'A-0043']
+        )
+        assert.equal(panel.describeCounterRange(3), 'serial: A-0041 – A-0043')
+        panel.advanceSerialCounters(3)
+        assert.equal(state.serialCounters[0].nextValue, 44)
+        assert.equal(changes, 1)
+
+        state.parameterDataRows = [{ room: 'R7' }, { room: 'R8' }]
+        assert.equal(panel.shouldAskPrintCount(), false)
+        assert.deepEqual(panel.buildPrintParameterValueMaps(50), [
+            { room: 'R7', serial: 'A-0044' },
+            { room: 'R8', serial: 'A-0045' }
+        ])
+    })
+
+    it('saves counters with the project and validates them against the schema', () => {
+        const defaultState = {
+            media: 'W9',
+            orientation: 'horizontal',
+            parameters: [],
+            parameterDataRows: [],
+            serialCounters: [],
+            ble: {},
+            items: []
+        }
+        const payload = ProjectIoUtils.buildProjectPayload({
+            ...defaultState,
+            labels: [{ media: 'W9', orientation: 'horizontal', items: [{ id: 'a', type: 'text', text: '{{serial}}' }] }],
+            serialCounters: [{ name: 'serial', start: 1, padding: 4, prefix: 'A-', nextValue: 201 }]
+        })
+        assert.deepEqual(payload.serialCounters, [
+            { name: 'serial', start: 1, step: 1, padding: 4, prefix: 'A-', suffix: '', nextValue: 201 }
+        ])
+        assert.equal(ProjectValidationUtils.validateProject(payload).valid, true)
+        const { state } = ProjectIoUtils.normalizeProjectState(payload, defaultState)
+        assert.equal(state.serialCounters[0].nextValue, 201)
+    })
+
+    it('limits the print count to whole labels', () => {
+        assert.equal(PrintCountDialogController.normalizeCount('200'), 200)
+        assert.equal(PrintCountDialogController.normalizeCount('2.7'), 2)
+        assert.equal(PrintCountDialogController.normalizeCount(0), 1)
+        assert.equal(PrintCountDialogController.normalizeCount(''), 1)
+        assert.equal(PrintCountDialogController.normalizeCount(1e9), 9999)
+    })
+
+    it('asks for the count before printing counter batches and advances after a sent job', async () => {
+        const mainSource = await readFile('src/main.mjs', 'utf8')
+        const workerSource = await readFile('src/workers/ParameterValidationWorker.mjs', 'utf8')
+        const htmlSource = await readFile('src/index.html', 'utf8')
+        assert.match(mainSource, /this\.parameterPanel\.shouldAskPrintCount\(\)/)
+        assert.match(mainSource, /await this\.printCount\.request\(/)
+        assert.match(mainSource, /if \(sent\) this\.parameterPanel\.advanceSerialCounters\(parameterValueMaps\.length\)/)
+        assert.match(workerSource, /payload\.rawJson,\s*payload\.counters/)
+        assert.match(htmlSource, /data-print-count-overlay/)
+        assert.match(htmlSource, /data-add-serial-counter/)
+    })
+})
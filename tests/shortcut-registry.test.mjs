@@ -0,0 +1,103 @@
+// SPDX-FileCopyrightText: 2026 André Fiedler
+//
+// SPDX-License-Identifier: AGPL-3.0-or-later
+
+import assert from 'node:assert/strict'
+import { readFile } from 'node:fs/promises'
+import { describe, it } from 'node:test'
+import { KeyboardShortcutUtils } from '../src/KeyboardShortcutUtils.mjs'
+import { ShortcutRegistry } from '../src/ShortcutRegistry.mjs'
+
+/**
+ * Builds a keydown-like event that records preventDefault calls.
+ * @param {object} init
+ * @returns {object}
+ */
+function createKeyEvent(init) {
+    return {
+        target: { tagName: 'CANVAS' },
+        defaultPrevented: false,
+        preventDefault() {
+            this.defaultPrevented = true
+        },
+        ...init
+    }
+}
+
+describe('shortcut-registry', () => {
+    it('matches combos with exact modifiers and layout-independent symbols', () => {
+        assert.equal(KeyboardShortcutUtils.matchesCombo({ key: 'z', ctrlKey: true }, 'Mod+Z'), true)
+        assert.equal(KeyboardShortcutUtils.matchesCombo({ key: 'z', metaKey: true }, 'Mod+Z'), true)
+        assert.equal(KeyboardShortcutUtils.matchesCombo({ key: 'Z', ctrlKey: true, shiftKey: true }, 'Mod+Z'), false)
+        assert.equal(KeyboardShortcutUtils.matchesCombo({ key: 'z', ctrlKey: true, altKey: true }, 'Mod+Z'), false)
+        assert.equal(KeyboardShortcutUtils.matchesCombo({ key: 'ArrowLeft', shiftKey: true }, 'Shift+ArrowLeft'), true)
+        assert.equal(KeyboardShortcutUtils.matchesCombo({ key: '?', shiftKey: true }, '?'), true)
+        assert.deepEqual(KeyboardShortcutUtils.formatCombo('Mod+Shift+Z'), ['Ctrl', 'Shift', 'Z'])
+        assert.deepEqual(KeyboardShortcutUtils.formatCombo('Mod+ArrowUp', true), ['Cmd', '↑'])
+        assert.equal(KeyboardShortcutUtils.isMacPlatform({ platform: 'MacIntel' }), true)
+    })
+
+    it('resolves the default undo, redo and nudge bindings', () => {
+        const registry = new ShortcutRegistry()
+        assert.equal(registry.resolveBinding({ key: 'z', ctrlKey: true })?.id, 'undo')
+        assert.equal(registry.resolveBinding({ key: 'Z', metaKey: true, shiftKey: true })?.id, 'redo')
+        assert.equal(registry.resolveBinding({ key: 'y', ctrlKey: true })?.id, 'redo')
+        assert.equal(registry.resolveBinding({ key: 'z' }), null)
+        assert.equal(registry.resolveBinding({ key: 'ArrowDown', shiftKey: true })?.id, 'nudgeDown')
+        assert.equal(registry.resolveBinding({ key: 'Backspace' })?.id, 'deleteSelection')
+    })
+
+    it('runs handlers, skips form fields and native clipboard bindings', () => {
+        const calls = []
+        const registry = new ShortcutRegistry().register('undo', () => calls.push('undo')).register('copy', () => calls.push('copy'))
+        const undoEvent = createKeyEvent({ key: 'z', ctrlKey: true })
+        assert.equal(registry.handleKeyDown(undoEvent), true)
+        assert.equal(undoEvent.defaultPrevented, true)
+        assert.equal(registry.handleKeyDown(createKeyEvent({ key: 'z', ctrlKey: true, target: { tagName: 'INPUT' } })), false)
+        assert.equal(registry.handleKeyDown(createKeyEvent({ key: 'z', ctrlKey: true, target: { isContentEditable: true } })), false)
+        const copyEvent = createKeyEvent({ key: 'c', ctrlKey: true })
+        assert.equal(registry.handleKeyDown(copyEvent), false)
+        assert.equal(copyEvent.defaultPrevented, false)
+        assert.deepEqual(calls, ['undo'])
+    })
+
+    it('leaves the key to the browser when a handler returns false', () => {
+        const registry = new ShortcutRegistry().register('nudgeUp', () => false)
+        const event = createKeyEvent({ key: 'ArrowUp' })
+        assert.equal(registry.handleKeyDown(event), false)
+        assert.equal(event.defaultPrevented, false)
+    })
+
+    it('repeats only bindings that allow held keys', () => {
+        const calls = []
+        const registry = new ShortcutRegistry()
+            .register('print', () => calls.push('print'))
+            .register('nudgeLeft', () => calls.push('nudge'))
+        registry.handleKeyDown(createKeyEvent({ key: 'p', ctrlKey: true, repeat: true }))
+        registry.handleKeyDown(createKeyEvent({ key: 'ArrowLeft', repeat: true }))
+        assert.deepEqual(calls, ['nudge'])
+    })
+
+    it('applies persisted overrides for known actions only', () => {
+        const overrides = ShortcutRegistry.parsePersistedBindings(JSON.stringify({ print: ['Mod+Shift+P', 7], unknown: ['X'], save: [] }))
+        assert.deepEqual(overrides, { print: ['Mod+Shift+P'] })
+        assert.deepEqual(ShortcutRegistry.parsePersistedBindings('{broken'), {})
+        const registry = new ShortcutRegistry(overrides)
+        assert.equal(registry.resolveBinding({ key: 'p', ctrlKey: true }), null)
+        assert.equal(registry.resolveBinding({ key: 'P', ctrlKey: true, shiftKey: true })?.id, 'print')
+        assert.deepEqual(registry.getBindings().find((binding) => binding.id === 'save')?.keys, ['Mod+S'])
+    })
+
+    it('wires the shortcut controller, nudging and the help overlay', async () => {
+        const mainSource = await readFile('src/main.mjs', 'utf8')
+        assert.match(mainSource, /new ShortcutRegistry\(AppPreferenceStorage\.readShortcutBindings\(\)\)/)
+        assert.match(mainSource, /this\.shortcuts\.bind\(document, \{/)
+        assert.match(mainSource, /this\.previewRenderer\.nudgeSelectedItems\(/)
+        assert.match(mainSource, /deleteSelection: \(\) => this\.clipboard\.deleteSelection\(\) > 0/)
+        const baseSource = await readFile('src/ui/PreviewRendererBase.mjs', 'utf8')
+        assert.match(baseSource, /nudgeSelectedItems\(directionX, directionY, useMillimeters = false\)/)
+        const htmlSource = await readFile('src/index.html', 'utf8')
+        assert.match(htmlSource, /data-shortcut-overlay/)
+        assert.match(htmlSource, /data-shortcut-list/)
+    })
+})
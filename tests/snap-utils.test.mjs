@@ -0,0 +1,66 @@
+// SPDX-FileCopyrightText: 2026 André Fiedler
+//
+// SPDX-License-Identifier: AGPL-3.0-or-later
+
+import assert from 'node:assert/strict'
+import { readFile } from 'node:fs/promises'
+import { describe, it } from 'node:test'
+import { SnapUtils } from '../src/SnapUtils.mjs'
+
+describe('snap-utils', () => {
+    it('collects label edges, label center and item lines as targets', () => {
+        const targets = SnapUtils.collectTargets({
+            labelWidth: 200,
+            labelHeight: 64,
+            bounds: [{ x: 10, y: 4, width: 20, height: 8 }]
+        })
+        assert.deepEqual(targets.x, [0, 100, 200, 10, 20, 30])
+        assert.deepEqual(targets.y, [0, 32, 64, 4, 8, 12])
+    })
+
+    it('snaps the closest line within the threshold and reports guides', () => {
+        const targets = SnapUtils.collectTargets({ labelWidth: 200, labelHeight: 64 })
+        const snap = SnapUtils.resolveSnap({ x: 88, y: 20, width: 20, height: 20 }, targets, { x: 4, y: 4 })
+        assert.equal(snap.dx, 2)
+        assert.equal(snap.dy, 2)
+        assert.deepEqual(snap.guides, [
+            { axis: 'x', position: 100 },
+            { axis: 'y', position: 32 }
+        ])
+    })
+
+    it('leaves bounds untouched when no line is within the threshold', () => {
+        const targets = SnapUtils.collectTargets({ labelWidth: 200, labelHeight: 64 })
+        const snap = SnapUtils.resolveSnap({ x: 40, y: 15, width: 10, height: 10 }, targets, { x: 3, y: 3 })
+        assert.deepEqual(snap, { dx: 0, dy: 0, guides: [] })
+    })
+
+    it('reports every guide matched after the snap', () => {
+        const targets = SnapUtils.collectTargets({
+            labelWidth: 200,
+            labelHeight: 64,
+            bounds: [{ x: 50, y: 0, width: 30, height: 10 }]
+        })
+        const snap = SnapUtils.resolveSnap({ x: 51, y: 40, width: 30, height: 10 }, targets, { x: 4, y: 1 })
+        assert.equal(snap.dx, -1)
+        assert.deepEqual(
+            snap.guides.map((guide) => guide.position),
+            [50, 65, 80]
+        )
+    })
+
+    it('bypasses snapping while Alt is held', () => {
+        assert.equal(SnapUtils.isSnapDisabled({ altKey: true }), true)
+        assert.equal(SnapUtils.isSnapDisabled({ ctrlKey: true }), false)
+        assert.equal(SnapUtils.isSnapDisabled(null), false)
+    })
+
+    it('wires snapping into preview drag gestures and the overlay', async () => {
+        const interactionsSource = await readFile('src/ui/PreviewRendererInteractions.mjs', 'utf8')
+        assert.match(interactionsSource, /SnapUtils\.collectTargets\(/)
+        assert.match(interactionsSource, /SnapUtils\.resolveSnap\(/)
+        assert.match(interactionsSource, /SnapUtils\.isSnapDisabled\(event\)/)
+        const renderSource = await readFile('src/ui/PreviewRendererRender.mjs', 'utf8')
+        assert.match(renderSource, /this\._drawSnapGuides\(ctx/)
+    })
+})
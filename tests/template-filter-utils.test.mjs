@@ -0,0 +1,69 @@
+// SPDX-FileCopyrightText: 2026 André Fiedler
+//
+// SPDX-License-Identifier: AGPL-3.0-or-later
+
+import assert from 'node:assert/strict'
+import { readFile } from 'node:fs/promises'
+import { describe, it } from 'node:test'
+import { TemplateFilterUtils } from '../src/TemplateFilterUtils.mjs'
+
+/**
+ * Parses and applies a filter chain.
+ * @param {string} value
+ * @param {string} chain
+ * @returns {string}
+ */
+function filter(value, chain) {
+    return TemplateFilterUtils.applyFilters(value, TemplateFilterUtils.parseFilters(chain))
+}
+
+describe('template-filter-utils', () => {
+    it('parses filter chains with quoted arguments', () => {
+        assert.deepEqual(TemplateFilterUtils.parseFilters(' | pad:8:0 | date:\'HH:mm\' |default:"a|b"'), [
+            { name: 'pad', args: ['8', '0'] },
+            { name: 'date', args: ['HH:mm'] },
+            { name: 'default', args: ['a|b'] }
+        ])
+        assert.deepEqual(TemplateFilterUtils.parseFilters(''), [])
+    })
+
+    it('changes case, trims and fills empty values', () => {
+        assert.equal(filter(' Rack a1 ', '|trim|upper'), 'RACK A1')
+        assert.equal(filter('ABC', '|lower'), 'abc')
+        assert.equal(filter(' ', "|default:'n/a'"), 'n/a')
+        assert.equal(filter('x', "|default:'n/a'"), 'x')
+        assert.equal(filter('ABC', '|unknown'), 'ABC')
+    })
+
+    it('formats numbers and pads values', () => {
+        assert.equal(filter('3.5', '|number:2'), '3.50')
+        assert.equal(filter('3,456', "|number:1:','"), '3,5')
+        assert.equal(filter('n/a', '|number:2'), 'n/a')
+        assert.equal(filter('1234', '|pad:8:0'), '00001234')
+        assert.equal(filter('42', '|pad:4'), '0042')
+        assert.equal(filter('12345', '|pad:3'), '12345')
+    })
+
+    it('formats dates and keeps values that are not dates', () => {
+        assert.equal(filter('2026-03-01', "|date:'DD.MM.YYYY'"), '01.03.2026')
+        assert.equal(filter('2026-03-01T07:05:09', "|date:'D.M.YY HH:mm:ss'"), '1.3.26 07:05:09')
+        assert.equal(filter('2026-03-01', "|date:'[Day] D'"), 'Day 1')
+        assert.equal(filter('2026-03-01', '|date'), '2026-03-01')
+        assert.equal(filter('soon', "|date:'YYYY'"), 'soon')
+    })
+
+    it('truncates long values with a suffix', () => {
+        assert.equal(filter('Supercalifragilistic', '|truncate:10'), 'Supercali…')
+        assert.equal(filter('Supercalifragilistic', "|truncate:10:'...'"), 'Superca...')
+        assert.equal(filter('Short', '|truncate:10'), 'Short')
+    })
+
+    it('keeps the print-worker filter copies in sync with the filter names', async () => {
+        const supportSource = await readFile('src/workers/PrintPageTemplateSupport.mjs', 'utf8')
+        const printWorkerSource = await readFile('src/workers/PrintPageWorker.mjs', 'utf8')
+        TemplateFilterUtils.FILTER_NAMES.forEach((name) => assert.match(supportSource, new RegExp(`case '${name}':`)))
+        assert.match(printWorkerSource, /importScripts\('\.\/PrintPageTemplateSupport\.mjs'\)/)
+        assert.match(printWorkerSource, /const filters = parseTemplateFilters\(filterChain\)/)
+        assert.match(printWorkerSource, /applyTemplateFilters\(value, filters\)/)
+    })
+})
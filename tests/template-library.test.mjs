@@ -0,0 +1,134 @@
+// SPDX-FileCopyrightText: 2026 André Fiedler
+//
+// SPDX-License-Identifier: AGPL-3.0-or-later
+
+import assert from 'node:assert/strict'
+import { readFile } from 'node:fs/promises'
+import { describe, it } from 'node:test'
+import { TemplateLibraryStore } from '../src/TemplateLibraryStore.mjs'
+import { TemplateLibraryController } from '../src/ui/TemplateLibraryController.mjs'
+
+/**
+ * In-memory stand-in for the IndexedDB template store.
+ * @returns {{ isAvailable: () => boolean, add: Function, list: Function, templates: object[] }}
+ */
+function createMemoryStore() {
+    const templates = []
+    return {
+        templates,
+        isAvailable: () => true,
+        async add(template) {
+            const id = templates.length + 1
+            templates.push({
+                id,
+                name: template.name,
+                tags: TemplateLibraryStore.normalizeTags(template.tags),
+                thumbnail: template.thumbnail,
+                createdAt: id,
+                updatedAt: id,
+                payload: template.payload
+            })
+            return id
+        },
+        async list() {
+            return [...templates].reverse()
+        }
+    }
+}
+
+describe('template-library', () => {
+    it('normalizes names and comma-separated tags', () => {
+        assert.equal(TemplateLibraryStore.normalizeName('  Cable tag  '), 'Cable tag')
+        assert.equal(TemplateLibraryStore.normalizeName('   ', 'Fallback'), 'Fallback')
+        assert.deepEqual(TemplateLibraryStore.normalizeTags(' rack, Cable,, rack ,cable'), ['rack', 'Cable'])
+        assert.deepEqual(TemplateLibraryStore.normalizeTags(['asset', ' ', 'Asset']), ['asset'])
+    })
+
+    it('matches every search term against name and tags', () => {
+        const template = { name: 'Server rack', tags: ['network', 'blue'] }
+        assert.equal(TemplateLibraryStore.matchesQuery(template, ''), true)
+        assert.equal(TemplateLibraryStore.matchesQuery(template, 'RACK blue'), true)
+        assert.equal(TemplateLibraryStore.matchesQuery(template, 'rack red'), false)
+    })
+
+    it('round-trips a library export and drops invalid entries on import', () => {
+        const templates = [
+            { id: 4, name: 'A', tags: ['x'], thumbnail: 'data:image/png;base64,AAA', createdAt: 10, updatedAt: 20, payload: { labels: [] } }
+        ]
+        const exported = TemplateLibraryStore.buildLibraryExport(templates, { appVersion: '1.2.3' })
+        assert.equal(exported.format, TemplateLibraryStore.LIBRARY_FORMAT)
+        assert.equal(exported.appVersion, '1.2.3')
+        assert.equal('id' in exported.templates[0], false)
+
+        const imported = TemplateLibraryStore.parseLibraryImport(
+            {
+                ...exported,
+                templates: [
+                    ...exported.templates,
+                    { name: '', thumbnail: 'https://example.com/x.png', payload: { labels: [] } },
+                    { name: 'No payload' }
+                ]
+            },
+            { now: 99 }
+        )
+        assert.equal(imported.length, 2)
+        assert.deepEqual(imported[0], { ...exported.templates[0] })
+        assert.deepEqual(imported[1], {
+            name: 'Template 2',
+            tags: [],
+            thumbnail: '',
+            createdAt: 99,
+            updatedAt: 99,
+            payload: { labels: [] }
+        })
+        assert.throws(() => TemplateLibraryStore.parseLibraryImport({ templates: [] }), /Invalid template library file/)
+    })
+
+    it('rejects store access without IndexedDB', async () => {
+        const store = new TemplateLibraryStore({ indexedDB: null })
+        assert.equal(store.isAvailable(), false)
+        await assert.rejects(() => store.list(), /IndexedDB is not available/)
+    })
+
+    it('saves the current project with thumbnail and opens templates', async () => {
+        const store = createMemoryStore()
+        const statuses = []
+        const applied = []
+        const els = { templateName: { value: ' Rack ', focus: () => {} }, templateTags: { value: 'server, blue' } }
+        const payload = { labels: [{ items: [] }] }
+        const controller = new TemplateLibraryController({
+            store,
+            els,
+            setStatus: (text, type) => statuses.push(type),
+            buildPayload: () => payload,
+            captureThumbnail: (maxEdgePx) => `data:image/png;base64,${maxEdgePx}`,
+            applyLoadedProject: async (rawState, sourceLabel) => applied.push({ rawState, sourceLabel })
+        })
+        await controller.saveCurrent()
+        assert.equal(store.templates.length, 1)
+        assert.equal(store.templates[0].name, 'Rack')
+        assert.deepEqual(store.templates[0].tags, ['server', 'blue'])
+        assert.equal(store.templates[0].thumbnail, 'data:image/png;base64,320')
+        assert.equal(els.templateName.value, '')
+
+        await controller.saveCurrent()
+        assert.equal(store.templates.length, 1)
+        assert.deepEqual(statuses, ['success', 'error'])
+
+        await controller.openTemplate(1)
+        assert.equal(applied[0].rawState, payload)
+        assert.equal(applied[0].sourceLabel, 'templates.sourceLabel')
+    })
+
+    it('wires the template dialog and preview thumbnails', async () => {
+        const mainSource = await readFile('src/main.mjs', 'utf8')
+        assert.match(mainSource, /new TemplateLibraryController\(\{\s*store: new TemplateLibraryStore\(\)/)
+        assert.match(mainSource, /captureThumbnail: \(maxEdgePx\) => previewRenderer\.getRenderedLabelDataUrl\(maxEdgePx\)/)
+        assert.match(mainSource, /this\.templates\.bind\(\)/)
+        const html = await readFile('src/index.html', 'utf8')
+        assert.match(html, /data-template-open/)
+        assert.match(html, /data-template-overlay hidden/)
+        const databaseSource = await readFile('src/IndexedDbUtils.mjs', 'utf8')
+        assert.match(databaseSource, /#storeNames = Object\.freeze\(\['autosave-snapshots', 'templates'\]\)/)
+    })
+})
@@ -0,0 +1,133 @@
+// SPDX-FileCopyrightText: 2026 André Fiedler
+//
+// SPDX-License-Identifier: AGPL-3.0-or-later
+
+import assert from 'node:assert/strict'
+import { describe, it } from 'node:test'
+import { TextFitValidationUtils } from '../src/ui/TextFitValidationUtils.mjs'
+
+/**
+ * Creates a 2D context double whose glyphs are half as wide as the font size plus the letter spacing.
+ * @returns {{ font: string, letterSpacing: string, measureText: (text: string) => { width: number } }}
+ */
+function createMeasureContext() {
+    return {
+        font: '10px sans-serif',
+        letterSpacing: '0px',
+        measureText(text) {
+            const size = Number(/(\d+)px/.exec(this.font)?.[1] || 10)
+            return { width: Array.from(String(text)).length * (size * 0.5 + (parseFloat(this.letterSpacing) || 0)) }
+        }
+    }
+}
+
+const definitions = [{ name: 'name', defaultValue: '' }]
+const pages = [
+    {
+        items: [
+            { id: 'shrink', type: 'text', text: '{{name}}', fontSize: 16, boxWidth: 100, overflow: 'shrink', minFontSize: 8 },
+            { id: 'plain', type: 'text', text: '{{name}}', fontSize: 16, boxWidth: 100, overflow: 'none' },
+            { id: 'static', type: 'text', text: 'Supercalifragilisticexpialidocious', fontSize: 16, boxWidth: 100, overflow: 'shrink' }
+        ],
+        textDotScale: 1,
+        maxFontDots: 64,
+        maxWidth: 0
+    }
+]
+
+describe('text-fit-validation-utils', () => {
+    it('warns about rows that do not fit at the minimum font size', () => {
+        const warnings = TextFitValidationUtils.collectOverflowWarnings({
+            pages,
+            definitions,
+            rows: [{ name: 'Bob' }, { name: 'Maximilian-Alexander' }, { name: 'Supercalifragilisticexpialidocious' }],
+            ctx: createMeasureContext()
+        })
+        assert.deepEqual(
+            warnings.map((issue) => [issue.level, issue.code, issue.rowIndex, issue.rowNumber, issue.itemId, issue.text]),
+            [['warning', 'text-overflow', 2, 3, 'shrink', 'Supercalifragilisticexpialidocious']]
+        )
+        assert.match(warnings[0].message, /^Row 3: text "Supercalifragilisticexpialidocious" does not fit/)
+    })
+
+    it('uses the tape width on vertical labels and shortens quoted text', () => {
+        const [warning] = TextFitValidationUtils.collectOverflowWarnings({
+            pages: [
+                { items: [{ type: 'text', text: '{{name}} {{name}}', overflow: 'shrink' }], textDotScale: 1, maxFontDots: 64, maxWidth: 64 }
+            ],
+            definitions,
+            rows: [{ name: 'A very long product name' }],
+            ctx: createMeasureContext()
+        })
+        assert.equal(warning.rowNumber, 1)
+        assert.equal(warning.text, 'A very long product name A very long pr…')
+    })
+
+    it('fits stacked text to the tape height on horizontal labels only', () => {
+        const item = { id: 'stack', type: 'text', text: '{{name}}', overflow: 'shrink', textDirection: 'stacked', stackSpacing: 2 }
+        const rows = [{ name: 'Bob' }, { name: 'ABCDEFGHIJKLMNOPQRSTUVWXYZ' }]
+        const horizontal = TextFitValidationUtils.collectOverflowWarnings({
+            pages: [{ items: [item], textDotScale: 1, maxFontDots: 64, maxWidth: 0 }],
+            definitions,
+            rows,
+            ctx: createMeasureContext()
+        })
+        assert.deepEqual(
+            horizontal.map((issue) => [issue.rowNumber, issue.itemId]),
+            [[2, 'stack']]
+        )
+        const vertical = TextFitValidationUtils.collectOverflowWarnings({
+            pages: [{ items: [item], textDotScale: 1, maxFontDots: 64, maxWidth: 64 }],
+            definitions,
+            rows,
+            ctx: createMeasureContext()
+        })
+        assert.deepEqual(vertical, [])
+    })
+
+    it('counts letter spacing when checking the width', () => {
+        const item = { id: 'tracked', type: 'text', text: '{{name}}', fontSize: 16, boxWidth: 100, overflow: 'shrink', minFontSize: 8 }
+        const check = (letterSpacing) =>
+            TextFitValidationUtils.collectOverflowWarnings({
+                pages: [{ items: [{ ...item, letterSpacing }], textDotScale: 1, maxFontDots: 64, maxWidth: 0 }],
+                definitions,
+                rows: [{ name: 'Maximilian' }],
+                ctx: createMeasureContext()
+            })
+        assert.deepEqual(check(0), [])
+        assert.deepEqual(
+            check(10).map((issue) => issue.itemId),
+            ['tracked']
+        )
+    })
+
+    it('marks warnings for fonts measured with a fallback as approximate', () => {
+        const item = { id: 'web', type: 'text', text: '{{name}}', fontFamily: 'Roboto', fontSize: 16, boxWidth: 100, overflow: 'shrink' }
+        const check = (approximateFamilies) =>
+            TextFitValidationUtils.collectOverflowWarnings({
+                pages: [{ items: [item], textDotScale: 1, maxFontDots: 64, maxWidth: 0 }],
+                definitions,
+                rows: [{ name: 'Supercalifragilisticexpialidocious' }],
+                ctx: createMeasureContext(),
+                approximateFamilies
+            })[0]
+        assert.equal(check(undefined).approximate, false)
+        const warning = check(['roboto'])
+        assert.equal(warning.approximate, true)
+        assert.match(warning.message, /approximate\.$/)
+    })
+
+    it('skips the check without a measuring context or shrinking items', () => {
+        const rows = [{ name: 'Supercalifragilisticexpialidocious' }]
+        assert.deepEqual(TextFitValidationUtils.collectOverflowWarnings({ pages, definitions, rows, ctx: null }), [])
+        assert.deepEqual(
+            TextFitValidationUtils.collectOverflowWarnings({
+                pages: [{ ...pages[0], items: [pages[0].items[1]] }],
+                definitions,
+                rows,
+                ctx: createMeasureContext()
+            }),
+            []
+        )
+    })
+})
@@ -0,0 +1,396 @@
+// SPDX-FileCopyrightText: 2026 André Fiedler
+//
+// SPDX-License-Identifier: AGPL-3.0-or-later
+
+import assert from 'node:assert/strict'
+import { readFile } from 'node:fs/promises'
+import { describe, it } from 'node:test'
+import { ProjectIoUtils } from '../src/ProjectIoUtils.mjs'
+import { TextLayoutUtils } from '../src/TextLayoutUtils.mjs'
+import { PreviewRendererCanvasSupport } from '../src/ui/PreviewRendererCanvasSupport.mjs'
+
+/**
+ * Measures text with a fixed width of 10 per character.
+ * @param {string} text
+ * @returns {number}
+ */
+function measureWidth(text) {
+    return String(text).length * 10
+}
+
+/**
+ * Lays out one line with the fixed-width measurer.
+ * @param {string} line
+ * @param {string} textAlign
+ * @param {number} blockAdvance
+ * @param {boolean} [isLastLine=false]
+ * @returns {{ segments: Array<{ text: string, x: number }>, offsetX: number, extraWidth: number }}
+ */
+function layout(line, textAlign, blockAdvance, isLastLine = false) {
+    return TextLayoutUtils.resolveLineLayout({
+        line,
+        textAlign,
+        lineAdvance: measureWidth(line),
+        blockAdvance,
+        isLastLine,
+        measureWidth
+    })
+}
+
+describe('text-layout-utils', () => {
+    it('normalizes textAlign values', () => {
+        assert.deepEqual(TextLayoutUtils.TEXT_ALIGN_MODES, ['left', 'center', 'right', 'justify'])
+        assert.equal(TextLayoutUtils.normalizeTextAlign(' Center '), 'center')
+        assert.equal(TextLayoutUtils.normalizeTextAlign('middle'), 'left')
+        assert.equal(TextLayoutUtils.normalizeTextAlign(undefined, ''), '')
+    })
+
+    it('offsets shorter lines for left, center and right alignment', () => {
+        assert.deepEqual(layout('ab', 'left', 100), { segments: [{ text: 'ab', x: 0 }], offsetX: 0, extraWidth: 0 })
+        assert.deepEqual(layout('ab', 'center', 100), { segments: [{ text: 'ab', x: 40 }], offsetX: 40, extraWidth: 0 })
+        assert.deepEqual(layout('ab', 'right', 100), { segments: [{ text: 'ab', x: 80 }], offsetX: 80, extraWidth: 0 })
+        assert.equal(layout('abcdefghij', 'right', 100).offsetX, 0)
+    })
+
+    it('spreads justified lines over their word gaps and keeps the last line left', () => {
+        assert.deepEqual(layout('a b c', 'justify', 90), {
+            segments: [
+                { text: 'a', x: 0 },
+                { text: 'b', x: 40 },
+                { text: 'c', x: 80 }
+            ],
+            offsetX: 0,
+            extraWidth: 40
+        })
+        assert.deepEqual(layout('a b c', 'justify', 90, true).segments, [{ text: 'a b c', x: 0 }])
+        assert.deepEqual(layout('word', 'justify', 90).segments, [{ text: 'word', x: 0 }])
+    })
+
+    it('word-wraps text into a fixed box width', () => {
+        assert.equal(TextLayoutUtils.normalizeBoxWidth('120.4'), 120)
+        assert.equal(TextLayoutUtils.normalizeBoxWidth(-5), 0)
+        assert.deepEqual(TextLayoutUtils.wrapLines(['the quick brown fox', 'jumps'], 100, measureWidth), {
+            lines: ['the quick', 'brown fox', 'jumps'],
+            paragraphEnds: [false, true, true]
+        })
+        assert.deepEqual(TextLayoutUtils.wrapLines(['a b', 'c'], 0, measureWidth), {
+            lines: ['a b', 'c'],
+            paragraphEnds: [false, true]
+        })
+    })
+
+    it('hyphenates at soft hyphens and keeps overlong words on their own row', () => {
+        const { lines } = TextLayoutUtils.wrapLines(['Donau\u00ADdampf\u00ADschiff ok', 'supercalifragilistic x'], 100, measureWidth)
+        assert.deepEqual(lines, ['Donau-', 'dampf-', 'schiff ok', 'supercalifragilistic', 'x'])
+        assert.deepEqual(TextLayoutUtils.wrapLines(['ab\u00ADcd'], 100, measureWidth).lines, ['abcd'])
+    })
+
+    it('normalizes overflow policies and minimum font sizes', () => {
+        assert.deepEqual(TextLayoutUtils.OVERFLOW_MODES, ['none', 'shrink', 'ellipsis', 'clip'])
+        assert.equal(TextLayoutUtils.normalizeOverflow(' Shrink '), 'shrink')
+        assert.equal(TextLayoutUtils.normalizeOverflow('wrap'), 'none')
+        assert.equal(TextLayoutUtils.normalizeOverflow('wrap', ''), '')
+        assert.equal(TextLayoutUtils.normalizeMinFontSize('8.4'), 8)
+        assert.equal(TextLayoutUtils.normalizeMinFontSize(0), 6)
+    })
+
+    it('checks line widths and truncates lines with an ellipsis', () => {
+        assert.equal(TextLayoutUtils.exceedsWidth([{ advanceWidth: 40 }, { advanceWidth: 120 }], 100), true)
+        assert.equal(TextLayoutUtils.exceedsWidth([{ advanceWidth: 100 }], 100), false)
+        assert.equal(TextLayoutUtils.exceedsWidth([{ advanceWidth: 500 }], 0), false)
+        assert.equal(TextLayoutUtils.truncateLine('short', 100, measureWidth), 'short')
+        assert.equal(TextLayoutUtils.truncateLine('the quick brown fox', 100, measureWidth), 'the quick\u2026')
+        assert.equal(TextLayoutUtils.truncateLine('abc', 5, measureWidth), '\u2026')
+    })
+
+    it('stores textAlign and boxWidth in project files with left and auto defaults', () => {
+        const { items } = ProjectIoUtils.normalizeItems([
+            { type: 'text', textAlign: 'justify', boxWidth: 180 },
+            { type: 'text', textAlign: 'diagonal', boxWidth: 'wide' },
+            { type: 'text' }
+        ])
+        assert.deepEqual(
+            items.map((item) => [item.textAlign, item.boxWidth]),
+            [
+                ['justify', 180],
+                ['left', 0],
+                ['left', 0]
+            ]
+        )
+    })
+
+    it('wires textAlign and boxWidth into preview, print worker, editor and AI capabilities', async () => {
+        const buildSource = await readFile('src/ui/PreviewRendererCanvasBuild.mjs', 'utf8')
+        const workerSource = await readFile('src/workers/PrintPageTextSupport.mjs', 'utf8')
+        const editorSource = await readFile('src/ui/ItemsEditorTextSupport.mjs', 'utf8')
+        const bridgeSource = await readFile('src/ui/AiActionBridge.mjs', 'utf8')
+        const changeSource = await readFile('src/ui/AiItemChangeUtils.mjs', 'utf8')
+        assert.match(buildSource, /TextLayoutUtils\.resolveLineLayout\(\{/)
+        assert.match(
+            workerSource,
+            /function resolveLineLayout\(\{ line, textAlign, lineAdvance, blockAdvance, isLastLine, measureWidth \}\)/
+        )
+        assert.match(workerSource, /const textAlign = block\.textStacked \? 'center' : item\.textAlign/)
+        assert.match(workerSource, /function wrapTextLines\(lines, boxWidth, measureWidth\)/)
+        assert.match(workerSource, /isLastLine = block\.textParagraphEnds\?\.\[index\] \?\? index === textLines\.length - 1/)
+        const printWorkerSource = await readFile('src/workers/PrintPageWorker.mjs', 'utf8')
+        assert.match(printWorkerSource, /importScripts\('\.\/PrintPageTextSupport\.mjs'\)/)
+        assert.match(printWorkerSource, /boxWidth: item\.boxWidth/)
+        assert.match(buildSource, /boxWidth: item\.boxWidth/)
+        const supportSource = await readFile('src/ui/PreviewRendererCanvasSupport.mjs', 'utf8')
+        assert.match(supportSource, /TextLayoutUtils\.wrapLines\(sourceLines, width,/)
+        const interactionSource = await readFile('src/ui/PreviewRendererInteractions.mjs', 'utf8')
+        assert.match(interactionSource, /InteractionUtils\.isHorizontalEdgeHandle\(this\._interaction\.handle\)/)
+        assert.match(editorSource, /#createTextAlignField\(\{ item, translate, onChange \}\)/)
+        assert.match(bridgeSource, /textAlignModes: TextLayoutUtils\.TEXT_ALIGN_MODES/)
+        assert.match(changeSource, /case 'textAlign':/)
+        assert.match(changeSource, /case 'boxWidth':/)
+    })
+
+    it('stores overflow and minFontSize in project files with none and 6 defaults', () => {
+        const { items } = ProjectIoUtils.normalizeItems([
+            { type: 'text', overflow: 'ellipsis', minFontSize: 9 },
+            { type: 'text', overflow: 'scroll', minFontSize: -2 },
+            { type: 'text' }
+        ])
+        assert.deepEqual(
+            items.map((item) => [item.overflow, item.minFontSize]),
+            [
+                ['ellipsis', 9],
+                ['none', 6],
+                ['none', 6]
+            ]
+        )
+    })
+
+    it('wires overflow policies into preview, print worker, editor, parameter validation and AI capabilities', async () => {
+        const buildSource = await readFile('src/ui/PreviewRendererCanvasBuild.mjs', 'utf8')
+        const supportSource = await readFile('src/ui/PreviewRendererCanvasSupport.mjs', 'utf8')
+        const textSupportSource = await readFile('src/workers/PrintPageTextSupport.mjs', 'utf8')
+        const printWorkerSource = await readFile('src/workers/PrintPageWorker.mjs', 'utf8')
+        const validationWorkerSource = await readFile('src/workers/ParameterValidationWorker.mjs', 'utf8')
+        const panelSource = await readFile('src/ui/ParameterPanel.mjs', 'utf8')
+        const mainSource = await readFile('src/main.mjs', 'utf8')
+        const editorSource = await readFile('src/ui/ItemsEditorTextSupport.mjs', 'utf8')
+        const changeSource = await readFile('src/ui/AiItemChangeUtils.mjs', 'utf8')
+        assert.match(buildSource, /overflow: item\.overflow,/)
+        assert.match(buildSource, /getTextFitPages\(\) \{/)
+        assert.match(supportSource, /policy === 'shrink' && size > shrinkLimit/)
+        assert.match(textSupportSource, /overflow === 'shrink' && size > shrinkLimit/)
+        assert.match(textSupportSource, /block\.textOverflow === 'clip' && boxWidth > 0/)
+        assert.match(printWorkerSource, /overflow: String\(item\.overflow \|\| 'none'\)/)
+        assert.match(validationWorkerSource, /TextFitValidationUtils\.collectOverflowWarnings\(\{/)
+        assert.match(panelSource, /TextFitValidationUtils\.collectOverflowWarnings\(\{/)
+        assert.match(panelSource, /case 'text-overflow':/)
+        assert.match(mainSource, /getTextFitPages: \(\) => previewRenderer\.getTextFitPages\(\)/)
+        assert.match(editorSource, /translate\('itemsEditor\.sliderMinFontSize'\)/)
+        assert.match(changeSource, /case 'overflow':/)
+        assert.match(changeSource, /case 'minFontSize':/)
+    })
+
+    it('normalizes text directions and stack spacing', () => {
+        assert.deepEqual(TextLayoutUtils.TEXT_DIRECTIONS, ['horizontal', 'stacked'])
+        assert.equal(TextLayoutUtils.normalizeTextDirection(' Stacked '), 'stacked')
+        assert.equal(TextLayoutUtils.normalizeTextDirection('vertical'), 'horizontal')
+        assert.equal(TextLayoutUtils.normalizeTextDirection('vertical', ''), '')
+        assert.equal(TextLayoutUtils.normalizeStackSpacing('3.6'), 4)
+        assert.equal(TextLayoutUtils.normalizeStackSpacing(0), 0)
+        assert.equal(TextLayoutUtils.normalizeStackSpacing(-1), 2)
+    })
+
+    it('splits stacked text into one glyph per row', () => {
+        assert.deepEqual(TextLayoutUtils.stackGlyphs('A 1'), ['A', '', '1'])
+        assert.deepEqual(TextLayoutUtils.stackGlyphs('É\nü'), ['É', '', 'ü'])
+        assert.deepEqual(TextLayoutUtils.stackGlyphs('👍🏽x'), ['👍🏽', 'x'])
+        assert.deepEqual(TextLayoutUtils.stackGlyphs(''), [''])
+    })
+
+    it('stores textDirection and stackSpacing in project files with horizontal and 2 defaults', () => {
+        const { items } = ProjectIoUtils.normalizeItems([
+            { type: 'text', textDirection: 'stacked', stackSpacing: 6 },
+            { type: 'text', textDirection: 'diagonal', stackSpacing: 'wide' },
+            { type: 'text' }
+        ])
+        assert.deepEqual(
+            items.map((item) => [item.textDirection, item.stackSpacing]),
+            [
+                ['stacked', 6],
+                ['horizontal', 2],
+                ['horizontal', 2]
+            ]
+        )
+    })
+
+    it('wires stacked text into preview, print worker, parameter validation, editor and AI capabilities', async () => {
+        const buildSource = await readFile('src/ui/PreviewRendererCanvasBuild.mjs', 'utf8')
+        const supportSource = await readFile('src/ui/PreviewRendererCanvasSupport.mjs', 'utf8')
+        const textSupportSource = await readFile('src/workers/PrintPageTextSupport.mjs', 'utf8')
+        const printWorkerSource = await readFile('src/workers/PrintPageWorker.mjs', 'utf8')
+        const fitSource = await readFile('src/ui/TextFitValidationUtils.mjs', 'utf8')
+        const editorSource = await readFile('src/ui/ItemsEditorTextSupport.mjs', 'utf8')
+        const bridgeSource = await readFile('src/ui/AiActionBridge.mjs', 'utf8')
+        const changeSource = await readFile('src/ui/AiItemChangeUtils.mjs', 'utf8')
+        assert.match(supportSource, /TextLayoutUtils\.stackGlyphs\(/)
+        assert.match(buildSource, /direction: item\.textDirection,/)
+        assert.match(buildSource, /!block\.textRich && !block\.textStacked/)
+        assert.match(buildSource, /const textAlign = block\.textStacked \? 'center' : item\.textAlign/)
+        assert.match(textSupportSource, /function stackTextGlyphs\(text\)/)
+        assert.match(printWorkerSource, /direction: stacked \? 'stacked' : 'horizontal'/)
+        assert.match(fitSource, /direction: item\.textDirection,/)
+        assert.match(editorSource, /translate\('itemsEditor\.sliderStackSpacing'\)/)
+        assert.match(bridgeSource, /textDirections: TextLayoutUtils\.TEXT_DIRECTIONS/)
+        assert.match(changeSource, /case 'textDirection':/)
+        assert.match(changeSource, /case 'stackSpacing':/)
+    })
+
+    it('normalizes letter spacing and line height', () => {
+        assert.equal(TextLayoutUtils.normalizeLetterSpacing('-1.26'), -1.3)
+        assert.equal(TextLayoutUtils.normalizeLetterSpacing(99), 50)
+        assert.equal(TextLayoutUtils.normalizeLetterSpacing('wide'), 0)
+        assert.equal(TextLayoutUtils.normalizeLineHeight(0), 0)
+        assert.equal(TextLayoutUtils.normalizeLineHeight('1.234'), 1.23)
+        assert.equal(TextLayoutUtils.normalizeLineHeight(0.2), 0.5)
+        assert.equal(TextLayoutUtils.normalizeLineHeight(-1), 0)
+        assert.equal(TextLayoutUtils.normalizeLineHeight(-1, -1), -1)
+    })
+
+    it('stores letterSpacing and lineHeight in project files with 0 defaults', () => {
+        const { items } = ProjectIoUtils.normalizeItems([
+            { type: 'text', letterSpacing: -1.5, lineHeight: 1.1 },
+            { type: 'text', lineHeight: 'tall' }
+        ])
+        assert.deepEqual(
+            items.map((item) => [item.letterSpacing, item.lineHeight]),
+            [
+                [-1.5, 1.1],
+                [0, 0]
+            ]
+        )
+    })
+
+    it('wires letter spacing and line height into preview, print worker, inline editor and AI capabilities', async () => {
+        const buildSource = await readFile('src/ui/PreviewRendererCanvasBuild.mjs', 'utf8')
+        const supportSource = await readFile('src/ui/PreviewRendererCanvasSupport.mjs', 'utf8')
+        const textSupportSource = await readFile('src/workers/PrintPageTextSupport.mjs', 'utf8')
+        const printWorkerSource = await readFile('src/workers/PrintPageWorker.mjs', 'utf8')
+        const interactionSource = await readFile('src/ui/PreviewRendererInteractions.mjs', 'utf8')
+        const editorSource = await readFile('src/ui/ItemsEditorTextSupport.mjs', 'utf8')
+        const changeSource = await readFile('src/ui/AiItemChangeUtils.mjs', 'utf8')
+        assert.match(supportSource, /ctx\.letterSpacing = `\$\{Number\(dots\) \|\| 0\}px`/)
+        assert.match(supportSource, /#uniformLineMetrics\(layout\.metrics, \{ pitch \}\)/)
+        assert.match(buildSource, /PreviewRendererCanvasSupport\.applyLetterSpacing\(ctx, block\.textLetterSpacing\)/)
+        assert.match(buildSource, /lineHeight: item\.lineHeight/)
+        assert.match(textSupportSource, /applyTextLetterSpacing\(ctx, block\.textLetterSpacing\)/)
+        assert.match(printWorkerSource, /lineHeight: Number\(item\.lineHeight\) \|\| 0/)
+        assert.match(interactionSource, /style\.letterSpacing = /)
+        assert.match(interactionSource, /style\.lineHeight = /)
+        assert.match(editorSource, /translate\('itemsEditor\.sliderLetterSpacing'\)/)
+        assert.match(editorSource, /translate\('itemsEditor\.sliderLineHeight'\)/)
+        assert.match(changeSource, /case 'letterSpacing':/)
+        assert.match(changeSource, /case 'lineHeight':/)
+    })
+
+    it('normalizes text effects, frame padding and stroke widths', () => {
+        assert.deepEqual(TextLayoutUtils.TEXT_EFFECTS, ['none', 'inverted', 'outline', 'box'])
+        assert.equal(TextLayoutUtils.normalizeTextEffect(' Inverted '), 'inverted')
+        assert.equal(TextLayoutUtils.normalizeTextEffect('shadow'), 'none')
+        assert.equal(TextLayoutUtils.normalizeTextEffect('shadow', ''), '')
+        assert.equal(TextLayoutUtils.normalizeEffectDots('5.5', 0), 6)
+        assert.equal(TextLayoutUtils.normalizeEffectDots(-3, 4), 4)
+        assert.equal(TextLayoutUtils.resolveEffectPadding('inverted', 6), 6)
+        assert.equal(TextLayoutUtils.resolveEffectPadding('box', undefined), 4)
+        assert.equal(TextLayoutUtils.resolveEffectPadding('outline', 6), 0)
+        assert.equal(TextLayoutUtils.resolveEffectPadding('none', 6), 0)
+        assert.equal(TextLayoutUtils.resolveEffectStrokeWidth(10), 1)
+        assert.equal(TextLayoutUtils.resolveEffectStrokeWidth(48), 3)
+    })
+
+    it('stores text effects in project files with none, 4 and 0 defaults', () => {
+        const { items } = ProjectIoUtils.normalizeItems([
+            { type: 'text', textEffect: 'inverted', textEffectPadding: 8, textEffectRadius: 5 },
+            { type: 'text', textEffect: 'glow', textEffectPadding: -1, textEffectRadius: 'round' },
+            { type: 'text' }
+        ])
+        assert.deepEqual(
+            items.map((item) => [item.textEffect, item.textEffectPadding, item.textEffectRadius]),
+            [
+                ['inverted', 8, 5],
+                ['none', 4, 0],
+                ['none', 4, 0]
+            ]
+        )
+    })
+
+    it('wires text effects into preview, print worker, editor and AI capabilities', async () => {
+        const buildSource = await readFile('src/ui/PreviewRendererCanvasBuild.mjs', 'utf8')
+        const supportSource = await readFile('src/ui/PreviewRendererCanvasSupport.mjs', 'utf8')
+        const textSupportSource = await readFile('src/workers/PrintPageTextSupport.mjs', 'utf8')
+        const printWorkerSource = await readFile('src/workers/PrintPageWorker.mjs', 'utf8')
+        const editorSource = await readFile('src/ui/ItemsEditorTextSupport.mjs', 'utf8')
+        const bridgeSource = await readFile('src/ui/AiActionBridge.mjs', 'utf8')
+        const changeSource = await readFile('src/ui/AiItemChangeUtils.mjs', 'utf8')
+        assert.match(supportSource, /static drawTextEffectFrame\(ctx, \{/)
+        assert.match(buildSource, /PreviewRendererCanvasSupport\.drawTextEffectFrame\(ctx, \{/)
+        assert.match(buildSource, /const inkColor = block\.textEffect === 'inverted' \? '#fff' : '#000'/)
+        assert.match(textSupportSource, /function drawTextEffectFrame\(ctx, \{/)
+        assert.match(textSupportSource, /ctx\.strokeText\(text, x, 0\)/)
+        assert.match(printWorkerSource, /textEffectPadding: effectPadding/)
+        assert.match(editorSource, /translate\('itemsEditor\.textEffect'\)/)
+        assert.match(bridgeSource, /textEffects: TextLayoutUtils\.TEXT_EFFECTS/)
+        assert.match(changeSource, /case 'textEffect':/)
+    })
+
+    it('normalizes font weights and snaps font widths to font-stretch steps', () => {
+        assert.equal(TextLayoutUtils.normalizeFontWeight('550.4'), 550)
+        assert.equal(TextLayoutUtils.normalizeFontWeight(20), 100)
+        assert.equal(TextLayoutUtils.normalizeFontWeight(1200), 900)
+        assert.equal(TextLayoutUtils.normalizeFontWeight('heavy'), 400)
+        assert.equal(TextLayoutUtils.normalizeFontWidth(80), 75)
+        assert.equal(TextLayoutUtils.normalizeFontWidth(300), 200)
+        assert.equal(TextLayoutUtils.normalizeFontWidth(''), 100)
+        assert.equal(TextLayoutUtils.resolveFontStretch(62.5), 'extra-condensed')
+        assert.equal(TextLayoutUtils.resolveFontStretch(undefined), 'normal')
+    })
+
+    it('builds canvas font declarations with numeric weights and widths', () => {
+        const font = (options) => PreviewRendererCanvasSupport.buildTextFontDeclaration({ size: 16, family: 'Barlow', ...options })
+        assert.equal(font({}), '16px Barlow')
+        assert.equal(font({ weight: 600, width: 75 }), '600 condensed 16px Barlow')
+        assert.equal(font({ bold: true }), '700 16px Barlow')
+        assert.equal(font({ bold: true, italic: true, weight: 900 }), 'italic 900 16px Barlow')
+    })
+
+    it('stores fontWeight and fontWidth in project files with 400 and 100 defaults', () => {
+        const { items } = ProjectIoUtils.normalizeItems([
+            { type: 'text', fontWeight: 300, fontWidth: 87.5 },
+            { type: 'text', fontWeight: 'bold', fontWidth: 'wide' }
+        ])
+        assert.deepEqual(
+            items.map((item) => [item.fontWeight, item.fontWidth]),
+            [
+                [300, 87.5],
+                [400, 100]
+            ]
+        )
+    })
+
+    it('wires font weight and width into preview, print worker, inline editor, editor and AI capabilities', async () => {
+        const buildSource = await readFile('src/ui/PreviewRendererCanvasBuild.mjs', 'utf8')
+        const textSupportSource = await readFile('src/workers/PrintPageTextSupport.mjs', 'utf8')
+        const printWorkerSource = await readFile('src/workers/PrintPageWorker.mjs', 'utf8')
+        const interactionSource = await readFile('src/ui/PreviewRendererInteractions.mjs', 'utf8')
+        const editorSource = await readFile('src/ui/ItemsEditorTextSupport.mjs', 'utf8')
+        const changeSource = await readFile('src/ui/AiItemChangeUtils.mjs', 'utf8')
+        assert.match(buildSource, /fontWeight: item\.fontWeight,\s+fontWidth: item\.fontWidth/)
+        assert.match(
+            textSupportSource,
+            /function buildTextFontDeclaration\(\{ size, family, bold = false, italic = false, weight = 400, width = 100 \}\)/
+        )
+        assert.match(printWorkerSource, /fontWeight: item\.fontWeight,\s+fontWidth: item\.fontWidth/)
+        assert.match(interactionSource, /style\.fontStretch = /)
+        assert.match(editorSource, /translate\('itemsEditor\.sliderFontWeight'\)/)
+        assert.match(editorSource, /translate\('itemsEditor\.fontWidth'\)/)
+        assert.match(changeSource, /case 'fontWeight':/)
+        assert.match(changeSource, /case 'fontWidth':/)
+    })
+})
@@ -0,0 +1,110 @@
+// SPDX-FileCopyrightText: 2026 André Fiedler
+//
+// SPDX-License-Identifier: AGPL-3.0-or-later
+
+import assert from 'node:assert/strict'
+import { readFile } from 'node:fs/promises'
+import { describe, it } from 'node:test'
+import { GroupItemUtils } from '../src/GroupItemUtils.mjs'
+import { ParameterTemplateUtils } from '../src/ParameterTemplateUtils.mjs'
+import { ProjectIoUtils } from '../src/ProjectIoUtils.mjs'
+import { ProjectValidationUtils } from '../src/ProjectValidationUtils.mjs'
+import { VisibilityConditionUtils } from '../src/VisibilityConditionUtils.mjs'
+
+describe('visibility-condition-utils', () => {
+    it('normalizes conditions and drops them without a parameter', () => {
+        assert.deepEqual(VisibilityConditionUtils.normalizeCondition({ parameter: ' hazard ', value: 'x' }), {
+            parameter: 'hazard',
+            operator: 'notEmpty'
+        })
+        assert.deepEqual(VisibilityConditionUtils.normalizeCondition({ parameter: 'type', operator: 'equals', value: 7 }), {
+            parameter: 'type',
+            operator: 'equals',
+            value: '7'
+        })
+        assert.equal(VisibilityConditionUtils.normalizeCondition({ parameter: '', operator: 'empty' }), null)
+        assert.equal(VisibilityConditionUtils.normalizeCondition('hazard'), null)
+    })
+
+    it('evaluates conditions against a parameter row', () => {
+        const row = { hazard: ' flammable ', type: 'Fiber', empty: '  ' }
+        const check = (condition) => VisibilityConditionUtils.isVisible(condition, row)
+        assert.equal(check(undefined), true)
+        assert.equal(check({ parameter: 'hazard' }), true)
+        assert.equal(check({ parameter: 'empty' }), false)
+        assert.equal(check({ parameter: 'missing', operator: 'empty' }), true)
+        assert.equal(check({ parameter: 'type', operator: 'equals', value: 'fiber' }), true)
+        assert.equal(check({ parameter: 'type', operator: 'notEquals', value: 'fiber' }), false)
+        assert.equal(check({ parameter: 'hazard', operator: 'contains', value: 'FLAM' }), true)
+        assert.equal(check({ parameter: 'toString', operator: 'notEmpty' }), false)
+    })
+
+    it('skips items and groups whose condition fails when flattening', () => {
+        const items = [
+            { id: 'a', type: 'text', visibleWhen: { parameter: 'hazard' } },
+            { id: 'b', type: 'text' },
+            {
+                id: 'g',
+                type: 'group',
+                visibleWhen: { parameter: 'type', operator: 'equals', value: 'fiber' },
+                children: [{ id: 'c', type: 'icon' }]
+            }
+        ]
+        const isVisible = (values) => (item) => VisibilityConditionUtils.isVisible(item.visibleWhen, values)
+        assert.deepEqual(
+            GroupItemUtils.flattenVisibleItems(items, isVisible({ hazard: '', type: 'fiber' })).map((item) => item.id),
+            ['b', 'c']
+        )
+        assert.deepEqual(
+            GroupItemUtils.flattenVisibleItems(items, isVisible({ hazard: 'yes', type: 'copper' })).map((item) => item.id),
+            ['a', 'b']
+        )
+        assert.deepEqual(VisibilityConditionUtils.collectConditionParameters(items), ['hazard', 'type'])
+    })
+
+    it('stores visibleWhen in project files only when it names a parameter', () => {
+        const { items } = ProjectIoUtils.normalizeItems([
+            { type: 'text', visibleWhen: { parameter: 'type', operator: 'equals', value: 'fiber' } },
+            { type: 'qr', visibleWhen: { parameter: '' } },
+            { type: 'group', visibleWhen: { parameter: 'hazard', operator: 'bogus' }, children: [{ type: 'text' }] }
+        ])
+        assert.deepEqual(
+            items.map((item) => item.visibleWhen),
+            [{ parameter: 'type', operator: 'equals', value: 'fiber' }, undefined, { parameter: 'hazard', operator: 'notEmpty' }]
+        )
+        const report = ProjectValidationUtils.validateProject({
+            labels: [{ items: [{ type: 'text', visibleWhen: { parameter: 'hazard', operator: 'empty' } }] }]
+        })
+        assert.equal(report.valid, true)
+    })
+
+    it('counts condition parameters as used and warns about undefined ones', () => {
+        const result = ParameterTemplateUtils.validateParameterSetup(
+            [{ name: 'hazard', defaultValue: '' }],
+            [
+                { type: 'icon', visibleWhen: { parameter: 'hazard' } },
+                { type: 'text', text: 'Fiber', visibleWhen: { parameter: 'type', operator: 'equals', value: 'fiber' } }
+            ],
+            []
+        )
+        assert.deepEqual(
+            result.warnings.map((issue) => [issue.code, issue.parameterName]),
+            [['undefined-condition-parameter', 'type']]
+        )
+    })
+
+    it('wires conditions into preview, print worker, parameter validation and the item card', async () => {
+        const buildSource = await readFile('src/ui/PreviewRendererCanvasBuild.mjs', 'utf8')
+        const templateSupportSource = await readFile('src/workers/PrintPageTemplateSupport.mjs', 'utf8')
+        const printWorkerSource = await readFile('src/workers/PrintPageWorker.mjs', 'utf8')
+        const textFitSource = await readFile('src/ui/TextFitValidationUtils.mjs', 'utf8')
+        const editorSource = await readFile('src/ui/ItemsEditor.mjs', 'utf8')
+        const panelSource = await readFile('src/ui/ParameterPanel.mjs', 'utf8')
+        assert.match(buildSource, /GroupItemUtils\.flattenVisibleItems\(source\.items, isVisible\)/)
+        assert.match(templateSupportSource, /function isVisibleForParameterValues\(condition, values\)/)
+        assert.match(printWorkerSource, /if \(!isVisibleForParameterValues\(item\.visibleWhen, parameterValues\)\) continue/)
+        assert.match(textFitSource, /VisibilityConditionUtils\.isVisible\(item\.visibleWhen, values\)/)
+        assert.match(editorSource, /ItemsEditorVisibilitySupport\.appendVisibilityControls\(\{/)
+        assert.match(panelSource, /case 'undefined-condition-parameter':/)
+    })
+})
@@ -208,7 +208,8 @@ describe('webmcp-bridge', () => {
                 { action: 'export_project_json' },
                 { action: 'get_ui_state' },
                 { action: 'get_action_capabilities' },
-                { action: 'get_supported_values' }
+                { action: 'get_supported_values' },
+                { action: 'validate_project', project: { labels: [{ items: [{ type: 'barcode', barcodeFormat: 'NOPE' }] }] } }
             ]
         })
         const payload = parseToolResponse(response)
@@ -234,6 +235,13 @@ describe('webmcp-bridge', () => {
         assert.deepEqual(supportedValuesResult?.supportedValues?.printers, ['P700', 'P750W'])
         assert.deepEqual(supportedValuesResult?.supportedValues?.media, ['W9', 'W24'])
         assert.deepEqual(supportedValuesResult?.supportedValues?.resolutions, ['LOW', 'HIGH'])
+
+        const validationResult = payload.results.find((entry) => entry.action === 'validate_project')
+        assert.equal(validationResult?.valid, false)
+        assert.deepEqual(
+            validationResult.errors.map((issue) => [issue.path, issue.code]),
+            [['labels[0].items[0].barcodeFormat', 'invalid-value']]
+        )
     })
 
     it('applies project-patched WebMCP actions for BLE, parameters, and Google font links', async () => {